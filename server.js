@@ -5,6 +5,10 @@ import fs from 'fs';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import os from 'os';
+import { loadReviewIndex, resolveReviewItem } from './tests/utils/visualRegression.js';
+import { lintRouteFile, findLatestFile } from './tests/utils/routeLint.js';
+import { listEmulationProfiles } from './tests/utils/emulationProfiles.js';
+import { getSelectorDir, loadSelectorRepository, saveSelectorSite, validateSelectorSite, validateSiteOnPage } from './tests/utils/selectorRepository.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -589,10 +593,10 @@ app.post('/api/sheets/test', (req, res) => {
 
 // JSONコマンド実行API（修正ルート実行用）
 app.post('/api/execute-json', express.json(), async (req, res) => {
-  const { command, routeId } = req.body;
+  const { command, routeId, emulationProfile } = req.body;
   
   try {
-    console.log('📋 JSON API リクエスト受信:', { command, routeId });
+    console.log('📋 JSON API リクエスト受信:', { command, routeId, emulationProfile });
     
     // コマンドの実行
     let args = [];
@@ -601,6 +605,7 @@ app.post('/api/execute-json', express.json(), async (req, res) => {
         case 'runFixedRoute':
             args = ['tests/runScenarios.js'];
             if (routeId) args.push('--route-file', `${routeId}.json`);
+            if (emulationProfile) args.push('--profile', emulationProfile);
             break;
             
         default:
@@ -690,7 +695,7 @@ app.post('/api/execute-json', express.json(), async (req, res) => {
 
 // コマンド実行API（従来のFormData用）
 app.post('/api/execute', upload.fields([{name: 'pdf', maxCount: 1}, {name: 'csv', maxCount: 1}]), async (req, res) => {
-  const { command, url, goal, routeId, executionEnvironment, domAnalysisSource, skipDuplicateCheck } = req.body;
+  const { command, url, goal, routeId, executionEnvironment, domAnalysisSource, emulationProfile, skipDuplicateCheck } = req.body;
   const files = req.files || {};
   const pdfFile = files.pdf ? files.pdf[0] : null;
   const csvFile = files.csv ? files.csv[0] : null;
@@ -700,7 +705,8 @@ app.post('/api/execute', upload.fields([{name: 'pdf', maxCount: 1}, {name: 'csv'
   // 環境設定を表示
   console.log('🌐 実行環境設定:', {
     executionEnvironment: executionEnvironment || 'pc',
-    domAnalysisSource: domAnalysisSource || 'pc'
+    domAnalysisSource: domAnalysisSource || 'pc',
+    emulationProfile: emulationProfile || '(config.json の既定値)'
   });
   
   try {
@@ -1007,6 +1013,11 @@ app.post('/api/execute', upload.fields([{name: 'pdf', maxCount: 1}, {name: 'csv'
                 console.log('🔧 ルールベース修正モードで実行します（コスト削減・安定性重視）');
             }
             
+            // 不安定なルートの失敗も分析する場合
+            if (req.body.includeFlaky === 'true') {
+                args.push('--include-flaky');
+            }
+            
             // 手動セレクタ設定の処理
             if (req.body.manualSelectors) {
                 try {
@@ -1034,6 +1045,11 @@ app.post('/api/execute', upload.fields([{name: 'pdf', maxCount: 1}, {name: 'csv'
             return res.status(400).json({ success: false, error: '未知のコマンドです' });
     }
     
+    // ルート生成のDOM解析とテスト実行に同じエミュレーションプロファイルを使う
+    if (emulationProfile && ['tests/generateSmartScenarios.js', 'tests/runScenarios.js'].includes(args[0])) {
+      args.push('--profile', emulationProfile);
+    }
+    
     console.log(`実行コマンド: node ${args.join(' ')}`);
     
     // Node.jsプロセスを実行
@@ -1195,6 +1211,127 @@ app.get('/api/results/:filename', (req, res) => {
   }
 });
 
+// ビジュアル差分レビュー一覧API
+app.get('/api/visual-review', (req, res) => {
+  try {
+    const resultsDir = path.join(__dirname, 'test-results');
+    const index = loadReviewIndex(resultsDir);
+    const status = req.query.status;
+    const items = status ? index.items.filter(item => item.status === status) : index.items;
+    res.json({ success: true, items });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ビジュアル差分の画像取得API（baseline / actual / diff）
+app.get('/api/visual-review/:id/image/:kind', (req, res) => {
+  try {
+    const resultsDir = path.join(__dirname, 'test-results');
+    const item = loadReviewIndex(resultsDir).items.find(entry => entry.id === req.params.id);
+    const relativePath = item?.[`${req.params.kind}_path`];
+    if (!['baseline', 'actual', 'diff'].includes(req.params.kind) || !relativePath) {
+      return res.status(404).json({ success: false, error: '画像が見つかりません' });
+    }
+    const imagePath = path.resolve(resultsDir, relativePath);
+    if (!fs.existsSync(imagePath)) {
+      return res.status(404).json({ success: false, error: '画像が見つかりません' });
+    }
+    res.sendFile(imagePath);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ビジュアル差分の承認・却下API（承認時は今回のスクリーンショットをベースラインに採用）
+app.post('/api/visual-review/:id/:decision', (req, res) => {
+  try {
+    const { id, decision } = req.params;
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, error: `不明な操作です: ${decision}` });
+    }
+    const item = resolveReviewItem(path.join(__dirname, 'test-results'), id, decision);
+    res.json({ success: true, item });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// ルートの lint API（実行前の確認用。mode=batch で最新のバッチメタデータ、routeId で修正ルートを対象にする）
+app.get('/api/lint-routes', (req, res) => {
+  try {
+    const resultsDir = path.join(__dirname, 'test-results');
+    const { mode, routeId } = req.query;
+    const filePath = routeId
+      ? path.join(resultsDir, `${path.basename(routeId, '.json')}.json`)
+      : findLatestFile(resultsDir, mode === 'batch' ? 'batch_metadata_' : 'route_');
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.json({ success: true, file: null, reports: [], errors: 0, warnings: 0 });
+    }
+    const reports = lintRouteFile(filePath);
+    res.json({
+      success: true,
+      file: path.basename(filePath),
+      reports,
+      errors: reports.reduce((sum, report) => sum + report.errors, 0),
+      warnings: reports.reduce((sum, report) => sum + report.warnings, 0)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// エミュレーションプロファイル一覧API（WebUIの実行環境選択用）
+app.get('/api/emulation-profiles', (req, res) => {
+  try {
+    res.json({ success: true, profiles: listEmulationProfiles(__dirname) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// セレクタリポジトリ一覧API（サイト別の手動セレクタ）
+app.get('/api/selectors', (req, res) => {
+  try {
+    const dir = getSelectorDir(__dirname);
+    const sites = [...loadSelectorRepository(dir).values()];
+    res.json({ success: true, dir: path.relative(__dirname, dir), sites });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// セレクタリポジトリの保存API（形式を検証してから selectors/<site>.json に保存）
+app.put('/api/selectors/:site', (req, res) => {
+  try {
+    const site = { ...req.body, site: req.params.site };
+    const issues = validateSelectorSite(site);
+    if (issues.length > 0) {
+      return res.status(400).json({ success: false, error: 'セレクタ定義の形式が正しくありません', issues });
+    }
+    const filePath = saveSelectorSite(site, getSelectorDir(__dirname));
+    console.log(`🎯 セレクタ定義を保存しました: ${path.relative(__dirname, filePath)}`);
+    res.json({ success: true, file: path.basename(filePath) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// セレクタの検証API（実際のページを開き、各セレクタの要素数・可視性を確認）
+app.post('/api/selectors/validate', async (req, res) => {
+  try {
+    const { site, url, profile } = req.body;
+    const issues = validateSelectorSite(site);
+    if (issues.length > 0) {
+      return res.status(400).json({ success: false, error: 'セレクタ定義の形式が正しくありません', issues });
+    }
+    const result = await validateSiteOnPage(site, { url, profile, projectRoot: __dirname });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // パターンによるファイル一覧取得API
 app.get('/api/list-files', (req, res) => {
   try {
@@ -2051,11 +2188,19 @@ function generateTestResultsHTML(batchData) {
     html += `
       <div class="test-result">
         <div class="test-header ${statusClass}">
-          <span>${statusIcon} テスト ${index + 1}: ${result.category} (${result.test_case_id || 'N/A'})</span>
+          <span>${statusIcon} テスト ${index + 1}: ${result.category} (${result.test_case_id || 'N/A'})${result.browser ? ` 🌐 ${result.browser}` : ''}${result.iteration ? ` 📄 ${result.iteration.label} (${result.iteration.index + 1}/${result.iteration.total})` : ''}</span>
           <span>成功率: ${result.success_rate || 0}% | 実行時間: ${Math.round((result.execution_time || 0) / 1000)}秒</span>
         </div>
         <div class="test-content">
-          
+          ${result.trace_path && result.status !== 'success' ? `
+          <p><a href="${result.trace_path}" download title="npx playwright show-trace で開けます">🎞️ トレースをダウンロード</a></p>
+          ` : ''}
+          ${result.video_path && result.status !== 'success' ? `
+          <video controls preload="none" src="${result.video_path}" style="width: 100%; max-width: 480px;"></video>
+          ` : ''}
+          ${result.har_path && result.status !== 'success' ? `
+          <p><a href="${result.har_path}" download title="ブラウザの開発者ツールに読み込めます">🌐 HARをダウンロード</a></p>
+          ` : ''}
           <button class="collapsible" onclick="toggleCollapsible(this)">
             ▶ ステップ実行結果 (${result.step_results?.length || 0}件)
           </button>
@@ -108,6 +108,9 @@ ${contextInfo}
 ## DOM情報
 ${domInfo ? this.formatDOMInfo(domInfo) : 'DOM情報は利用できません'}
 
+## ページで発生したエラー（console / pageerror / 失敗リクエスト）
+${this.formatPageEvents(failedStep.page_events)}
+
 ## 過去の修正試行履歴
 ${attemptHistory}
 
@@ -250,6 +253,22 @@ ${domInfo.elements ? `
 ${domInfo.recommendedSelectors ? Object.entries(domInfo.recommendedSelectors).map(([key, value]) => `- ${key}: ${value}`).join('\n') : 'セレクタ情報なし'}`;
   }
 
+  /**
+   * ページで発生したエラーを整形
+   */
+  formatPageEvents(pageEvents) {
+    if (!pageEvents) {
+      return 'このステップ中のエラーは記録されていません';
+    }
+    const lines = [
+      ...(pageEvents.page_errors || []).map(message => `- 未捕捉の例外: ${message}`),
+      ...(pageEvents.console_errors || []).map(message => `- コンソール: ${message}`),
+      ...(pageEvents.failed_requests || []).map(message => `- 失敗リクエスト: ${message}`)
+    ];
+    return `${lines.join('\n')}
+※ 未捕捉の例外や5xxレスポンスがある場合、セレクタではなくアプリケーション側の不具合が原因の可能性があります。その場合は rootCause にその旨を記載してください。`;
+  }
+
   /**
    * 修正試行履歴構築
    */
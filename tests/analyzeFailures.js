@@ -5,6 +5,10 @@ import path from 'path';
 import { chromium } from 'playwright';
 import { parseArguments } from './utils/cliParser.js';
 import { analyzeFailuresWithAI } from './aiFailureAnalyzer.js';
+import { isScopedTarget, parseScopedTarget, findTargetInFrames } from './utils/frameTargets.js';
+import { getFragmentDir } from './utils/fragments.js';
+import { resolveEmulationProfile } from './utils/emulationProfiles.js';
+import { loadSelectorRepository, fromLegacySelectors, findSelectorCandidates, inspectSelector } from './utils/selectorRepository.js';
 
 /**
  * 失敗したテストケースを分析して自動修正・再テストを実行
@@ -31,8 +35,16 @@ class FailureAnalyzer {
     this.enableAI = options.enableAI || false;
     this.aiConfig = options.aiConfig || {};
     
-    // 手動セレクタ設定
+    // 手動セレクタ設定（selectors/ のセレクタリポジトリ + WebUIの要素指定）
     this.manualSelectors = options.manualSelectors || null;
+    this.selectorRepository = loadSelectorRepository();
+    if (this.manualSelectors) {
+      const manualSite = fromLegacySelectors(this.manualSelectors);
+      this.selectorRepository.set(manualSite.site, manualSite);
+    }
+    
+    // 不安定なルート（再実行で成功・隔離中）の失敗も分析対象にするか
+    this.includeFlaky = options.includeFlaky || false;
     
     if (this.testResultFile) {
       console.log(`📋 指定されたテスト結果ファイル: ${this.testResultFile}`);
@@ -135,8 +147,15 @@ class FailureAnalyzer {
     // 全てのルートの失敗ステップを統合
     let allSteps = [];
     let failedSteps = [];
+    const skippedFlakyRoutes = [];
     
     batchResult.results?.forEach((routeResult, routeIndex) => {
+      // 不安定なルートの失敗はセレクタ等の誤りではない可能性が高いため、--include-flaky 指定時のみ分析
+      // （隔離中のルートでも、再実行ですべて失敗した場合は通常どおり分析する）
+      const skipFailures = !this.includeFlaky && routeResult.flaky_status === 'flaky';
+      if (skipFailures) {
+        skippedFlakyRoutes.push(routeResult.route_id);
+      }
       if (routeResult.step_results) {
         routeResult.step_results.forEach((step, stepIndex) => {
           const normalizedStep = {
@@ -145,6 +164,8 @@ class FailureAnalyzer {
             route_id: routeResult.route_id,
             category: routeResult.category,
             test_case_id: routeResult.test_case_id,
+            iteration: routeResult.iteration?.label || null,
+            fragment: step.fragment || null,
             label: step.label,
             action: step.action,
             status: step.status,
@@ -152,12 +173,14 @@ class FailureAnalyzer {
             target: step.target || null,
             value: step.value || null,
             error: step.error || null,
-            execution_time: step.execution_time || 0
+            execution_time: step.execution_time || 0,
+            page_events: step.page_events || null,
+            emulation_profile: routeResult.emulation_profile || null
           };
           
           allSteps.push(normalizedStep);
           
-          if (step.status === 'failed') {
+          if (step.status === 'failed' && !skipFailures) {
             failedSteps.push(normalizedStep);
           }
         });
@@ -168,6 +191,9 @@ class FailureAnalyzer {
     console.log(`   総ステップ数: ${allSteps.length}`);
     console.log(`   失敗ステップ数: ${failedSteps.length}`);
     console.log(`   ルート数: ${batchResult.results?.length || 0}`);
+    if (skippedFlakyRoutes.length > 0) {
+      console.log(`   🎲 不安定なルートの失敗を除外: ${[...new Set(skippedFlakyRoutes)].join(', ')}（分析するには --include-flaky）`);
+    }
 
     return {
       batch_id: batchResult.batch_id,
@@ -639,6 +665,22 @@ class FailureAnalyzer {
     return null;
   }
 
+  /**
+   * ステップ中にページ側で発生したエラーを要約（未捕捉の例外・5xxがあればアプリ側の不具合を疑う）
+   */
+  summarizePageEvidence(step) {
+    const pageEvents = step.page_events;
+    if (!pageEvents) return null;
+    const pageErrors = pageEvents.page_errors || [];
+    const serverErrors = (pageEvents.failed_requests || []).filter(request => /^5\d\d /.test(request));
+    return {
+      page_errors: pageErrors,
+      console_errors: pageEvents.console_errors || [],
+      failed_requests: pageEvents.failed_requests || [],
+      suspected_application_error: pageErrors.length > 0 || serverErrors.length > 0
+    };
+  }
+
   /**
    * エラータイプを分類
    */
@@ -1053,12 +1095,84 @@ class FailureAnalyzer {
     };
   }
 
+  /**
+   * iframe・Shadow DOM を考慮した代替セレクタを検索
+   * - 通常セレクタがiframe内に存在する場合は frame= 記法を提案
+   * - frame= / shadow= 記法の要素が外に移動した場合は内側のセレクタを提案
+   */
+  async findFrameAwareAlternatives(target) {
+    const alternatives = [];
+    if (!this.page || !target) {
+      return alternatives;
+    }
+
+    try {
+      if (isScopedTarget(target)) {
+        const { selector } = parseScopedTarget(target);
+        if (await this.page.locator(selector).count() > 0) {
+          alternatives.push({
+            selector,
+            confidence: 0.75,
+            reason: 'iframe・Shadow DOMの外（メインドキュメント）で要素を発見'
+          });
+        }
+        alternatives.push(...(await findTargetInFrames(this.page, selector)).map(match => ({
+          selector: match.target,
+          confidence: 0.8,
+          reason: `別のiframe内で要素を発見: ${match.frameUrl}`
+        })));
+      } else {
+        alternatives.push(...(await findTargetInFrames(this.page, target)).map(match => ({
+          selector: match.target,
+          confidence: 0.85,
+          reason: `iframe内で要素を発見: ${match.frameUrl}`
+        })));
+      }
+    } catch (error) {
+      console.log(`⚠️ iframe・Shadow DOM探索エラー: ${error.message}`);
+    }
+
+    return alternatives.filter(alt => alt.selector !== target);
+  }
+
+  /**
+   * セレクタリポジトリから代替セレクタを取得（分析中のページで見つかったものを高い信頼度にする）
+   */
+  async findRepositorySelectors(step) {
+    let mobile = false;
+    try {
+      mobile = resolveEmulationProfile(step.emulation_profile).isMobile;
+    } catch {
+      // 定義が削除されたプロファイルはPC版として扱う
+    }
+    const url = this.page?.url() || this.targetUrl || '';
+    const candidates = findSelectorCandidates(this.selectorRepository, { url, step, mobile });
+    if (!candidates) {
+      return [];
+    }
+
+    const alternatives = [];
+    for (const { selector, variant } of candidates.selectors) {
+      const inspection = this.page ? await inspectSelector(this.page, selector) : { count: 0, normalized: selector };
+      alternatives.push({
+        selector: inspection.normalized,
+        confidence: inspection.count > 0 ? 0.95 : 0.6,
+        reason: `セレクタリポジトリ: ${candidates.site} / ${candidates.name} [${variant}]${inspection.count > 0 ? '' : '（分析中のページでは未確認）'}`
+      });
+    }
+    return alternatives;
+  }
+
   /**
    * 代替セレクタを検索（事前DOM解析 + リアルタイム検索）
    */
   async findAlternativeSelectors(step) {
     const alternatives = [];
     
+    // 0. セレクタリポジトリに登録済みのセレクタ（失敗したルートの実行環境の PC版 / スマホ版を優先）
+    const repositoryAlternatives = await this.findRepositorySelectors(step);
+    alternatives.push(...repositoryAlternatives);
+    
     // 1. 事前DOM解析結果から代替セレクタを取得
     const cachedAlternatives = this.findAlternativeSelectorsFromCachedDOM(step.target, step.action);
     alternatives.push(...cachedAlternatives);
@@ -1130,6 +1244,9 @@ class FailureAnalyzer {
       }
     }
 
+    // iframe・Shadow DOM を考慮した代替セレクタ
+    alternatives.push(...await this.findFrameAwareAlternatives(target));
+
     // 3. 重複を除去してconfidence順でソート
     const uniqueAlternatives = [];
     const seenSelectors = new Set();
@@ -1143,7 +1260,7 @@ class FailureAnalyzer {
     
     const sortedAlternatives = uniqueAlternatives.sort((a, b) => (b.confidence || 0.5) - (a.confidence || 0.5));
     
-    console.log(`🔍 代替セレクタ検索結果: 事前解析${cachedAlternatives.length}件 + リアルタイム${alternatives.length - cachedAlternatives.length}件 = 総計${sortedAlternatives.length}件`);
+    console.log(`🔍 代替セレクタ検索結果: リポジトリ${repositoryAlternatives.length}件 + 事前解析${cachedAlternatives.length}件 + リアルタイム${alternatives.length - repositoryAlternatives.length - cachedAlternatives.length}件 = 総計${sortedAlternatives.length}件`);
     
     return sortedAlternatives.slice(0, 8); // 上位8件に限定
   }
@@ -1566,6 +1683,14 @@ class FailureAnalyzer {
       const simpleFixes = [];
       failedSteps.forEach(step => {
         console.log(`  - ${step.label}: ${step.error}`);
+
+        const pageEvidence = this.summarizePageEvidence(step);
+        if (pageEvidence?.suspected_application_error) {
+          console.log(`    🐞 ページ側のエラーを検出（アプリケーションの不具合の可能性）:`);
+          [...pageEvidence.page_errors, ...pageEvidence.failed_requests].slice(0, 3).forEach(message => {
+            console.log(`       ${message}`);
+          });
+        }
         
         // 🔧 簡単な修正をチェック（チェックボックス、数値入力、hidden要素など）
         const simpleFix = this.checkForSimpleFixes(step);
@@ -1660,6 +1785,17 @@ class FailureAnalyzer {
 
       const originalScenario = JSON.parse(fs.readFileSync(routePath, 'utf-8'));
       
+      // 共通手順（フラグメント）内の失敗はルートではなくフラグメントを修正する
+      const fragmentFailures = failedSteps.filter(step => step.fragment);
+      if (fragmentFailures.length > 0) {
+        console.log('\n🧩 共通手順（フラグメント）内で失敗したステップ:');
+        fragmentFailures.forEach(step => {
+          const fragmentName = step.fragment.split(' > ').pop();
+          const fragmentPath = path.relative(process.cwd(), path.join(getFragmentDir(), `${fragmentName}.json`));
+          console.log(`  - ${step.label} (${fragmentName}): ${fragmentPath} を修正すると、このフラグメントを使う全ルートに反映されます`);
+        });
+      }
+      
       await this.init();
 
       // 🧠 高度な失敗パターン分析を実行
@@ -1726,7 +1862,8 @@ class FailureAnalyzer {
       alternative_elements: [],
       structure_analysis: {},
       recommended_fixes: [],
-      confidence_score: 0
+      confidence_score: 0,
+      page_evidence: this.summarizePageEvidence(step)
     };
 
     try {
@@ -2950,13 +3087,14 @@ class FailureAnalyzer {
         console.log(`   🔍 失敗ステップ分析: ${step.label}`);
         
         // 💡 ChatGPT助言1: select要素の堅牢化
-        if (failedStep.error.includes('Timeout') && step.target.includes('[name="area"]')) {
+        const selectName = step.target.match(/^select\[name="([^"]+)"\]/)?.[1];
+        if (failedStep.error.includes('Timeout') && selectName && step.value) {
           console.log('   🎯 ChatGPT助言適用: select要素の堅牢化');
           fixedStep = {
             ...step,
             action: 'selectOption',
-            target: 'select[name="area"]',
-            value: '13', // 東京都
+            target: `select[name="${selectName}"]`,
+            value: step.value,
             isFixed: true,
             fixReason: 'ChatGPT助言: select要素には値を直接指定',
             fix_type: 'chatgpt_robust_select'
@@ -2964,38 +3102,6 @@ class FailureAnalyzer {
           fixCount++;
         }
         
-        // 💡 ChatGPT助言2: チェックボックスの堅牢化
-        else if (failedStep.error.includes('Timeout') && step.target.includes('渋谷・恵比寿・広尾・六本木')) {
-          console.log('   🎯 ChatGPT助言適用: チェックボックスの堅牢化');
-          fixedStep = {
-            ...step,
-            action: 'check',
-            target: 'input[type="checkbox"][value*="36"]', // エリアID
-            isFixed: true,
-            fixReason: 'ChatGPT助言: チェックボックスはvalue属性で確実に選択',
-            fix_type: 'chatgpt_robust_checkbox'
-          };
-          fixCount++;
-        }
-        
-        // 💡 ChatGPT助言3: アサートの堅牢化
-        else if (step.action === 'skip' && step.target.includes('HUB渋谷店')) {
-          console.log('   🎯 ChatGPT助言適用: アサートの堅牢化');
-          fixedStep = {
-            ...step,
-            action: 'assertVisible',
-            target: 'text="HUB渋谷店"',
-            isFixed: true,
-            fixReason: 'ChatGPT助言: スキップせず適切なlocatorで再アサート',
-            fix_type: 'chatgpt_robust_assert',
-            preActions: [
-              { action: 'waitForLoadState', target: 'networkidle' },
-              { action: 'waitForSelector', target: '.shop-list, [class*="shop"]' }
-            ]
-          };
-          fixCount++;
-        }
-        
         // 既存の修正パターンも継続
         // 1. チェックボックス修正（UI干渉対応を強化）
         else if (failedStep.error.includes('Timeout') && step.target.includes('name="breakfast"')) {
@@ -3124,46 +3230,15 @@ class FailureAnalyzer {
     const target = step.target;
     
     // 1. name属性のselect要素の場合
-    if (target.includes('[name="') && target.includes('area')) {
-      const nameValue = target.match(/\[name="([^"]+)"\]/)?.[1];
-      if (nameValue) {
-        suggestions.push({
-          type: 'robust_select_selector',
-          message: `select要素には値を直接指定する方法を推奨`,
-          newTarget: `select[name="${nameValue}"]`,
-          newAction: 'selectOption',
-          newValue: '13', // 東京都の値
-          confidence: 0.9
-        });
-      }
-    }
-    
-    // 2. チェックボックス要素の場合
-    if (target.includes('渋谷・恵比寿・広尾・六本木')) {
-      suggestions.push({
-        type: 'robust_checkbox_selector',
-        message: `チェックボックスはvalue属性やlabel[for]での選択を推奨`,
-        alternatives: [
-          { selector: `input[value*="渋谷"]`, action: 'check' },
-          { selector: `label[for*="shibuya"]`, action: 'click' },
-          { selector: `input[type="checkbox"][value*="36"]`, action: 'check' }
-        ],
-        confidence: 0.8
-      });
-    }
-    
-    // 3. 最終確認要素の場合
-    if (target.includes('HUB渋谷店')) {
+    const nameValue = target.match(/^select\[name="([^"]+)"\]/)?.[1];
+    if (nameValue && step.value) {
       suggestions.push({
-        type: 'robust_assertion_selector',
-        message: `要素確認では適切なlocatorと待機を組み合わせる`,
-        newTarget: `text="HUB渋谷店"`,
-        newAction: 'assertVisible',
-        preActions: [
-          { action: 'waitForLoadState', target: 'networkidle' },
-          { action: 'waitForSelector', target: '.shop-list, [class*="shop"]' }
-        ],
-        confidence: 0.85
+        type: 'robust_select_selector',
+        message: `select要素には値を直接指定する方法を推奨`,
+        newTarget: `select[name="${nameValue}"]`,
+        newAction: 'selectOption',
+        newValue: step.value,
+        confidence: 0.9
       });
     }
     
@@ -3206,8 +3281,8 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       const key = arg.substring(2);
       const nextArg = argv[i + 1];
       
-      if (key === 'enable-ai') {
-        args['enable-ai'] = true;
+      if (key === 'enable-ai' || key === 'include-flaky') {
+        args[key] = true;
       } else if (key === 'manual-selectors') {
         // 手動セレクタ設定を解析
         if (nextArg && !nextArg.startsWith('--')) {
@@ -3249,6 +3324,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     autoExecute: args['auto-execute'] || false,
     testResultFile: testResultFile,  // 🔧 ファイル指定（適切に解析済み）
     manualSelectors: args['manual-selectors'] || null,  // 手動セレクタ設定
+    includeFlaky: args['include-flaky'] || false,  // 不安定なルートの失敗も分析
     aiConfig: {
       model: args['ai-model'] || 'gpt-4-turbo-preview',
       apiKey: process.env.OPENAI_API_KEY
@@ -3266,7 +3342,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   }
   
   if (options.manualSelectors) {
-    console.log('🎯 手動セレクタ設定が有効');
+    console.log('🎯 手動セレクタ設定が有効（セレクタリポジトリと合わせて代替セレクタの提案に使います）');
     console.log(`   カテゴリ数: ${Object.keys(options.manualSelectors).length}`);
   }
   
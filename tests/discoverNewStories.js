@@ -161,6 +161,7 @@ class StoryDiscoverer {
         const links = Array.from(document.querySelectorAll('a[href]')).map(a => ({
           href: a.href,
           text: a.textContent.trim(),
+          opensNewWindow: a.target === '_blank',
           visible: a.offsetParent !== null
         })).filter(link => link.visible && link.text);
 
@@ -197,6 +198,9 @@ class StoryDiscoverer {
         };
       });
 
+      // target=_blank のリンク先（新しいタブ）も辿って解析
+      pageAnalysis.newWindowPages = await this.followNewWindowLinks(pageAnalysis.links);
+
       return pageAnalysis;
     } catch (error) {
       console.error(`ページ解析エラー: ${error.message}`);
@@ -204,6 +208,45 @@ class StoryDiscoverer {
     }
   }
 
+  /**
+   * 新しいタブで開くリンクをクリックし、開いたページの概要を取得
+   */
+  async followNewWindowLinks(links, maxLinks = 3) {
+    const newWindowPages = [];
+    const targets = links.filter(link => link.opensNewWindow).slice(0, maxLinks);
+
+    for (const link of targets) {
+      let popup = null;
+      try {
+        [popup] = await Promise.all([
+          this.page.context().waitForEvent('page', { timeout: 10000 }),
+          this.page.getByRole('link', { name: link.text, exact: true }).first().click()
+        ]);
+        await popup.waitForLoadState('domcontentloaded');
+
+        const summary = await popup.evaluate(() => ({
+          title: document.title,
+          url: window.location.href,
+          headings: Array.from(document.querySelectorAll('h1, h2, h3'))
+            .map(h => h.textContent.trim())
+            .filter(Boolean)
+            .slice(0, 5),
+          formCount: document.querySelectorAll('form').length
+        }));
+        newWindowPages.push({ linkText: link.text, ...summary });
+        console.log(`🪟 新しいタブのリンクを解析: ${link.text} → ${summary.url}`);
+      } catch (error) {
+        console.log(`⚠️ 新しいタブのリンク解析をスキップ: ${link.text} (${error.message})`);
+      } finally {
+        if (popup && !popup.isClosed()) {
+          await popup.close();
+        }
+      }
+    }
+
+    return newWindowPages;
+  }
+
   /**
    * AIを使って新しいユーザーストーリーを生成
    */
@@ -230,7 +273,8 @@ ${testResult.steps.filter(s => s.status === 'failed').map(s => `- ${s.label}: ${
 
 ## ページ構造分析
 - ページタイトル: ${pageAnalysis?.title}
-- 利用可能なリンク: ${pageAnalysis?.links.map(l => l.text).join(', ')}
+- 利用可能なリンク: ${pageAnalysis?.links.map(l => l.opensNewWindow ? `${l.text}（新しいタブ）` : l.text).join(', ')}
+- 新しいタブで開くページ: ${pageAnalysis?.newWindowPages?.map(p => `${p.linkText} → ${p.title} (${p.url})`).join(', ') || 'なし'}
 - フォーム要素: ${pageAnalysis?.forms.map(f => f.inputs.map(i => i.name).join(', ')).join(' | ')}
 - ボタン: ${pageAnalysis?.buttons.map(b => b.text).join(', ')}
 
@@ -13,6 +13,10 @@ import { z } from "zod";
 import { OpenAI } from "openai";
 import { parseCLIArgs, validateOptions } from './utils/cliParser.js';
 import { uploadPDFToOpenAI, createPDFPrompt } from './utils/pdfParser.js';
+import AuthSessionManager from './utils/authSession.js';
+import { collectEmbeddedElements } from './utils/frameTargets.js';
+import { loadFragmentLibrary, findFragmentByRole } from './utils/fragments.js';
+import { getProfileArg, resolveEmulationProfile } from './utils/emulationProfiles.js';
 // DuplicateTestDetector は削除（リグレッションテスト対応）
 
 // configのスキーマ定義
@@ -70,12 +74,28 @@ const getOpenAIConfig = (config) => {
 export const config = loadConfig();
 export const openAIConfig = getOpenAIConfig(config);
 
+// DOM解析のエミュレーションプロファイル（テスト実行と同じ --profile を指定する）
+const analysisProfile = resolveEmulationProfile(getProfileArg());
+
+/**
+ * DOM解析用のページを開く（認証設定があればテスト実行と同じログイン済みセッションを使用）
+ * 画面サイズ・言語等はエミュレーションプロファイルに合わせる（スマホ版とPC版で異なるDOMを解析するため）
+ */
+async function newAnalysisPage(browser) {
+  const authSession = new AuthSessionManager();
+  const context = await browser.newContext({
+    ...(await authSession.getContextOptions(browser)),
+    ...analysisProfile.contextOptions
+  });
+  return context.newPage();
+}
+
 // 動的DOM情報を取得する関数
 async function extractDynamicPageInfo(url) {
   console.log(`🔍 動的DOM取得開始: ${url}`);
   
   const browser = await chromium.launch({ headless: true });
-  const page = await browser.newPage();
+  const page = await newAnalysisPage(browser);
   
   try {
     // ページを読み込み
@@ -116,6 +136,7 @@ async function extractDynamicPageInfo(url) {
           info.elements.links.push({
             text: el.textContent.trim(),
             href: el.href,
+            opensNewWindow: el.target === '_blank',
             selector: `text="${el.textContent.trim()}"`,
             fallbackSelector: `a[href*="${el.href.split('/').pop()}"]`
           });
@@ -189,6 +210,8 @@ async function extractDynamicPageInfo(url) {
       
       return info;
     });
+
+    await appendEmbeddedElements(page, pageInfo);
     
     console.log(`📊 DOM情報取得完了: 見出し${pageInfo.elements.headings.length}個, リンク${pageInfo.elements.links.length}個, ボタン${pageInfo.elements.buttons.length}個`);
     
@@ -199,6 +222,44 @@ async function extractDynamicPageInfo(url) {
   }
 }
 
+/**
+ * iframe・openなShadow DOM内の入力要素・ボタンをDOM情報に統合
+ * ターゲットは frame= / shadow= 記法になるため、生成されるルートもそのまま実行できる
+ * @param {Object} options - { advanced: 高度DOM解析の形式（tagName小文字・非表示要素はdynamicInputs）}
+ */
+async function appendEmbeddedElements(page, pageInfo, options = {}) {
+  try {
+    const embedded = await collectEmbeddedElements(page);
+
+    embedded.inputs.forEach(input => {
+      if (!options.advanced) {
+        pageInfo.elements.inputs.push(input);
+        return;
+      }
+      const element = { ...input, tagName: input.tagName.toLowerCase() };
+      if (input.visible) {
+        pageInfo.elements.inputs.push(element);
+      } else {
+        pageInfo.elements.dynamicInputs.push(element);
+      }
+    });
+    pageInfo.elements.buttons.push(...embedded.buttons);
+
+    pageInfo.elements.embedded = {
+      frames: embedded.frames,
+      shadow_roots: embedded.shadowRoots,
+      inputs: embedded.inputs.length,
+      buttons: embedded.buttons.length
+    };
+
+    if (embedded.inputs.length > 0 || embedded.buttons.length > 0) {
+      console.log(`🧩 iframe・Shadow DOM内の要素: 入力${embedded.inputs.length}個, ボタン${embedded.buttons.length}個 (iframe ${embedded.frames}個, Shadow Root ${embedded.shadowRoots}個)`);
+    }
+  } catch (error) {
+    console.log(`⚠️ iframe・Shadow DOMの解析に失敗: ${error.message}`);
+  }
+}
+
 /**
  * 自然言語テストケースファイルを読み込み
  * @param {string} naturalTestCasesFile - 自然言語テストケースファイルパス
@@ -442,7 +503,7 @@ function calculateFeasibilityScore(testCase, domInfo) {
     case 'error_handling':
       // エラー系は条件次第で実行可能
       score += 0.6;
-      suggestions.push('エラー発生条件の手動確認が必要です');
+      suggestions.push('エラー発生条件は mockResponse / abortRequest / delayRequest / setOffline ステップで再現できます');
       break;
 
     case 'edge_case':
@@ -502,8 +563,12 @@ function convertToPlaywrightImplementation(testCase, domInfo, targetUrl) {
     // DOM要素に対する包括的テストケース生成
     const relevantElements = findRelevantElements(testCase, domInfo);
     
+    const testFocus = isAccessibilityViewpoint(`${testCase.description} ${testCase.original_viewpoint || ''}`)
+      ? 'accessibility'
+      : 'complete_validation';
+    
     relevantElements.forEach(element => {
-      const comprehensiveTestCase = comprehensiveGenerator.generateComprehensiveTestCase(element, 'complete_validation');
+      const comprehensiveTestCase = comprehensiveGenerator.generateComprehensiveTestCase(element, testFocus);
       
       // 包括的テストケースのステップを統合
       comprehensiveTestCase.steps.forEach(step => {
@@ -946,6 +1011,15 @@ function generateInputValidationStepsFromDOM(steps, domInfo, naturalCase = null)
       } else if (inputType === 'hidden') {
         // hiddenフィールドはスキップ
         console.log(`⏭️ ステップをスキップ: ${input.name}に有効な値を入力`);
+      } else if (inputType === 'file') {
+        // ファイル入力はfixturesディレクトリのサンプルファイルを添付
+        steps.push({
+          label: `${input.name}にファイルを添付`,
+          action: 'setInputFiles',
+          target: inputSelector,
+          value: 'sample.txt',
+          scenario_id: scenarioId
+        });
       } else {
         // text, email, tel, number, date等の通常入力フィールド
         steps.push({
@@ -1027,6 +1101,10 @@ function generateNavigationSteps(testCase, domInfo, steps) {
   // リンククリック
   domInfo.elements.links.forEach((link, index) => {
     if (index < 2) {
+      if (link.opensNewWindow) {
+        steps.push(...generateNewWindowLinkSteps(link));
+        return;
+      }
       steps.push({
         label: `「${link.text}」リンクをクリック`,
         action: "click",
@@ -1316,6 +1394,9 @@ function generatePlaywrightRouteFromNaturalCase(naturalCase, domInfo, url, userS
   switch (naturalCase.category) {
     case 'display':
       generateDisplayStepsFromDOM(steps, domInfo);
+      if (isLayoutViewpoint(naturalCase.original_viewpoint)) {
+        steps.push(generateLayoutScreenshotStep(url));
+      }
       break;
     case 'input_validation':
       generateInputValidationStepsFromDOM(steps, domInfo, naturalCase);
@@ -1334,6 +1415,11 @@ function generatePlaywrightRouteFromNaturalCase(naturalCase, domInfo, url, userS
       break;
   }
 
+  // アクセシビリティの観点はaxe-coreの監査で検証
+  if (isAccessibilityViewpoint(naturalCase.original_viewpoint)) {
+    steps.push(generateAccessibilityAuditStep());
+  }
+
   // 🚀 NEW: expected_resultsをアサーションに変換して追加
   if (naturalCase.expected_results && naturalCase.expected_results.length > 0) {
     console.log(`🎯 expected_results変換: ${naturalCase.expected_results.length}件の期待結果をアサーションに変換`);
@@ -1345,12 +1431,8 @@ function generatePlaywrightRouteFromNaturalCase(naturalCase, domInfo, url, userS
     );
     
     if (assertionSteps.length > 0) {
-      // アサーションステップの前に少し待機
-      steps.push({
-        label: "アサーション実行前の待機",
-        action: "waitForTimeout",
-        target: "1000"
-      });
+      // 固定時間の待機ではなく、最初のアサーションの前に通信の完了を待つ（stepPolicy の autoWait）
+      assertionSteps[0] = { ...assertionSteps[0], autoWait: ['networkidle'] };
       
       // アサーションステップを追加
       steps.push(...assertionSteps);
@@ -1380,6 +1462,53 @@ function generatePlaywrightRouteFromNaturalCase(naturalCase, domInfo, url, userS
   };
 }
 
+/**
+ * レイアウト/文言の観点か（配置・表示サイズ・文字化け・文字切れ）
+ */
+function isLayoutViewpoint(viewpoint = '') {
+  return ['レイアウト', '文言', '配置', '表示サイズ', '文字化け', '文字切れ'].some(keyword => viewpoint.includes(keyword));
+}
+
+/**
+ * ページ全体のビジュアル比較ステップを生成（同じページのルートでベースラインを共有）
+ */
+function generateLayoutScreenshotStep(url) {
+  let pageName = 'page';
+  try {
+    const { hostname, pathname } = new URL(url);
+    pageName = `${hostname}${pathname}`.replace(/\.html?$/, '');
+  } catch {
+    // URLとして解釈できない場合は既定名
+  }
+  return {
+    label: 'ページ全体のレイアウト・文言がベースラインと一致することを確認',
+    action: 'assertScreenshot',
+    name: `layout_${pageName}`,
+    fullPage: true,
+    assertion_type: 'visual_layout'
+  };
+}
+
+/**
+ * アクセシビリティの観点か（支援技術・キーボード操作・コントラスト等）
+ */
+function isAccessibilityViewpoint(viewpoint = '') {
+  const text = viewpoint.toLowerCase();
+  return ['アクセシビリティ', 'accessibility', 'a11y', 'wcag', 'スクリーンリーダー', '読み上げ', 'キーボード操作', 'コントラスト']
+    .some(keyword => text.includes(keyword));
+}
+
+/**
+ * ページ全体のアクセシビリティ監査ステップを生成
+ */
+function generateAccessibilityAuditStep() {
+  return {
+    label: 'ページのアクセシビリティ違反がないことを確認',
+    action: 'auditAccessibility',
+    assertion_type: 'accessibility'
+  };
+}
+
 /**
  * 表示確認系のステップをDOM情報から生成
  */
@@ -1469,6 +1598,29 @@ function generateInteractionStepsFromDOM(steps, domInfo) {
   });
 }
 
+/**
+ * target=_blank のリンク用ステップ（新しいタブを待機して確認後、元のページに戻る）
+ */
+function generateNewWindowLinkSteps(link) {
+  return [
+    {
+      label: `「${link.text}」リンクを新しいタブで開く`,
+      action: "waitForPopup",
+      target: link.selector,
+      value: link.href ? new URL(link.href).pathname : undefined
+    },
+    {
+      label: "新しいタブの表示を確認",
+      action: "assertVisible",
+      target: "body"
+    },
+    {
+      label: "新しいタブを閉じて元のページに戻る",
+      action: "closePage"
+    }
+  ];
+}
+
 /**
  * ナビゲーション系のステップをDOM情報から生成
  */
@@ -1476,6 +1628,10 @@ function generateNavigationStepsFromDOM(steps, domInfo) {
   // リンククリック
   domInfo.elements.links.forEach((link, index) => {
     if (index < 2 && link.href && link.href !== '#') {
+      if (link.opensNewWindow) {
+        steps.push(...generateNewWindowLinkSteps(link));
+        return;
+      }
       steps.push({
         label: `「${link.text}」リンクをクリック`,
         action: "click",
@@ -1673,7 +1829,7 @@ function generateGenericDateValidationSteps(domInfo, baseUrl) {
     });
 
     // 他の必須フィールドを埋める（汎用的に）
-    fillRequiredFields(steps, domInfo, dateField);
+    fillRequiredFields(steps, domInfo, dateField, baseUrl);
 
     // バリデーションエラーの確認（複数のパターンを試行）
     steps.push({
@@ -1775,8 +1931,25 @@ function formatDateForInput(date) {
 
 /**
  * 必須フィールドを汎用的に埋める
+ * ページ用の共通手順（role: "fill-required-fields" のフラグメント）があれば include で呼び出す
  */
-function fillRequiredFields(steps, domInfo, excludeField) {
+function fillRequiredFields(steps, domInfo, excludeField, pageUrl = '') {
+  const excludeSelector = excludeField?.recommendedSelector || (excludeField?.name ? `[name="${excludeField.name}"]` : null);
+  const fragment = findFragmentByRole(loadFragmentLibrary(), 'fill-required-fields', pageUrl);
+  // テスト対象のフィールドを上書きするフラグメントは使わない
+  const fragmentTargets = JSON.stringify(fragment?.steps || []);
+  const overwritesTarget = [excludeSelector, excludeField?.id ? `#${excludeField.id}` : null]
+    .filter(Boolean)
+    .some(selector => fragmentTargets.includes(JSON.stringify(selector)));
+  if (fragment && !overwritesTarget) {
+    steps.push({
+      label: `必須項目を入力（共通手順: ${fragment.name}）`,
+      action: 'include',
+      fragment: fragment.name
+    });
+    return;
+  }
+
   const requiredFields = domInfo.elements.inputs.filter(input => 
     input.required && input !== excludeField
   );
@@ -2038,6 +2211,11 @@ async function generateSmartTestRoute(url, testGoal, pageInfo, testPoints = null
   const openAIConfig = getOpenAIConfig(config);
   const openai = new OpenAI(openAIConfig);
 
+  // 共通手順（fragments/）の一覧をプロンプトに含める
+  const availableFragments = [...loadFragmentLibrary().values()]
+    .map(fragment => `${fragment.name}（${fragment.description || '説明なし'}）`)
+    .join(' / ') || 'なし';
+
   // 失敗制約は初回生成では使用しない（analyzeFailures.jsで使用）
   
   const system = `あなたはWebページのE2Eテストシナリオを生成する専門AIです。
@@ -2085,6 +2263,16 @@ ${JSON.stringify(pageInfo, null, 2)}
 - assertNotVisible: 要素非表示確認
 - waitForSelector: 要素待機
 - waitForURL: URL遷移待機
+- 固定時間の待機（waitForTimeout）は使わない。表示の遅い画面では任意のステップに autoWait（["networkidle"] / ["stable"]）や retries を指定
+- 画面遷移・送信（load / waitForURL / type=submit のボタンの click）が失敗すると、後続のステップは実行されず blocked になる。遷移や送信の結果に関係しない確認には dependsOn: [] を指定
+- assertScreenshot: レイアウト/文言のビジュアル比較（name必須、動的な領域は mask にセレクタ配列）
+- auditAccessibility: アクセシビリティ監査（target で範囲を限定可、failOn で失敗とする重要度）
+- expectRequest: 送信リクエストの検証（method・url・body に入力した値を指定し、UIが入力値を送っているか確認）
+- expectResponse: レスポンスの検証（url・status・json にパスごとの期待値）
+- assertNoPageErrors / assertNoConsoleErrors / assertNoFailedRequests: ルート開始からページ側のエラーがないことを確認（シナリオの最後に配置）
+- storeText / storeAttribute / storeValue / storeUrl: 画面の値（合計金額・予約番号等）を name の変数に保存（pattern で一部を抽出）。後続ステップの value や target で \${変数名} として参照
+- if / repeat / forEach: 条件分岐・繰り返し（condition に visible・url・variable、子ステップは steps / else）。表示されない場合があるCookieバナー等は if か "optional": true を使用
+- include: 共通手順（フラグメント）を呼び出し（fragment に名前、params にパラメータ）。利用可能: ${availableFragments}
 
 セレクタ優先順位：
 1. :has-text("実際のテキスト") (DOM情報のtextから選択)
@@ -2461,7 +2649,7 @@ async function extractAdvancedDynamicPageInfo(url) {
   console.log(`🚀 高度な動的DOM解析開始: ${url}`);
   
   const browser = await chromium.launch({ headless: true });
-  const page = await browser.newPage();
+  const page = await newAnalysisPage(browser);
   
   try {
     // 1. ページ読み込み + 複数の待機戦略
@@ -2613,6 +2801,9 @@ async function extractAdvancedDynamicPageInfo(url) {
     const spaInfo = await analyzeSPAFeatures(page);
     pageInfo.spa_info = { ...pageInfo.spa_info, ...spaInfo };
 
+    // 6. iframe・Shadow DOM内の要素を追加
+    await appendEmbeddedElements(page, pageInfo, { advanced: true });
+
     console.log(`🎯 高度DOM解析完了:`);
     console.log(`  📱 フレームワーク: ${pageInfo.framework}`);
     console.log(`  📝 入力要素: 表示${pageInfo.elements.inputs.length}個, 非表示${pageInfo.elements.dynamicInputs.length}個`);
@@ -3264,6 +3455,52 @@ class ComprehensiveTestGenerator extends DOMBasedTestGenerator {
     });
   }
 
+  /**
+   * アクセシビリティテストステップ生成（axe-coreによる要素周辺の監査）
+   */
+  generateAccessibilitySteps(element, testCase) {
+    const selector = this.generateRobustSelector(element);
+    const elementName = element.name || element.id || element.text || selector;
+
+    testCase.steps.push({
+      phase: 'structure_validation',
+      label: 'ページにアクセス',
+      action: 'load',
+      target: this.getBaseUrl(),
+      description: 'テスト対象のページに移動'
+    });
+
+    testCase.steps.push({
+      phase: 'structure_validation',
+      label: `${elementName}の表示確認`,
+      action: 'assertVisible',
+      target: selector,
+      description: '監査対象の要素が表示されていることを確認'
+    });
+
+    testCase.steps.push({
+      phase: 'accessibility_audit',
+      label: `${elementName}のアクセシビリティ監査`,
+      action: 'auditAccessibility',
+      target: selector,
+      assertion_type: 'accessibility',
+      description: 'ラベル・ロール・コントラスト等のWCAG違反がないことを確認'
+    });
+
+    testCase.steps.push({
+      phase: 'accessibility_audit',
+      label: 'ページ全体のアクセシビリティ監査',
+      action: 'auditAccessibility',
+      assertion_type: 'accessibility',
+      description: 'ページ全体でWCAG違反がないことを確認'
+    });
+
+    testCase.expectations = [
+      `${elementName}にアクセシブルな名前（ラベル）が付いている`,
+      'serious以上のアクセシビリティ違反がない'
+    ];
+  }
+
   /**
    * 依存関係バリデーション生成
    */
@@ -3385,6 +3622,7 @@ class ComprehensiveTestGenerator extends DOMBasedTestGenerator {
     }
 
     // 1. 動的DOM情報取得
+    console.log(`📱 DOM解析の実行環境: ${analysisProfile.name} - ${analysisProfile.description} (${analysisProfile.summary})`);
     const pageInfo = await extractDynamicPageInfo(url);
 
     // 2. テストポイント読み込み（最新ファイル、オプション）
@@ -3418,6 +3656,7 @@ class ComprehensiveTestGenerator extends DOMBasedTestGenerator {
     } else {
       // 通常のルートファイルの場合は保存
       const outPath = path.join(resultsDir, `route_${getTimestamp()}.json`);
+      routeJson.emulation_profile = analysisProfile.name;
       fs.writeFileSync(outPath, JSON.stringify(routeJson, null, 2), 'utf-8');
       console.log(`💾 Smart Route JSON saved to ${outPath}`);
     }
@@ -3502,6 +3741,7 @@ async function generateAllCategoryRoutes(indexFilePath, pageInfo, url, userStory
         routeData.batch_generation = true;
         routeData.batch_timestamp = timestamp;
         routeData.test_case_index = i;
+        routeData.emulation_profile = analysisProfile.name;
         
         // ルートファイルを保存（一意のファイル名で重複を完全回避）
         const uniqueRouteId = `${routeData.route_id}_${categoryInfo.category}_${i}`;
@@ -3545,6 +3785,7 @@ async function generateAllCategoryRoutes(indexFilePath, pageInfo, url, userStory
     batch_id: `batch_${timestamp}`,
     generated_at: new Date().toISOString(),
     source_index: path.basename(indexFilePath),
+    emulation_profile: analysisProfile.name,
     total_routes: generatedRoutes.length,
     categories: [...new Set(generatedRoutes.map(r => r.category))],
     execution_order: executionOrder,
@@ -3552,6 +3793,8 @@ async function generateAllCategoryRoutes(indexFilePath, pageInfo, url, userStory
     recommended_execution: {
       sequential: true,
       order: "category_priority",
+      // --workers 並列実行時もルートを1件ずつ実行するカテゴリ
+      sequential_categories: [],
       description: "表示テスト → 入力テスト → その他の順番で実行することを推奨"
     }
   };
@@ -3,6 +3,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { loadReviewIndex } from './utils/visualRegression.js';
+import { loadPerformanceHistory } from './utils/performanceMetrics.js';
+import { loadFlakyHistory, listFlakyRoutes } from './utils/flakyDetection.js';
 
 dotenv.config();
 
@@ -150,11 +153,12 @@ function createTraceableTestReport(testPoints, route, result, userStoryInfo = nu
           function: mapping.functionName,
           viewpoint: mapping.viewpoint,
           testSteps: formatComprehensiveTestSteps(step, isComprehensiveStep),
-          executionResult: step.status === 'success' ? 'success' : 'failed',
+          executionResult: toExecutionResult(step),
           errorDetail: step.error || '',
           url: testUrl,
           isFixedRoute: isFixedRoute,
           appliedFixes: fixDetails,
+          emulationProfile: result?.emulation_profile || '',
           // 🚀 フェーズ3: 包括的テスト固有フィールド
           testComplexity: testComplexity,
           testPhase: testPhase,
@@ -184,11 +188,12 @@ function createTraceableTestReport(testPoints, route, result, userStoryInfo = nu
           function: 'その他機能',
           viewpoint: isComprehensiveStep ? `包括テスト${viewpointId}(${testPhase})` : `追加実行ステップ${viewpointId}`,
           testSteps: formatComprehensiveTestSteps(step, isComprehensiveStep),
-          executionResult: step.status === 'success' ? 'success' : 'failed',
+          executionResult: toExecutionResult(step),
           errorDetail: step.error || '',
           url: testUrl,
           isFixedRoute: isFixedRoute,
           appliedFixes: fixDetails,
+          emulationProfile: result?.emulation_profile || '',
           testComplexity: testComplexity,
           testPhase: testPhase,
           elementType: elementInfo.tagName || 'unknown',
@@ -489,7 +494,7 @@ function addUnmappedSteps(reportData, resultSteps, userStoryId, userStory, testU
         function: 'その他機能',
         viewpoint: step.label || `追加実行ステップ${viewpointId}`,
         testSteps: formatTestSteps(step),
-        executionResult: step.status === 'success' ? 'success' : 'failed',
+        executionResult: toExecutionResult(step),
         errorDetail: step.error || '',
         url: testUrl
       });
@@ -497,6 +502,16 @@ function addUnmappedSteps(reportData, resultSteps, userStoryId, userStory, testU
   });
 }
 
+/**
+ * ステップの実行結果（CSV・Google Sheetsの実行結果列）
+ * 前提ステップの失敗で実行しなかったステップは failed ではなく blocked とする
+ */
+function toExecutionResult(step) {
+  if (step.status === 'success') return 'success';
+  if (step.status === 'blocked') return 'blocked';
+  return 'failed';
+}
+
 function formatTestSteps(step) {
   if (!step) return '';
   
@@ -567,7 +582,8 @@ function generateTraceableCSVReport(reportData) {
     '要素タイプ',
     '要素名',
     'バリデーション数',
-    'トレーサビリティレベル'
+    'トレーサビリティレベル',
+    '実行環境'
   ];
   
   /**
@@ -611,7 +627,8 @@ function generateTraceableCSVReport(reportData) {
       escapeCSVField(data.elementType),
       escapeCSVField(data.elementName),
       escapeCSVField(data.validationCount),
-      escapeCSVField(data.traceabilityLevel)
+      escapeCSVField(data.traceabilityLevel),
+      escapeCSVField(data.emulationProfile || '')
     ];
     csvRows.push(row.join(','));
   });
@@ -676,6 +693,7 @@ function generateCategoryBatchReport(batchResult, executionResult, userStoryInfo
   const isFixedRoute = executionResult?.is_fixed_route || false;
   const resultHeader = isFixedRoute ? '再）実行結果' : '実行結果';
   const executionType = isFixedRoute ? '再実行' : '初回実行';
+  const emulationProfile = executionResult?.emulation_profile || batchResult.emulation_profile || '';
   
   const headers = ['実行日時', 'ID', 'ユーザーストーリー', '機能', '観点', 'テスト手順', resultHeader, 'エラー詳細', 'URL', '実行種別',
     // 🚀 フェーズ3: 包括的テスト対応フィールド
@@ -684,7 +702,8 @@ function generateCategoryBatchReport(batchResult, executionResult, userStoryInfo
     '要素タイプ',
     '要素名',
     'バリデーション数',
-    'トレーサビリティレベル'
+    'トレーサビリティレベル',
+    '実行環境'
   ];
   const csvRows = [headers.join(',')];
   
@@ -728,7 +747,8 @@ function generateCategoryBatchReport(batchResult, executionResult, userStoryInfo
           escapeCSVField(category.category || '未分類'),
           escapeCSVField(category.category || '未分類'),
           escapeCSVField(category.category || '未分類'),
-          escapeCSVField(category.category || '未分類')
+          escapeCSVField(category.category || '未分類'),
+          escapeCSVField(emulationProfile)
         ];
         csvRows.push(row.join(','));
       });
@@ -753,7 +773,8 @@ function generateCategoryBatchReport(batchResult, executionResult, userStoryInfo
         escapeCSVField(category.category || '未分類'),
         escapeCSVField(category.category || '未分類'),
         escapeCSVField(category.category || '未分類'),
-        escapeCSVField(category.category || '未分類')
+        escapeCSVField(category.category || '未分類'),
+        escapeCSVField(emulationProfile)
       ];
       csvRows.push(row.join(','));
     }
@@ -772,6 +793,116 @@ function generateCategoryBatchReport(batchResult, executionResult, userStoryInfo
  * @param {Object} resultData - 実行結果データ
  * @returns {Object} - カバレッジ情報
  */
+/**
+ * 失敗ステップに対応するトレース・録画のパスを取得（失敗したブラウザの記録を優先）
+ * @param {string} key - 'trace_path'・'video_path'・'har_path'
+ */
+function findStepRecordingPath(result, step, key) {
+  const failedBrowsers = step.failed_browsers || [];
+  const browserResult = (result.browser_results || [])
+    .find(entry => entry[key] && failedBrowsers.includes(entry.browser));
+  return browserResult?.[key] || result[key] || null;
+}
+
+/**
+ * アクセシビリティ監査結果を観点として集計（重要度別の違反数・頻出ルール）
+ */
+function summarizeAccessibilityAudits(audits) {
+  const impacts = ['critical', 'serious', 'moderate', 'minor'];
+  const byImpact = Object.fromEntries(impacts.map(level => [level, 0]));
+  const rules = {};
+
+  audits.forEach(audit => {
+    impacts.forEach(level => { byImpact[level] += audit.summary?.[level] || 0; });
+    (audit.violations || []).forEach(violation => {
+      const rule = rules[violation.id] || (rules[violation.id] = {
+        id: violation.id,
+        impact: violation.impact,
+        help: violation.help,
+        helpUrl: violation.helpUrl,
+        pages: 0,
+        nodes: 0
+      });
+      rule.pages++;
+      rule.nodes += violation.nodes;
+    });
+  });
+
+  return {
+    audited_pages: audits.length,
+    passed_audits: audits.filter(audit => audit.status === 'passed').length,
+    failed_audits: audits.filter(audit => audit.status === 'failed').length,
+    by_impact: byImpact,
+    rules: Object.values(rules).sort((a, b) =>
+      impacts.indexOf(a.impact) - impacts.indexOf(b.impact) || b.nodes - a.nodes),
+    audits
+  };
+}
+
+/**
+ * パフォーマンス計測結果をページ（origin + pathname）・ブラウザ別に集計し、過去の実行からの推移を付与
+ */
+function summarizePerformance(measurements) {
+  const pageKey = url => {
+    try {
+      const parsed = new URL(url);
+      return `${parsed.origin}${parsed.pathname}`;
+    } catch {
+      return url;
+    }
+  };
+  const history = loadPerformanceHistory(path.join(__dirname, '..', 'test-results')).entries;
+  const pages = {};
+
+  measurements.forEach(measurement => {
+    const key = `${pageKey(measurement.url)}|${measurement.browser}`;
+    const current = pages[key];
+    if (!current || new Date(measurement.timestamp) > new Date(current.latest.timestamp)) {
+      pages[key] = { url: pageKey(measurement.url), browser: measurement.browser, latest: measurement };
+    }
+  });
+
+  Object.values(pages).forEach(page => {
+    // 実行（セッション）ごとに最後の計測を1点として直近8回分の推移を作成
+    const bySession = new Map();
+    history
+      .filter(entry => pageKey(entry.url) === page.url && entry.browser === page.browser)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach(entry => bySession.set(entry.session_id || entry.timestamp, entry));
+    page.trend = [...bySession.values()].slice(-8).map(entry => ({
+      timestamp: entry.timestamp,
+      load: entry.metrics.load,
+      lcp: entry.metrics.lcp
+    }));
+  });
+
+  return {
+    measured_pages: Object.keys(pages).length,
+    over_budget: measurements.filter(measurement => measurement.status === 'over_budget').length,
+    pages: Object.values(pages).sort((a, b) => (b.latest.metrics.load || 0) - (a.latest.metrics.load || 0))
+  };
+}
+
+/**
+ * 不安定なルートを集計（今回 flaky・隔離中の実行結果と、.flaky-history.json の不安定度）
+ */
+function summarizeFlakyRoutes(flakyResults) {
+  const history = listFlakyRoutes(loadFlakyHistory(path.join(__dirname, '..', 'test-results')));
+  const latestByRoute = new Map(flakyResults.map(result => [String(result.route_id), result]));
+  return {
+    flaky_in_run: flakyResults.filter(result => result.flaky_status === 'flaky').length,
+    quarantined: history.filter(route => route.quarantined).length,
+    routes: history.map(route => {
+      const latest = latestByRoute.get(route.route_id);
+      return {
+        ...route,
+        latest_status: latest?.flaky_status || null,
+        attempts: latest?.browser_results?.reduce((max, browserResult) => Math.max(max, browserResult.attempts?.length || 1), 0) || null
+      };
+    })
+  };
+}
+
 async function calculateTestCoverage(testPointsData, testCasesData, routeData, resultData) {
   // 実行結果データの検証
   if (!resultData || !Array.isArray(resultData)) {
@@ -798,20 +929,91 @@ async function calculateTestCoverage(testPointsData, testCasesData, routeData, r
   let failedStepsDetails = [];
   let executedRoutes = 0;
   let successfulRoutes = 0;
+  let blockedSteps = 0;
+  const blockedStepsDetails = [];
+  const browserBreakdown = {};
+  const profileBreakdown = {};
+  const failedRouteRecordings = [];
+  const visualChecks = [];
+  const accessibilityAudits = [];
+  const performanceMetrics = [];
+  const networkAssertions = [];
+  const variables = [];
+  const flowSteps = [];
+  const flakyResults = [];
 
   uniqueResults.forEach(result => {
     executedRoutes++;
+    if (result.flaky_status === 'flaky' || result.flakiness?.quarantined) {
+      flakyResults.push(result);
+    }
+    visualChecks.push(...(result.visual_checks || []));
+    accessibilityAudits.push(...(result.accessibility_audits || []));
+    performanceMetrics.push(...(result.performance_metrics || []));
+    networkAssertions.push(...(result.network_assertions || []));
+    variables.push(...(result.variables || []));
+
+    // エミュレーションプロファイル別の実行結果を集計（未記録の旧結果は pc 扱い）
+    const profileStats = profileBreakdown[result.emulation_profile || 'pc'] ||
+      (profileBreakdown[result.emulation_profile || 'pc'] = { executed_routes: 0, successful_routes: 0, successful_steps: 0, failed_steps: 0 });
+    profileStats.executed_routes++;
+    if (result.success) profileStats.successful_routes++;
+    profileStats.successful_steps += result.success_count || 0;
+    profileStats.failed_steps += result.failed_count || 0;
+
+    // ブラウザ別の実行結果を集計（browser_results未記録の旧結果はchromium扱い）
+    const browserResults = result.browser_results || [{
+      browser: 'chromium',
+      success: result.success,
+      success_count: result.success_count || 0,
+      failed_count: result.failed_count || 0
+    }];
+    browserResults.forEach(browserResult => {
+      const stats = browserBreakdown[browserResult.browser] ||
+        (browserBreakdown[browserResult.browser] = { executed_routes: 0, successful_routes: 0, successful_steps: 0, failed_steps: 0 });
+      stats.executed_routes++;
+      if (browserResult.success) stats.successful_routes++;
+      stats.successful_steps += browserResult.success_count;
+      stats.failed_steps += browserResult.failed_count;
+
+      // 失敗ルートのトレース・録画・HARを収集
+      const isSingleBrowser = browserResults.length === 1;
+      const tracePath = browserResult.trace_path || (isSingleBrowser ? result.trace_path : null);
+      const videoPath = browserResult.video_path || (isSingleBrowser ? result.video_path : null);
+      const harPath = browserResult.har_path || (isSingleBrowser ? result.har_path : null);
+      if (!browserResult.success && (tracePath || videoPath || harPath)) {
+        failedRouteRecordings.push({
+          route_id: result.route_id,
+          browser: browserResult.browser,
+          trace_path: tracePath || null,
+          video_path: videoPath || null,
+          har_path: harPath || null,
+          timestamp: result.timestamp
+        });
+      }
+    });
 
     if (result.steps && Array.isArray(result.steps)) {
       totalSteps += result.steps.length;
       const successSteps = result.steps.filter(step => step.status === 'success');
       const failedSteps = result.steps.filter(step => step.status === 'failed');
+      const routeBlockedSteps = result.steps.filter(step => step.status === 'blocked');
       
       successfulSteps += successSteps.length;
+      blockedSteps += routeBlockedSteps.length;
+      routeBlockedSteps.forEach(step => {
+        blockedStepsDetails.push({ route_id: result.route_id, label: step.label, action: step.action, blocked_by: step.blocked_by || null });
+      });
+      
+      // 制御フロー（if / repeat / forEach / optional）で実行した分岐を収集
+      result.steps.filter(step => step.flow).forEach(step => {
+        flowSteps.push({ route_id: result.route_id, label: step.label, action: step.action, status: step.status, flow: step.flow });
+      });
       
       // ルート成功判定：柔軟な成功率ベース（90%以上成功なら成功とみなす）
       const stepSuccessRate = successSteps.length / (successSteps.length + failedSteps.length);
-      const isRouteSuccessful = stepSuccessRate >= 0.9 || (failedSteps.length === 0 && successSteps.length > 0);
+      // blocked のステップは成功率の分母に含めないが、blocked があるルートは成功としない
+      const isRouteSuccessful = routeBlockedSteps.length === 0 && (stepSuccessRate >= 0.9 || (failedSteps.length === 0 && successSteps.length > 0));
       if (isRouteSuccessful) {
         successfulRoutes++;
       }
@@ -829,7 +1031,14 @@ async function calculateTestCoverage(testPointsData, testCasesData, routeData, r
           skip_reason: step.skip_reason,
           route_id: result.route_id,
           timestamp: result.timestamp,
-          is_retest: result.is_fixed_route || false
+          is_retest: result.is_fixed_route || false,
+          failed_browsers: step.failed_browsers || [],
+          emulation_profile: result.emulation_profile || null,
+          page: step.page || null,
+          page_events: step.page_events || null,
+          trace_path: findStepRecordingPath(result, step, 'trace_path'),
+          video_path: findStepRecordingPath(result, step, 'video_path'),
+          har_path: findStepRecordingPath(result, step, 'har_path')
         };
         failedStepsDetails.push(stepDetail);
       });
@@ -854,8 +1063,9 @@ async function calculateTestCoverage(testPointsData, testCasesData, routeData, r
     successful_test_cases: successfulTestCases,
     total_steps: totalSteps,
     successful_steps: successfulSteps,
+    blocked_steps: blockedSteps,
     coverage_percentage: totalTestCases > 0 ? (successfulTestCases / totalTestCases) * 100 : 0,
-    step_success_rate: totalSteps > 0 ? (successfulSteps / totalSteps) * 100 : 0,
+    step_success_rate: totalSteps > blockedSteps ? (successfulSteps / (totalSteps - blockedSteps)) * 100 : 0,
     route_success_rate: executedRoutes > 0 ? (successfulRoutes / executedRoutes) * 100 : 0,
     executed_routes: executedRoutes,
     successful_routes: successfulRoutes,
@@ -868,6 +1078,17 @@ async function calculateTestCoverage(testPointsData, testCasesData, routeData, r
       failed_steps_unique: uniqueFailedSteps.length,
       failed_steps_duplicates_removed: failedStepsDetails.length - uniqueFailedSteps.length
     },
+    browser_breakdown: browserBreakdown,
+    profile_breakdown: profileBreakdown,
+    failed_route_recordings: failedRouteRecordings,
+    visual_checks: visualChecks,
+    accessibility: summarizeAccessibilityAudits(accessibilityAudits),
+    performance: summarizePerformance(performanceMetrics),
+    network_assertions: networkAssertions,
+    variables: variables,
+    flow_steps: flowSteps,
+    blocked_steps_details: blockedStepsDetails,
+    flaky: summarizeFlakyRoutes(flakyResults),
     failed_steps_details: uniqueFailedSteps
   };
 
@@ -916,7 +1137,8 @@ function deduplicateTestResults(resultData) {
   const routeMap = new Map();
   
   resultData.forEach(result => {
-    const routeId = result.route_id || 'unknown';
+    // 同じルートでもエミュレーションプロファイルが異なる実行は別の結果として扱う
+    const routeId = `${result.route_id || 'unknown'}|${result.emulation_profile || ''}`;
     const timestamp = new Date(result.timestamp || 0).getTime();
     
     // 同じroute_idがある場合は、より新しいタイムスタンプのものを使用
@@ -995,13 +1217,44 @@ function deduplicateFailedSteps(failedStepsDetails) {
   }));
 }
 
+/**
+ * 制御フロー（if / repeat / forEach / optional）で実行した分岐の説明
+ */
+function describeFlowBranch(flow) {
+  switch (flow.type) {
+    case 'if':
+      return flow.branch === 'then' ? '条件成立 → steps を実行' : flow.branch === 'else' ? '条件不成立 → else を実行' : '条件不成立 → スキップ';
+    case 'repeat':
+    case 'forEach':
+      return `${flow.iterations}回実行`;
+    case 'optional':
+      return '任意ステップの失敗を無視';
+    default:
+      return flow.type;
+  }
+}
+
 /**
  * エラータイプを分類
  */
 function classifyErrorType(error) {
   if (!error) return 'unknown';
   
-  if (error.includes('element is not visible')) {
+  if (error.includes('予期しないダイアログ')) {
+    return 'unexpected_dialog';
+  } else if (error.includes('ベースラインと一致しません')) {
+    return 'visual_diff';
+  } else if (error.includes('アクセシビリティ違反')) {
+    return 'accessibility_violation';
+  } else if (error.includes('パフォーマンス予算')) {
+    return 'performance_budget';
+  } else if (error.includes('未捕捉のエラー') || error.includes('コンソールエラー') || error.includes('失敗したリクエスト')) {
+    return 'page_error';
+  } else if (error.startsWith('期待したリクエスト') || error.startsWith('期待したレスポンス') || error.includes('メッセージを受信できませんでした')) {
+    return 'network_assertion';
+  } else if (error.startsWith('変数に保存する値')) {
+    return 'variable_capture';
+  } else if (error.includes('element is not visible')) {
     return 'visibility_issue';
   } else if (error.includes('element is not enabled') || error.includes('disabled')) {
     return 'element_disabled';
@@ -1069,6 +1322,62 @@ function generateFixSuggestions(step) {
       }
       break;
 
+    case 'unexpected_dialog':
+      suggestions.push({
+        message: '予期しないダイアログ（alert/confirm/prompt）が表示されました。仕様どおりのダイアログであれば、直前に expectDialog / acceptDialog / dismissDialog ステップを追加してください。',
+        confidence: 0.85,
+        type: 'add_dialog_step'
+      });
+      break;
+
+    case 'visual_diff':
+      suggestions.push({
+        message: '画面がベースラインと異なります。意図した変更であればWebUIの「ビジュアル差分レビュー」で承認し、日時や広告など動的な領域は mask で除外してください。',
+        confidence: 0.8,
+        type: 'review_visual_diff'
+      });
+      break;
+
+    case 'accessibility_violation':
+      suggestions.push({
+        message: 'アクセシビリティ違反が検出されました。レポートの「♿ アクセシビリティ」の違反ルールを確認して画面を修正するか、既知の問題であれば disableRules / failOn で許容範囲を調整してください。',
+        confidence: 0.8,
+        type: 'fix_accessibility'
+      });
+      break;
+
+    case 'performance_budget':
+      suggestions.push({
+        message: 'ページのパフォーマンスが予算を超過しました。レポートの「⏱️ パフォーマンス」の推移で悪化したタイミングを確認し、画像・スクリプトの削減やキャッシュ設定を見直してください。',
+        confidence: 0.7,
+        type: 'improve_performance'
+      });
+      break;
+
+    case 'page_error':
+      suggestions.push({
+        message: 'ページ側でエラー（未捕捉の例外・コンソールエラー・失敗リクエスト）が発生しました。テストではなくアプリケーションの不具合の可能性が高いため、開発者に共有してください。既知の無害なエラーであれば pageEvents.allowlist に追加してください。',
+        confidence: 0.8,
+        type: 'investigate_application'
+      });
+      break;
+
+    case 'network_assertion':
+      suggestions.push({
+        message: '期待した通信が見つかりませんでした。エラーメッセージの「近い候補」や HAR で実際の送信内容を確認し、入力値が送られていなければアプリケーションの不具合、URLやキー名の違いであればステップの条件を修正してください。',
+        confidence: 0.75,
+        type: 'check_network'
+      });
+      break;
+
+    case 'variable_capture':
+      suggestions.push({
+        message: 'store 系ステップで変数に保存する値を取得できませんでした。target・attribute が正しい要素を指しているか、pattern が実際の表示内容（例: 「12,000円」の桁区切り）に一致するかを確認してください。',
+        confidence: 0.7,
+        type: 'fix_store_step'
+      });
+      break;
+
     case 'checkbox_fill_error':
       suggestions.push({
         message: 'チェックボックスにfillアクションではなく、clickアクションを使用してください。',
@@ -1166,6 +1475,12 @@ function generateCoverageCSV(coverage, outputPath) {
     ['総合カバレッジ', '品質スコア', '', coverage.overall_coverage?.quality_score?.toFixed(1) || '0.0', '総合品質']
   ];
 
+  // 実行環境（エミュレーションプロファイル）別の成功ルート数
+  Object.entries(coverage.profile_breakdown || {}).forEach(([profile, stats]) => {
+    const rate = stats.executed_routes > 0 ? ((stats.successful_routes / stats.executed_routes) * 100).toFixed(1) : '0.0';
+    csvRows.push(['実行環境', profile, `${stats.successful_routes}/${stats.executed_routes}`, rate, '成功ルート/実行ルート']);
+  });
+
   const csv = csvRows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
   fs.writeFileSync(outputPath, csv, 'utf8');
   
@@ -1346,13 +1661,16 @@ async function generateBatchTestReport(batchData, userStoryInfo = null) {
     'カテゴリ',
     '成功率(%)',
     'ステップ数',
-    'アサーション数'
+    'アサーション数',
+    'データ',
+    '実行環境'
   ];
   
   const csvRows = [headers.join(',')];
   
   let totalSteps = 0;
   let successfulSteps = 0;
+  let blockedSteps = 0;
   let totalAssertions = 0;
   let successfulAssertions = 0;
 
@@ -1375,6 +1693,8 @@ async function generateBatchTestReport(batchData, userStoryInfo = null) {
           return `チェック: ${step.label || 'チェックボックス'}`;
         } else if (step.action.startsWith('assert')) {
           return `確認: ${step.label || '結果検証'}`;
+        } else if (step.flow) {
+          return `${step.action}: ${step.label || ''} [${describeFlowBranch(step.flow)}]`;
         } else {
           return `${step.action}: ${step.label || ''}`;
         }
@@ -1388,6 +1708,7 @@ async function generateBatchTestReport(batchData, userStoryInfo = null) {
     
     totalSteps += stepCount;
     successfulSteps += successCount;
+    blockedSteps += result.blocked_count || 0;
     totalAssertions += assertionCount;
     successfulAssertions += assertionSuccessCount;
     
@@ -1403,20 +1724,41 @@ async function generateBatchTestReport(batchData, userStoryInfo = null) {
       if (failedSteps.length > 0) {
         errorDetail = `部分実行: ${failedSteps.length}件のステップが失敗`;
       }
+      if (result.blocked_count > 0) {
+        errorDetail += `${errorDetail ? '、' : ''}${result.blocked_count}件は前提ステップの失敗によりブロック`;
+      }
     } else if (result.status === 'error') {
       executionResult = 'failed';
       errorDetail = result.error || 'テスト実行エラー';
     }
     
+    // 再実行で成功したルート・隔離中のルートは結果を区別して出力
+    if (result.flaky_status === 'flaky') {
+      executionResult = 'flaky';
+      errorDetail = `再実行${result.attempts.length - 1}回目で成功（不安定度 ${result.flakiness?.score ?? '-'}）`;
+    }
+    if (result.flakiness?.quarantined && result.status !== 'success') {
+      errorDetail = `[隔離中] ${errorDetail}`;
+    }
+    
     // ID: {userStoryId}.{categoryLetter}.{routeNumber}
     const uniqueTestCaseId = `${userStoryId}.${categoryLetter}.${routeNumber}`;
     
+    // データ駆動ルートは各回のデータを観点・データ列に出力
+    const viewpoint = `${result.category || '未分類'}系テスト${routeNumber}`;
+    const iterationLabel = result.iteration
+      ? `[${result.iteration.index + 1}/${result.iteration.total}] ${result.iteration.label}`
+      : '';
+    const iterationData = result.iteration
+      ? JSON.stringify(Object.fromEntries(Object.entries(result.iteration.data || {}).filter(([key]) => !key.startsWith('_'))))
+      : '';
+    
     const row = [
       escapeCSVField(executionTime),
       escapeCSVField(uniqueTestCaseId),
       escapeCSVField(userStory),
       escapeCSVField(result.category || '未分類'),
-      escapeCSVField(`${result.category || '未分類'}系テスト${routeNumber}`),
+      escapeCSVField(iterationLabel ? `${viewpoint} ${iterationLabel}` : viewpoint),
       escapeCSVField(testSteps),
       escapeCSVField(executionResult),
       escapeCSVField(errorDetail),
@@ -1426,16 +1768,22 @@ async function generateBatchTestReport(batchData, userStoryInfo = null) {
       escapeCSVField(result.category || '未分類'),
       escapeCSVField(result.success_rate ? result.success_rate.toString() : '0'),
       escapeCSVField(stepCount.toString()),
-      escapeCSVField(assertionCount.toString())
+      escapeCSVField(assertionCount.toString()),
+      escapeCSVField(iterationLabel ? `${iterationLabel} ${iterationData}` : ''),
+      escapeCSVField(result.emulation_profile || '')
     ];
     csvRows.push(row.join(','));
   });
 
   console.log(`📊 バッチレポート生成完了:`);
   console.log(`   - 総ルート数: ${batchData.results.length}件`);
-  console.log(`   - 総ステップ数: ${totalSteps}件 (成功: ${successfulSteps}件)`);
+  console.log(`   - 総ステップ数: ${totalSteps}件 (成功: ${successfulSteps}件, ブロック: ${blockedSteps}件)`);
   console.log(`   - 総アサーション数: ${totalAssertions}件 (成功: ${successfulAssertions}件)`);
-  console.log(`   - 全体成功率: ${totalSteps > 0 ? ((successfulSteps / totalSteps) * 100).toFixed(1) : 0}%`);
+  console.log(`   - 全体成功率: ${totalSteps > blockedSteps ? ((successfulSteps / (totalSteps - blockedSteps)) * 100).toFixed(1) : 0}%`);
+  const flakyResults = batchData.results.filter(result => result.flaky_status === 'flaky');
+  if (flakyResults.length > 0) {
+    console.log(`   - 不安定なルート: ${flakyResults.map(result => `${result.route_id} [${result.browser}]`).join(', ')}`);
+  }
   
   return csvRows.join('\n');
 }
@@ -1542,7 +1890,8 @@ function generateFallbackReport(route, result, userStoryInfo = null) {
     '要素タイプ',
     '要素名',
     'バリデーション数',
-    'トレーサビリティレベル'
+    'トレーサビリティレベル',
+    '実行環境'
   ];
   const csvRows = [headers.join(',')];
   
@@ -1560,7 +1909,7 @@ function generateFallbackReport(route, result, userStoryInfo = null) {
         escapeCSVField('汎用機能'),
         escapeCSVField(step.label || `ステップ${viewpointId}`),
         escapeCSVField(formatTestSteps(step)),
-        escapeCSVField(step.status === 'success' ? 'success' : 'failed'),
+        escapeCSVField(toExecutionResult(step)),
         escapeCSVField(step.error || ''),
         escapeCSVField(testUrl || ''),
         escapeCSVField(executionType),
@@ -1570,7 +1919,8 @@ function generateFallbackReport(route, result, userStoryInfo = null) {
         escapeCSVField(''),
         escapeCSVField(''),
         escapeCSVField(''),
-        escapeCSVField('')
+        escapeCSVField(''),
+        escapeCSVField(result.emulation_profile || '')
       ];
       csvRows.push(row.join(','));
     });
@@ -1595,7 +1945,8 @@ function generateFallbackReport(route, result, userStoryInfo = null) {
       escapeCSVField(''),
       escapeCSVField(''),
       escapeCSVField(''),
-      escapeCSVField('')
+      escapeCSVField(''),
+      escapeCSVField(result.emulation_profile || '')
     ];
     csvRows.push(row.join(','));
   }
@@ -2107,6 +2458,41 @@ function categorizeFailureType(step) {
   const error = (step.error || '').toLowerCase();
   const action = (step.action || '').toLowerCase();
   
+  // ダイアログ関連（予期しないダイアログ・ダイアログ検証失敗）
+  if (error.includes('ダイアログ') || action.includes('dialog')) {
+    return 'dialog_issue';
+  }
+  
+  // ビジュアル差分（assertScreenshot）
+  if (action === 'assertscreenshot') {
+    return 'visual_diff';
+  }
+  
+  // アクセシビリティ違反（auditAccessibility）
+  if (action === 'auditaccessibility') {
+    return 'accessibility_issue';
+  }
+  
+  // パフォーマンス予算超過（failOnBudget 有効時）
+  if (error.includes('パフォーマンス予算')) {
+    return 'performance_issue';
+  }
+  
+  // ネットワーク検証（expectRequest / expectResponse 等）
+  if (error.startsWith('期待したリクエスト') || error.startsWith('期待したレスポンス') || error.includes('メッセージを受信できませんでした')) {
+    return 'network_issue';
+  }
+  
+  // 変数の保存失敗（storeText / storeAttribute / storeValue / storeUrl）
+  if (error.startsWith('変数に保存する値') || action.startsWith('store')) {
+    return 'variable_issue';
+  }
+  
+  // ページ側のエラー（assertNo* / pageEvents.failOn*）
+  if (error.includes('未捕捉のエラー') || error.includes('コンソールエラー') || error.includes('失敗したリクエスト')) {
+    return 'page_error';
+  }
+  
   // タイムアウトエラー
   if (error.includes('timeout')) {
     return 'timeout_error';
@@ -2149,6 +2535,13 @@ function getFailureTypeInfo(failureType) {
     'navigation_issue': { name: 'ナビゲーション 問題', icon: '🧭', color: '#3498db' },
     'assertion_failure': { name: 'アサーション 失敗', icon: '❌', color: '#9b59b6' },
     'script_error': { name: 'スクリプト エラー', icon: '📜', color: '#f39c12' },
+    'dialog_issue': { name: 'ダイアログ 問題', icon: '💬', color: '#16a085' },
+    'visual_diff': { name: 'ビジュアル差分', icon: '📸', color: '#8e44ad' },
+    'accessibility_issue': { name: 'アクセシビリティ違反', icon: '♿', color: '#2c3e50' },
+    'performance_issue': { name: 'パフォーマンス予算超過', icon: '⏱️', color: '#d35400' },
+    'page_error': { name: 'ページ側のエラー', icon: '🐞', color: '#c0392b' },
+    'network_issue': { name: 'ネットワーク検証 失敗', icon: '🌐', color: '#2980b9' },
+    'variable_issue': { name: '変数の保存 失敗', icon: '🔣', color: '#27ae60' },
     'unknown_error': { name: 'その他のエラー', icon: '❓', color: '#95a5a6' }
   };
   
@@ -2192,6 +2585,433 @@ function generateCoverageHTML(coverage, outputPath) {
       .replace(/'/g, "&#039;");
   }
   
+  // ブラウザ別結果セクション
+  const browserBreakdown = coverage.browser_breakdown || {};
+  let browserSection = '';
+  
+  if (Object.keys(browserBreakdown).length > 0) {
+    const browserRows = Object.entries(browserBreakdown).map(([browser, stats]) => {
+      const totalSteps = stats.successful_steps + stats.failed_steps;
+      const stepRate = totalSteps > 0 ? (stats.successful_steps / totalSteps) * 100 : 0;
+      return `
+                <tr>
+                    <td>${escapeHtml(browser)}</td>
+                    <td>${stats.successful_routes} / ${stats.executed_routes}</td>
+                    <td>${stats.successful_steps}件</td>
+                    <td>${stats.failed_steps}件</td>
+                    <td>${stepRate.toFixed(1)}%</td>
+                </tr>`;
+    }).join('');
+    
+    browserSection = `
+        <div class="section">
+            <h2>🌐 ブラウザ別結果</h2>
+            <table>
+                <tr>
+                    <th>ブラウザ</th>
+                    <th>成功ルート</th>
+                    <th>成功ステップ</th>
+                    <th>失敗ステップ</th>
+                    <th>ステップ成功率</th>
+                </tr>${browserRows}
+            </table>
+        </div>`;
+  }
+  
+  // エミュレーションプロファイル別結果セクション（複数のプロファイルで実行した場合）
+  const profileBreakdown = coverage.profile_breakdown || {};
+  let profileSection = '';
+  
+  if (Object.keys(profileBreakdown).length > 1) {
+    const profileRows = Object.entries(profileBreakdown).map(([profile, stats]) => {
+      const totalSteps = stats.successful_steps + stats.failed_steps;
+      const stepRate = totalSteps > 0 ? (stats.successful_steps / totalSteps) * 100 : 0;
+      return `
+                <tr>
+                    <td>${escapeHtml(profile)}</td>
+                    <td>${stats.successful_routes} / ${stats.executed_routes}</td>
+                    <td>${stats.successful_steps}件</td>
+                    <td>${stats.failed_steps}件</td>
+                    <td>${stepRate.toFixed(1)}%</td>
+                </tr>`;
+    }).join('');
+    
+    profileSection = `
+        <div class="section">
+            <h2>📱 実行環境別結果</h2>
+            <table>
+                <tr>
+                    <th>プロファイル</th>
+                    <th>成功ルート</th>
+                    <th>成功ステップ</th>
+                    <th>失敗ステップ</th>
+                    <th>ステップ成功率</th>
+                </tr>${profileRows}
+            </table>
+        </div>`;
+  }
+  
+  // 不安定なルート（flaky）セクション
+  const flakyRoutes = coverage.flaky?.routes || [];
+  let flakySection = '';
+  
+  if (flakyRoutes.length > 0) {
+    const statusLabels = { passed: '✅ 成功', flaky: '🎲 再実行で成功', failed: '❌ 失敗' };
+    const flakyRows = flakyRoutes.map(route => `
+                <tr>
+                    <td>${escapeHtml(route.route_id)}</td>
+                    <td>${statusLabels[route.latest_status || route.last_status] || '-'}${route.attempts > 1 ? `（${route.attempts}回実行）` : ''}</td>
+                    <td>${(route.score * 100).toFixed(0)}%</td>
+                    <td>${route.flaky_runs} / ${route.runs}回</td>
+                    <td>${route.quarantined ? `🚧 隔離中${route.quarantined_at ? `<br><small>${escapeHtml(route.quarantined_at)}〜</small>` : ''}` : '-'}</td>
+                </tr>`).join('');
+    
+    flakySection = `
+        <div class="section">
+            <h2>🎲 不安定なルート（flaky）</h2>
+            <p>今回の実行で再実行により成功: ${coverage.flaky.flaky_in_run}件 / 隔離中: ${coverage.flaky.quarantined}件</p>
+            <p style="color: #666; font-size: 0.9em;">不安定度は直近の実行のうち「失敗→再実行で成功」だった割合です。隔離中のルートは失敗しても終了コードを失敗にしません</p>
+            <table>
+                <tr>
+                    <th>ルートID</th>
+                    <th>最新の判定</th>
+                    <th>不安定度</th>
+                    <th>flaky回数</th>
+                    <th>隔離</th>
+                </tr>${flakyRows}
+            </table>
+        </div>`;
+  }
+  
+  // 失敗ルートのトレース・録画セクション
+  const failedRouteRecordings = coverage.failed_route_recordings || [];
+  let recordingSection = '';
+  
+  if (failedRouteRecordings.length > 0) {
+    const recordingRows = failedRouteRecordings.map(recording => `
+                <tr>
+                    <td>${escapeHtml(recording.route_id)}</td>
+                    <td>${escapeHtml(recording.browser)}</td>
+                    <td>${recording.trace_path ? `<a href="${escapeHtml(recording.trace_path)}" download>🎞️ ${escapeHtml(recording.trace_path.split('/').pop())}</a>` : '-'}</td>
+                    <td>${recording.video_path ? `<video class="route-video" controls preload="none" src="${escapeHtml(recording.video_path)}"></video>` : '-'}</td>
+                    <td>${recording.har_path ? `<a href="${escapeHtml(recording.har_path)}" download>🌐 HAR</a>` : '-'}</td>
+                </tr>`).join('');
+    
+    recordingSection = `
+        <div class="section">
+            <h2>🎞️ 失敗ルートのトレース・録画</h2>
+            <p style="color: #666; font-size: 0.9em;">ダウンロードしたトレースは <code>npx playwright show-trace &lt;ファイル&gt;</code> または trace.playwright.dev で確認できます。HARはブラウザの開発者ツール（Networkタブ）に読み込めます</p>
+            <table>
+                <tr>
+                    <th>ルートID</th>
+                    <th>ブラウザ</th>
+                    <th>トレース</th>
+                    <th>録画</th>
+                    <th>HAR</th>
+                </tr>${recordingRows}
+            </table>
+        </div>`;
+  }
+  
+  // ビジュアル比較（assertScreenshot）セクション
+  const visualChecks = coverage.visual_checks || [];
+  let visualSection = '';
+  
+  if (visualChecks.length > 0) {
+    const reviewItems = loadReviewIndex(path.join(__dirname, '..', 'test-results')).items;
+    const reviewLabels = { pending: '⏳ 承認待ち', approved: '✅ 承認済み', rejected: '🚫 却下' };
+    const countOf = status => visualChecks.filter(check => check.status === status).length;
+    const failedChecks = visualChecks.filter(check => check.status === 'failed');
+    
+    const visualCards = failedChecks.map(check => {
+      const review = reviewItems.find(item => item.id === check.id);
+      const image = (filePath, label) => filePath
+        ? `<figure><a href="${escapeHtml(filePath)}" target="_blank"><img src="${escapeHtml(filePath)}" alt="${label}"></a><figcaption>${label}</figcaption></figure>`
+        : `<figure><figcaption>${label}: なし</figcaption></figure>`;
+      const diff = check.diff_pixels !== null && check.diff_pixels !== undefined
+        ? `差分 ${check.diff_pixels}px (${(check.diff_ratio * 100).toFixed(3)}%)`
+        : '画像サイズが異なります';
+      return `
+            <div class="visual-diff-card">
+                <p><strong>${escapeHtml(check.name)}</strong> [${escapeHtml(check.browser)}${check.emulation_profile ? ` / ${escapeHtml(check.emulation_profile)}` : ''}] ${check.route_id ? `- ${escapeHtml(check.route_id)}` : ''}
+                   <span class="visual-review-status">${reviewLabels[review?.status] || reviewLabels.pending}</span></p>
+                <p style="color: #666; font-size: 0.9em;">${diff} / 許容: ${check.max_diff_pixels ?? '-'}px, ${(check.max_diff_ratio * 100).toFixed(3)}% / threshold ${check.threshold}${check.masks.length > 0 ? ` / マスク: ${escapeHtml(check.masks.join(', '))}` : ''}</p>
+                <div class="visual-diff-images">
+                    ${image(check.baseline_path, 'ベースライン')}
+                    ${image(check.actual_path, '今回')}
+                    ${image(check.diff_path, '差分')}
+                </div>
+            </div>`;
+    }).join('');
+    
+    visualSection = `
+        <div class="section">
+            <h2>📸 ビジュアル比較（レイアウト/文言）</h2>
+            <p>一致: ${countOf('passed')}件 / 差分あり: ${failedChecks.length}件 / ベースライン作成: ${countOf('baseline_created')}件</p>
+            ${failedChecks.length > 0 ? '<p style="color: #666; font-size: 0.9em;">意図した変更はWebUIの「📸 ビジュアル差分レビュー」で承認するとベースラインが更新されます</p>' : ''}
+            ${visualCards}
+        </div>`;
+  }
+  
+  // アクセシビリティ監査（auditAccessibility）セクション
+  const accessibility = coverage.accessibility;
+  let accessibilitySection = '';
+  
+  if (accessibility && accessibility.audited_pages > 0) {
+    const impactLabels = { critical: '🔴 critical', serious: '🟠 serious', moderate: '🟡 moderate', minor: '⚪ minor' };
+    const impactCells = Object.entries(impactLabels)
+      .map(([level, label]) => `<td>${label}: ${accessibility.by_impact[level]}件</td>`).join('');
+    const auditRows = accessibility.audits.map(audit => `
+                <tr>
+                    <td>${escapeHtml(audit.route_id || '-')}</td>
+                    <td>${escapeHtml(audit.browser || '-')}</td>
+                    <td><code>${escapeHtml(audit.url)}</code>${audit.scope ? `<br><small>範囲: ${escapeHtml(audit.scope)}</small>` : ''}</td>
+                    <td>${audit.summary.critical} / ${audit.summary.serious} / ${audit.summary.moderate} / ${audit.summary.minor}</td>
+                    <td>${audit.status === 'passed' ? '✅ 合格' : `❌ 不合格（${escapeHtml(audit.fail_on)}以上 ${audit.max_violations}件まで）`}</td>
+                </tr>`).join('');
+    const ruleRows = accessibility.rules.slice(0, 20).map(rule => `
+                <tr>
+                    <td>${impactLabels[rule.impact] || escapeHtml(rule.impact || '-')}</td>
+                    <td><a href="${escapeHtml(rule.helpUrl)}" target="_blank">${escapeHtml(rule.id)}</a></td>
+                    <td>${escapeHtml(rule.help)}</td>
+                    <td>${rule.pages}</td>
+                    <td>${rule.nodes}</td>
+                </tr>`).join('');
+    
+    accessibilitySection = `
+        <div class="section">
+            <h2>♿ アクセシビリティ</h2>
+            <p>監査ページ: ${accessibility.audited_pages}件（合格 ${accessibility.passed_audits}件 / 不合格 ${accessibility.failed_audits}件）</p>
+            <table>
+                <tr>${impactCells}</tr>
+            </table>
+            <h3>監査結果</h3>
+            <table>
+                <tr>
+                    <th>ルートID</th>
+                    <th>ブラウザ</th>
+                    <th>ページ</th>
+                    <th>違反（critical / serious / moderate / minor）</th>
+                    <th>判定</th>
+                </tr>${auditRows}
+            </table>
+            ${ruleRows ? `
+            <h3>違反ルール</h3>
+            <table>
+                <tr>
+                    <th>重要度</th>
+                    <th>ルール</th>
+                    <th>内容</th>
+                    <th>ページ数</th>
+                    <th>要素数</th>
+                </tr>${ruleRows}
+            </table>` : ''}
+        </div>`;
+  }
+  
+  // パフォーマンスセクション（推移は直近の実行ごとのLCP、未計測ならload）
+  const performance = coverage.performance;
+  let performanceSection = '';
+  
+  if (performance && performance.measured_pages > 0) {
+    const ms = value => (value === null || value === undefined ? '-' : `${Math.round(value)}ms`);
+    const kb = value => `${Math.round((value || 0) / 1024)}KB`;
+    const sparkline = trend => {
+      const values = trend.map(point => point.lcp ?? point.load).filter(value => value !== null && value !== undefined);
+      if (values.length < 2) return '-';
+      const max = Math.max(...values);
+      const min = Math.min(...values);
+      const points = values.map((value, index) =>
+        `${(index / (values.length - 1)) * 100},${24 - ((value - min) / (max - min || 1)) * 20 - 2}`).join(' ');
+      const change = ((values[values.length - 1] - values[values.length - 2]) / values[values.length - 2]) * 100;
+      return `<svg class="perf-trend" viewBox="0 0 100 24" preserveAspectRatio="none"><polyline points="${points}" /></svg>
+                        <span style="color: ${change > 10 ? '#e74c3c' : '#666'};">${change >= 0 ? '+' : ''}${change.toFixed(0)}%</span>`;
+    };
+    const performanceRows = performance.pages.map(page => {
+      const { metrics, budget_exceeded: exceeded } = page.latest;
+      return `
+                <tr>
+                    <td><code>${escapeHtml(page.url)}</code></td>
+                    <td>${escapeHtml(page.browser)}</td>
+                    <td>${ms(metrics.ttfb)}</td>
+                    <td>${ms(metrics.load)}</td>
+                    <td>${ms(metrics.lcp)}</td>
+                    <td>${metrics.cls ?? '-'}</td>
+                    <td>${ms(metrics.inp)}</td>
+                    <td>${metrics.long_tasks ?? '-'}</td>
+                    <td>${metrics.resource_count}件 / ${kb(metrics.transfer_size)}</td>
+                    <td>${exceeded.length > 0
+                      ? `❌ ${exceeded.map(item => `${escapeHtml(item.metric)} ${item.actual} &gt; ${item.budget}`).join('<br>')}`
+                      : (page.latest.budget ? '✅' : '-')}</td>
+                    <td>${sparkline(page.trend)}</td>
+                </tr>`;
+    }).join('');
+    
+    performanceSection = `
+        <div class="section">
+            <h2>⏱️ パフォーマンス</h2>
+            <p>計測ページ: ${performance.measured_pages}件 / 予算超過: ${performance.over_budget}件</p>
+            <table>
+                <tr>
+                    <th>ページ</th>
+                    <th>ブラウザ</th>
+                    <th>TTFB</th>
+                    <th>load</th>
+                    <th>LCP</th>
+                    <th>CLS</th>
+                    <th>INP</th>
+                    <th>ロングタスク</th>
+                    <th>リソース</th>
+                    <th>予算</th>
+                    <th>推移</th>
+                </tr>${performanceRows}
+            </table>
+        </div>`;
+  }
+  
+  // ネットワーク検証（expectRequest / expectResponse / expectWebSocketMessage / expectSSEMessage）セクション
+  const networkAssertions = coverage.network_assertions || [];
+  let networkSection = '';
+  
+  if (networkAssertions.length > 0) {
+    const failedAssertions = networkAssertions.filter(assertion => assertion.status === 'failed');
+    const networkRows = [...failedAssertions, ...networkAssertions.filter(assertion => assertion.status !== 'failed')]
+      .slice(0, 50)
+      .map(assertion => `
+                <tr>
+                    <td>${escapeHtml(assertion.route_id || '-')}</td>
+                    <td>${escapeHtml(assertion.browser || '-')}</td>
+                    <td>${escapeHtml(assertion.action)}${assertion.label ? `<br><small>${escapeHtml(assertion.label)}</small>` : ''}</td>
+                    <td><code>${escapeHtml(JSON.stringify(assertion.expected))}</code></td>
+                    <td>${assertion.matched
+                      ? `<code>${escapeHtml(`${assertion.matched.status ?? ''} ${assertion.matched.method || ''} ${assertion.matched.url}`.trim())}</code>`
+                      : (assertion.candidates || []).map(candidate => `<code>${escapeHtml(candidate.summary)}</code>`).join('<br>') || '-'}</td>
+                    <td>${assertion.status === 'passed' ? '✅ 一致' : '❌ 不一致'}</td>
+                </tr>`).join('');
+    
+    networkSection = `
+        <div class="section">
+            <h2>🌐 ネットワーク検証</h2>
+            <p>検証: ${networkAssertions.length}件（一致 ${networkAssertions.length - failedAssertions.length}件 / 不一致 ${failedAssertions.length}件）</p>
+            <table>
+                <tr>
+                    <th>ルートID</th>
+                    <th>ブラウザ</th>
+                    <th>アクション</th>
+                    <th>期待</th>
+                    <th>実際（不一致時は近い候補）</th>
+                    <th>判定</th>
+                </tr>${networkRows}
+            </table>
+        </div>`;
+  }
+  
+  // ルート変数（storeText / storeAttribute / storeValue / storeUrl）セクション
+  const variables = coverage.variables || [];
+  let variablesSection = '';
+  
+  if (variables.length > 0) {
+    const variableRows = variables
+      .slice(0, 100)
+      .map(capture => `
+                <tr>
+                    <td>${escapeHtml(capture.route_id || '-')}</td>
+                    <td>${escapeHtml(capture.browser || '-')}</td>
+                    <td><code>${escapeHtml(capture.name)}</code></td>
+                    <td>${escapeHtml(capture.value)}</td>
+                    <td><code>${escapeHtml(capture.source)}</code>${capture.pattern ? `<br><small>pattern: ${escapeHtml(capture.pattern)}</small>` : ''}</td>
+                </tr>`).join('');
+    
+    variablesSection = `
+        <div class="section">
+            <h2>🔣 保存した変数</h2>
+            <p>保存: ${variables.length}件</p>
+            <table>
+                <tr>
+                    <th>ルートID</th>
+                    <th>ブラウザ</th>
+                    <th>変数名</th>
+                    <th>値</th>
+                    <th>取得元</th>
+                </tr>${variableRows}
+            </table>
+        </div>`;
+  }
+  
+  // 制御フロー（if / repeat / forEach / optional）セクション
+  const flowSteps = coverage.flow_steps || [];
+  let flowSection = '';
+  
+  if (flowSteps.length > 0) {
+    const flowRows = flowSteps
+      .slice(0, 100)
+      .map(step => {
+        const children = (step.flow.steps || [])
+          .map(child => `${child.status === 'success' ? '✅' : child.status === 'skipped' ? '⏭️' : '❌'} ${child.iteration ? `[${child.iteration}] ` : ''}${escapeHtml(child.label)}`)
+          .join('<br>');
+        return `
+                <tr>
+                    <td>${escapeHtml(step.route_id || '-')}</td>
+                    <td>${escapeHtml(step.label || step.action)}</td>
+                    <td><code>${escapeHtml(step.flow.type)}</code></td>
+                    <td>${escapeHtml(step.flow.condition || step.flow.error || '-')}</td>
+                    <td>${escapeHtml(describeFlowBranch(step.flow))}</td>
+                    <td><small>${children || '-'}</small></td>
+                </tr>`;
+      }).join('');
+    
+    flowSection = `
+        <div class="section">
+            <h2>🔀 制御フロー</h2>
+            <p>条件分岐・繰り返し・任意ステップ: ${flowSteps.length}件</p>
+            <table>
+                <tr>
+                    <th>ルートID</th>
+                    <th>ステップ</th>
+                    <th>種類</th>
+                    <th>条件</th>
+                    <th>実行した分岐</th>
+                    <th>子ステップ</th>
+                </tr>${flowRows}
+            </table>
+        </div>`;
+  }
+  
+  // ブロックされたステップ（前提ステップの失敗で未実行）セクション：原因のステップごとにまとめる
+  const blockedStepsDetails = coverage.blocked_steps_details || [];
+  let blockedSection = '';
+  
+  if (blockedStepsDetails.length > 0) {
+    const blockedGroups = new Map();
+    blockedStepsDetails.forEach(step => {
+      const key = `${step.route_id}::${step.blocked_by?.step_index ?? '-'}`;
+      const group = blockedGroups.get(key) || { route_id: step.route_id, blocked_by: step.blocked_by, labels: [] };
+      group.labels.push(step.label || step.action);
+      blockedGroups.set(key, group);
+    });
+    const blockedRows = [...blockedGroups.values()].map(group => `
+                <tr>
+                    <td>${escapeHtml(String(group.route_id ?? '-'))}</td>
+                    <td>${escapeHtml(group.blocked_by?.label || '-')}</td>
+                    <td>${group.labels.length}件</td>
+                    <td><small>${group.labels.map(label => escapeHtml(label)).join('<br>')}</small></td>
+                </tr>`).join('');
+    
+    blockedSection = `
+        <div class="section">
+            <h2>⛔ ブロックされたステップ</h2>
+            <p>前提ステップの失敗により実行しなかったステップ: ${blockedStepsDetails.length}件（失敗数・成功率には含めません）</p>
+            <table>
+                <tr>
+                    <th>ルートID</th>
+                    <th>原因のステップ</th>
+                    <th>件数</th>
+                    <th>ブロックされたステップ</th>
+                </tr>${blockedRows}
+            </table>
+        </div>`;
+  }
+  
   let failedStepsSection = '';
   
   if (failedStepsDetails.length > 0) {
@@ -2218,11 +3038,23 @@ function generateCoverageHTML(coverage, outputPath) {
               <p><strong>アクション:</strong> ${escapeHtml(step.action)}</p>
               <p><strong>ターゲット:</strong> <code>${escapeHtml(step.target)}</code></p>
               ${step.value ? `<p><strong>値:</strong> ${escapeHtml(step.value)}</p>` : ''}
+              ${step.failed_browsers && step.failed_browsers.length > 0 ? `<p><strong>失敗ブラウザ:</strong> ${step.failed_browsers.map(escapeHtml).join(', ')}</p>` : ''}
+              ${step.emulation_profile ? `<p><strong>実行環境:</strong> ${escapeHtml(step.emulation_profile)}</p>` : ''}
+              ${step.page && step.page.index > 0 ? `<p><strong>実行ページ:</strong> #${step.page.index} <code>${escapeHtml(step.page.url || '')}</code></p>` : ''}
             </div>
             <div class="error-details">
               <h4>エラー詳細</h4>
               <div class="error-message">${escapeHtml(step.error)}</div>
               ${step.error_category ? `<p class="error-category"><strong>エラー分類:</strong> ${escapeHtml(step.error_category)}</p>` : ''}
+              ${step.page_events ? `
+              <div class="page-events">
+                <strong>🐞 ステップ中のページエラー:</strong>
+                <ul>
+                  ${[...(step.page_events.page_errors || []), ...(step.page_events.console_errors || []), ...(step.page_events.failed_requests || [])]
+                    .slice(0, 10).map(message => `<li><code>${escapeHtml(message)}</code></li>`).join('')}
+                </ul>
+              </div>
+              ` : ''}
             </div>
             <div class="debug-resources">
               <h4>🔍 デバッグリソース</h4>
@@ -2251,6 +3083,20 @@ function generateCoverageHTML(coverage, outputPath) {
                     ⬇️ DL
                   </button>
                 </div>
+                ${step.trace_path ? `
+                <div class="debug-group">
+                  <a class="debug-btn logs-btn" href="${escapeHtml(step.trace_path)}" download title="npx playwright show-trace で開けます">
+                    🎞️ トレース
+                  </a>
+                </div>
+                ` : ''}
+                ${step.har_path ? `
+                <div class="debug-group">
+                  <a class="debug-btn logs-btn" href="${escapeHtml(step.har_path)}" download title="ブラウザの開発者ツールに読み込めます">
+                    🌐 HAR
+                  </a>
+                </div>
+                ` : ''}
                 ${step.error && step.error.includes('not found') ? `
                 <div class="debug-group">
                   <button class="debug-btn element-btn" onclick="analyzeElementIssue('${escapeHtml(step.target)}', '${escapeHtml(step.action)}')">
@@ -2262,6 +3108,12 @@ function generateCoverageHTML(coverage, outputPath) {
                 </div>
                 ` : ''}
               </div>
+              ${step.video_path ? `
+              <details class="video-player">
+                <summary>🎬 失敗までの録画を再生</summary>
+                <video controls preload="none" src="${escapeHtml(step.video_path)}"></video>
+              </details>
+              ` : ''}
             </div>
             
             ${step.fix_suggestions && step.fix_suggestions.length > 0 ? `
@@ -2656,6 +3508,77 @@ function generateCoverageHTML(coverage, outputPath) {
             background: white;
         }
         
+        .video-player {
+            margin-top: 12px;
+        }
+        
+        .video-player summary {
+            cursor: pointer;
+            color: #495057;
+            font-weight: 600;
+        }
+        
+        .visual-diff-card {
+            border: 1px solid #e9ecef;
+            border-radius: 6px;
+            padding: 12px;
+            margin-top: 12px;
+        }
+        
+        .visual-diff-images {
+            display: grid;
+            grid-template-columns: repeat(3, 1fr);
+            gap: 10px;
+        }
+        
+        .visual-diff-images figure {
+            margin: 0;
+            text-align: center;
+            font-size: 0.85em;
+            color: #666;
+        }
+        
+        .visual-diff-images img {
+            width: 100%;
+            border: 1px solid #ddd;
+        }
+        
+        .page-events {
+            margin-top: 8px;
+            font-size: 0.9em;
+        }
+        
+        .page-events ul {
+            margin: 4px 0 0 20px;
+        }
+        
+        .perf-trend {
+            width: 100px;
+            height: 24px;
+            vertical-align: middle;
+        }
+        
+        .perf-trend polyline {
+            fill: none;
+            stroke: #3498db;
+            stroke-width: 2;
+            vector-effect: non-scaling-stroke;
+        }
+        
+        .visual-review-status {
+            margin-left: 8px;
+            font-size: 0.85em;
+        }
+        
+        .video-player video,
+        .route-video {
+            width: 100%;
+            max-width: 480px;
+            margin-top: 8px;
+            border-radius: 6px;
+            background: #000;
+        }
+        
         .debug-btn {
             padding: 8px 12px;
             border: none;
@@ -2876,9 +3799,19 @@ function generateCoverageHTML(coverage, outputPath) {
                 </tr>
                 <tr>
                     <td>失敗テストケース数</td>
-                    <td>${coverage.total_test_cases - coverage.successful_test_cases}件</td>
+                    <td>${coverage.total_test_cases - coverage.successful_test_cases - (coverage.blocked_steps || 0)}件</td>
                     <td>エラーが発生したテストケース</td>
                 </tr>
+                <tr>
+                    <td>ブロックされたテストケース数</td>
+                    <td>${coverage.blocked_steps || 0}件</td>
+                    <td>前提ステップ（画面遷移・送信など）の失敗により実行しなかったテストケース</td>
+                </tr>
+                <tr>
+                    <td>実行環境</td>
+                    <td>${Object.keys(coverage.profile_breakdown || {}).map(escapeHtml).join(', ') || '-'}</td>
+                    <td>デバイス・言語・タイムゾーン等のエミュレーションプロファイル</td>
+                </tr>
                 <tr style="background: #f8f9fa;">
                     <td colspan="3"><strong>参考: ステップ単位統計</strong></td>
                 </tr>
@@ -2895,6 +3828,27 @@ function generateCoverageHTML(coverage, outputPath) {
             </table>
         </div>
 
+        ${browserSection}
+        ${profileSection}
+
+        ${flakySection}
+
+        ${recordingSection}
+
+        ${visualSection}
+
+        ${accessibilitySection}
+
+        ${performanceSection}
+
+        ${networkSection}
+
+        ${variablesSection}
+
+        ${flowSection}
+
+        ${blockedSection}
+
         ${failedStepsSection}
 
         <div class="footer">
@@ -0,0 +1,48 @@
+// tests/lintRoutes.js
+// ルートJSONの lint（スキーマ・未知のアクション・target の欠落・壊れやすいセレクタ・固定待機）
+//
+// 使い方:
+//   node tests/lintRoutes.js                          # 最新の route_*.json
+//   node tests/lintRoutes.js --batch                  # 最新の batch_metadata_*.json と参照する全ルート
+//   node tests/lintRoutes.js test-results/a.json ...  # ファイルを指定
+//   node tests/lintRoutes.js --json                   # 結果をJSONで出力（WebUI用）
+// エラーがあれば終了コード1
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Command } from 'commander';
+import { lintRouteFile, formatLintReport, findLatestFile } from './utils/routeLint.js';
+import { loadFragmentLibrary } from './utils/fragments.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const program = new Command();
+program
+  .argument('[files...]', 'lint するルートJSON・バッチメタデータ')
+  .option('-b, --batch', '最新のバッチメタデータを lint')
+  .option('--json', '結果をJSONで出力')
+  .parse(process.argv);
+
+const options = program.opts();
+let files = program.args.map(file => path.resolve(file));
+if (files.length === 0) {
+  const latest = findLatestFile(path.resolve(__dirname, '../test-results'), options.batch ? 'batch_metadata_' : 'route_');
+  if (!latest) {
+    console.error(`❌ ${options.batch ? 'バッチメタデータ' : 'ルートJSON'}が見つかりません`);
+    process.exit(1);
+  }
+  files = [latest];
+}
+
+const library = loadFragmentLibrary();
+const reports = files.flatMap(file => lintRouteFile(file, { library }));
+const errors = reports.reduce((sum, report) => sum + report.errors, 0);
+
+if (options.json) {
+  console.log(JSON.stringify({ files: files.map(file => path.basename(file)), errors, warnings: reports.reduce((sum, report) => sum + report.warnings, 0), reports }, null, 2));
+} else {
+  console.log(`🔍 ルートを lint します: ${files.map(file => path.basename(file)).join(', ')}`);
+  console.log(formatLintReport(reports));
+}
+process.exit(errors > 0 ? 1 : 0);
@@ -4,10 +4,9 @@ import 'dotenv/config';
 import fs from "fs";
 import path from "path";
 import { spawn } from 'child_process';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-import { chromium } from 'playwright';
 import { z } from "zod";
 import playwrightConfig from '../playwright.config.js';
 import GoogleSheetsUploader from './utils/googleSheetsUploader.js';
@@ -15,6 +14,31 @@ import GoogleSheetsUploader from './utils/googleSheetsUploader.js';
 // 新しいレポーター機能を追加
 import AutoPlaywrightReporter from './utils/autoplaywrightReporter.js';
 import USISDirectoryManager from './utils/usisDirectoryManager.js';
+import { SUPPORTED_BROWSERS, DEFAULT_BROWSER, parseBrowserList, getBrowserArg, launchBrowser, normalizeBrowserName, summarizeByBrowser } from './utils/browserMatrix.js';
+import { runWithWorkers, buildExecutionPhases } from './utils/workerPool.js';
+import AuthSessionManager from './utils/authSession.js';
+import { resolveRecordingPolicy, shouldRetain, toResultsLink } from './utils/recordingPolicy.js';
+import NetworkMocker from './utils/networkMocker.js';
+import { isScopedTarget, resolveTargetLocator, findTargetInFrames } from './utils/frameTargets.js';
+import PageManager from './utils/pageManager.js';
+import DialogHandler from './utils/dialogHandler.js';
+import FileTransferHandler from './utils/fileTransfer.js';
+import VisualRegression from './utils/visualRegression.js';
+import AccessibilityAuditor from './utils/accessibilityAudit.js';
+import PerformanceCollector, { installPerformanceObservers } from './utils/performanceMetrics.js';
+import PageEventMonitor, { loadPageEventPolicy } from './utils/pageEventMonitor.js';
+import NetworkCapture from './utils/networkCapture.js';
+import { expandRoute, expandIterations, applyIteration } from './utils/dataset.js';
+import RouteVariables from './utils/routeVariables.js';
+import ControlFlow from './utils/controlFlow.js';
+import { expandRouteFragments, loadFragmentLibrary } from './utils/fragments.js';
+import { validateRoute, validateBatchMetadata, TARGET_ACTIONS } from './utils/routeSchema.js';
+import { lintRoute, toRouteReport, formatLintReport } from './utils/routeLint.js';
+import { loadStepPolicy, resolveStepPolicy, getBackoffDelay } from './utils/stepPolicy.js';
+import { loadFlakyPolicy, classifyAttempts, combineFlakyStatuses, recordFlakyRuns } from './utils/flakyDetection.js';
+import StepDependencyTracker, { BLOCKED_STATUS, isBlockingStep } from './utils/stepDependencies.js';
+import { getProfileArg, resolveEmulationProfile } from './utils/emulationProfiles.js';
+import { loadSelectorRepository, findSelectorCandidates, listSelectorKeywords, normalizeSelector } from './utils/selectorRepository.js';
 
 // configのスキーマ定義
 const ConfigSchema = z.object({
@@ -82,16 +106,70 @@ export const openAIConfig = getOpenAIConfig(config);
 export class PlaywrightRunner {
   constructor(options = {}) {
     this.browser = null;
+    this.context = null;
     this.page = null;
     
+    // 並列実行時はワーカー間で共有するブラウザを受け取り、コンテキストのみ分離する
+    this.sharedBrowser = options.sharedBrowser || null;
+    
+    // 実行ブラウザエンジン（chromium / firefox / webkit）
+    this.browserName = normalizeBrowserName(options.browser || parseBrowserList(getBrowserArg())[0]);
+    
+    // 実行中のルートID（ビジュアル差分のレビュー表示用）
+    this.routeId = options.routeId || null;
+    
+    // コンソール・ページエラー・失敗リクエストの検証設定（ルートJSONの page_events）
+    this.pageEventPolicy = options.pageEvents || null;
+    
+    // ルート変数の初期値（ルートJSONの variables）
+    this.initialVariables = options.variables || null;
+    
+    // 制御フロー（if / repeat / forEach）の入れ子の深さと、直前のステップで実行した分岐の記録
+    this.flowDepth = 0;
+    this.stepFlow = null;
+    
+    // ステップの実行ポリシー（config.json の stepPolicy とルートJSONの policy）
+    this.configStepPolicy = loadStepPolicy();
+    this.routePolicy = options.policy || null;
+    
+    // エミュレーションプロファイル（--profile <名前> → ルートJSONの emulation_profile → config の既定値）
+    this.emulation = resolveEmulationProfile(getProfileArg() || options.profile, { browserName: this.browserName });
+    this.isMobileTest = this.emulation.isMobile;
+    
+    // サイト別の手動セレクタ（selectors/ のセレクタリポジトリ）
+    this.selectorRepository = loadSelectorRepository();
+    
+    // 認証セッション（config.auth のセットアップルートで保存したstorageStateを再利用）
+    this.authSession = new AuthSessionManager();
+    this.useAuth = options.useAuth !== false && this.authSession.isEnabled();
+    this.contextOptions = {};
+    
+    // トレース記録ポリシー（always / on-failure / off）
+    this.tracePolicy = resolveRecordingPolicy('trace', options.trace);
+    this.tracingStarted = false;
+    this.tracePath = null;
+    this.hasFailure = false;
+    
+    // 録画ポリシー（always / on-failure / off）
+    this.videoPolicy = resolveRecordingPolicy('video', options.video);
+    this.videoPath = null;
+    
     // レポーター機能を統合
     this.reporter = new AutoPlaywrightReporter({
       outputDir: options.outputDir || path.join(process.cwd(), 'test-results'),
       enableScreenshots: options.enableScreenshots !== false,
       enableDomSnapshots: options.enableDomSnapshots !== false,
+      enableNetworkLogs: options.enableNetworkLogs !== false,
       enableAIAnalysis: options.enableAIAnalysis !== false
     });
     
+    // HAR記録ポリシー（always / on-failure / off）。enableNetworkLogs: false の場合は記録しない
+    this.harPolicy = this.reporter.options.enableNetworkLogs ? resolveRecordingPolicy('har', options.har) : 'off';
+    this.harPath = null;
+    
+    // ネットワーク検証の結果（認証セッションの再取得でコンテキストが変わっても保持）
+    this.networkAssertions = [];
+    
     // USISディレクトリマネージャーを統合
     this.directoryManager = new USISDirectoryManager({
       baseDir: options.outputDir || path.join(process.cwd(), 'test-results'),
@@ -141,40 +219,53 @@ export class PlaywrightRunner {
         return await this.initializeAndroidDevice(androidSerial);
       }
       
-      // 既存のブラウザ初期化
-      this.browser = await chromium.launch({
-        headless: process.env.NODE_ENV === 'production'
-      });
+      // 指定エンジンでブラウザ初期化（共有ブラウザがあれば再利用）
+      this.browser = this.sharedBrowser || await launchBrowser(this.browserName);
+      console.log(`🌐 ブラウザエンジン: ${this.browserName}`);
       
-      // デバイス設定（--mobile フラグでスマホ版テスト）
-      const isMobileTest = process.argv.includes('--mobile');
-      if (isMobileTest) {
-        const context = await this.browser.newContext({
-          viewport: { width: 375, height: 667 }, // iPhone SE サイズ
-          userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1',
-          isMobile: true,
-          hasTouch: true
-        });
-        this.page = await context.newPage();
-        console.log(`📱 テストモード: スマホ版 (375x667)`);
-      } else {
-        this.page = await this.browser.newPage();
-        console.log(`📱 テストモード: PC版 (デフォルト)`);
+      // 認証済みstorageStateを用意（期限切れなら自動でセットアップルートを再実行）
+      const authOptions = this.useAuth
+        ? await this.authSession.getContextOptions(this.browser, { force: process.argv.includes('--refresh-auth') })
+        : {};
+      if (authOptions.storageState) {
+        console.log('🔐 認証済みセッションを使用します');
       }
       
+      // 録画・HARはコンテキスト作成時に指定する必要があるため、一時ディレクトリに記録して終了時に振り分ける
+      const videoOptions = { ...this.getVideoContextOptions(), ...this.getHarContextOptions() };
+      
+      // デバイス・実行環境の設定（エミュレーションプロファイル）
+      this.contextOptions = { ...authOptions, ...videoOptions, ...this.emulation.contextOptions };
+      this.context = await this.browser.newContext(this.contextOptions);
+      this.page = await this.context.newPage();
+      console.log(`📱 テストモード: ${this.emulation.name} - ${this.emulation.description} (${this.emulation.summary})`);
+      
+      // ポップアップ・新規タブを追跡（録画はメインページのものを保存）
+      this.mainPage = this.page;
+      this.pageManager = new PageManager(this.context, this.page);
+      this.dialogHandler = new DialogHandler(this.context, this.reporter);
+      this.pageEventMonitor = new PageEventMonitor(this.context, this.reporter, loadPageEventPolicy(this.pageEventPolicy));
+      await this.installNetworkCapture();
+      
+      await this.installPerformanceObservers();
+      await this.startTracing();
+      
       // レポーターにテストメタデータを設定
       this.reporter.setTestMetadata({
         targetUrl: config.targetUrl,
         category: 'web_ui_test',
-        isFixedRoute: false
+        isFixedRoute: false,
+        browser: this.browserName,
+        emulationProfile: this.emulation.name,
+        authenticated: !!authOptions.storageState
       });
       
       // configからtargetUrlを取得して直接移動
       if (config.targetUrl) {
         console.log(`🔄 テスト対象ページに移動中: ${config.targetUrl}`);
         
-        // スマホブラウザでは読み込み待機を長めに設定
-        const navigationTimeout = isMobileTest ? 30000 : 15000;
+        // スマホブラウザでは読み込み待機を長めに設定（stepPolicy の mobile）
+        const navigationTimeout = this.getStepTimeout({ action: 'load' }, 'navigationTimeout');
         
         await this.page.goto(config.targetUrl, {
           waitUntil: 'networkidle',
@@ -184,6 +275,11 @@ export class PlaywrightRunner {
         // ページが完全に読み込まれるまで待機
         await this.page.waitForLoadState('domcontentloaded');
         
+        // ログイン画面へリダイレクトされた場合はセッション切れとしてリフレッシュ
+        if (this.useAuth && this.authSession.isLoginPage(this.page.url())) {
+          await this.refreshAuthSession(config.targetUrl, navigationTimeout);
+        }
+        
         // 現在のURLを確認
         const currentUrl = this.page.url();
         console.log(`✅ テスト対象ページに移動完了: ${currentUrl}`);
@@ -213,6 +309,765 @@ export class PlaywrightRunner {
     }
   }
 
+  /**
+   * 認証セッションを再取得してコンテキストを作り直す
+   */
+  async refreshAuthSession(targetUrl, navigationTimeout) {
+    console.log('🔐 セッション切れを検出しました。ログイン状態を再取得します...');
+    await this.authSession.ensureStorageState(this.browser, { expired: true });
+    
+    await this.stopTracing();
+    await this.context.close();
+    this.context = await this.browser.newContext({
+      ...this.contextOptions,
+      storageState: this.authSession.storageStatePath
+    });
+    this.page = await this.context.newPage();
+    this.mainPage = this.page;
+    this.pageManager = new PageManager(this.context, this.page);
+    this.dialogHandler = new DialogHandler(this.context, this.reporter);
+    this.pageEventMonitor = new PageEventMonitor(this.context, this.reporter, loadPageEventPolicy(this.pageEventPolicy));
+    await this.installNetworkCapture();
+    await this.installPerformanceObservers();
+    await this.startTracing();
+    
+    await this.page.goto(targetUrl, {
+      waitUntil: 'networkidle',
+      timeout: navigationTimeout
+    });
+    
+    if (this.authSession.isLoginPage(this.page.url())) {
+      throw new Error(`セッション再取得後もログイン画面に戻されました: ${this.page.url()}`);
+    }
+  }
+
+  /**
+   * LCP・CLS・ロングタスク等の計測用PerformanceObserverをコンテキストに登録
+   */
+  async installPerformanceObservers() {
+    if (!this.getPerformanceCollector().config.enabled || !this.context) {
+      return;
+    }
+    await this.context.addInitScript(installPerformanceObservers);
+  }
+
+  /**
+   * コンテキストのトレース記録を開始
+   */
+  async startTracing() {
+    if (this.tracePolicy === 'off' || !this.context) {
+      return;
+    }
+    await this.context.tracing.start({ screenshots: true, snapshots: true, sources: true });
+    this.tracingStarted = true;
+    console.log(`🎞️ トレース記録開始 (ポリシー: ${this.tracePolicy})`);
+  }
+
+  /**
+   * トレース記録を終了し、ポリシーに応じてUSISディレクトリへ保存
+   */
+  async stopTracing() {
+    if (!this.tracingStarted || !this.context) {
+      return;
+    }
+    this.tracingStarted = false;
+    
+    try {
+      if (!shouldRetain(this.tracePolicy, this.hasFailure)) {
+        await this.context.tracing.stop();
+        return;
+      }
+      
+      const filename = `trace_${this.reporter.sessionId}_${this.browserName}.zip`;
+      const tracePath = this.directoryManager.getUSISFilePath(this.userStoryInfo?.currentId, 'traces', filename);
+      this.directoryManager.ensureDirectory(path.dirname(tracePath));
+      await this.context.tracing.stop({ path: tracePath });
+      
+      this.tracePath = tracePath;
+      this.reporter.addArtifact('trace', tracePath);
+      console.log(`🎞️ トレース保存: ${tracePath}`);
+    } catch (error) {
+      console.log('⚠️ トレース保存エラー:', error.message);
+    }
+  }
+
+  /**
+   * 録画用のコンテキストオプションを取得
+   */
+  getVideoContextOptions() {
+    if (this.videoPolicy === 'off') {
+      return {};
+    }
+    this.videoTempDir = this.directoryManager.getUSISFilePath(
+      this.userStoryInfo?.currentId, 'videos', path.join('_tmp', this.reporter.sessionId)
+    );
+    console.log(`🎬 録画開始 (ポリシー: ${this.videoPolicy})`);
+    return { recordVideo: { dir: this.videoTempDir } };
+  }
+
+  /**
+   * コンテキスト終了後に録画をポリシーに応じて保存・破棄
+   * @param {import('playwright').Video|null} video - メインページの録画
+   */
+  async finalizeVideo(video) {
+    if (!this.videoTempDir) {
+      return;
+    }
+    
+    try {
+      if (video && shouldRetain(this.videoPolicy, this.hasFailure)) {
+        const filename = `video_${this.reporter.sessionId}_${this.browserName}.webm`;
+        const videoPath = this.directoryManager.getUSISFilePath(this.userStoryInfo?.currentId, 'videos', filename);
+        await video.saveAs(videoPath);
+        
+        this.videoPath = videoPath;
+        this.reporter.addArtifact('video', videoPath);
+        console.log(`🎬 録画保存: ${videoPath}`);
+      }
+    } catch (error) {
+      console.log('⚠️ 録画保存エラー:', error.message);
+    } finally {
+      fs.rmSync(this.videoTempDir, { recursive: true, force: true });
+      this.videoTempDir = null;
+    }
+  }
+
+  /**
+   * HAR記録用のコンテキストオプションを取得
+   */
+  getHarContextOptions() {
+    if (this.harPolicy === 'off') {
+      return {};
+    }
+    this.harTempPath = this.directoryManager.getUSISFilePath(
+      this.userStoryInfo?.currentId, 'har', path.join('_tmp', this.reporter.sessionId, `${this.browserName}.har`)
+    );
+    this.directoryManager.ensureDirectory(path.dirname(this.harTempPath));
+    console.log(`🌐 HAR記録開始 (ポリシー: ${this.harPolicy})`);
+    return { recordHar: { path: this.harTempPath, content: 'embed', mode: 'full' } };
+  }
+
+  /**
+   * コンテキスト終了後にHARをポリシーに応じて保存・破棄
+   */
+  finalizeHar() {
+    if (!this.harTempPath) {
+      return;
+    }
+    
+    try {
+      if (fs.existsSync(this.harTempPath) && shouldRetain(this.harPolicy, this.hasFailure)) {
+        const filename = `har_${this.reporter.sessionId}_${this.browserName}.har`;
+        const harPath = this.directoryManager.getUSISFilePath(this.userStoryInfo?.currentId, 'har', filename);
+        fs.renameSync(this.harTempPath, harPath);
+        
+        this.harPath = harPath;
+        this.reporter.addArtifact('har', harPath);
+        console.log(`🌐 HAR保存: ${harPath}`);
+      }
+    } catch (error) {
+      console.log('⚠️ HAR保存エラー:', error.message);
+    } finally {
+      fs.rmSync(path.dirname(this.harTempPath), { recursive: true, force: true });
+      this.harTempPath = null;
+    }
+  }
+
+  /**
+   * リクエスト・WebSocket・SSEの記録を開始（ページ読み込み前に呼ぶ）
+   */
+  async installNetworkCapture() {
+    this.networkCapture = new NetworkCapture(this.context, this.reporter, {
+      browserName: this.browserName,
+      routeId: this.routeId,
+      assertions: this.networkAssertions
+    });
+    try {
+      await this.networkCapture.install();
+    } catch (error) {
+      console.log(`⚠️ SSEの監視を開始できませんでした: ${error.message}`);
+    }
+  }
+
+  /**
+   * ネットワーク記録・検証を取得（Android実機モード等で未作成の場合は現在のコンテキストから作成）
+   */
+  getNetworkCapture() {
+    if (!this.networkCapture) {
+      this.networkCapture = new NetworkCapture(this.page.context(), this.reporter, {
+        browserName: this.browserName,
+        routeId: this.routeId,
+        assertions: this.networkAssertions
+      });
+    }
+    this.networkCapture.routeId = this.routeId;
+    return this.networkCapture;
+  }
+
+  /**
+   * このランナーで実行したネットワーク検証の結果
+   */
+  getNetworkAssertions(routeId = null) {
+    return routeId ? this.networkAssertions.filter(assertion => assertion.route_id === routeId) : this.networkAssertions;
+  }
+
+  /**
+   * レポートから参照するHARの相対パス（test-results基準）
+   */
+  getHarLink() {
+    return toResultsLink(this.directoryManager.baseDir, this.harPath);
+  }
+
+  /**
+   * 現在のページ用のネットワークモックを取得（ページが切り替わった場合は作り直す）
+   */
+  getNetworkMocker() {
+    if (!this.networkMocker || this.networkMocker.page !== this.page) {
+      this.networkMocker = new NetworkMocker(this.page, this.page.context());
+    }
+    return this.networkMocker;
+  }
+
+  /**
+   * ページ管理を取得（Android実機モード等で未作成の場合は現在のページから作成）
+   */
+  getPageManager() {
+    if (!this.pageManager) {
+      this.mainPage = this.mainPage || this.page;
+      this.pageManager = new PageManager(this.page.context(), this.page);
+    }
+    return this.pageManager;
+  }
+
+  /**
+   * ダイアログ処理を取得（Android実機モード等で未作成の場合は現在のコンテキストから作成）
+   */
+  getDialogHandler() {
+    if (!this.dialogHandler) {
+      this.dialogHandler = new DialogHandler(this.page.context(), this.reporter);
+    }
+    return this.dialogHandler;
+  }
+
+  /**
+   * コンソール・ページエラー・失敗リクエストの収集を取得（Android実機モード等で未作成の場合は現在のコンテキストから作成）
+   */
+  getPageEventMonitor() {
+    if (!this.pageEventMonitor) {
+      this.pageEventMonitor = new PageEventMonitor(this.page.context(), this.reporter, loadPageEventPolicy(this.pageEventPolicy));
+    }
+    return this.pageEventMonitor;
+  }
+
+  /**
+   * 直前のステップで発生したエラーの要約（結果JSON用）
+   */
+  getStepPageEvents() {
+    return this.pageEventMonitor ? this.pageEventMonitor.summarizeStep() : null;
+  }
+
+  /**
+   * ファイルのアップロード・ダウンロード処理を取得（直前のダウンロードはページ切り替え後も保持）
+   */
+  getFileTransfer() {
+    if (!this.fileTransfer) {
+      this.fileTransfer = new FileTransferHandler(this.page, {
+        resolveDownloadPath: fileName => this.directoryManager.getUSISFilePath(
+          this.userStoryInfo?.currentId,
+          'downloads',
+          `download_${this.reporter.sessionId}_${fileName}`
+        )
+      });
+    }
+    this.fileTransfer.page = this.page;
+    return this.fileTransfer;
+  }
+
+  /**
+   * ビジュアルリグレッション比較を取得（ベースラインはブラウザエンジン別）
+   */
+  getVisualRegression() {
+    if (!this.visualRegression) {
+      this.visualRegression = new VisualRegression({
+        resultsDir: this.directoryManager.baseDir,
+        browserName: this.browserName,
+        profile: this.emulation.name,
+        routeId: this.routeId,
+        resolveOutputPath: fileName => this.directoryManager.getUSISFilePath(
+          this.userStoryInfo?.currentId,
+          'visual',
+          fileName
+        )
+      });
+    }
+    this.visualRegression.routeId = this.routeId;
+    return this.visualRegression;
+  }
+
+  /**
+   * このランナーで実行したビジュアル比較の結果
+   */
+  getVisualChecks(routeId = null) {
+    const checks = this.visualRegression ? this.visualRegression.checks : [];
+    return routeId ? checks.filter(check => check.route_id === routeId) : checks;
+  }
+
+  /**
+   * パフォーマンス計測を取得
+   */
+  getPerformanceCollector() {
+    if (!this.performanceCollector) {
+      this.performanceCollector = new PerformanceCollector({
+        resultsDir: this.directoryManager.baseDir,
+        browserName: this.browserName,
+        sessionId: this.reporter.sessionId
+      });
+    }
+    this.performanceCollector.routeId = this.routeId;
+    return this.performanceCollector;
+  }
+
+  /**
+   * このランナーで計測したパフォーマンスメトリクス
+   */
+  getPerformanceMetrics(routeId = null) {
+    const measurements = this.performanceCollector ? this.performanceCollector.measurements : [];
+    return routeId ? measurements.filter(measurement => measurement.route_id === routeId) : measurements;
+  }
+
+  /**
+   * ルート変数（store 系ステップで保存した値）を取得
+   */
+  getRouteVariables() {
+    if (!this.routeVariables) {
+      this.routeVariables = new RouteVariables({
+        routeId: this.routeId,
+        browserName: this.browserName,
+        initial: this.initialVariables
+      });
+    }
+    this.routeVariables.routeId = this.routeId;
+    return this.routeVariables;
+  }
+
+  /**
+   * このランナーで保存した変数
+   */
+  getVariables(routeId = null) {
+    const captures = this.routeVariables ? this.routeVariables.captures : [];
+    return routeId ? captures.filter(capture => capture.route_id === routeId) : captures;
+  }
+
+  /**
+   * 制御フローのステップ（if / repeat / forEach）を実行
+   * 子ステップは同じステップ番号で実行し、実行ログでは親ステップの children に記録する
+   */
+  async executeControlFlow(step, stepIndex) {
+    const flow = new ControlFlow({
+      runStep: child => this.reporter.runNested(stepIndex, () => this.executeStep(child, stepIndex)),
+      getPage: () => this.page,
+      resolveLocator: target => resolveTargetLocator(this.page, target),
+      variables: this.getRouteVariables()
+    });
+    
+    this.flowDepth++;
+    try {
+      const record = await flow.run(step);
+      this.reporter.recordFlow(stepIndex, record);
+      return record;
+    } catch (error) {
+      if (error.flow) {
+        this.reporter.recordFlow(stepIndex, error.flow);
+      }
+      throw error;
+    } finally {
+      this.flowDepth--;
+      if (this.flowDepth === 0) {
+        this.stepFlow = this.reporter.executionLog.steps[stepIndex]?.flow || null;
+      }
+    }
+  }
+
+  /**
+   * optional: true のステップを実行（失敗してもルートを失敗にせず、スキップとして記録）
+   */
+  async executeOptionalStep(step, stepIndex) {
+    const hadFailure = this.hasFailure;
+    try {
+      return await this.executeStep({ ...step, optional: false }, stepIndex);
+    } catch (error) {
+      const message = error.message.split('\n')[0];
+      console.log(`⏭️ 任意ステップのため失敗を無視して続行: ${step.label || step.action} - ${message}`);
+      // 任意ステップの失敗ではトレース・録画を残さない
+      this.hasFailure = hadFailure;
+      const record = { type: 'optional', status: 'skipped', error: message };
+      this.reporter.recordFlow(stepIndex, record);
+      if (this.flowDepth === 0) {
+        this.stepFlow = record;
+      }
+      return record;
+    }
+  }
+
+  /**
+   * 直前のステップで実行した制御フローの記録（結果JSON用、なければnull）
+   */
+  getStepFlow() {
+    return this.stepFlow;
+  }
+
+  /**
+   * 前提ステップの失敗で実行しなかったステップを実行ログに記録
+   */
+  recordBlockedStep(step, stepIndex, blocked) {
+    this.reporter.onStepBlocked(step, stepIndex, blocked);
+  }
+
+  /**
+   * ステップに適用する実行ポリシーを解決（既定値 → config.json の stepPolicy → ルートの policy → ステップ）
+   */
+  resolveStepPolicy(step = {}) {
+    return resolveStepPolicy({
+      config: this.configStepPolicy,
+      route: this.routePolicy,
+      step,
+      mobile: this.isMobileTest
+    });
+  }
+
+  /**
+   * ステップのタイムアウト（kind: timeout / waitTimeout / navigationTimeout）
+   */
+  getStepTimeout(step, kind = 'timeout') {
+    return this.resolveStepPolicy(step)[kind];
+  }
+
+  /**
+   * retries が指定されたステップを実行（失敗したらバックオフして再試行し、試行の記録を残す）
+   */
+  async executeStepWithRetry(step, stepIndex, policy) {
+    const hadFailure = this.hasFailure;
+    const attempts = [];
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await this.executeStep(step, stepIndex, attempt);
+        if (attempts.length > 0) {
+          console.log(`🔁 再試行で成功しました: ${step.label || step.action}（${attempt}回目）`);
+          // 再試行で成功したステップではトレース・録画を残さない
+          this.hasFailure = hadFailure;
+          this.reporter.recordRetries(stepIndex, attempts);
+        }
+        return result;
+      } catch (error) {
+        const message = error.message.split('\n')[0];
+        if (attempt > policy.retries) {
+          if (attempts.length > 0) {
+            this.reporter.recordRetries(stepIndex, [...attempts, { attempt, error: message, delay: null }]);
+          }
+          throw error;
+        }
+        const delay = getBackoffDelay(policy.retryBackoff, attempt - 1);
+        attempts.push({ attempt, error: message, delay });
+        console.log(`🔁 ステップを再試行します（${attempt}/${policy.retries}、${delay}ms後）: ${step.label || step.action} - ${message}`);
+        if (this.page && !this.page.isClosed()) {
+          await this.page.waitForTimeout(delay);
+        }
+      }
+    }
+  }
+
+  /**
+   * ステップの実行前に autoWait の条件を待つ（待機できなくてもステップは続行）
+   */
+  async applyAutoWait(step, policy) {
+    for (const condition of policy.autoWait) {
+      try {
+        if (condition === 'stable') {
+          if (typeof step.target !== 'string' || !TARGET_ACTIONS.includes(step.action)) {
+            continue;
+          }
+          const handle = await resolveTargetLocator(this.page, step.target).first()
+            .elementHandle({ timeout: policy.waitTimeout });
+          await handle?.waitForElementState('stable', { timeout: policy.waitTimeout });
+        } else {
+          await this.page.waitForLoadState(condition, { timeout: policy.navigationTimeout });
+        }
+      } catch (error) {
+        console.log(`⚠️ 自動待機（${condition}）がタイムアウトしました: ${error.message.split('\n')[0]}`);
+      }
+    }
+  }
+
+  /**
+   * 画面遷移したステップの後にパフォーマンスを計測（計測エラーはステップの失敗にしない）
+   */
+  async capturePerformance(step, stepIndex, urlBefore) {
+    const collector = this.getPerformanceCollector();
+    if (step.action === 'measurePerformance' || !this.page || this.page.isClosed() ||
+        !collector.shouldMeasure(step, urlBefore, this.page.url())) {
+      return;
+    }
+    try {
+      const measurement = await collector.measure(this.page, step, this.resolveStepPolicy(step));
+      this.reporter.recordPerformance(stepIndex, measurement);
+    } catch (error) {
+      if (error.performanceMeasurement) {
+        this.reporter.recordPerformance(stepIndex, error.performanceMeasurement);
+        throw error;
+      }
+      console.log(`⚠️ パフォーマンス計測をスキップ: ${error.message}`);
+    }
+  }
+
+  /**
+   * アクセシビリティ監査を取得
+   */
+  getAccessibilityAuditor() {
+    if (!this.accessibilityAuditor) {
+      this.accessibilityAuditor = new AccessibilityAuditor({ browserName: this.browserName });
+    }
+    this.accessibilityAuditor.routeId = this.routeId;
+    return this.accessibilityAuditor;
+  }
+
+  /**
+   * このランナーで実行したアクセシビリティ監査の結果
+   */
+  getAccessibilityAudits(routeId = null) {
+    const audits = this.accessibilityAuditor ? this.accessibilityAuditor.audits : [];
+    return routeId ? audits.filter(audit => audit.route_id === routeId) : audits;
+  }
+
+  /**
+   * 現在操作中のページ情報（インデックス・URL）
+   */
+  getActivePageInfo() {
+    if (!this.page) return null;
+    return this.pageManager ? this.pageManager.describe(this.page) : { index: 0, url: this.page.url(), total: 1 };
+  }
+
+  /**
+   * 専用ハンドラで実行するアクション（ページ切り替え・ダイアログ・ファイル・スクリーンショット比較・アクセシビリティ監査・パフォーマンス計測・エラー検証・通信の検証・変数の保存・ネットワークモック等）を実行
+   * target を持たない・セレクタ以外を target に使うアクションがあるため、従来の target の推測処理より先に呼ぶ
+   * @returns {Promise<boolean>} ハンドラのアクションとして実行した場合 true
+   */
+  async executeHandlerStep(step, stepIndex, policy) {
+    switch (step.action) {
+      case 'waitForPopup':
+      case 'switchToPage':
+      case 'closePage':
+        // 以降のステップは切り替え後のページで実行
+        this.page = await this.getPageManager().apply(
+          step,
+          () => resolveTargetLocator(this.page, step.target).first().click({ timeout: policy.timeout }),
+          policy
+        );
+        this.reporter.recordStepPage(stepIndex, this.getActivePageInfo());
+        return true;
+
+      case 'expectDialog':
+      case 'acceptDialog':
+      case 'dismissDialog':
+        await this.getDialogHandler().apply(
+          step,
+          () => resolveTargetLocator(this.page, step.target).first().click({ timeout: policy.timeout }),
+          policy
+        );
+        return true;
+
+      case 'setInputFiles':
+      case 'uploadFile':
+      case 'download':
+      case 'assertDownload': {
+        const transferResult = await this.getFileTransfer().apply(
+          step, target => resolveTargetLocator(this.page, target), policy
+        );
+        if (transferResult) {
+          this.reporter.recordDownload(stepIndex, transferResult);
+        }
+        return true;
+      }
+
+      case 'assertScreenshot':
+        try {
+          const visualResult = await this.getVisualRegression().assertScreenshot(
+            this.page, step, target => resolveTargetLocator(this.page, target), policy
+          );
+          this.reporter.recordVisualCheck(stepIndex, visualResult);
+        } catch (error) {
+          if (error.visualCheck) {
+            this.reporter.recordVisualCheck(stepIndex, error.visualCheck);
+          }
+          throw error;
+        }
+        return true;
+
+      case 'auditAccessibility':
+        try {
+          const audit = await this.getAccessibilityAuditor().audit(this.page, step);
+          this.reporter.recordAccessibilityAudit(stepIndex, audit);
+        } catch (error) {
+          if (error.accessibilityAudit) {
+            this.reporter.recordAccessibilityAudit(stepIndex, error.accessibilityAudit);
+          }
+          throw error;
+        }
+        return true;
+
+      case 'measurePerformance':
+        try {
+          const measurement = await this.getPerformanceCollector().measure(this.page, step, policy);
+          this.reporter.recordPerformance(stepIndex, measurement);
+        } catch (error) {
+          if (error.performanceMeasurement) {
+            this.reporter.recordPerformance(stepIndex, error.performanceMeasurement);
+          }
+          throw error;
+        }
+        return true;
+
+      case 'assertNoPageErrors':
+      case 'assertNoConsoleErrors':
+      case 'assertNoFailedRequests':
+        this.getPageEventMonitor().assert(step);
+        return true;
+
+      case 'expectRequest':
+      case 'expectResponse':
+      case 'expectWebSocketMessage':
+      case 'expectSSEMessage':
+        try {
+          const assertion = await this.getNetworkCapture().assert(step, policy);
+          this.reporter.recordNetworkAssertion(stepIndex, assertion);
+        } catch (error) {
+          if (error.networkAssertion) {
+            this.reporter.recordNetworkAssertion(stepIndex, error.networkAssertion);
+          }
+          throw error;
+        }
+        return true;
+
+      case 'storeText':
+      case 'storeAttribute':
+      case 'storeValue':
+      case 'storeUrl': {
+        const capture = await this.getRouteVariables().store(
+          this.page, step, target => resolveTargetLocator(this.page, target), policy
+        );
+        this.reporter.recordVariable(stepIndex, capture);
+        return true;
+      }
+
+      // ネットワークモック・障害注入（page.route / コンテキストのオフラインモード）
+      case 'mockResponse':
+      case 'abortRequest':
+      case 'delayRequest':
+      case 'setOffline':
+      case 'clearMocks':
+        await this.getNetworkMocker().apply(step);
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * iframe・Shadow DOM内の要素に対するステップを実行
+   */
+  async executeScopedStep(step) {
+    const locator = resolveTargetLocator(this.page, step.target);
+    const timeout = this.getStepTimeout(step);
+
+    switch (step.action) {
+      case 'click':
+        await locator.first().click({ timeout });
+        console.log(`✅ クリック成功: ${step.target} (scoped)`);
+        break;
+      case 'doubleClick':
+        await locator.first().dblclick({ timeout });
+        console.log(`✅ ダブルクリックしました: ${step.target}`);
+        break;
+      case 'fill':
+        await locator.first().fill(step.value || '', { timeout });
+        console.log(`✅ 入力: ${step.target} = "${step.value}" (scoped)`);
+        break;
+      case 'select':
+      case 'selectOption':
+        await locator.first().selectOption(step.value || '', { timeout });
+        console.log(`✅ 選択しました: ${step.target} = "${step.value}"`);
+        break;
+      case 'check':
+        await locator.first().check({ timeout });
+        console.log(`✅ チェックしました: ${step.target}`);
+        break;
+      case 'uncheck':
+        await locator.first().uncheck({ timeout });
+        console.log(`✅ チェックを外しました: ${step.target}`);
+        break;
+      case 'hover':
+        await locator.first().hover({ timeout });
+        console.log(`✅ ホバーしました: ${step.target}`);
+        break;
+      case 'keyPress':
+        await locator.first().press(step.value, { timeout });
+        console.log(`✅ キーを押しました: ${step.value} on ${step.target}`);
+        break;
+      case 'scroll_and_click':
+        await locator.first().scrollIntoViewIfNeeded({ timeout });
+        await locator.first().click({ timeout });
+        console.log(`✅ スクロール後クリック: ${step.target}`);
+        break;
+      case 'scroll_and_fill':
+        await locator.first().scrollIntoViewIfNeeded({ timeout });
+        await locator.first().fill(step.value || '', { timeout });
+        console.log(`✅ スクロール後入力: ${step.target} = "${step.value}"`);
+        break;
+      case 'waitForSelector':
+        await locator.first().waitFor({ state: 'visible', timeout: this.getStepTimeout(step, 'waitTimeout') });
+        console.log(`✅ 要素が表示されました: ${step.target}`);
+        break;
+      case 'assertVisible':
+        await locator.first().waitFor({ state: 'visible', timeout });
+        console.log(`✅ 要素の表示を確認: ${step.target} (scoped)`);
+        break;
+      case 'assertText': {
+        const expectedText = step.value || step.expectedText;
+        const actualText = await locator.first().textContent({ timeout });
+        if (!actualText || !actualText.includes(expectedText)) {
+          throw new Error(`期待されるテキスト「${expectedText}」が見つかりません。実際のテキスト: "${actualText}"`);
+        }
+        console.log(`✅ テキストの確認成功: ${step.target} contains "${expectedText}"`);
+        break;
+      }
+      case 'assertChecked':
+      case 'assertUnchecked': {
+        const expected = step.action === 'assertChecked';
+        if (await locator.first().isChecked({ timeout }) !== expected) {
+          throw new Error(`チェック状態が期待値（${expected ? 'ON' : 'OFF'}）と異なります: ${step.target}`);
+        }
+        console.log(`✅ チェック状態を確認: ${step.target} = ${expected ? 'ON' : 'OFF'}`);
+        break;
+      }
+      default:
+        throw new Error(`iframe・Shadow DOM内の要素では未対応のアクション: ${step.action}`);
+    }
+  }
+
+  /**
+   * レポートから参照する録画の相対パス（test-results基準）
+   */
+  getVideoLink() {
+    return toResultsLink(this.directoryManager.baseDir, this.videoPath);
+  }
+
+  /**
+   * レポートから参照するトレースの相対パス（test-results基準）
+   */
+  getTraceLink() {
+    return toResultsLink(this.directoryManager.baseDir, this.tracePath);
+  }
+
   /**
    * Android実機での初期化
    */
@@ -249,14 +1104,19 @@ export class PlaywrightRunner {
       const context = contexts[0];
       console.log(`📱 使用するコンテキスト: ${context.pages().length}ページ`);
       
+      // 対象サイト（config.targetUrl と同じオリジン）のページかどうか
+      const config = loadConfig();
+      const targetOrigin = config.targetUrl ? new URL(config.targetUrl).origin : null;
+      const isTargetSite = url => !!targetOrigin && url.startsWith(targetOrigin);
+      
       // 既存のページを使用、または新しいページを作成
       const pages = context.pages();
       if (pages.length > 0) {
-        // Fanstaページを探す
-        let fanstaPage = pages.find(page => page.url().includes('fansta.jp'));
-        if (fanstaPage) {
-          this.page = fanstaPage;
-          console.log(`📱 既存のFanstaページを使用: ${fanstaPage.url()}`);
+        // 対象サイトを開いているページを優先
+        const targetPage = pages.find(page => isTargetSite(page.url()));
+        if (targetPage) {
+          this.page = targetPage;
+          console.log(`📱 既存の対象サイトのページを使用: ${targetPage.url()}`);
         } else {
           this.page = pages[0];
           console.log(`📱 既存のページを使用: ${pages[0].url()}`);
@@ -272,7 +1132,6 @@ export class PlaywrightRunner {
       console.log('📱 Android実機でのページ設定完了（CDP接続）');
       
       // Android実機でのページ移動処理（CDP接続方式）
-      const config = loadConfig();
       if (config.targetUrl) {
         console.log(`🚀 Android実機で自動的にページを開きます: ${config.targetUrl}`);
         
@@ -282,7 +1141,7 @@ export class PlaywrightRunner {
           console.log(`📱 現在のURL: ${currentUrl}`);
           
           // 目標URLが既に開かれているかチェック
-          if (currentUrl.includes('fansta.jp') && currentUrl.includes('shops')) {
+          if (currentUrl.split(/[?#]/)[0] === config.targetUrl.split(/[?#]/)[0]) {
             console.log('✅ 既に目標のページが開かれています！');
             console.log('🚀 テストを開始します！');
             return true;
@@ -312,7 +1171,7 @@ export class PlaywrightRunner {
               console.log(`📱 試行${attempts}後のURL: ${newUrl}`);
               
               // 成功判定
-              if (newUrl !== 'about:blank' && newUrl.includes('fansta.jp')) {
+              if (newUrl !== 'about:blank' && isTargetSite(newUrl)) {
                 console.log(`✅ Android実機でのページ移動成功！`);
                 navigationSuccess = true;
                 
@@ -358,7 +1217,7 @@ export class PlaywrightRunner {
               const finalUrl = this.page.url();
               console.log(`📱 最終手段後のURL: ${finalUrl}`);
               
-              if (finalUrl.includes('fansta.jp')) {
+              if (isTargetSite(finalUrl)) {
                 console.log('✅ 最終手段でページ移動成功！');
                 navigationSuccess = true;
               }
@@ -472,10 +1331,11 @@ export class PlaywrightRunner {
       // about:blankまたは異なるURLの場合は移動
       if (currentUrl === 'about:blank' || currentUrl !== config.targetUrl) {
         console.log('🔄 ページナビゲーション開始...');
+        const navigationTimeout = this.getStepTimeout({ action: 'load' }, 'navigationTimeout');
         
         await this.page.goto(config.targetUrl, {
           waitUntil: 'networkidle',
-          timeout: 30000
+          timeout: navigationTimeout
         });
         
         // ページが完全に読み込まれるまで待機
@@ -490,7 +1350,7 @@ export class PlaywrightRunner {
           await this.page.waitForTimeout(2000);
           await this.page.goto(config.targetUrl, {
             waitUntil: 'load',
-            timeout: 30000
+            timeout: navigationTimeout
           });
           
           const retryUrl = this.page.url();
@@ -515,11 +1375,31 @@ export class PlaywrightRunner {
     return new URL(relativePath, config.targetUrl).toString();
   }
 
-  async executeStep(step, stepIndex = 0) {
+  async executeStep(step, stepIndex = 0, attempt = 0) {
     if (!this.page) throw new Error('ページが初期化されていません');
-    const targetUrl = step.target.startsWith('http') 
+    if (this.flowDepth === 0) {
+      this.stepFlow = null;
+    }
+    if (step.optional) {
+      return await this.executeOptionalStep(step, stepIndex);
+    }
+    // タイムアウト・リトライ・自動待機のポリシー（制御フローは子ステップごとに適用）
+    const policy = this.resolveStepPolicy(step);
+    if (attempt === 0 && policy.retries > 0 && !ControlFlow.isFlowAction(step.action)) {
+      return await this.executeStepWithRetry(step, stepIndex, policy);
+    }
+    // ${変数名} を保存済みのルート変数に置換
+    const { step: resolvedStep, used: usedVariables } = this.getRouteVariables().interpolate(step);
+    step = resolvedStep;
+    // ポップアップが自分で閉じた場合（OAuth完了等）は残っているページに戻る
+    if (this.page.isClosed() && this.pageManager?.activePage) {
+      this.page = this.pageManager.activePage;
+      console.log(`🪟 操作中のページが閉じられたため切り替えました: ${this.page.url()}`);
+    }
+    // setOffline等、targetを持たないアクションもあるため空文字で補完
+    const targetUrl = String(step.target ?? '').startsWith('http') 
       ? step.target 
-      : this.getFullUrl(step.target);
+      : this.getFullUrl(String(step.target ?? ''));
 
     // 🎯 シナリオIDを抽出してログに含める
     const scenarioId = step.scenario_id || null;
@@ -531,6 +1411,15 @@ export class PlaywrightRunner {
       scenario_id: scenarioId,
       field_mapping: fieldMapping
     }, stepIndex);
+    this.reporter.recordStepPage(stepIndex, this.getActivePageInfo());
+    this.reporter.recordPolicy(stepIndex, policy);
+    if (usedVariables) {
+      this.reporter.recordVariablesUsed(stepIndex, usedVariables);
+    }
+    this.dialogHandler?.beginStep(stepIndex);
+    this.pageEventMonitor?.beginStep(stepIndex);
+    this.networkCapture?.beginStep(stepIndex);
+    const urlBefore = this.page && !this.page.isClosed() ? this.page.url() : null;
     
     // シナリオIDがある場合は詳細ログを出力
     if (scenarioId) {
@@ -540,7 +1429,17 @@ export class PlaywrightRunner {
       }
     }
 
+    let stepFailed = false;
     try {
+      // 条件分岐・繰り返し
+      if (ControlFlow.isFlowAction(step.action)) {
+        const record = await this.executeControlFlow(step, stepIndex);
+        this.reporter.onStepEnd(stepIndex, { actualResult: 'success' });
+        return record;
+      }
+      
+      await this.applyAutoWait(step, policy);
+
       // Android実機での特別な処理
       if (this.isAndroidDevice && step.action === 'click') {
         try {
@@ -553,13 +1452,29 @@ export class PlaywrightRunner {
           // 通常の処理に続行
         }
       }
+
+      // ページ・ダイアログ・ネットワーク等の専用ハンドラのアクション
+      if (await this.executeHandlerStep(step, stepIndex, policy)) {
+        await this.capturePerformance(step, stepIndex, urlBefore);
+        this.reporter.onStepEnd(stepIndex, { actualResult: 'success' });
+        return true;
+      }
+
+      // iframe・Shadow DOM内の要素（frame= / shadow= 記法）はLocator経由で実行
+      if (isScopedTarget(step.target)) {
+        await this.executeScopedStep(step);
+        await this.capturePerformance(step, stepIndex, urlBefore);
+        this.reporter.onStepEnd(stepIndex, { actualResult: 'success' });
+        return true;
+      }
+
       // バリデーションテストの場合、エラーは期待された動作
-      if (step.label.toLowerCase().includes('無効な値') || 
-          step.label.toLowerCase().includes('バリデーション確認')) {
+      if ((step.label || '').toLowerCase().includes('無効な値') || 
+          (step.label || '').toLowerCase().includes('バリデーション確認')) {
         try {
           switch (step.action) {
             case 'fill':
-              await this.page.fill(step.target, step.value || '', { timeout: step.timeout || 5000 });
+              await this.page.fill(step.target, step.value || '', { timeout: this.getStepTimeout(step) });
               console.log('⚠️ バリデーションエラーが発生しませんでした');
               return false;
             default:
@@ -577,7 +1492,7 @@ export class PlaywrightRunner {
       }
 
       // 日付バリデーションエラーの特別処理
-      if (step.label.includes('日付バリデーションエラーメッセージ')) {
+      if ((step.label || '').includes('日付バリデーションエラーメッセージ')) {
         try {
           await this.page.waitForSelector(step.target, { timeout: step.timeout || 3000 });
           console.log('✅ 日付バリデーションエラーメッセージが正しく表示されました');
@@ -656,7 +1571,7 @@ export class PlaywrightRunner {
         try {
           await this.page.waitForFunction(
             (startUrl) => window.location.href !== startUrl,
-            { timeout: step.timeout || 10000 },
+            { timeout: this.getStepTimeout(step, 'waitTimeout') },
             initialUrl
           );
           
@@ -723,7 +1638,7 @@ export class PlaywrightRunner {
 
       // フォーカスアクション
       if (step.action === 'focus') {
-        await this.page.focus(step.target, { timeout: step.timeout || 5000 });
+        await this.page.focus(step.target, { timeout: this.getStepTimeout(step) });
         console.log(`✅ フォーカス設定: ${step.target}`);
         return true;
       }
@@ -748,6 +1663,9 @@ export class PlaywrightRunner {
 
       // URL確認アクション（assertURL）の追加
       if (step.action === 'assertURL') {
+        if (typeof step.target !== 'string' || !step.target) {
+          throw new Error('assertURL には target（URLのパターン）が必要です');
+        }
         const currentUrl = this.page.url();
         const expectedPattern = step.target.replace(/\*/g, '.*');
         const regex = new RegExp(expectedPattern);
@@ -762,14 +1680,14 @@ export class PlaywrightRunner {
       }
 
       // チェックボックスの処理
-      if (step.action === 'fill' && step.target.includes('checkbox')) {
-        await this.page.click(step.target, { timeout: step.timeout || 5000 });
+      if (step.action === 'fill' && typeof step.target === 'string' && step.target.includes('checkbox')) {
+        await this.page.click(step.target, { timeout: this.getStepTimeout(step) });
         console.log(`✅ チェックボックスをクリック: ${step.target}`);
         return true;
       }
 
       // hidden要素の処理
-      if (step.target.includes('-hidden')) {
+      if (typeof step.target === 'string' && step.target.includes('-hidden')) {
         console.log(`⏭️ ステップをスキップ: ${step.label}`);
         return true;
       }
@@ -786,7 +1704,7 @@ export class PlaywrightRunner {
           // 複数の戦略で要素を待機
           await Promise.race([
             // 戦略1: 通常のセレクタ待機
-            this.page.waitForSelector(step.target, { timeout: step.timeout || 10000 }),
+            this.page.waitForSelector(step.target, { timeout: this.getStepTimeout(step, 'waitTimeout') }),
             
             // 戦略2: フレームワーク準備完了後の待機
             this.waitForFrameworkReady().then(() => 
@@ -828,7 +1746,7 @@ export class PlaywrightRunner {
               return element.getAttribute('data-state') === expectedState ||
                      element.textContent.includes(expectedState);
             },
-            { timeout: step.timeout || 10000 },
+            { timeout: this.getStepTimeout(step, 'waitTimeout') },
             step.target,
             step.expectedState || step.value
           );
@@ -843,38 +1761,29 @@ export class PlaywrightRunner {
 
       // API呼び出し完了待機
       if (step.action === 'waitForAPIResponse') {
+        const apiPath = step.apiPath || '/api/';
         try {
-          // ネットワークアクティビティの監視
-          let networkIdle = false;
-          let responseReceived = false;
-
-          // リクエスト監視の開始
-          this.page.on('request', (request) => {
-            if (request.url().includes(step.apiPath || '/api/')) {
-              console.log(`🌐 API リクエスト開始: ${request.url()}`);
-            }
-          });
-
-          // レスポンス監視
-          this.page.on('response', (response) => {
-            if (response.url().includes(step.apiPath || '/api/')) {
-              console.log(`✅ API レスポンス受信: ${response.status()}`);
-              responseReceived = true;
-            }
-          });
+          // status / json の指定があればレスポンスの内容まで検証
+          if (step.status !== undefined || step.json) {
+            const assertion = await this.getNetworkCapture().assert(
+              { ...step, action: 'expectResponse', url: apiPath },
+              { ...policy, waitTimeout: policy.navigationTimeout }
+            );
+            this.reporter.recordNetworkAssertion(stepIndex, assertion);
+          }
 
           // ネットワーク待機
-          await this.page.waitForLoadState('networkidle', { timeout: step.timeout || 15000 });
-          networkIdle = true;
+          await this.page.waitForLoadState('networkidle', { timeout: this.getStepTimeout(step, 'navigationTimeout') });
 
-          if (responseReceived || networkIdle) {
-            console.log(`✅ API処理完了を確認しました`);
-            return true;
-          } else {
-            console.log(`⚠️ API処理完了を確認できませんでした`);
-            return false;
-          }
+          this.getNetworkCapture().requests
+            .filter(entry => entry.url.includes(apiPath) && entry.status !== null)
+            .forEach(entry => console.log(`🌐 API レスポンス受信: ${entry.status} ${entry.method} ${entry.url}`));
+          console.log(`✅ API処理完了を確認しました`);
+          return true;
         } catch (error) {
+          if (error.networkAssertion) {
+            this.reporter.recordNetworkAssertion(stepIndex, error.networkAssertion);
+          }
           console.log(`❌ API待機エラー: ${error.message}`);
           return false;
         }
@@ -924,7 +1833,7 @@ export class PlaywrightRunner {
 
       switch (step.action) {
         case 'load':
-          await this.page.goto(targetUrl, { waitUntil: 'networkidle' });
+          await this.page.goto(targetUrl, { waitUntil: 'networkidle', timeout: policy.navigationTimeout });
           console.log(`✅ ページを読み込みました: ${targetUrl}`);
           break;
 
@@ -943,17 +1852,17 @@ export class PlaywrightRunner {
                 if (selector.includes(' > p')) {
                   const parentLabel = selector.replace(' > p', '');
                   console.log(`🎯 親要素（label）をクリック: ${parentLabel}`);
-                  await this.page.click(parentLabel, { timeout: step.timeout || 5000 });
+                  await this.page.click(parentLabel, { timeout: this.getStepTimeout(step) });
                   console.log(`✅ 手動セレクタ（親要素）クリック成功: ${parentLabel}`);
                 } else {
-                  await clickResult.locator.click({ timeout: step.timeout || 5000 });
+                  await clickResult.locator.click({ timeout: this.getStepTimeout(step) });
                   console.log(`✅ 手動セレクタクリック成功: ${selector}`);
                 }
               } catch (error) {
                 console.log(`⚠️ 手動セレクタクリック失敗、代替方法を試行: ${error.message}`);
                 // 代替方法：Playwrightの強制クリック
                 try {
-                  await this.page.locator(clickResult.newSelector).first().click({ force: true, timeout: step.timeout || 5000 });
+                  await this.page.locator(clickResult.newSelector).first().click({ force: true, timeout: this.getStepTimeout(step) });
                   console.log(`✅ 強制クリック実行: ${clickResult.newSelector}`);
                 } catch (forceError) {
                   console.log(`⚠️ 強制クリック失敗、最終手段でJavaScriptクリック: ${forceError.message}`);
@@ -973,7 +1882,7 @@ export class PlaywrightRunner {
                 }
               }
             } else {
-              await clickResult.locator.click({ timeout: step.timeout || 5000 });
+              await clickResult.locator.click({ timeout: this.getStepTimeout(step) });
               console.log(`✅ クリック成功: ${step.target} (${clickResult.strategy})`);
             }
             
@@ -997,7 +1906,7 @@ export class PlaywrightRunner {
               // 🚀 select要素の値を自動変換
               const convertedValue = await this.convertSelectValue(fillResult.locator, step.value);
               
-              await fillResult.locator.selectOption(convertedValue, { timeout: step.timeout || 5000 });
+              await fillResult.locator.selectOption(convertedValue, { timeout: this.getStepTimeout(step) });
               console.log(`✅ 選択: ${step.target} = "${step.value}" → "${convertedValue}" (manual-select)`);
             } else if (fillResult.strategy.includes('select') || fillResult.strategy.includes('dropdown')) {
               console.log(`💡 select要素を検出: fillをselectOptionに変更`);
@@ -1005,12 +1914,12 @@ export class PlaywrightRunner {
               // 🚀 select要素の値を自動変換
               const convertedValue = await this.convertSelectValue(fillResult.locator, step.value);
               
-              await fillResult.locator.selectOption(convertedValue, { timeout: step.timeout || 5000 });
+              await fillResult.locator.selectOption(convertedValue, { timeout: this.getStepTimeout(step) });
               console.log(`✅ 選択: ${step.target} = "${step.value}" → "${convertedValue}" (${fillResult.strategy})`);
             } else {
               // 通常のinput要素の場合
               try {
-                await fillResult.locator.fill(step.value || '', { timeout: step.timeout || 5000 });
+                await fillResult.locator.fill(step.value || '', { timeout: this.getStepTimeout(step) });
                 console.log(`✅ 入力: ${step.target} = "${step.value}" (${fillResult.strategy})`);
               } catch (error) {
                 // fillが失敗した場合、select要素の可能性をチェック
@@ -1018,7 +1927,7 @@ export class PlaywrightRunner {
                 if (tagName === 'select') {
                   console.log(`💡 fillエラー後にselect要素を検出: selectOptionに変更`);
                   const convertedValue = await this.convertSelectValue(fillResult.locator, step.value);
-                  await fillResult.locator.selectOption(convertedValue, { timeout: step.timeout || 5000 });
+                  await fillResult.locator.selectOption(convertedValue, { timeout: this.getStepTimeout(step) });
                   console.log(`✅ 選択: ${step.target} = "${step.value}" → "${convertedValue}" (auto-detected-select)`);
                 } else {
                   throw error;
@@ -1035,17 +1944,17 @@ export class PlaywrightRunner {
           break;
 
         case 'select':
-          await this.page.selectOption(step.target, step.value || '', { timeout: step.timeout || 5000 });
+          await this.page.selectOption(step.target, step.value || '', { timeout: this.getStepTimeout(step) });
           console.log(`✅ 選択しました: ${step.target} = "${step.value}"`);
           break;
 
         case 'waitForSelector':
-          await this.page.waitForSelector(step.target, { timeout: step.timeout || 10000 });
+          await this.page.waitForSelector(step.target, { timeout: this.getStepTimeout(step, 'waitTimeout') });
           console.log(`✅ 要素が表示されました: ${step.target}`);
           break;
 
         case 'waitForURL':
-          await this.page.waitForURL(step.target, { timeout: step.timeout || 10000 });
+          await this.page.waitForURL(step.target, { timeout: this.getStepTimeout(step, 'waitTimeout') });
           console.log(`✅ URLに遷移しました: ${step.target}`);
           break;
 
@@ -1101,8 +2010,14 @@ export class PlaywrightRunner {
 
         case 'waitForTimeout':
           const timeout = parseInt(step.target) || parseInt(step.value) || 1000;
-          await this.page.waitForTimeout(timeout);
-          console.log(`✅ ${timeout}ms待機しました`);
+          if (policy.fixedWaits === 'auto') {
+            // 固定時間を上限として、通信が落ち着いた時点で次へ進む
+            await this.page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+            console.log(`✅ 固定待機を自動待機に置き換えました（最大${timeout}ms）`);
+          } else {
+            await this.page.waitForTimeout(timeout);
+            console.log(`✅ ${timeout}ms待機しました`);
+          }
           break;
 
         case 'evaluate':
@@ -1112,17 +2027,17 @@ export class PlaywrightRunner {
           break;
 
         case 'hover':
-          await this.page.hover(step.target, { timeout: step.timeout || 5000 });
+          await this.page.hover(step.target, { timeout: this.getStepTimeout(step) });
           console.log(`✅ ホバーしました: ${step.target}`);
           break;
 
         case 'doubleClick':
-          await this.page.dblclick(step.target, { timeout: step.timeout || 5000 });
+          await this.page.dblclick(step.target, { timeout: this.getStepTimeout(step) });
           console.log(`✅ ダブルクリックしました: ${step.target}`);
           break;
 
         case 'keyPress':
-          await this.page.press(step.target, step.value, { timeout: step.timeout || 5000 });
+          await this.page.press(step.target, step.value, { timeout: this.getStepTimeout(step) });
           console.log(`✅ キーを押しました: ${step.value} on ${step.target}`);
           break;
 
@@ -1138,26 +2053,26 @@ export class PlaywrightRunner {
           break;
 
         case 'check':
-          await this.page.check(step.target, { timeout: step.timeout || 5000 });
+          await this.page.check(step.target, { timeout: this.getStepTimeout(step) });
           console.log(`✅ チェックボックスをチェックしました: ${step.target}`);
           break;
 
         case 'uncheck':
-          await this.page.uncheck(step.target, { timeout: step.timeout || 5000 });
+          await this.page.uncheck(step.target, { timeout: this.getStepTimeout(step) });
           console.log(`✅ チェックボックスのチェックを外しました: ${step.target}`);
           break;
 
         case 'scroll_and_click':
           await this.page.locator(step.target).scrollIntoViewIfNeeded();
           await this.page.waitForTimeout(500);
-          await this.page.click(step.target, { timeout: step.timeout || 5000 });
+          await this.page.click(step.target, { timeout: this.getStepTimeout(step) });
           console.log(`✅ スクロール後クリックしました: ${step.target}`);
           break;
 
         case 'scroll_and_fill':
           await this.page.locator(step.target).scrollIntoViewIfNeeded();
           await this.page.waitForTimeout(500);
-          await this.page.fill(step.target, step.value || '', { timeout: step.timeout || 5000 });
+          await this.page.fill(step.target, step.value || '', { timeout: this.getStepTimeout(step) });
           console.log(`✅ スクロール後入力しました: ${step.target} = "${step.value}"`);
           break;
 
@@ -1254,8 +2169,11 @@ export class PlaywrightRunner {
                 availableOptions = standardOptions;
                 console.log(`📋 標準select選択肢: ${JSON.stringify(availableOptions)}`);
               } else {
+                // ドロップダウン自体の表示（「エリア」等の見出し）は選択肢から除く
+                const triggerText = ((await actualSelectLocator.textContent().catch(() => '')) || '').trim();
+                
                 // 方法2: カスタムUI - li要素を検索
-                const customOptionsLi = await this.page.evaluate(() => {
+                const customOptionsLi = await this.page.evaluate((triggerText) => {
                   const dropdowns = document.querySelectorAll('[role="listbox"], .dropdown-menu, .select-dropdown, [class*="dropdown"], [class*="menu"]');
                   let options = [];
                   
@@ -1263,34 +2181,34 @@ export class PlaywrightRunner {
                     const items = dropdown.querySelectorAll('li, [role="option"], .option, [class*="option"]');
                     items.forEach(item => {
                       const text = item.textContent.trim();
-                      if (text && text !== 'エリア' && text !== 'チーム' && text.length > 0) {
+                      if (text && text !== triggerText && text.length > 0) {
                         options.push(text);
                       }
                     });
                   });
                   
                   return options;
-                });
+                }, triggerText);
                 
                 if (customOptionsLi.length > 0) {
                   availableOptions = customOptionsLi;
                   console.log(`📋 カスタムUI選択肢(li): ${JSON.stringify(availableOptions)}`);
                 } else {
                   // 方法3: data属性やaria-labelを持つ要素
-                  const customOptionsData = await this.page.evaluate(() => {
+                  const customOptionsData = await this.page.evaluate((triggerText) => {
                     const items = document.querySelectorAll('[data-value], [aria-label*="選択"], [class*="item"]');
                     return Array.from(items)
                       .map(item => item.textContent?.trim() || item.getAttribute('data-value') || '')
-                      .filter(text => text && text !== 'エリア' && text !== 'チーム' && text.length > 1);
-                  });
+                      .filter(text => text && text !== triggerText && text.length > 1);
+                  }, triggerText);
                   
                   if (customOptionsData.length > 0) {
                     availableOptions = customOptionsData;
                     console.log(`📋 カスタムUI選択肢(data): ${JSON.stringify(availableOptions)}`);
                   } else {
-                    // 方法4: エリア・チーム関連のテキストを含む要素を広範囲検索
-                    const broadSearchOptions = await this.page.evaluate(() => {
-                      const keywords = ['渋谷', '恵比寿', '広尾', '六本木', 'FC東京', 'FC', '東京'];
+                    // 方法4: セレクタリポジトリのキーワード（サイト別）と選択値を含む要素を広範囲検索
+                    const searchKeywords = [...listSelectorKeywords(this.selectorRepository, this.page.url()), step.value].filter(Boolean);
+                    const broadSearchOptions = await this.page.evaluate((keywords) => {
                       const elements = document.querySelectorAll('*');
                       const found = [];
                       
@@ -1306,7 +2224,7 @@ export class PlaywrightRunner {
                       });
                       
                       return [...new Set(found)]; // 重複除去
-                    });
+                    }, searchKeywords);
                     
                     availableOptions = broadSearchOptions;
                     console.log(`📋 広範囲検索選択肢: ${JSON.stringify(availableOptions)}`);
@@ -1391,7 +2309,7 @@ export class PlaywrightRunner {
                           selectSuccess = true;
                         } else {
                           // パターン5: 短いテキストでの部分一致検索
-                          const shortText = targetValue; // 元のターゲット値（"FC東京"など）
+                          const shortText = targetValue; // 元のターゲット値
                           console.log(`🔍 短縮テキストで再試行: "${shortText}"`);
                           
                           const shortLiLocator = this.page.locator(`li`).filter({ hasText: shortText }).first();
@@ -1496,11 +2414,11 @@ export class PlaywrightRunner {
             }
             
             // 方法5: 手動セレクタによる特別処理
-            if (!selectSuccess && this.manualSelectors) {
+            if (!selectSuccess) {
               try {
                 const manualResult = await this.tryManualSelectors(step);
-                if (manualResult.found) {
-                  await manualResult.locator.click({ timeout: 3000 });
+                if (manualResult) {
+                  await this.page.locator(manualResult.selector).click({ timeout: 3000 });
                   console.log(`✅ ステップ2e: 手動セレクタクリック成功`);
                   selectSuccess = true;
                 }
@@ -1637,6 +2555,19 @@ export class PlaywrightRunner {
           break;
 
         case 'assertResponse':
+          // URL・ステータス・JSONの指定があればレスポンスの内容を検証
+          if (step.url || step.status !== undefined || step.json) {
+            try {
+              const assertion = await this.getNetworkCapture().assert({ ...step, action: 'expectResponse' }, policy);
+              this.reporter.recordNetworkAssertion(stepIndex, assertion);
+            } catch (error) {
+              if (error.networkAssertion) {
+                this.reporter.recordNetworkAssertion(stepIndex, error.networkAssertion);
+              }
+              throw error;
+            }
+            break;
+          }
           // ナビゲーションまたは状態変化を確認
           try {
             await this.page.waitForLoadState('networkidle', { timeout: 3000 });
@@ -1667,7 +2598,7 @@ export class PlaywrightRunner {
         case 'locator_setup':
           // ロケータの設定（主にテストの明確化のため）
           const locator = this.page.locator(step.target);
-          await locator.waitFor({ state: 'visible', timeout: step.timeout || 5000 });
+          await locator.waitFor({ state: 'visible', timeout: this.getStepTimeout(step) });
           console.log(`✅ ロケータ設定完了: ${step.target}`);
           break;
 
@@ -1811,15 +2742,41 @@ export class PlaywrightRunner {
           break;
       }
       
+      // 画面遷移したステップはページのパフォーマンスを計測
+      await this.capturePerformance(step, stepIndex, urlBefore);
+      
       // レポーターに成功を通知
       this.reporter.onStepEnd(stepIndex, { actualResult: 'success' });
       return true;
     } catch (error) {
+      stepFailed = true;
       console.error(`ステップの実行に失敗しました:`, error);
       
       // レポーターに失敗を通知（詳細情報付き）
       await this.reportStepFailure(stepIndex, error, step);
       throw error;
+    } finally {
+      // 途中で return するアクションも含め、すべてのステップの後に検証（制御フローは子ステップごとに検証済み）
+      if (!stepFailed && !ControlFlow.isFlowAction(step.action)) {
+        await this.verifyStepEvents(stepIndex, step);
+      }
+    }
+  }
+
+  /**
+   * ステップ後の検証
+   * - 前のステップで待機を登録したダイアログ・予期しないダイアログ
+   * - ステップ中のページエラー・コンソールエラー・失敗リクエスト（pageEvents の failOn* 有効時）
+   * 検証で失敗した場合はステップの失敗としてレポートする
+   */
+  async verifyStepEvents(stepIndex, step) {
+    try {
+      await this.dialogHandler?.verifyStep();
+      this.pageEventMonitor?.verifyStep();
+    } catch (error) {
+      console.error(`ステップの実行に失敗しました:`, error);
+      await this.reportStepFailure(stepIndex, error, step);
+      throw error;
     }
   }
 
@@ -1827,12 +2784,17 @@ export class PlaywrightRunner {
    * ステップ失敗時の詳細レポート
    */
   async reportStepFailure(stepIndex, error, step) {
+    this.hasFailure = true;
     try {
       const context = {
         pageUrl: this.page.url(),
         pageTitle: await this.page.title(),
-        consoleErrors: [], // 後で実装
-        networkStatus: null // 後で実装
+        consoleErrors: (this.pageEventMonitor?.stepEvents || [])
+          .filter(event => event.kind === 'console' || event.kind === 'pageerror'),
+        networkStatus: {
+          failedRequests: (this.pageEventMonitor?.stepEvents || [])
+            .filter(event => event.kind === 'requestfailed' || event.kind === 'http_error')
+        }
       };
 
       // スクリーンショットを取得
@@ -1917,15 +2879,36 @@ export class PlaywrightRunner {
   }
 
   async cleanup() {
-    // レポーターのテスト完了処理
-    this.finishTest();
+    // トレース・録画のパスを実行ログに残すため、完了処理より先に保存
+    await this.stopTracing();
+    const video = (this.mainPage || this.page)?.video() || null;
     
     if (this.page) {
       await this.page.close();
       this.page = null;
     }
+    this.mainPage = null;
+    this.pageManager = null;
+    this.dialogHandler = null;
+    this.pageEventMonitor = null;
+    this.networkCapture = null;
+    this.fileTransfer = null;
+    if (this.context) {
+      await this.context.close();
+      this.context = null;
+    }
+    // 録画・HARはコンテキスト終了後に確定する
+    await this.finalizeVideo(video);
+    this.finalizeHar();
+    
+    // レポーターのテスト完了処理
+    this.finishTest();
+    
     if (this.browser) {
-      await this.browser.close();
+      // 共有ブラウザはプール側で閉じる
+      if (!this.sharedBrowser) {
+        await this.browser.close();
+      }
       this.browser = null;
     }
   }
@@ -2027,6 +3010,20 @@ export class PlaywrightRunner {
       console.log(`✅ 基本セレクタで要素発見: ${basicCount}個`);
       return { found: true, locator: basicLocator, strategy: 'basic' };
     }
+
+    // 2.5 iframe内を探索（openなShadow DOMはPlaywrightのセレクタが貫通するため基本検出で対応済み）
+    const frameMatches = await findTargetInFrames(this.page, step.target);
+    if (frameMatches.length > 0) {
+      const frameTarget = frameMatches[0].target;
+      console.log(`✅ iframe内で要素発見: ${frameTarget} (${frameMatches[0].count}個)`);
+      return {
+        found: true,
+        locator: resolveTargetLocator(this.page, frameTarget),
+        strategy: 'frame',
+        originalSelector: step.target,
+        newSelector: frameTarget
+      };
+    }
     
     // 3. カスタムUI要素の検出パターン
     const customPatterns = await this.generateCustomUIPatterns(step);
@@ -2054,9 +3051,11 @@ export class PlaywrightRunner {
       }
     }
     
-    // 4. 動的読み込み待機
+    // 4. 動的読み込み待機（短い探索待機）
     console.log(`⏳ 動的読み込み待機中...`);
-    await this.page.waitForTimeout(3000);
+    const waitTimeout = this.getStepTimeout(step, 'waitTimeout');
+    const probeTimeout = Math.min(3000, waitTimeout);
+    await basicLocator.first().waitFor({ state: 'attached', timeout: probeTimeout }).catch(() => {});
     
     // 5. 再検出
     const retryCount = await basicLocator.count();
@@ -2065,6 +3064,17 @@ export class PlaywrightRunner {
       return { found: true, locator: basicLocator, strategy: 'delayed' };
     }
     
+    // 6. 最終待機（stepPolicy の waitTimeout の残りを上限に待つ）
+    if (waitTimeout > probeTimeout) {
+      console.log(`⏳ 最終待機中... (最大${waitTimeout - probeTimeout}ms)`);
+      await basicLocator.first().waitFor({ state: 'attached', timeout: waitTimeout - probeTimeout }).catch(() => {});
+      const finalCount = await basicLocator.count();
+      if (finalCount > 0) {
+        console.log(`✅ 最終待機後に要素発見: ${finalCount}個`);
+        return { found: true, locator: basicLocator, strategy: 'delayed' };
+      }
+    }
+    
     console.log(`❌ 動的UI要素検出失敗: ${step.target}`);
     return { found: false, locator: null, strategy: 'none' };
   }
@@ -2077,78 +3087,37 @@ export class PlaywrightRunner {
     const target = step.target;
     
     // name属性のselect要素パターン
-    if (target.includes('[name="area"]')) {
+    const name = target.match(/\[name="([^"]+)"\]/)?.[1];
+    if (name) {
       patterns.push(
         // 標準的なselect要素
-        { selector: 'select[name="area"]', type: 'standard_select' },
+        { selector: `select[name="${name}"]`, type: 'standard_select' },
         // カスタムドロップダウン
-        { selector: '[data-name="area"], [data-field="area"]', type: 'custom_dropdown' },
+        { selector: `[data-name="${name}"], [data-field="${name}"]`, type: 'custom_dropdown' },
         // div要素のドロップダウン
-        { selector: 'div[class*="select"][class*="area"], div[class*="dropdown"][class*="area"]', type: 'div_dropdown' },
+        { selector: `div[class*="select"][class*="${name}"], div[class*="dropdown"][class*="${name}"]`, type: 'div_dropdown' },
         // ボタン要素のドロップダウン
-        { selector: 'button[class*="select"], button[class*="dropdown"]', type: 'button_dropdown' },
-        // 汎用的なaria-label
-        { selector: '[aria-label*="エリア"], [aria-label*="地域"]', type: 'aria_select' }
-      );
-    }
-    
-    // チェックボックス要素パターン
-    if (target.includes('渋谷・恵比寿・広尾・六本木')) {
-      patterns.push(
-        // 標準的なcheckbox
-        { selector: 'input[type="checkbox"][value*="渋谷"]', type: 'standard_checkbox' },
-        { selector: 'input[type="checkbox"][value*="36"]', type: 'value_checkbox' },
-        // カスタムチェックボックス
-        { selector: '[data-value*="渋谷"], [data-area*="渋谷"]', type: 'custom_checkbox' },
-        // label要素
-        { selector: 'label:has-text("渋谷"), label:has-text("恵比寿")', type: 'label_checkbox' },
-        // div要素のチェックボックス
-        { selector: 'div[class*="checkbox"]:has-text("渋谷")', type: 'div_checkbox' }
+        { selector: 'button[class*="select"], button[class*="dropdown"]', type: 'button_dropdown' }
       );
     }
     
-    // 設定するボタンパターン
-    if (target.includes('設定する')) {
+    // テキスト指定のボタンパターン（text=設定する, button:has-text("設定する") 等）
+    const text = target.match(/^text=["']?([^"']+)["']?$/)?.[1] || target.match(/:has-text\(["']([^"']+)["']\)/)?.[1];
+    if (text) {
       patterns.push(
         // 標準的なボタン
-        { selector: 'button:has-text("設定する")', type: 'standard_button' },
+        { selector: `button:has-text("${text}")`, type: 'standard_button' },
         // input要素のボタン
-        { selector: 'input[type="button"][value="設定する"]', type: 'input_button' },
-        // カスタムボタン
-        { selector: '[data-action="submit"], [data-action="set"]', type: 'custom_button' },
-        // 部分一致
-        { selector: 'button:has-text("設定"), [class*="submit"]:has-text("設定")', type: 'partial_button' }
-      );
-    }
-    
-    // 店舗名表示パターン（HUB渋谷店など）
-    if (target.includes('HUB渋谷店')) {
-      patterns.push(
-        // 標準的なテキスト
-        { selector: 'text="HUB渋谷店"', type: 'standard_text' },
-        // 部分一致
-        { selector: ':has-text("HUB"), :has-text("渋谷店")', type: 'partial_text' },
-        // 店舗カード要素
-        { selector: '[class*="shop"], [class*="store"], [class*="restaurant"]', type: 'shop_card' },
-        // リスト要素
-        { selector: 'li:has-text("HUB"), div:has-text("渋谷店")', type: 'list_item' },
-        // データ属性
-        { selector: '[data-shop*="HUB"], [data-name*="渋谷"]', type: 'data_shop' }
+        { selector: `input[type="button"][value="${text}"], input[type="submit"][value="${text}"]`, type: 'input_button' }
       );
     }
     
-    // FC東京パターン
-    if (target.includes('FC東京')) {
-      patterns.push(
-        // 標準的なテキスト
-        { selector: 'text="FC東京"', type: 'standard_text' },
-        // 部分一致
-        { selector: ':has-text("FC東京"), :has-text("東京")', type: 'partial_text' },
-        // チーム選択要素
-        { selector: '[class*="team"], [class*="club"]', type: 'team_selector' },
-        // データ属性
-        { selector: '[data-team*="東京"], [data-club*="FC"]', type: 'data_team' }
-      );
+    // サイト別のセレクタリポジトリ（selectors/*.json）に登録された候補
+    const candidates = this.page
+      ? findSelectorCandidates(this.selectorRepository, { url: this.page.url(), step, mobile: this.isMobileTest })
+      : null;
+    for (const { selector, variant } of candidates?.selectors || []) {
+      patterns.push({ selector: this.normalizeF12Selector(selector), type: `repository_${variant}` });
     }
     
     return patterns;
@@ -2194,6 +3163,7 @@ export class PlaywrightRunner {
       'data_shop': 0.85,
       'aria_select': 0.90,
       'basic': 1.0,
+      'frame': 0.90,
       'delayed': 0.75
     };
     
@@ -2292,28 +3262,7 @@ export class PlaywrightRunner {
         return partialTextMatch.value;
       }
       
-      // 5. 特定の値マッピング（エリア選択など）
-      const valueMapping = {
-        '東京都': '13',
-        '東京': '13',
-        'Tokyo': '13',
-        '大阪府': '27',
-        '大阪': '27',
-        'Osaka': '27',
-        '神奈川県': '14',
-        '神奈川': '14',
-        '愛知県': '23',
-        '愛知': '23',
-        '福岡県': '40',
-        '福岡': '40'
-      };
-      
-      if (valueMapping[inputValue]) {
-        console.log(`✅ マッピング変換: "${inputValue}" → "${valueMapping[inputValue]}"`);
-        return valueMapping[inputValue];
-      }
-      
-      // 6. フォールバック: 元の値をそのまま使用
+      // 5. フォールバック: 元の値をそのまま使用
       console.log(`⚠️ 変換できませんでした。元の値を使用: "${inputValue}"`);
       return inputValue;
       
@@ -2324,11 +3273,9 @@ export class PlaywrightRunner {
   }
 
   /**
-   * 手動セレクタを活用した要素検出
+   * 手動セレクタを活用した要素検出（selectors/ のサイト別セレクタリポジトリを参照）
    */
   async tryManualSelectors(step) {
-    console.log('🔧 手動セレクタパターンを試行中...');
-    
     // デバイスタイプを検出
     let isMobile, deviceInfo;
     if (this.isAndroidDevice) {
@@ -2341,126 +3288,55 @@ export class PlaywrightRunner {
       isMobile = true;
     } else {
       const viewport = this.page.viewportSize();
-      isMobile = viewport && viewport.width < 768;
+      isMobile = this.emulation.isMobile || !!(viewport && viewport.width < 768);
       deviceInfo = `${isMobile ? 'スマホ版' : 'PC版'} (幅: ${viewport?.width}px)`;
     }
-    console.log(`📱 デバイス検出: ${deviceInfo}`);
-    
-    // 手動セレクタのマッピング（PC版・スマホ版対応）
-    const manualSelectors = {
-      '渋谷': [
-        // F12コンソール形式セレクタ（ユーザー提供）
-        '#__next > div:nth-child(2) > main > div > div.shops_inner__g55WC > div > div.shops_columnLeft__Ki5VN > div > div.SearchInput_sort__newQ4 > div.md\\:none > div > div > div > div > div._SearchItem_form__Nx_1C > div:nth-child(11) > div:nth-child(1) > div._SearchItem_itemSub__Y7NMw._SearchItem_areaSub__66bQd > label:nth-child(1)',
-        // F12コンソール形式（p要素まで含む）
-        '#__next > div:nth-child(2) > main > div > div.shops_inner__g55WC > div > div.shops_columnLeft__Ki5VN > div > div.SearchInput_sort__newQ4 > div.md\\:none > div > div > div > div > div._SearchItem_form__Nx_1C > div:nth-child(11) > div:nth-child(1) > div._SearchItem_itemSub__Y7NMw._SearchItem_areaSub__66bQd > label:nth-child(1) > p',
-        // 短縮版F12セレクタ
-        'div._SearchItem_itemSub__Y7NMw._SearchItem_areaSub__66bQd > label:nth-child(1)',
-        'label:nth-child(1) > p',
-        // スマホ版対応セレクタ
-        'label[class*="_SearchItem_areaCheck"]:has-text("渋谷")',
-        'label[class*="areaCheck"]:has-text("渋谷")',
-        // 汎用セレクタ
-        'label:has-text("渋谷")',
-        'input[type="checkbox"][value*="渋谷"]',
-        '[data-value*="渋谷"]',
-        // テキストベース
-        'text="渋谷"'
-      ],
-      'FC東京': [
-        'label:has-text("FC東京")',
-        'input[type="checkbox"][value*="FC東京"]',
-        '[data-value*="FC東京"]'
-      ],
-      '東京都': [
-        'select[name="area"]',
-        'select[name="area"] option[value="13"]'
-      ],
-      '絞り込む': [
-        'button:has-text("この条件で絞り込む"):visible',
-        'button[type="submit"]:visible',
-        'button[class*="submit"]:visible'
-      ],
-      'この条件で絞り込む': [
-        'button:has-text("この条件で絞り込む"):visible',
-        'button[type="submit"]:visible',
-        'button[class*="submit"]:visible'
-      ],
-      '設定': ['button:has-text("設定")'],
-      '確認': ['button:has-text("確認")'],
-      '送信': ['button:has-text("送信")']
-    };
 
-    // ステップのターゲットから関連するキーワードを抽出
-    const stepTarget = step.target;
-    const stepLabel = step.label || '';
-    
-    for (const [keyword, selectors] of Object.entries(manualSelectors)) {
-      if (stepTarget.includes(keyword) || stepLabel.includes(keyword)) {
-        console.log(`🎯 手動セレクタ適用: ${keyword} (${selectors.length}パターン)`);
-        
-        // デバイスタイプに応じてセレクタの優先順位を調整
-        let prioritizedSelectors = [...selectors];
-        if (isMobile) {
-          // スマホ版では、PC専用セレクタ（長い具体的なパス）を後回しにする
-          prioritizedSelectors = selectors.filter(s => !s.includes('div:nth-child') && !s.includes('md\\:none'))
-            .concat(selectors.filter(s => s.includes('div:nth-child') || s.includes('md\\:none')));
-          console.log(`   📱 スマホ版優先順位でセレクタを並び替え`);
+    const candidates = findSelectorCandidates(this.selectorRepository, { url: this.page.url(), step, mobile: isMobile });
+    if (!candidates) {
+      return null;
+    }
+    console.log(`🔧 手動セレクタ適用: ${candidates.site} / ${candidates.name} (キーワード: ${candidates.keyword}, ${candidates.selectors.length}パターン, ${deviceInfo})`);
+
+    for (let i = 0; i < candidates.selectors.length; i++) {
+      const { selector: originalSelector, variant } = candidates.selectors[i];
+      const selector = this.normalizeF12Selector(originalSelector);
+      console.log(`   🔍 パターン${i + 1} [${variant}]: ${selector}`);
+
+      try {
+        const elements = await this.page.locator(selector).count();
+        if (elements === 0) {
+          console.log(`   ❌ 要素が見つからない`);
+          continue;
         }
-        
-        // 複数のセレクタパターンを順次試行
-        for (let i = 0; i < prioritizedSelectors.length; i++) {
-          let selector = prioritizedSelectors[i];
-          console.log(`   🔍 パターン${i + 1}: ${selector}`);
-          
-          try {
-            // F12コンソール形式のセレクタ正規化
-            selector = this.normalizeF12Selector(selector);
-            console.log(`   🔧 正規化後セレクタ: ${selector}`);
-            
-            // 要素の存在確認
-            const elements = await this.page.locator(selector).count();
-            if (elements > 0) {
-              console.log(`   ✅ 要素発見: ${elements}個`);
-              
-              // 要素の可視性確認
-              const isVisible = await this.page.locator(selector).first().isVisible();
-              if (isVisible) {
-                console.log(`   ✅ 可視要素確認成功`);
-                
-                // 要素タイプを判定
-                const elementType = await this.page.locator(selector).first().evaluate(el => el.tagName.toLowerCase());
-                console.log(`   📋 要素タイプ: ${elementType}`);
-                
-                // 複数要素の場合は最初の要素に限定（Playwright構文を使用）
-                const finalSelector = elements > 1 ? `${selector} >> nth=0` : selector;
-                console.log(`   🎯 最終セレクタ: ${finalSelector} (${elements}個中の最初)`);
-                
-                return {
-                  selector: finalSelector,
-                  strategy: 'manual',
-                  elements: elements,
-                  keyword: keyword,
-                  pattern: i + 1,
-                  elementType: elementType,
-                  deviceType: isMobile ? 'mobile' : 'desktop',
-                  originalSelector: prioritizedSelectors[i]
-                };
-              } else {
-                console.log(`   ⚠️ 要素は存在するが非可視`);
-              }
-            } else {
-              console.log(`   ❌ 要素が見つからない`);
-            }
-          } catch (error) {
-            console.log(`   ❌ セレクタエラー: ${error.message}`);
-          }
+        if (!await this.page.locator(selector).first().isVisible()) {
+          console.log(`   ⚠️ 要素は存在するが非可視 (${elements}個)`);
+          continue;
         }
-        
-        // キーワードが見つかった場合は、他のキーワードは試行しない
-        break;
+
+        const elementType = await this.page.locator(selector).first().evaluate(el => el.tagName.toLowerCase());
+        // 複数要素の場合は最初の要素に限定（Playwright構文を使用）
+        const finalSelector = elements > 1 ? `${selector} >> nth=0` : selector;
+        console.log(`   ✅ 可視要素を発見: ${finalSelector} (${elementType}, ${elements}個)`);
+
+        return {
+          selector: finalSelector,
+          strategy: 'manual',
+          elements: elements,
+          site: candidates.site,
+          name: candidates.name,
+          keyword: candidates.keyword,
+          pattern: i + 1,
+          variant: variant,
+          elementType: elementType,
+          deviceType: isMobile ? 'mobile' : 'desktop',
+          originalSelector: originalSelector
+        };
+      } catch (error) {
+        console.log(`   ❌ セレクタエラー: ${error.message}`);
       }
     }
-    
+
     return null;
   }
 
@@ -2468,21 +3344,8 @@ export class PlaywrightRunner {
    * F12コンソール形式セレクタの正規化
    */
   normalizeF12Selector(selector) {
-    // エスケープされたコロンを正規化（CSS Modules対応）
-    let normalized = selector;
-    
-    // md\:none のようなエスケープされたコロンを正規化
-    normalized = normalized.replace(/\\:/g, ':');
-    
-    // 複数のスペースを単一スペースに
-    normalized = normalized.replace(/\s+/g, ' ');
-    
-    // 先頭・末尾の空白を除去
-    normalized = normalized.trim();
-    
-    console.log(`🔧 F12セレクタ正規化: ${selector} → ${normalized}`);
-    
-    return normalized;
+    // md\:none のようなエスケープされたコロン（CSS Modules）と余分な空白を正規化
+    return normalizeSelector(selector);
   }
 
   /**
@@ -2519,7 +3382,7 @@ export class PlaywrightRunner {
   /**
    * 動的UI要素の検出（手動セレクタ対応版）
    */
-  async detectDynamicUIElements(target, timeout = 10000) {
+  async detectDynamicUIElements(target, timeout = this.getStepTimeout({ target }, 'waitTimeout')) {
     console.log(`🔍 動的UI要素検出開始: ${target}`);
     
     // 1. 手動セレクタを最初に試行
@@ -2601,7 +3464,7 @@ export class PlaywrightRunner {
 /**
  * 分類別バッチ処理結果を実行
  */
-async function executeCategoryBatchRoutes(batchRoute) {
+async function executeCategoryBatchRoutes(batchRoute, baseDir = null) {
   const startTime = Date.now();
   const allResults = {
     batch_id: batchRoute.batch_id,
@@ -2621,26 +3484,38 @@ async function executeCategoryBatchRoutes(batchRoute) {
 
   console.log(`📊 ${batchRoute.categories.length}分類のルートを順次実行します...`);
 
-  const runner = new PlaywrightRunner();
+  let runner = new PlaywrightRunner({ profile: batchRoute.emulation_profile });
+  allResults.emulation_profile = runner.emulation.name;
   await runner.initialize();
+  const fragmentLibrary = loadFragmentLibrary();
+  const flakyPolicy = loadFlakyPolicy();
+  const testResultsDir = path.join(process.cwd(), 'test-results');
 
   try {
     for (const category of batchRoute.categories) {
-      console.log(`\n🔄 実行中: ${category.category}分類 (${category.routes.length}ルート)`);
+      // データセットを持つルートはデータ行ごとのルートに展開し、include のフラグメントを展開（失敗した場合はそのルートを失敗として記録）
+      const routes = category.routes.flatMap(route => {
+        try {
+          return expandRoute(route, baseDir).map(expanded => expandRouteFragments(expanded, fragmentLibrary));
+        } catch (expandError) {
+          return [{ ...route, expand_error: expandError.message }];
+        }
+      });
+      console.log(`\n🔄 実行中: ${category.category}分類 (${routes.length}ルート)`);
       
       const categoryResult = {
         category: category.category,
         test_case_count: category.test_case_count,
-        route_count: category.routes.length,
+        route_count: routes.length,
         executed_count: 0,
         success_count: 0,
         failed_count: 0,
         routes: []
       };
 
-      allResults.summary.total_routes += category.routes.length;
+      allResults.summary.total_routes += routes.length;
 
-      if (category.routes.length === 0) {
+      if (routes.length === 0) {
         console.log(`   ⚠️ 実行可能なルートがありません`);
         allResults.summary.skipped_routes += 1;
         categoryResult.routes.push({
@@ -2653,7 +3528,7 @@ async function executeCategoryBatchRoutes(batchRoute) {
         continue;
       }
 
-      for (const route of category.routes) {
+      for (const route of routes) {
         console.log(`\n  📝 ルート実行: ${route.route_id || 'Unknown'}`);
         console.log(`     観点: ${route.original_viewpoint?.substring(0, 80)}...`);
         
@@ -2664,6 +3539,7 @@ async function executeCategoryBatchRoutes(batchRoute) {
           route_id: route.route_id,
           original_viewpoint: route.original_viewpoint,
           feasibility_score: route.feasibility_score,
+          ...(route.iteration ? { base_route_id: route.base_route_id, iteration: route.iteration } : {}),
           steps: [],
           success: true,
           failed_steps: 0,
@@ -2671,48 +3547,121 @@ async function executeCategoryBatchRoutes(batchRoute) {
         };
 
         const routeStartTime = Date.now();
+        const beginRoute = () => {
+          runner.routeId = route.route_id;
+          runner.getPageEventMonitor().setRoutePolicy(route.page_events);
+          runner.getNetworkCapture().beginRoute(route.route_id);
+          runner.getRouteVariables().beginRoute(route.route_id, route.variables);
+          runner.routePolicy = route.policy || null;
+        };
+        beginRoute();
         
         try {
-          // 各ステップを実行
-          for (const step of route.steps) {
-            const stepLabel = step.label || `${step.action} ${step.target}`;
-            console.log(`     🔧 ${stepLabel}`);
+          if (route.expand_error) {
+            throw new Error(`ルートを展開できません: ${route.expand_error}`);
+          }
+          
+          // 失敗したら flaky.reruns 回まで再実行（再実行で成功したルートは flaky と判定）
+          const attempts = [];
+          for (let attempt = 1; attempt <= flakyPolicy.reruns + 1; attempt++) {
+            if (attempt > 1) {
+              // 失敗した回のページ・Cookie・ストレージを引き継がないよう、新しいコンテキストで再実行
+              console.log(`     🔁 再実行 (${attempt - 1}/${flakyPolicy.reruns}回目)`);
+              await runner.cleanup();
+              runner = new PlaywrightRunner({ profile: batchRoute.emulation_profile });
+              await runner.initialize();
+              beginRoute();
+            }
+            routeResult.steps = [];
+            routeResult.failed_steps = 0;
+            routeResult.blocked_steps = 0;
+            routeResult.success = true;
+            const dependencies = new StepDependencyTracker();
+
+            // 各ステップを実行
+            for (const [stepIndex, step] of route.steps.entries()) {
+              const stepLabel = step.label || `${step.action} ${step.target}`;
+              console.log(`     🔧 ${stepLabel}`);
+            
+              // 前提ステップが失敗していれば実行せず blocked にする
+              const blocker = dependencies.findBlocker(step);
+              if (blocker) {
+                const blocked = StepDependencyTracker.describe(blocker);
+                console.log(`     ⛔ ブロック: ${blocked.message}`);
+                runner.recordBlockedStep(step, stepIndex, blocked);
+                routeResult.steps.push({
+                  label: stepLabel,
+                  action: step.action,
+                  target: step.target,
+                  value: step.value || null,
+                  status: BLOCKED_STATUS,
+                  error: blocked.message,
+                  blocked_by: blocked.blocked_by,
+                  fragment: step.fragment || null
+                });
+                routeResult.blocked_steps++;
+                dependencies.record(step, stepIndex, BLOCKED_STATUS);
+                continue;
+              }
             
-            try {
-              await runner.executeStep(step);
-              console.log(`     ✅ 成功`);
-              routeResult.steps.push({
-                label: stepLabel,
-                action: step.action,
-                target: step.target,
-                value: step.value || null,  // 🔧 valueフィールドを追加
-                status: 'success',
-                error: null
-              });
-            } catch (stepError) {
-              const errorMessage = stepError.message.split('\n')[0];
-              console.log(`     ❌ 失敗: ${errorMessage}`);
-              routeResult.steps.push({
-                label: stepLabel,
-                action: step.action,
-                target: step.target,
-                value: step.value || null,  // 🔧 valueフィールドを追加
-                status: 'failed',
-                error: errorMessage
-              });
-              routeResult.failed_steps++;
-              routeResult.success = false;
+              try {
+                await runner.executeStep(step, stepIndex);
+                dependencies.record(step, stepIndex, 'success');
+                console.log(`     ✅ 成功`);
+                routeResult.steps.push({
+                  label: stepLabel,
+                  action: step.action,
+                  target: step.target,
+                  value: step.value || null,  // 🔧 valueフィールドを追加
+                  status: 'success',
+                  error: null,
+                  page: runner.getActivePageInfo(),
+                  page_events: runner.getStepPageEvents(),
+                  flow: runner.getStepFlow(),
+                  fragment: step.fragment || null
+                });
+              } catch (stepError) {
+                const errorMessage = stepError.message.split('\n')[0];
+                console.log(`     ❌ 失敗: ${errorMessage}`);
+                dependencies.record(step, stepIndex, 'failed');
+                routeResult.steps.push({
+                  label: stepLabel,
+                  action: step.action,
+                  target: step.target,
+                  value: step.value || null,  // 🔧 valueフィールドを追加
+                  status: 'failed',
+                  error: errorMessage,
+                  page: runner.getActivePageInfo(),
+                  page_events: runner.getStepPageEvents(),
+                  flow: runner.getStepFlow(),
+                  fragment: step.fragment || null
+                });
+                routeResult.failed_steps++;
+                routeResult.success = false;
+              }
+            }
+          
+            attempts.push({ attempt, success: routeResult.success, failed_count: routeResult.failed_steps });
+            if (routeResult.success) {
+              break;
             }
           }
+          routeResult.attempts = attempts;
+          routeResult.flaky_status = classifyAttempts(attempts);
           
           routeResult.execution_time = Date.now() - routeStartTime;
+          routeResult.visual_checks = runner.getVisualChecks(route.route_id);
+          routeResult.accessibility_audits = runner.getAccessibilityAudits(route.route_id);
+          routeResult.performance_metrics = runner.getPerformanceMetrics(route.route_id);
+          routeResult.network_assertions = runner.getNetworkAssertions(route.route_id);
+          routeResult.variables = runner.getVariables(route.route_id);
           
           if (routeResult.success) {
             console.log(`  ✅ ルート成功: ${route.route_id}`);
             allResults.summary.success_routes++;
             categoryResult.success_count++;
           } else {
-            console.log(`  ❌ ルート失敗: ${route.route_id} (${routeResult.failed_steps}/${routeResult.steps.length}ステップ失敗)`);
+            console.log(`  ❌ ルート失敗: ${route.route_id} (${routeResult.failed_steps}/${routeResult.steps.length - routeResult.blocked_steps}ステップ失敗${routeResult.blocked_steps > 0 ? `, ${routeResult.blocked_steps}ステップはブロック` : ''})`);
             allResults.summary.failed_routes++;
             categoryResult.failed_count++;
           }
@@ -2721,6 +3670,7 @@ async function executeCategoryBatchRoutes(batchRoute) {
           console.log(`  🚨 ルート実行エラー: ${routeError.message}`);
           routeResult.success = false;
           routeResult.error = routeError.message;
+          routeResult.flaky_status = 'failed';
           allResults.summary.failed_routes++;
           categoryResult.failed_count++;
         }
@@ -2734,15 +3684,34 @@ async function executeCategoryBatchRoutes(batchRoute) {
 
     allResults.execution_time = Date.now() - startTime;
 
+    // ルートの分類を履歴に記録し、不安定度と隔離状態を結果に付与
+    const executedRoutes = allResults.categories.flatMap(cat => cat.routes).filter(routeResult => routeResult.flaky_status);
+    const flakiness = recordFlakyRuns(testResultsDir, executedRoutes.map(routeResult => ({
+      route_id: routeResult.route_id,
+      status: routeResult.flaky_status
+    })), flakyPolicy);
+    executedRoutes.forEach(routeResult => {
+      routeResult.flakiness = flakiness[String(routeResult.route_id)];
+    });
+    allResults.summary.flaky_routes = executedRoutes.filter(routeResult => routeResult.flaky_status === 'flaky').length;
+    allResults.summary.blocked_steps = executedRoutes.reduce((sum, routeResult) => sum + (routeResult.blocked_steps || 0), 0);
+    allResults.summary.quarantined_routes = executedRoutes.filter(routeResult => routeResult.flakiness.quarantined).map(routeResult => routeResult.route_id);
+
     // コンソール出力
     console.log('\n=== 分類別バッチ実行結果 ===');
     console.log(`🔷 バッチID: ${allResults.batch_id}`);
+    console.log(`🔷 実行環境: ${allResults.emulation_profile}`);
     console.log(`🔷 総分類数: ${allResults.summary.total_categories}`);
     console.log(`🔷 総ルート数: ${allResults.summary.total_routes}`);
     console.log(`🔷 実行ルート数: ${allResults.summary.executed_routes}`);
     console.log(`🔷 成功ルート数: ${allResults.summary.success_routes}`);
     console.log(`🔷 失敗ルート数: ${allResults.summary.failed_routes}`);
     console.log(`🔷 スキップ分類数: ${allResults.summary.skipped_routes}`);
+    console.log(`🔷 不安定（再実行で成功）: ${allResults.summary.flaky_routes}`);
+    console.log(`🔷 ブロックされたステップ数: ${allResults.summary.blocked_steps}`);
+    if (allResults.summary.quarantined_routes.length > 0) {
+      console.log(`🔷 隔離中のルート: ${allResults.summary.quarantined_routes.join(', ')}`);
+    }
 
     // 分類別サマリー
     console.log('\n📊 分類別結果:');
@@ -2756,12 +3725,12 @@ async function executeCategoryBatchRoutes(batchRoute) {
 
     // 結果をJSONファイルとして保存
     const timestamp = batchRoute.batch_id.replace('batch_', '');
-    const testResultsDir = path.join(process.cwd(), 'test-results');
     const resultPath = path.join(testResultsDir, `result_${timestamp}.json`);
     fs.writeFileSync(resultPath, JSON.stringify(allResults, null, 2));
     console.log(`\n📝 バッチ実行結果を保存しました: ${resultPath}`);
 
-    const hasFailures = allResults.summary.failed_routes > 0;
+    // 隔離中のルートの失敗はパイプラインを止めない
+    const hasFailures = executedRoutes.some(routeResult => !routeResult.success && !routeResult.flakiness.quarantined);
     console.log(hasFailures ? 
       '\n⚠️ 一部のルートで失敗が発生しました' : 
       '\n🎉 すべてのルートが正常に完了しました'
@@ -2774,11 +3743,61 @@ async function executeCategoryBatchRoutes(batchRoute) {
   }
 }
 
+/**
+ * ブラウザ別のステップ結果をステップ単位に統合
+ * いずれかのエンジンで失敗したステップは失敗として扱い、失敗エンジンを記録する
+ * 失敗はしていないがいずれかのエンジンで blocked になったステップは blocked として扱う
+ * （同じラベルのステップが複数あってもよいよう、step_index で突き合わせる）
+ */
+function mergeBrowserStepResults(successTests, failedTests, blockedTests = []) {
+  const failedByIndex = new Map();
+  failedTests.forEach(test => {
+    const merged = failedByIndex.get(test.step_index);
+    if (merged) {
+      merged.failed_browsers.push(test.browser);
+      merged.error = `${merged.error} / [${test.browser}] ${test.error}`;
+    } else {
+      failedByIndex.set(test.step_index, {
+        ...test,
+        error: `[${test.browser}] ${test.error}`,
+        failed_browsers: [test.browser]
+      });
+    }
+  });
+
+  const blockedByIndex = new Map();
+  blockedTests.forEach(test => {
+    const merged = blockedByIndex.get(test.step_index);
+    if (merged) {
+      merged.blocked_browsers.push(test.browser);
+    } else if (!failedByIndex.has(test.step_index)) {
+      blockedByIndex.set(test.step_index, { ...test, blocked_browsers: [test.browser] });
+    }
+  });
+
+  const successByIndex = new Map();
+  successTests.forEach(test => {
+    if (!failedByIndex.has(test.step_index) && !blockedByIndex.has(test.step_index) && !successByIndex.has(test.step_index)) {
+      successByIndex.set(test.step_index, test);
+    }
+  });
+
+  return {
+    successTests: [...successByIndex.values()],
+    failedTests: [...failedByIndex.values()],
+    blockedTests: [...blockedByIndex.values()]
+  };
+}
+
 // メイン処理
-(async () => {
+/**
+ * CLIのエントリーポイント（ルート実行・--batch-metadata によるバッチ実行）
+ */
+const main = async () => {
   const startTime = Date.now();
   let failedTests = [];
   let successTests = [];
+  let blockedTests = [];
 
   try {
     // コマンドライン引数の解析
@@ -2792,13 +3811,16 @@ async function executeCategoryBatchRoutes(batchRoute) {
       const batchMetadataPath = args[batchMetadataIndex + 1];
       
       const options = {
-        browser: args.includes('--browser') ? args[args.indexOf('--browser') + 1] : 'chromium',
+        browser: getBrowserArg(args),
         headless: !args.includes('--headed'),
+        workers: args.includes('--workers') ? parseInt(args[args.indexOf('--workers') + 1]) : 1,
         timeout: args.includes('--timeout') ? parseInt(args[args.indexOf('--timeout') + 1]) : 30000
       };
       
       console.log('🚀 バッチ実行モードを検出しました');
-      return await runBatchSequential(batchMetadataPath, options);
+      const summary = await runBatchSequential(batchMetadataPath, options);
+      // 隔離中のルートを除いた失敗があればパイプラインを止める
+      process.exit(summary.blocking_failures > 0 ? 1 : 0);
     }
 
     // --route-file 引数の処理
@@ -2862,20 +3884,45 @@ async function executeCategoryBatchRoutes(batchRoute) {
     // QAワークフローでは同じテストを1日に何度も実行する必要があるため
 
     // 3. ルートを読み込む
-    const route = JSON.parse(fs.readFileSync(routePath, 'utf-8'));
+    let route = validateRoute(JSON.parse(fs.readFileSync(routePath, 'utf-8')));
     
     // 分類別バッチ処理結果の場合
     if (route.processing_mode === 'category_batch') {
       console.log('📂 分類別バッチ処理結果を実行します');
-      return await executeCategoryBatchRoutes(route);
+      return await executeCategoryBatchRoutes(route, path.dirname(routePath));
     }
     
-    // 従来の単一ルート処理
-    if (!route.steps || !Array.isArray(route.steps)) {
-      throw new Error('ルートJSONにstepsが含まれていません。正しい形式のJSONを作成してください。');
+    // 従来の単一ルート処理（lint の検出内容は表示のみで、実行は続ける）
+    const lintFindings = lintRoute(route);
+    if (lintFindings.length > 0) {
+      console.log(formatLintReport([toRouteReport(latestFile, route, lintFindings)]));
     }
     console.log('🛠️ [Debug] Parsed route:', route);
 
+    // データ駆動ルートはデータ行ごとにバッチとして実行（各回の結果をバッチ結果に出力）
+    if (route.dataset) {
+      console.log('📄 データセット付きルートを検出しました。データ行ごとに実行します');
+      const summary = await runBatchFromMetadata({
+        // 結果ファイル名（batch_result_<yymmddhhmmss>_dataset.json）を他のバッチ結果と同じ時刻順で並べる
+        batch_id: `batch_${new Date(Date.now() + 9 * 3600 * 1000).toISOString().replace(/\D/g, '').slice(2, 14)}_dataset`,
+        categories: [route.category || 'data_driven'],
+        execution_order: [route.category || 'data_driven'],
+        total_routes: 1,
+        routes: [{
+          route_id: route.route_id || path.basename(routePath, '.json'),
+          category: route.category || 'data_driven',
+          file_name: path.basename(routePath),
+          step_count: route.steps.length,
+          assertion_count: route.steps.filter(step => step.action?.startsWith('assert')).length
+        }]
+      }, path.dirname(routePath), {
+        browser: getBrowserArg(args),
+        headless: !args.includes('--headed'),
+        workers: args.includes('--workers') ? parseInt(args[args.indexOf('--workers') + 1]) : 1
+      });
+      process.exit(summary.blocking_failures > 0 ? 1 : 0);
+    }
+
     // 4. 修正されたルートかどうかを判定
     const isFixedRoute = route.original_route_id || route.fix_timestamp;
     if (isFixedRoute) {
@@ -2888,74 +3935,193 @@ async function executeCategoryBatchRoutes(batchRoute) {
       }
     }
 
-    // 5. Playwright 起動
-    const runner = new PlaywrightRunner();
-    await runner.initialize();
-
-    console.log(`🛠️ [Debug] Running route_id: ${route.route_id || 'undefined'}`);
+    // include ステップを共通手順（fragments/）のステップに展開
+    route = expandRouteFragments(route);
+
+    // 5. ブラウザマトリクスの決定（--browser chromium,firefox,webkit / all）
+    const browsers = parseBrowserList(getBrowserArg());
+    const browserResults = [];
+    const flakyPolicy = loadFlakyPolicy();
+    console.log(`🌐 実行ブラウザ: ${browsers.join(', ')}`);
+
+    for (const browserName of browsers) {
+      const browserStartTime = Date.now();
+      const browserAttempts = [];
+      let browserSuccessTests = [];
+      let browserFailedTests = [];
+      let browserBlockedTests = [];
+      let runner;
+
+      // 失敗したら flaky.reruns 回まで再実行（再実行で成功したルートは flaky と判定）
+      for (let attempt = 1; attempt <= flakyPolicy.reruns + 1; attempt++) {
+        if (attempt > 1) {
+          console.log(`\n🔁 ルートを再実行します (${attempt - 1}/${flakyPolicy.reruns}回目, ${browserName})`);
+        }
+        browserSuccessTests = [];
+        browserFailedTests = [];
+        browserBlockedTests = [];
+        const dependencies = new StepDependencyTracker();
+
+        // Playwright 起動
+        runner = new PlaywrightRunner({
+          browser: browserName,
+          useAuth: route.use_auth !== false,
+          routeId: route.route_id,
+          variables: route.variables,
+          pageEvents: route.page_events,
+          policy: route.policy,
+          profile: route.emulation_profile
+        });
+        // 途中で例外になっても、試行ごとにブラウザ・コンテキストを必ず閉じる
+        try {
+          await runner.initialize();
+
+          console.log(`🛠️ [Debug] Running route_id: ${route.route_id || 'undefined'} (${browserName})`);
+
+          // 6. 各ステップを実行
+          for (const [stepIndex, step] of route.steps.entries()) {
+            // スキップされたステップの処理
+            if (step.action === 'skip') {
+              console.log(`\n⏭️ ステップをスキップ: ${step.label}`);
+              console.log(`   理由: ${step.fix_reason || 'Unknown'}`);
+              dependencies.record(step, stepIndex, 'skipped');
+              continue;
+            }
 
-    // 6. 各ステップを実行
-    for (const step of route.steps) {
-      // スキップされたステップの処理
-      if (step.action === 'skip') {
-        console.log(`\n⏭️ ステップをスキップ: ${step.label}`);
-        console.log(`   理由: ${step.fix_reason || 'Unknown'}`);
-        continue;
-      }
+            const stepLabel = step.label || `${step.action} ${step.target}`;
+            console.log(`\n📝 テストステップ: ${stepLabel}`);
+
+            // 前提ステップ（dependsOn・直前の画面遷移／送信）が失敗していれば実行せず blocked にする
+            const blocker = dependencies.findBlocker(step);
+            if (blocker) {
+              const blocked = StepDependencyTracker.describe(blocker);
+              runner.recordBlockedStep(step, stepIndex, blocked);
+              browserBlockedTests.push({
+                step_index: stepIndex,
+                label: stepLabel,
+                action: step.action,
+                target: step.target,
+                value: step.value || null,
+                error: blocked.message,
+                blocked_by: blocked.blocked_by,
+                timestamp: new Date().toISOString(),
+                isFixed: !!step.fix_reason,
+                browser: browserName,
+                fragment: step.fragment || null
+              });
+              dependencies.record(step, stepIndex, BLOCKED_STATUS);
+              continue;
+            }
 
-      const stepLabel = step.label || `${step.action} ${step.target}`;
-      console.log(`\n📝 テストステップ: ${stepLabel}`);
+            // 修正されたステップの場合は追加情報を表示
+            if (step.fix_reason) {
+              console.log(`🔧 修正済みステップ: ${step.fix_reason}`);
+              if (step.original_target) {
+                console.log(`   元のターゲット: ${step.original_target}`);
+                console.log(`   新しいターゲット: ${step.target}`);
+              }
+            }
 
-      // 修正されたステップの場合は追加情報を表示
-      if (step.fix_reason) {
-        console.log(`🔧 修正済みステップ: ${step.fix_reason}`);
-        if (step.original_target) {
-          console.log(`   元のターゲット: ${step.original_target}`);
-          console.log(`   新しいターゲット: ${step.target}`);
+            try {
+              await runner.executeStep(step, stepIndex);
+              console.log(`✅ ステップ成功: ${stepLabel}`);
+              dependencies.record(step, stepIndex, 'success');
+              browserSuccessTests.push({
+                step_index: stepIndex,
+                label: stepLabel,
+                action: step.action,
+                target: step.target,
+                value: step.value || null,  // 🔧 valueフィールドを追加
+                timestamp: new Date().toISOString(),
+                isFixed: !!step.fix_reason,
+                browser: browserName,
+                page: runner.getActivePageInfo(),
+                page_events: runner.getStepPageEvents(),
+                flow: runner.getStepFlow(),
+                fragment: step.fragment || null
+              });
+            } catch (err) {
+              const errorMessage = err.message.split('\n')[0]; // エラーメッセージの最初の行のみを使用
+              console.log(`❌ テスト失敗: ${stepLabel}\n   理由: ${errorMessage}`);
+          
+              // 修正されたステップが再び失敗した場合の特別処理
+              if (step.fix_reason) {
+                console.log(`🚨 修正されたステップが再び失敗しました！`);
+                console.log(`   修正理由: ${step.fix_reason}`);
+                console.log(`   → さらなる分析が必要です`);
+              }
+          
+              browserFailedTests.push({
+                step_index: stepIndex,
+                label: stepLabel,
+                action: step.action,
+                target: step.target,
+                value: step.value || null,  // 🔧 valueフィールドを追加
+                error: errorMessage,
+                timestamp: new Date().toISOString(),
+                isFixed: !!step.fix_reason,
+                fixReason: step.fix_reason || null,
+                browser: browserName,
+                page: runner.getActivePageInfo(),
+                page_events: runner.getStepPageEvents(),
+                flow: runner.getStepFlow(),
+                fragment: step.fragment || null
+              });
+          
+              dependencies.record(step, stepIndex, 'failed');
+              if (isBlockingStep(step)) {
+                console.log(`⛔ 画面遷移・送信のステップが失敗したため、これに依存する後続のステップは blocked として扱います`);
+              }
+              continue;
+            }
+          }
+        } finally {
+          try {
+            await runner.cleanup();
+          } catch (cleanupError) {
+            console.warn('⚠️ クリーンアップエラー:', cleanupError.message);
+          }
         }
-      }
 
-      try {
-        await runner.executeStep(step);
-        console.log(`✅ ステップ成功: ${stepLabel}`);
-        successTests.push({
-          label: stepLabel,
-          action: step.action,
-          target: step.target,
-          value: step.value || null,  // 🔧 valueフィールドを追加
-          timestamp: new Date().toISOString(),
-          isFixed: !!step.fix_reason
-        });
-      } catch (err) {
-        const errorMessage = err.message.split('\n')[0]; // エラーメッセージの最初の行のみを使用
-        console.log(`❌ テスト失敗: ${stepLabel}\n   理由: ${errorMessage}`);
-        
-        // 修正されたステップが再び失敗した場合の特別処理
-        if (step.fix_reason) {
-          console.log(`🚨 修正されたステップが再び失敗しました！`);
-          console.log(`   修正理由: ${step.fix_reason}`);
-          console.log(`   → さらなる分析が必要です`);
-        }
-        
-        failedTests.push({
-          label: stepLabel,
-          action: step.action,
-          target: step.target,
-          value: step.value || null,  // 🔧 valueフィールドを追加
-          error: errorMessage,
-          timestamp: new Date().toISOString(),
-          isFixed: !!step.fix_reason,
-          fixReason: step.fix_reason || null
-        });
-        
-        // 画面遷移系のアクションが失敗した場合、後続のassertは信頼性が低いため警告
-        if (step.action === 'waitForURL' || step.action === 'click' && step.expectsNavigation) {
-          console.log(`⚠️  注意: 画面遷移が失敗しているため、後続のassertの結果は信頼性が低い可能性があります`);
+        browserAttempts.push({ attempt, success: browserFailedTests.length === 0, failed_count: browserFailedTests.length });
+        if (browserFailedTests.length === 0) {
+          break;
         }
-        continue;
       }
+
+      browserResults.push({
+        browser: browserName,
+        emulation_profile: runner.emulation.name,
+        success: browserFailedTests.length === 0,
+        success_count: browserSuccessTests.length,
+        failed_count: browserFailedTests.length,
+        blocked_count: browserBlockedTests.length,
+        execution_time: Date.now() - browserStartTime,
+        attempts: browserAttempts,
+        flaky_status: classifyAttempts(browserAttempts),
+        trace_path: runner.getTraceLink(),
+        video_path: runner.getVideoLink(),
+        har_path: runner.getHarLink(),
+        visual_checks: runner.getVisualChecks(),
+        accessibility_audits: runner.getAccessibilityAudits(),
+        performance_metrics: runner.getPerformanceMetrics(),
+        network_assertions: runner.getNetworkAssertions(),
+        variables: runner.getVariables()
+      });
+      successTests.push(...browserSuccessTests);
+      failedTests.push(...browserFailedTests);
+      blockedTests.push(...browserBlockedTests);
     }
 
+    // 複数ブラウザ実行時はステップ単位で統合（いずれかのエンジンで失敗したら失敗扱い）
+    if (browsers.length > 1) {
+      ({ successTests, failedTests, blockedTests } = mergeBrowserStepResults(successTests, failedTests, blockedTests));
+    }
+
+    // ルートの分類（passed / flaky / failed）を履歴に記録し、不安定度と隔離状態を取得
+    const flakyStatus = combineFlakyStatuses(browserResults.map(result => result.flaky_status));
+    const flakiness = recordFlakyRuns(testResultsDir, [{ route_id: route.route_id || '未設定', status: flakyStatus }], flakyPolicy)[String(route.route_id || '未設定')];
+
     // テスト結果のJSONオブジェクトを作成
     const testResults = {
       timestamp: new Date().toISOString(),
@@ -2963,21 +4129,42 @@ async function executeCategoryBatchRoutes(batchRoute) {
       total_steps: route.steps.length,
       success_count: successTests.length,
       failed_count: failedTests.length,
+      blocked_count: blockedTests.length,
       success: failedTests.length === 0,
       execution_time: Date.now() - startTime,
       is_fixed_route: isFixedRoute,
       original_route_id: route.original_route_id || null,
       fix_summary: route.fix_summary || null,
+      browsers,
+      emulation_profile: browserResults[0]?.emulation_profile || null,
+      browser_results: browserResults,
+      flaky_status: flakyStatus,
+      flakiness,
+      trace_path: browserResults.find(result => result.trace_path)?.trace_path || null,
+      video_path: browserResults.find(result => result.video_path)?.video_path || null,
+      har_path: browserResults.find(result => result.har_path)?.har_path || null,
+      visual_checks: browserResults.flatMap(result => result.visual_checks),
+      accessibility_audits: browserResults.flatMap(result => result.accessibility_audits),
+      performance_metrics: browserResults.flatMap(result => result.performance_metrics),
+      network_assertions: browserResults.flatMap(result => result.network_assertions),
+      variables: browserResults.flatMap(result => result.variables),
       steps: route.steps.map((step, index) => {
-        const test = successTests.find(t => t.label === step.label) || 
-                    failedTests.find(t => t.label === step.label);
+        const test = successTests.find(t => t.step_index === index) || 
+                    failedTests.find(t => t.step_index === index) ||
+                    blockedTests.find(t => t.step_index === index);
         return {
           label: step.label,
           action: step.action,
           target: step.target,
           value: step.value || null,  // 🔧 valueフィールドを追加
-          status: step.action === 'skip' ? 'skipped' : (test ? (test.error ? 'failed' : 'success') : 'unknown'),
+          status: step.action === 'skip' ? 'skipped' : (test ? (test.blocked_by ? BLOCKED_STATUS : test.error ? 'failed' : 'success') : 'unknown'),
           error: test?.error || null,
+          blocked_by: test?.blocked_by || null,
+          failed_browsers: test?.failed_browsers || (test?.error && !test.blocked_by ? [test.browser] : []),
+          page: test?.page || null,
+          page_events: test?.page_events || null,
+          flow: test?.flow || null,
+          fragment: step.fragment || null,
           isFixed: !!step.fix_reason,
           fixReason: step.fix_reason || null
         };
@@ -2993,7 +4180,9 @@ async function executeCategoryBatchRoutes(batchRoute) {
           successful_routes: failedTests.length === 0 ? 1 : 0,
           total_steps: route.steps.length,
           successful_steps: successTests.length,
-          step_success_rate: (successTests.length / route.steps.length) * 100,
+          blocked_steps: blockedTests.length,
+          // blocked のステップは成功率の分母に含めない
+          step_success_rate: route.steps.length > blockedTests.length ? (successTests.length / (route.steps.length - blockedTests.length)) * 100 : 0,
           execution_success_rate: failedTests.length === 0 ? 100 : 0
         }
       }
@@ -3002,9 +4191,19 @@ async function executeCategoryBatchRoutes(batchRoute) {
     // コンソール出力
     console.log('\n=== テスト実行結果 ===');
     console.log(`🔷 テストID: ${testResults.route_id}`);
+    console.log(`🔷 実行環境: ${testResults.emulation_profile}`);
     console.log(`🔷 総ステップ数: ${testResults.total_steps}`);
     console.log(`🔷 成功数: ${testResults.success_count}`);
     console.log(`🔷 失敗数: ${testResults.failed_count}`);
+    if (blockedTests.length > 0) {
+      console.log(`🔷 ブロック数: ${testResults.blocked_count}（前提ステップの失敗により未実行）`);
+    }
+    console.log(`🔷 判定: ${flakyStatus}${flakiness.runs > 1 ? ` (不安定度 ${flakiness.score}, ${flakiness.flaky_runs}/${flakiness.runs}回 flaky)` : ''}`);
+    if (browsers.length > 1) {
+      browserResults.forEach(result => {
+        console.log(`  🌐 ${result.browser}: ${result.success_count}成功 / ${result.failed_count}失敗${result.blocked_count > 0 ? ` / ${result.blocked_count}ブロック` : ''}`);
+      });
+    }
 
     if (isFixedRoute) {
       const fixedStepResults = testResults.steps.filter(s => s.isFixed);
@@ -3034,6 +4233,12 @@ async function executeCategoryBatchRoutes(batchRoute) {
           console.log(`    ⚠️ 修正済みステップが再失敗`);
         }
       });
+      if (blockedTests.length > 0) {
+        console.log(`\n⛔ 前提ステップの失敗により実行しなかったステップ: ${blockedTests.length}件`);
+        blockedTests.forEach(test => {
+          console.log(`  - ${test.label}（前提: ${test.blocked_by.label}）`);
+        });
+      }
     } else {
       console.log('🎉 すべてのテストが正常に完了しました');
     }
@@ -3103,22 +4308,16 @@ async function executeCategoryBatchRoutes(batchRoute) {
       }
     }
 
-    // 失敗したテストがある場合でも、プロセスは正常終了
-    process.exit(testResults.success ? 0 : 1);
+    // 隔離中のルートの失敗はパイプラインを止めない
+    if (!testResults.success && flakiness.quarantined) {
+      console.log(`🚧 隔離中のルートのため、失敗を終了コードに反映しません (不安定度 ${flakiness.score})`);
+    }
+    process.exit(testResults.success || flakiness.quarantined ? 0 : 1);
   } catch (err) {
     console.error('🚨 予期せぬエラーが発生:', err);
     process.exit(1);
-  } finally {
-    // cleanupをtry-catchで囲んで安全にする
-    try {
-      if (typeof runner !== 'undefined' && runner?.cleanup) {
-        await runner.cleanup();
-      }
-    } catch (cleanupError) {
-      console.warn('⚠️ クリーンアップエラー:', cleanupError.message);
-    }
   }
-})();
+};
 
 /**
  * 重複実行チェック関数は削除（リグレッションテスト対応）
@@ -3315,140 +4514,93 @@ async function runBatchSequential(batchMetadataPath, options = {}) {
     throw new Error(`バッチメタデータファイルが見つかりません: ${batchMetadataPath}`);
   }
   
-  const batchMetadata = JSON.parse(fs.readFileSync(batchMetadataPath, 'utf8'));
-  const baseDir = path.dirname(batchMetadataPath);
-  
+  const batchMetadata = validateBatchMetadata(JSON.parse(fs.readFileSync(batchMetadataPath, 'utf8')));
+  return await runBatchFromMetadata(batchMetadata, path.dirname(batchMetadataPath), options);
+}
+
+/**
+ * バッチメタデータのルートを実行して結果を保存
+ * @param {Object} batchMetadata - バッチメタデータ
+ * @param {string} baseDir - ルートファイルの格納ディレクトリ（結果もここに保存）
+ * @param {Object} options - 実行オプション
+ */
+async function runBatchFromMetadata(batchMetadata, baseDir, options = {}) {
   console.log(`📊 バッチ実行サマリー:`);
   console.log(`   - バッチID: ${batchMetadata.batch_id}`);
   console.log(`   - 総ルート数: ${batchMetadata.total_routes}`);
   console.log(`   - カテゴリ数: ${batchMetadata.categories.length}`);
   console.log(`   - 推奨実行順序: ${batchMetadata.execution_order.join(' → ')}`);
   
-  const results = [];
   const startTime = Date.now();
+  const workers = Math.max(1, parseInt(options.workers, 10) || 1);
+  const flakyPolicy = loadFlakyPolicy();
   
-  // 順次実行
-  for (let i = 0; i < batchMetadata.routes.length; i++) {
-    const routeInfo = batchMetadata.routes[i];
-    // 正しいファイル名を使用（file_nameフィールドまたはfile_pathから取得）
-    const routeFileName = routeInfo.file_name || path.basename(routeInfo.file_path);
-    const routeFilePath = path.join(baseDir, routeFileName);
-    
-    console.log(`\n🔄 実行中 (${i + 1}/${batchMetadata.routes.length}): ${routeInfo.category} - ${routeInfo.route_id}`);
-    console.log(`   - ファイル: ${routeFileName}`);
-    console.log(`   - ステップ数: ${routeInfo.step_count}`);
-    console.log(`   - アサーション数: ${routeInfo.assertion_count}`);
-    
-    if (!fs.existsSync(routeFilePath)) {
-      console.warn(`⚠️ ルートファイルが見つかりません: ${routeFilePath}`);
-      results.push({
-        route_id: routeInfo.route_id,
-        category: routeInfo.category,
-        status: 'file_not_found',
-        error: 'ルートファイルが見つかりません'
+  // ルート×データ行×ブラウザの実行タスクを作成（互換性カテゴリは --browser 未指定時に全エンジンで実行）
+  const tasks = [];
+  batchMetadata.routes.forEach(routeInfo => {
+    const iterations = loadRouteIterations(routeInfo, baseDir);
+    const variants = iterations.length > 0
+      ? iterations.map(iteration => ({ routeInfo: { ...routeInfo, route_id: `${routeInfo.route_id}#${iteration.index + 1}`, base_route_id: routeInfo.route_id }, iteration }))
+      : [{ routeInfo, iteration: null }];
+    variants.forEach(variant => {
+      resolveRouteBrowsers(routeInfo, options.browser).forEach(browserName => {
+        tasks.push({ order: tasks.length, category: routeInfo.category, ...variant, browserName });
       });
-      continue;
-    }
-    
-    try {
-      const routeData = JSON.parse(fs.readFileSync(routeFilePath, 'utf8'));
-      
-      // PlaywrightRunnerを使用してルートを実行
-      const runner = new PlaywrightRunner({
-        browser: options.browser || 'chromium',
-        headless: options.headless !== false,
-        timeout: options.timeout || 30000
-      });
-      
-      const stepStartTime = Date.now();
-      const stepResults = [];
-      
-      await runner.initialize();
-      
-      // 各ステップを実行
-      for (let stepIndex = 0; stepIndex < routeData.steps.length; stepIndex++) {
-        const step = routeData.steps[stepIndex];
-        
-        try {
-          const stepResult = await runner.executeStep(step, stepIndex);
-          stepResults.push({
-            step_index: stepIndex,
-            label: step.label,
-            action: step.action,
-            status: stepResult ? 'success' : 'failed',
-            assertion_type: step.assertion_type || null
-          });
-        } catch (error) {
-          stepResults.push({
-            step_index: stepIndex,
-            label: step.label,
-            action: step.action,
-            status: 'error',
-            error: error.message,
-            assertion_type: step.assertion_type || null
-          });
-        }
-      }
-      
-      await runner.cleanup();
-      
-      const stepEndTime = Date.now();
-      const executionTime = stepEndTime - stepStartTime;
-      
-      const successCount = stepResults.filter(r => r.status === 'success').length;
-      const successRate = Math.round((successCount / stepResults.length) * 100);
-      
-      const result = {
-        route_id: routeInfo.route_id,
-        category: routeInfo.category,
-        test_case_id: routeInfo.test_case_id,
-        status: successRate === 100 ? 'success' : 'partial',
-        success_rate: successRate,
-        execution_time: executionTime,
-        step_results: stepResults,
-        assertion_results: stepResults.filter(r => r.assertion_type),
-        executed_at: new Date().toISOString()
-      };
-      
-      results.push(result);
-      
-      console.log(`   ✅ 実行完了: ${successRate}% (${successCount}/${stepResults.length})`);
+    });
+  });
+  
+  let results;
+  if (workers > 1) {
+    console.log(`⚡ 並列実行モード: ${workers}ワーカー`);
+    results = await runBatchParallel(tasks, batchMetadata, baseDir, { ...options, flakyPolicy }, workers);
+  } else {
+    // 順次実行
+    results = [];
+    for (let i = 0; i < tasks.length; i++) {
+      results.push(await executeBatchRouteWithReruns(tasks[i], tasks.length, baseDir, { ...options, flakyPolicy }));
       
-      if (result.assertion_results.length > 0) {
-        const assertionSuccessCount = result.assertion_results.filter(r => r.status === 'success').length;
-        console.log(`   🎯 アサーション: ${assertionSuccessCount}/${result.assertion_results.length}件成功`);
+      // 次のテストまで少し待機（リソース解放のため）
+      if (i < tasks.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, 1000));
       }
-      
-    } catch (error) {
-      console.error(`   ❌ 実行エラー: ${error.message}`);
-      results.push({
-        route_id: routeInfo.route_id,
-        category: routeInfo.category,
-        status: 'error',
-        error: error.message,
-        executed_at: new Date().toISOString()
-      });
-    }
-    
-    // 次のテストまで少し待機（リソース解放のため）
-    if (i < batchMetadata.routes.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
   }
   
   const endTime = Date.now();
   const totalExecutionTime = endTime - startTime;
   
+  // ルートごと（ブラウザ別の結果をまとめて）に分類を履歴へ記録し、不安定度と隔離状態を結果に付与
+  const routeStatuses = new Map();
+  results.filter(r => r.flaky_status).forEach(r => {
+    routeStatuses.set(r.route_id, [...(routeStatuses.get(r.route_id) || []), r.flaky_status]);
+  });
+  const flakiness = recordFlakyRuns(baseDir, [...routeStatuses].map(([routeId, statuses]) => ({
+    route_id: routeId,
+    status: combineFlakyStatuses(statuses)
+  })), flakyPolicy);
+  results.forEach(r => {
+    r.flakiness = flakiness[String(r.route_id)] || null;
+  });
+  
   // 結果サマリーを生成
   const summary = {
     batch_id: batchMetadata.batch_id,
     executed_at: new Date().toISOString(),
     total_execution_time: totalExecutionTime,
     total_routes: results.length,
+    workers: workers,
     successful_routes: results.filter(r => r.status === 'success').length,
     partial_routes: results.filter(r => r.status === 'partial').length,
     failed_routes: results.filter(r => r.status === 'error' || r.status === 'file_not_found').length,
+    flaky_routes: results.filter(r => r.flaky_status === 'flaky').length,
+    blocked_steps: results.reduce((sum, r) => sum + (r.blocked_count || 0), 0),
+    quarantined_routes: [...new Set(results.filter(r => r.flakiness?.quarantined).map(r => r.route_id))],
+    // 隔離中のルートを除いた失敗・部分成功（パイプラインを止める失敗）
+    blocking_failures: results.filter(r => r.status !== 'success' && !r.flakiness?.quarantined).length,
+    browsers: [...new Set(results.map(r => r.browser).filter(Boolean))],
+    emulation_profiles: [...new Set(results.map(r => r.emulation_profile).filter(Boolean))],
     category_summary: {},
+    browser_summary: summarizeByBrowser(results.filter(r => r.browser)),
     results: results
   };
   
@@ -3470,10 +4622,18 @@ async function runBatchSequential(batchMetadataPath, options = {}) {
   
   console.log(`\n🎉 バッチ順次実行完了!`);
   console.log(`📊 実行サマリー:`);
+  console.log(`   - 実行環境: ${summary.emulation_profiles.join(', ') || '-'}`);
   console.log(`   - 総実行時間: ${Math.round(totalExecutionTime / 1000)}秒`);
   console.log(`   - 成功ルート: ${summary.successful_routes}/${summary.total_routes}`);
   console.log(`   - 部分成功ルート: ${summary.partial_routes}/${summary.total_routes}`);
   console.log(`   - 失敗ルート: ${summary.failed_routes}/${summary.total_routes}`);
+  console.log(`   - 不安定（再実行で成功）: ${summary.flaky_routes}/${summary.total_routes}`);
+  if (summary.blocked_steps > 0) {
+    console.log(`   - ブロックされたステップ: ${summary.blocked_steps}件（前提ステップの失敗により未実行）`);
+  }
+  if (summary.quarantined_routes.length > 0) {
+    console.log(`   - 隔離中のルート: ${summary.quarantined_routes.join(', ')}（失敗してもパイプラインを止めません）`);
+  }
   console.log(`📋 結果ファイル: ${resultPath}`);
   
   // カテゴリ別結果表示
@@ -3482,40 +4642,323 @@ async function runBatchSequential(batchMetadataPath, options = {}) {
     console.log(`   ${category}: ${stats.successful}/${stats.total} (平均成功率: ${stats.average_success_rate}%)`);
   });
   
+  // ブラウザ別結果表示
+  console.log(`\n🌐 ブラウザ別結果:`);
+  Object.entries(summary.browser_summary).forEach(([browser, stats]) => {
+    console.log(`   ${browser}: ${stats.successful}/${stats.total} (平均成功率: ${stats.average_success_rate}%)`);
+  });
+  
   return summary;
 }
 
-// CLIから直接実行された場合の処理を追加
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const args = process.argv.slice(2);
+/**
+ * ルートファイルの dataset を読み込み、繰り返し一覧を返す（dataset がない・読めない場合は空配列）
+ */
+function loadRouteIterations(routeInfo, baseDir) {
+  const routeFilePath = path.join(baseDir, routeInfo.file_name || path.basename(routeInfo.file_path || ''));
+  if (!fs.existsSync(routeFilePath)) {
+    return [];
+  }
+  try {
+    const iterations = expandIterations(JSON.parse(fs.readFileSync(routeFilePath, 'utf8')), baseDir);
+    if (iterations.length > 0) {
+      console.log(`📄 データセット: ${routeInfo.route_id} を${iterations.length}回に展開します`);
+    }
+    return iterations;
+  } catch (error) {
+    console.warn(`⚠️ データセットを読み込めません (${routeInfo.route_id}): ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * バッチ内の1ルートを指定ブラウザで実行
+ * @param {Object} task - { order, routeInfo, browserName, iteration }
+ * @param {number} totalTasks - 総タスク数（ログ表示用）
+ * @param {string} baseDir - ルートファイルの格納ディレクトリ
+ * @param {Object} options - 実行オプション
+ * @param {Function|null} getBrowser - 共有ブラウザの取得関数（並列実行時）
+ */
+async function executeBatchRoute(task, totalTasks, baseDir, options, getBrowser = null) {
+  const { routeInfo, browserName, iteration } = task;
+  // 正しいファイル名を使用（file_nameフィールドまたはfile_pathから取得）
+  const routeFileName = routeInfo.file_name || path.basename(routeInfo.file_path);
+  const routeFilePath = path.join(baseDir, routeFileName);
+  
+  console.log(`\n🔄 実行中 (${task.order + 1}/${totalTasks}): ${routeInfo.category} - ${routeInfo.route_id} [${browserName}]`);
+  console.log(`   - ファイル: ${routeFileName}`);
+  console.log(`   - ステップ数: ${routeInfo.step_count}`);
+  console.log(`   - アサーション数: ${routeInfo.assertion_count}`);
+  if (iteration) {
+    console.log(`   - データ (${iteration.index + 1}/${iteration.total}): ${iteration.label}`);
+  }
+  
+  // データ駆動ルートの各回を区別する項目
+  const iterationInfo = iteration
+    ? { base_route_id: routeInfo.base_route_id, iteration: { index: iteration.index, total: iteration.total, label: iteration.label, data: iteration.data } }
+    : {};
   
-  // --batch-metadata オプションの早期チェック
-  const batchMetadataIndex = args.indexOf('--batch-metadata');
-  if (batchMetadataIndex !== -1 && args[batchMetadataIndex + 1]) {
-    const batchMetadataPath = args[batchMetadataIndex + 1];
-    
-    const options = {
-      browser: args.includes('--browser') ? args[args.indexOf('--browser') + 1] : 'chromium',
-      headless: !args.includes('--headed'),
-      timeout: args.includes('--timeout') ? parseInt(args[args.indexOf('--timeout') + 1]) : 30000
+  if (!fs.existsSync(routeFilePath)) {
+    console.warn(`⚠️ ルートファイルが見つかりません: ${routeFilePath}`);
+    return {
+      route_id: routeInfo.route_id,
+      category: routeInfo.category,
+      ...iterationInfo,
+      browser: browserName,
+      status: 'file_not_found',
+      error: 'ルートファイルが見つかりません'
+    };
+  }
+  
+  let runner = null;
+  let emulationProfile = null;
+  
+  // ランナーを終了し、保存されたトレース・録画・HARのパスを返す
+  const closeRunner = async () => {
+    if (!runner) return { trace_path: null, video_path: null, har_path: null };
+    const closingRunner = runner;
+    runner = null;
+    await closingRunner.cleanup().catch(cleanupError => {
+      console.warn(`   ⚠️ クリーンアップエラー: ${cleanupError.message}`);
+    });
+    return { trace_path: closingRunner.getTraceLink(), video_path: closingRunner.getVideoLink(), har_path: closingRunner.getHarLink() };
+  };
+  
+  try {
+    let routeData = validateRoute(JSON.parse(fs.readFileSync(routeFilePath, 'utf8')));
+    if (iteration) {
+      routeData = applyIteration(routeData, iteration);
+    }
+    routeData = expandRouteFragments(routeData);
+    
+    // PlaywrightRunnerを使用してルートを実行
+    runner = new PlaywrightRunner({
+      browser: browserName,
+      headless: options.headless !== false,
+      timeout: options.timeout || 30000,
+      sharedBrowser: getBrowser ? await getBrowser(browserName) : null,
+      useAuth: routeData.use_auth !== false,
+      routeId: routeInfo.route_id,
+      variables: routeData.variables,
+      pageEvents: routeData.page_events,
+      policy: routeData.policy,
+      profile: routeData.emulation_profile
+    });
+    emulationProfile = runner.emulation.name;
+    
+    const stepStartTime = Date.now();
+    const stepResults = [];
+    const dependencies = new StepDependencyTracker();
+    
+    await runner.initialize();
+    
+    // 各ステップを実行
+    for (let stepIndex = 0; stepIndex < routeData.steps.length; stepIndex++) {
+      const step = routeData.steps[stepIndex];
+      
+      // 前提ステップが失敗していれば実行せず blocked にする
+      const blocker = dependencies.findBlocker(step);
+      if (blocker) {
+        const blocked = StepDependencyTracker.describe(blocker);
+        runner.recordBlockedStep(step, stepIndex, blocked);
+        stepResults.push({
+          step_index: stepIndex,
+          label: step.label,
+          action: step.action,
+          status: BLOCKED_STATUS,
+          error: blocked.message,
+          blocked_by: blocked.blocked_by,
+          assertion_type: step.assertion_type || null,
+          fragment: step.fragment || null
+        });
+        dependencies.record(step, stepIndex, BLOCKED_STATUS);
+        continue;
+      }
+      
+      try {
+        const stepResult = await runner.executeStep(step, stepIndex);
+        dependencies.record(step, stepIndex, stepResult ? 'success' : 'failed');
+        stepResults.push({
+          step_index: stepIndex,
+          label: step.label,
+          action: step.action,
+          status: stepResult ? 'success' : 'failed',
+          assertion_type: step.assertion_type || null,
+          page: runner.getActivePageInfo(),
+          page_events: runner.getStepPageEvents(),
+          flow: runner.getStepFlow(),
+          fragment: step.fragment || null
+        });
+      } catch (error) {
+        dependencies.record(step, stepIndex, 'failed');
+        stepResults.push({
+          step_index: stepIndex,
+          label: step.label,
+          action: step.action,
+          status: 'error',
+          error: error.message,
+          assertion_type: step.assertion_type || null,
+          page: runner.getActivePageInfo(),
+          page_events: runner.getStepPageEvents(),
+          flow: runner.getStepFlow(),
+          fragment: step.fragment || null
+        });
+      }
+    }
+    
+    const stepEndTime = Date.now();
+    const executionTime = stepEndTime - stepStartTime;
+    const closedVisualChecks = runner.getVisualChecks();
+    const closedAccessibilityAudits = runner.getAccessibilityAudits();
+    const closedPerformanceMetrics = runner.getPerformanceMetrics();
+    const closedNetworkAssertions = runner.getNetworkAssertions();
+    const closedVariables = runner.getVariables();
+    const recordings = await closeRunner();
+    
+    const successCount = stepResults.filter(r => r.status === 'success').length;
+    const blockedCount = stepResults.filter(r => r.status === BLOCKED_STATUS).length;
+    // blocked のステップは成功率の分母に含めない
+    const executedCount = stepResults.length - blockedCount;
+    const successRate = executedCount > 0 ? Math.round((successCount / executedCount) * 100) : 0;
+    
+    const result = {
+      route_id: routeInfo.route_id,
+      category: routeInfo.category,
+      test_case_id: routeInfo.test_case_id,
+      ...iterationInfo,
+      browser: browserName,
+      emulation_profile: emulationProfile,
+      status: successRate === 100 && blockedCount === 0 ? 'success' : 'partial',
+      success_rate: successRate,
+      blocked_count: blockedCount,
+      execution_time: executionTime,
+      step_results: stepResults,
+      assertion_results: stepResults.filter(r => r.assertion_type),
+      visual_checks: closedVisualChecks,
+      accessibility_audits: closedAccessibilityAudits,
+      performance_metrics: closedPerformanceMetrics,
+      network_assertions: closedNetworkAssertions,
+      variables: closedVariables,
+      ...recordings,
+      executed_at: new Date().toISOString()
     };
     
-    console.log('🚀 バッチ実行モードを検出しました');
-    runBatchSequential(batchMetadataPath, options)
-      .then(summary => {
-        console.log('\n✅ バッチ実行が正常に完了しました');
-        process.exit(0);
-      })
-      .catch(error => {
-        console.error('\n❌ バッチ実行でエラーが発生しました:', error.message);
-        process.exit(1);
+    console.log(`   ✅ 実行完了 [${browserName}] ${routeInfo.route_id}: ${successRate}% (${successCount}/${executedCount})${blockedCount > 0 ? ` ⛔ ブロック${blockedCount}件` : ''}`);
+    
+    if (result.assertion_results.length > 0) {
+      const assertionSuccessCount = result.assertion_results.filter(r => r.status === 'success').length;
+      console.log(`   🎯 アサーション: ${assertionSuccessCount}/${result.assertion_results.length}件成功`);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error(`   ❌ 実行エラー [${browserName}] ${routeInfo.route_id}: ${error.message}`);
+    if (runner) {
+      runner.hasFailure = true;
+    }
+    return {
+      route_id: routeInfo.route_id,
+      category: routeInfo.category,
+      ...iterationInfo,
+      browser: browserName,
+      emulation_profile: emulationProfile,
+      status: 'error',
+      error: error.message,
+      ...(await closeRunner()),
+      executed_at: new Date().toISOString()
+    };
+  } finally {
+    await closeRunner();
+  }
+}
+
+/**
+ * バッチ内の1ルートを実行し、成功しなければ options.flakyPolicy.reruns 回まで再実行
+ * 最後の回の結果に、各回の結果（attempts）と分類（flaky_status）を付けて返す
+ */
+async function executeBatchRouteWithReruns(task, totalTasks, baseDir, options, getBrowser = null) {
+  const reruns = options.flakyPolicy?.reruns || 0;
+  const attempts = [];
+  let result;
+  for (let attempt = 1; attempt <= reruns + 1; attempt++) {
+    if (attempt > 1) {
+      console.log(`   🔁 再実行 (${attempt - 1}/${reruns}回目) [${task.browserName}] ${task.routeInfo.route_id}`);
+    }
+    result = await executeBatchRoute(task, totalTasks, baseDir, options, getBrowser);
+    attempts.push({ attempt, success: result.status === 'success', status: result.status, success_rate: result.success_rate ?? 0, error: result.error || null });
+    // ルートファイルがない場合は再実行しても変わらない
+    if (result.status === 'success' || result.status === 'file_not_found') {
+      break;
+    }
+  }
+  return {
+    ...result,
+    attempts,
+    flaky_status: result.status === 'file_not_found' ? null : classifyAttempts(attempts)
+  };
+}
+
+/**
+ * ワーカープールでバッチを並列実行
+ * execution_order のカテゴリ順にフェーズを進め、フェーズ内のルートを並列実行する。
+ * ブラウザはエンジンごとに1つ起動して共有し、各ルートは独立したコンテキストで実行する。
+ */
+async function runBatchParallel(tasks, batchMetadata, baseDir, options, workers) {
+  const sequentialCategories = batchMetadata.recommended_execution?.sequential_categories || [];
+  const phases = buildExecutionPhases(tasks, batchMetadata.execution_order || [], sequentialCategories);
+  const sharedBrowsers = new Map();
+  const results = new Array(tasks.length);
+  
+  const getBrowser = (browserName) => {
+    if (!sharedBrowsers.has(browserName)) {
+      sharedBrowsers.set(browserName, launchBrowser(browserName));
+    }
+    return sharedBrowsers.get(browserName);
+  };
+  
+  try {
+    for (const phase of phases) {
+      const concurrency = phase.sequential ? 1 : workers;
+      console.log(`\n⚡ フェーズ開始: ${phase.categories.join(', ')} (${phase.tasks.length}件, 同時実行数: ${concurrency})`);
+      
+      const phaseResults = await runWithWorkers(phase.tasks, concurrency, task =>
+        executeBatchRouteWithReruns(task, tasks.length, baseDir, options, getBrowser)
+      );
+      
+      // タスク作成順に格納して結果の並びを実行タイミングに依存させない
+      phase.tasks.forEach((task, index) => {
+        results[task.order] = phaseResults[index];
       });
-  } else {
-    // --route-file 引数の処理
-    const routeFileIndex = args.indexOf('--route-file');
-    if (routeFileIndex !== -1 && args[routeFileIndex + 1]) {
-      const specificRouteFile = args[routeFileIndex + 1];
-      console.log(`🎯 指定されたルートファイルを使用: ${specificRouteFile}`);
     }
+  } finally {
+    for (const browserPromise of sharedBrowsers.values()) {
+      const browser = await browserPromise.catch(() => null);
+      if (browser) {
+        await browser.close();
+      }
+    }
+  }
+  
+  return results;
+}
+
+/**
+ * ルートを実行するブラウザエンジンを決定
+ * @param {Object} routeInfo - バッチメタデータのルート情報
+ * @param {string|null} browserOption - --browser で指定された値
+ */
+function resolveRouteBrowsers(routeInfo, browserOption) {
+  if (browserOption) {
+    return parseBrowserList(browserOption);
+  }
+  const compatibilityCategories = ['互換性', 'compatibility'];
+  if (compatibilityCategories.includes(routeInfo.category)) {
+    return [...SUPPORTED_BROWSERS];
   }
+  return [DEFAULT_BROWSER];
+}
+
+// CLIから直接実行された場合のみ実行（エントリーポイントはここだけ。読み込んだだけではルートを実行しない）
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+  main();
 }
@@ -0,0 +1,305 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { PNG } from 'pngjs';
+
+/**
+ * 専用ハンドラのアクションをスタブのページで実行する（ブラウザを起動せずに runScenarios.js の executeStep を通す）
+ * - target を持たない・セレクタ以外を target に使うアクションが、従来の target の推測処理で失敗しないこと
+ */
+
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test';
+const { PlaywrightRunner } = await import('../runScenarios.js');
+
+class FakeContext extends EventEmitter {
+  constructor() {
+    super();
+    this.offline = false;
+    this.pageList = [];
+  }
+
+  pages() {
+    return this.pageList;
+  }
+
+  async setOffline(offline) {
+    this.offline = offline;
+  }
+}
+
+class FakePage extends EventEmitter {
+  constructor(context, url) {
+    super();
+    this.browserContext = context;
+    this.currentUrl = url;
+    this.routes = [];
+    // page.evaluate の戻り値（呼び出し順）
+    this.evaluateResults = [];
+    context.pageList.push(this);
+  }
+
+  context() {
+    return this.browserContext;
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  isClosed() {
+    return this.closed === true;
+  }
+
+  async bringToFront() {}
+
+  async opener() {
+    return this.openerPage || null;
+  }
+
+  async close() {
+    this.closed = true;
+    this.browserContext.pageList = this.browserContext.pageList.filter(page => page !== this);
+    this.emit('close');
+  }
+
+  /**
+   * このページから新しいページを開く（context の page イベントを発火）
+   */
+  openPopup(url) {
+    const popup = new FakePage(this.browserContext, url);
+    popup.openerPage = this;
+    this.browserContext.emit('page', popup);
+    return popup;
+  }
+
+  async title() {
+    return 'テストページ';
+  }
+
+  async route(matcher, handler) {
+    this.routes.push({ matcher, handler });
+  }
+
+  async unroute(matcher) {
+    this.routes = this.routes.filter(route => route.matcher !== matcher);
+  }
+
+  async evaluate() {
+    return this.evaluateResults.shift();
+  }
+
+  async screenshot() {
+    return this.screenshotBuffer;
+  }
+
+  async waitForLoadState() {}
+
+  async waitForTimeout() {}
+}
+
+/**
+ * スタブのダイアログ（応答を記録する）
+ */
+function createDialog(type, message) {
+  const dialog = {
+    response: null,
+    type: () => type,
+    message: () => message,
+    defaultValue: () => '',
+    accept: async promptText => { dialog.response = { accepted: true, promptText }; },
+    dismiss: async () => { dialog.response = { accepted: false }; }
+  };
+  return dialog;
+}
+
+/**
+ * スタブのリクエストを送信して完了させる（context の request / requestfinished イベントを発火）
+ */
+async function sendRequest(context, { method = 'GET', url, body = null, status = 200, responseBody = '' }) {
+  const response = { status: () => status, text: async () => responseBody };
+  const request = {
+    method: () => method,
+    url: () => url,
+    resourceType: () => 'fetch',
+    postData: () => (body ? JSON.stringify(body) : null),
+    postDataJSON: () => body,
+    response: async () => response,
+    failure: () => null
+  };
+  context.emit('request', request);
+  context.emit('requestfinished', request);
+  await new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * スタブのページを持つランナーを作成（結果は一時ディレクトリに出力）
+ */
+function createRunner(t, url = 'https://example.com/reserve') {
+  // 実行ログはテスト結果の出力に混ぜない
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'autoplaywright-test-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+  const runner = new PlaywrightRunner({ outputDir, browser: 'chromium' });
+  const context = new FakeContext();
+  runner.context = context;
+  runner.page = new FakePage(context, url);
+  return { runner, context, page: runner.page };
+}
+
+test('setOffline / clearMocks は target なしで実行できる', async t => {
+  const { runner, context, page } = createRunner(t);
+  await page.route('**/api/**', () => {});
+  runner.getNetworkMocker().mocks.push({ action: 'mockResponse', target: '/api/', matcher: '**/api/**' });
+
+  assert.equal(await runner.executeStep({ action: 'setOffline', value: true }, 0), true);
+  assert.equal(context.offline, true);
+  assert.equal(await runner.executeStep({ action: 'setOffline', value: false }, 1), true);
+  assert.equal(context.offline, false);
+  assert.equal(await runner.executeStep({ action: 'clearMocks' }, 2), true);
+  assert.equal(page.routes.length, 0);
+});
+
+test('waitForPopup / switchToPage / closePage は target なしで実行できる', async t => {
+  const { runner, page } = createRunner(t);
+  runner.getPageManager();
+  const popup = page.openPopup('https://example.com/terms');
+
+  assert.equal(await runner.executeStep({ action: 'waitForPopup' }, 0), true);
+  assert.equal(runner.page, popup);
+  assert.equal(await runner.executeStep({ action: 'switchToPage', value: 0 }, 1), true);
+  assert.equal(runner.page, page);
+  assert.equal(await runner.executeStep({ action: 'switchToPage', value: '/terms' }, 2), true);
+  assert.equal(runner.page, popup);
+  assert.equal(await runner.executeStep({ action: 'closePage' }, 3), true);
+  assert.equal(popup.isClosed(), true);
+  assert.equal(runner.page, page);
+});
+
+test('acceptDialog / dismissDialog / expectDialog は value だけで実行できる', async t => {
+  const { runner, page } = createRunner(t);
+  runner.getDialogHandler().policy = 'fail';
+
+  const prompt = createDialog('prompt', 'お名前を入力してください');
+  assert.equal(await runner.executeStep({ action: 'acceptDialog', value: '山田太郎' }, 0), true);
+  page.emit('dialog', prompt);
+  assert.equal(await runner.executeStep({ action: 'setOffline', value: false }, 1), true);
+  assert.deepEqual(prompt.response, { accepted: true, promptText: '山田太郎' });
+
+  const confirm = createDialog('confirm', '予約を取り消しますか');
+  assert.equal(await runner.executeStep({ action: 'dismissDialog' }, 2), true);
+  page.emit('dialog', confirm);
+  assert.equal(await runner.executeStep({ action: 'setOffline', value: false }, 3), true);
+  assert.deepEqual(confirm.response, { accepted: false });
+
+  const alert = createDialog('alert', '保存しました');
+  assert.equal(await runner.executeStep({ action: 'expectDialog', value: '保存しました' }, 4), true);
+  page.emit('dialog', alert);
+  assert.equal(await runner.executeStep({ action: 'setOffline', value: false }, 5), true);
+  assert.equal(alert.response.accepted, true);
+});
+
+test('assertDownload は target なしで直前のダウンロードを検証できる', async t => {
+  const { runner, page } = createRunner(t);
+  const filePath = path.join(runner.directoryManager.baseDir, 'reservations.csv');
+  fs.writeFileSync(filePath, '\uFEFF予約番号,氏名\n1001,山田太郎\n');
+  runner.getFileTransfer().lastDownload = { fileName: 'reservations.csv', path: filePath, size: fs.statSync(filePath).size, url: page.url() };
+
+  const step = { action: 'assertDownload', assert: { rowCount: 1, headers: ['予約番号', '氏名'], contains: '山田' } };
+  assert.equal(await runner.executeStep(step, 0), true);
+  await assert.rejects(
+    runner.executeStep({ action: 'assertDownload', assert: { rowCount: 2 } }, 1),
+    /データ行数が一致しません/
+  );
+});
+
+test('assertScreenshot は target なしでページ全体を比較できる', async t => {
+  const { runner, page } = createRunner(t);
+  const visual = runner.getVisualRegression();
+  visual.config.baselineDir = path.join(runner.directoryManager.baseDir, 'visual-baselines');
+  const image = new PNG({ width: 2, height: 2 });
+  image.data.fill(255);
+  page.screenshotBuffer = PNG.sync.write(image);
+
+  assert.equal(await runner.executeStep({ action: 'assertScreenshot', name: 'reserve-form' }, 0), true);
+  assert.equal(await runner.executeStep({ action: 'assertScreenshot', name: 'reserve-form' }, 1), true);
+  assert.deepEqual(visual.checks.map(check => check.status), ['baseline_created', 'passed']);
+  assert.ok(fs.existsSync(path.join(visual.config.baselineDir, 'chromium', 'pc', 'reserve-form.png')));
+});
+
+test('auditAccessibility は target なしでページ全体を監査できる', async t => {
+  const { runner, page } = createRunner(t);
+  page.evaluateResults = [true, { violations: [], passes: 12, incomplete: 0 }];
+
+  assert.equal(await runner.executeStep({ action: 'auditAccessibility' }, 0), true);
+  const [audit] = runner.getAccessibilityAudits();
+  assert.equal(audit.scope, null);
+  assert.equal(audit.status, 'passed');
+});
+
+test('measurePerformance は target なしで現在のページを計測できる', async t => {
+  const { runner, page } = createRunner(t);
+  page.evaluateResults = [{
+    ttfb: 120, domContentLoaded: 480, load: 900, documentSize: 2048, lcp: 1100, cls: 0.01, inp: null,
+    longTasks: 0, longTaskTime: 0, resourceCount: 3, resourceTransferSize: 4096, resourcesByType: { script: 3 }
+  }];
+
+  assert.equal(await runner.executeStep({ action: 'measurePerformance', budget: { lcp: 2500 } }, 0), true);
+  const [measurement] = runner.getPerformanceMetrics();
+  assert.equal(measurement.url, page.url());
+  assert.equal(measurement.metrics.transfer_size, 6144);
+  assert.equal(measurement.status, 'ok');
+});
+
+test('assertNoPageErrors / assertNoConsoleErrors / assertNoFailedRequests は target なしで実行できる', async t => {
+  const { runner, page } = createRunner(t);
+  runner.getPageEventMonitor().setRoutePolicy({ failOnPageError: false, failOnConsoleError: false, failOnHttpError: false });
+
+  assert.equal(await runner.executeStep({ action: 'assertNoPageErrors' }, 0), true);
+  assert.equal(await runner.executeStep({ action: 'assertNoConsoleErrors' }, 1), true);
+  assert.equal(await runner.executeStep({ action: 'assertNoFailedRequests' }, 2), true);
+
+  page.emit('pageerror', new Error('plan is undefined'));
+  page.emit('response', {
+    status: () => 500,
+    url: () => 'https://example.com/api/plans',
+    request: () => ({ method: () => 'GET', resourceType: () => 'fetch' })
+  });
+  await assert.rejects(runner.executeStep({ action: 'assertNoPageErrors' }, 3), /ページで未捕捉のエラーが発生しました/);
+  await assert.rejects(runner.executeStep({ action: 'assertNoConsoleErrors' }, 4), /plan is undefined/);
+  await assert.rejects(runner.executeStep({ action: 'assertNoFailedRequests' }, 5), /失敗したリクエストがあります/);
+  assert.equal(await runner.executeStep({ action: 'assertNoFailedRequests', allow: '/api/plans' }, 6), true);
+});
+
+test('expectRequest / expectResponse は target なしで url の条件で検証できる', async t => {
+  const { runner, context } = createRunner(t);
+  runner.getNetworkCapture();
+  await sendRequest(context, { method: 'POST', url: 'https://example.com/api/reserve', body: { name: '山田太郎', plan_id: 1 } });
+  await sendRequest(context, { url: 'https://example.com/api/plans', responseBody: JSON.stringify({ plans: [{ name: 'お得な特典付きプラン' }] }) });
+
+  const expectRequest = { action: 'expectRequest', method: 'POST', url: '/api/reserve', body: { name: '山田太郎' } };
+  assert.equal(await runner.executeStep(expectRequest, 0), true);
+  const expectResponse = { action: 'expectResponse', url: '/api/plans', status: 200, json: { 'plans.length': 1, 'plans[0].name': '/お得な特典/' } };
+  assert.equal(await runner.executeStep(expectResponse, 1), true);
+  assert.deepEqual(runner.getNetworkAssertions().map(assertion => assertion.status), ['passed', 'passed']);
+
+  await assert.rejects(
+    runner.executeStep({ action: 'expectRequest', url: '/api/cancel', timeout: 50 }, 2),
+    /期待したリクエスト/
+  );
+});
+
+test('storeUrl は target なしで現在のURLから変数に保存できる', async t => {
+  const { runner, context } = createRunner(t, 'https://example.com/ja/reserve.html?plan-id=4#form');
+
+  assert.equal(await runner.executeStep({ action: 'storeUrl', name: 'planId', part: 'param', param: 'plan-id' }, 0), true);
+  assert.equal(await runner.executeStep({ action: 'storeUrl', name: 'reservePath', part: 'pathname' }, 1), true);
+  assert.deepEqual(runner.getVariables().map(capture => [capture.name, capture.value]), [['planId', '4'], ['reservePath', '/ja/reserve.html']]);
+
+  // 保存した変数は後のステップの ${変数名} に使える
+  runner.getNetworkCapture();
+  await sendRequest(context, { url: 'https://example.com/api/plans/4' });
+  assert.equal(await runner.executeStep({ action: 'expectRequest', url: '/api/plans/${planId}' }, 2), true);
+});
@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+/**
+ * アクセシビリティ監査（auditAccessibility）
+ * - axe-core をページに注入してWCAG等のルールで検査し、違反を重要度別に集計
+ * - failOn 以上の重要度の違反が maxViolations 件を超えたらステップを失敗扱い
+ *
+ * ルートJSONの例:
+ *   { "action": "auditAccessibility", "label": "予約画面のアクセシビリティ監査" }
+ *   { "action": "auditAccessibility", "target": "form#reserve", "failOn": "critical",
+ *     "tags": ["wcag2a"], "exclude": [".ad-banner"], "disableRules": ["color-contrast"] }
+ *
+ * config.json の設定例:
+ *   "accessibility": { "tags": ["wcag2a", "wcag2aa"], "failOn": "serious", "maxViolations": 0 }
+ *
+ * iframe内のドキュメントは対象外（メインドキュメントのみ監査）
+ */
+
+export const IMPACT_LEVELS = ['critical', 'serious', 'moderate', 'minor'];
+
+const require = createRequire(import.meta.url);
+let axeSource = null;
+
+/**
+ * axe-core のソースを読み込み（初回のみ）
+ */
+function getAxeSource() {
+  if (!axeSource) {
+    axeSource = fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf-8');
+  }
+  return axeSource;
+}
+
+/**
+ * アクセシビリティ監査の設定を読み込み
+ */
+export function loadAccessibilityConfig(projectRoot = process.cwd()) {
+  let accessibility = {};
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    accessibility = config.accessibility || {};
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  return {
+    tags: accessibility.tags || ['wcag2a', 'wcag2aa'],
+    failOn: accessibility.failOn || 'serious',
+    maxViolations: accessibility.maxViolations ?? 0,
+    disableRules: accessibility.disableRules || []
+  };
+}
+
+/**
+ * 違反を重要度別に集計（ルール数とノード数）
+ */
+export function summarizeViolations(violations) {
+  const summary = { total: violations.length, nodes: 0 };
+  IMPACT_LEVELS.forEach(level => { summary[level] = 0; });
+  violations.forEach(violation => {
+    const level = IMPACT_LEVELS.includes(violation.impact) ? violation.impact : 'minor';
+    summary[level]++;
+    summary.nodes += violation.nodes;
+  });
+  return summary;
+}
+
+/**
+ * failOn 以上の重要度の違反件数を数える（failOn: 'none' は常に0件）
+ */
+export function countBlockingViolations(summary, failOn) {
+  const index = IMPACT_LEVELS.indexOf(failOn);
+  if (index === -1) return 0;
+  return IMPACT_LEVELS.slice(0, index + 1).reduce((sum, level) => sum + summary[level], 0);
+}
+
+class AccessibilityAuditor {
+  /**
+   * @param {Object} options - { browserName, routeId }
+   */
+  constructor(options = {}) {
+    this.config = loadAccessibilityConfig();
+    this.browserName = options.browserName;
+    this.routeId = options.routeId || null;
+    this.audits = [];
+  }
+
+  /**
+   * ページに axe-core を注入して監査を実行
+   * @param {import('playwright').Page} page
+   * @param {Object} step - auditAccessibility ステップ
+   */
+  async audit(page, step) {
+    const tags = step.tags || this.config.tags;
+    const failOn = step.failOn || this.config.failOn;
+    const maxViolations = step.maxViolations ?? this.config.maxViolations;
+    const disableRules = [...this.config.disableRules, ...(step.disableRules || [])];
+
+    if (failOn !== 'none' && !IMPACT_LEVELS.includes(failOn)) {
+      throw new Error(`不明な重要度です: failOn=${failOn}（${IMPACT_LEVELS.join(' / ')} / none）`);
+    }
+
+    const injected = await page.evaluate(() => typeof window.axe !== 'undefined');
+    if (!injected) {
+      await page.evaluate(getAxeSource());
+    }
+
+    const result = await page.evaluate(async ({ include, exclude, tags, rules, disableRules }) => {
+      if (include && !document.querySelector(include)) {
+        return { missingScope: true };
+      }
+      const context = include || exclude.length > 0
+        ? { include: include ? [include] : [document], exclude: exclude.map(selector => [selector]) }
+        : document;
+      const options = {
+        runOnly: rules.length > 0 ? { type: 'rule', values: rules } : { type: 'tag', values: tags },
+        rules: Object.fromEntries(disableRules.map(rule => [rule, { enabled: false }]))
+      };
+      const axeResult = await window.axe.run(context, options);
+      return {
+        violations: axeResult.violations.map(violation => ({
+          id: violation.id,
+          impact: violation.impact,
+          help: violation.help,
+          helpUrl: violation.helpUrl,
+          nodes: violation.nodes.length,
+          targets: violation.nodes.slice(0, 5).map(node => node.target.join(' '))
+        })),
+        passes: axeResult.passes.length,
+        incomplete: axeResult.incomplete.length
+      };
+    }, {
+      include: step.target || null,
+      exclude: [].concat(step.exclude || []),
+      tags,
+      rules: [].concat(step.rules || []),
+      disableRules
+    });
+
+    if (result.missingScope) {
+      throw new Error(`監査範囲の要素が見つかりません: ${step.target}`);
+    }
+
+    const summary = summarizeViolations(result.violations);
+    const blocking = countBlockingViolations(summary, failOn);
+    const audit = {
+      url: page.url(),
+      scope: step.target || null,
+      browser: this.browserName,
+      route_id: this.routeId,
+      label: step.label || null,
+      tags,
+      fail_on: failOn,
+      max_violations: maxViolations,
+      summary,
+      violations: result.violations,
+      passes: result.passes,
+      incomplete: result.incomplete,
+      status: blocking > maxViolations ? 'failed' : 'passed',
+      timestamp: new Date().toISOString()
+    };
+    this.audits.push(audit);
+
+    const counts = IMPACT_LEVELS.map(level => `${level}: ${summary[level]}`).join(', ');
+    if (audit.status === 'failed') {
+      const rules = result.violations
+        .filter(violation => countBlockingViolations(summarizeViolations([violation]), failOn) > 0)
+        .map(violation => violation.id);
+      const error = new Error(`アクセシビリティ違反が許容値を超えています: ${failOn}以上 ${blocking}件 > ${maxViolations}件 (${counts}) - ${rules.join(', ')}`);
+      error.accessibilityAudit = audit;
+      throw error;
+    }
+
+    console.log(`♿ アクセシビリティ監査: 違反${summary.total}件 (${counts}) / 合格ルール${result.passes}件`);
+    return audit;
+  }
+}
+
+export default AccessibilityAuditor;
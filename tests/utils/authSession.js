@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+
+// 同一プロセス内での同時リフレッシュを1回にまとめる
+const refreshPromises = new Map();
+// 強制リフレッシュ（--refresh-auth）はプロセス内で1回だけ行う
+const forcedPaths = new Set();
+
+/**
+ * 文字列・配列・オブジェクト内の ${env:NAME} を環境変数で置換（認証情報をルートJSONに直書きしないため）
+ * 未設定の環境変数はエラー
+ */
+export function resolveEnvPlaceholders(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{env:([A-Z0-9_]+)\}/gi, (match, name) => {
+      if (process.env[name] === undefined) {
+        throw new Error(`環境変数 ${name} が設定されていません`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveEnvPlaceholders(item));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnvPlaceholders(item)]));
+  }
+  return value;
+}
+
+/**
+ * 認証セッション管理
+ * - セットアップルート（ログイン手順のルートJSON）を1回だけ実行してstorageStateを保存
+ * - 保存済みstorageStateを各ルート・バッチ・DOM解析で再利用
+ * - 有効期限切れ（保存からの経過時間・Cookie期限・ログイン画面へのリダイレクト）で自動リフレッシュ
+ *
+ * config.json の設定例:
+ *   "auth": {
+ *     "enabled": true,
+ *     "setupRoute": "auth/login_route.json",
+ *     "storageStatePath": "test-results/.auth/storageState.json",
+ *     "maxAgeMinutes": 60,
+ *     "loginUrlPattern": "/login"
+ *   }
+ */
+class AuthSessionManager {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || process.cwd();
+    this.authConfig = options.authConfig || this.loadAuthConfig();
+    this.storageStatePath = path.resolve(
+      this.projectRoot,
+      this.authConfig.storageStatePath || 'test-results/.auth/storageState.json'
+    );
+  }
+
+  /**
+   * config.json から auth 設定を読み込み
+   */
+  loadAuthConfig() {
+    try {
+      const configPath = path.join(this.projectRoot, 'config.json');
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      return config.auth || {};
+    } catch (error) {
+      console.log('⚠️ 認証設定の読み込みに失敗:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 認証セッションが有効化されているか
+   */
+  isEnabled() {
+    return !!(this.authConfig.enabled && this.authConfig.setupRoute);
+  }
+
+  /**
+   * 保存済みstorageStateがまだ使えるか判定
+   */
+  isStateValid() {
+    if (!fs.existsSync(this.storageStatePath)) {
+      return false;
+    }
+
+    const maxAgeMinutes = this.authConfig.maxAgeMinutes || 60;
+    const ageMs = Date.now() - fs.statSync(this.storageStatePath).mtimeMs;
+    if (ageMs > maxAgeMinutes * 60 * 1000) {
+      console.log(`⏰ storageStateの有効期限切れ（${Math.round(ageMs / 60000)}分経過）`);
+      return false;
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.storageStatePath, 'utf-8'));
+      const nowSeconds = Date.now() / 1000;
+      const expiredCookie = (state.cookies || []).find(cookie => cookie.expires > 0 && cookie.expires < nowSeconds);
+      if (expiredCookie) {
+        console.log(`⏰ 認証Cookieの有効期限切れ: ${expiredCookie.name}`);
+        return false;
+      }
+    } catch (error) {
+      console.log('⚠️ storageStateの読み込みに失敗:', error.message);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * ページがログイン画面に戻されている（セッション切れ）か判定
+   */
+  isLoginPage(url) {
+    const pattern = this.authConfig.loginUrlPattern;
+    return !!(pattern && url && new RegExp(pattern).test(url));
+  }
+
+  /**
+   * 有効なstorageStateを用意してパスを返す（未設定ならnull）
+   * @param {import('playwright').Browser} browser - セットアップルートを実行するブラウザ
+   * @param {Object} options - { force: 強制リフレッシュ（プロセス内で1回のみ）, expired: セッション切れ検出による再取得 }
+   */
+  async ensureStorageState(browser, options = {}) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    const forceOnce = options.force && !forcedPaths.has(this.storageStatePath);
+    if (forceOnce) {
+      forcedPaths.add(this.storageStatePath);
+    }
+    const force = forceOnce || options.expired;
+    if (!force && this.isStateValid()) {
+      return this.storageStatePath;
+    }
+
+    if (!refreshPromises.has(this.storageStatePath)) {
+      const refresh = this.runSetupRoute(browser)
+        .finally(() => refreshPromises.delete(this.storageStatePath));
+      refreshPromises.set(this.storageStatePath, refresh);
+    }
+    await refreshPromises.get(this.storageStatePath);
+    return this.storageStatePath;
+  }
+
+  /**
+   * newContext に渡すオプションを取得
+   */
+  async getContextOptions(browser, options = {}) {
+    const storageState = await this.ensureStorageState(browser, options);
+    return storageState ? { storageState } : {};
+  }
+
+  /**
+   * セットアップルートを実行してstorageStateを保存
+   */
+  async runSetupRoute(browser) {
+    const setupRoutePath = path.resolve(this.projectRoot, this.authConfig.setupRoute);
+    if (!fs.existsSync(setupRoutePath)) {
+      throw new Error(`セットアップルートが見つかりません: ${setupRoutePath}`);
+    }
+
+    const setupRoute = JSON.parse(fs.readFileSync(setupRoutePath, 'utf-8'));
+    if (!Array.isArray(setupRoute.steps) || setupRoute.steps.length === 0) {
+      throw new Error('セットアップルートにstepsが含まれていません');
+    }
+
+    console.log(`🔐 セットアップルートを実行してログイン状態を保存します: ${path.basename(setupRoutePath)}`);
+    const context = await browser.newContext();
+    const page = await context.newPage();
+
+    try {
+      for (const step of setupRoute.steps) {
+        console.log(`   🔐 ${step.label || `${step.action} ${step.target || ''}`}`);
+        await this.executeSetupStep(page, step);
+      }
+
+      if (this.isLoginPage(page.url())) {
+        throw new Error(`ログイン後もログイン画面のままです: ${page.url()}`);
+      }
+
+      fs.mkdirSync(path.dirname(this.storageStatePath), { recursive: true });
+      await context.storageState({ path: this.storageStatePath });
+      console.log(`✅ storageStateを保存しました: ${this.storageStatePath}`);
+    } finally {
+      await context.close();
+    }
+  }
+
+  /**
+   * セットアップルートのステップを実行（ログイン手順に必要なアクションのみ対応）
+   */
+  async executeSetupStep(page, step) {
+    const timeout = step.timeout || 15000;
+    const value = this.resolveValue(step.value);
+
+    switch (step.action) {
+      case 'load':
+      case 'goto':
+        await page.goto(value || step.target, { waitUntil: 'networkidle', timeout });
+        break;
+      case 'fill':
+        await page.fill(step.target, value ?? '', { timeout });
+        break;
+      case 'click':
+        await page.click(step.target, { timeout });
+        break;
+      case 'select':
+      case 'selectOption':
+        await page.selectOption(step.target, value, { timeout });
+        break;
+      case 'check':
+        await page.check(step.target, { timeout });
+        break;
+      case 'keyPress':
+        await page.press(step.target || 'body', value, { timeout });
+        break;
+      case 'waitForSelector':
+        await page.waitForSelector(step.target, { timeout });
+        break;
+      case 'waitForURL':
+        await page.waitForURL(value || step.target, { timeout });
+        break;
+      case 'waitForTimeout':
+        await page.waitForTimeout(Number(value) || 1000);
+        break;
+      default:
+        throw new Error(`セットアップルートで未対応のアクション: ${step.action}`);
+    }
+  }
+
+  /**
+   * 値の ${env:NAME} を環境変数で置換
+   */
+  resolveValue(value) {
+    return typeof value === 'string' ? resolveEnvPlaceholders(value) : value;
+  }
+}
+
+export default AuthSessionManager;
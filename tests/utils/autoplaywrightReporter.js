@@ -122,6 +122,9 @@ class AutoPlaywrightReporter {
       domState: null,
       networkRequests: [],
       consoleErrors: [],
+      dialogs: [],
+      page: null,
+      fragment: step.fragment || null,
       expectedResult: step.expectedResult || null
     };
 
@@ -130,6 +133,160 @@ class AutoPlaywrightReporter {
     return stepLog;
   }
 
+  /**
+   * ステップを実行したページ（タブ・ポップアップ）を記録
+   */
+  recordStepPage(stepIndex, pageInfo) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog || !pageInfo) return;
+    stepLog.page = pageInfo;
+  }
+
+  /**
+   * ステップ中に表示されたダイアログを記録
+   */
+  recordDialog(stepIndex, dialog) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    if (!stepLog.dialogs) {
+      stepLog.dialogs = [];
+    }
+    stepLog.dialogs.push(dialog);
+  }
+
+  /**
+   * ステップでダウンロードしたファイルを記録
+   */
+  recordDownload(stepIndex, download) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.download = download;
+  }
+
+  /**
+   * ビジュアル比較（assertScreenshot）の結果を記録
+   */
+  recordVisualCheck(stepIndex, check) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.visualCheck = check;
+  }
+
+  /**
+   * アクセシビリティ監査（auditAccessibility）の結果を記録
+   */
+  recordAccessibilityAudit(stepIndex, audit) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.accessibilityAudit = audit;
+  }
+
+  /**
+   * ページで発生したエラーを記録（console・pageerror は consoleErrors、失敗リクエストは networkRequests）
+   */
+  recordPageEvent(stepIndex, event) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    if (event.kind === 'console' || event.kind === 'pageerror') {
+      stepLog.consoleErrors.push(event);
+    } else {
+      stepLog.networkRequests.push(event);
+    }
+  }
+
+  /**
+   * ステップ中の通信を記録（enableNetworkLogs 有効時、document・xhr・fetch のみ）
+   */
+  recordNetworkRequest(stepIndex, entry) {
+    if (!this.options.enableNetworkLogs) return;
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.networkRequests.push(entry);
+  }
+
+  /**
+   * ネットワーク検証（expectRequest / expectResponse 等）の結果を記録
+   */
+  recordNetworkAssertion(stepIndex, assertion) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.networkAssertion = assertion;
+  }
+
+  /**
+   * store 系ステップで保存した変数を記録（実行ログ全体の変数一覧も更新）
+   */
+  recordVariable(stepIndex, capture) {
+    this.executionLog.variables = { ...(this.executionLog.variables || {}), [capture.name]: capture.value };
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.storedVariable = capture;
+  }
+
+  /**
+   * 制御フロー（if / repeat / forEach / optional）で実行した分岐を記録
+   */
+  recordFlow(stepIndex, flow) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.flow = flow;
+    if (flow.type === 'optional' && flow.status === 'skipped') {
+      stepLog.result = 'skipped';
+    }
+  }
+
+  /**
+   * 制御フローの子ステップを実行（子ステップのログを親ステップの children に移す）
+   */
+  async runNested(stepIndex, run) {
+    const parentLog = this.executionLog.steps[stepIndex];
+    try {
+      return await run();
+    } finally {
+      const childLog = this.executionLog.steps[stepIndex];
+      if (parentLog && childLog && childLog !== parentLog) {
+        parentLog.children = [...(parentLog.children || []), childLog];
+        this.executionLog.steps[stepIndex] = parentLog;
+      }
+    }
+  }
+
+  /**
+   * ステップで展開した変数を記録
+   */
+  recordVariablesUsed(stepIndex, variables) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.variablesUsed = variables;
+  }
+
+  /**
+   * ステップに適用した実行ポリシー（タイムアウト・リトライ・自動待機）を記録
+   */
+  recordPolicy(stepIndex, policy) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.policy = policy;
+  }
+
+  /**
+   * 再試行したステップの各試行の失敗内容を記録
+   */
+  recordRetries(stepIndex, attempts) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.retries = attempts;
+  }
+
+  /**
+   * ページのパフォーマンス計測結果を記録
+   */
+  recordPerformance(stepIndex, measurement) {
+    const stepLog = this.executionLog.steps[stepIndex];
+    if (!stepLog) return;
+    stepLog.performance = measurement;
+  }
+
   /**
    * テストステップ終了（成功）
    */
@@ -151,6 +308,26 @@ class AutoPlaywrightReporter {
     console.log(`✅ ステップ成功: ${stepLog.label} (${stepLog.timing.duration}ms)`);
   }
 
+  /**
+   * 前提ステップの失敗で実行しなかったステップ（blocked）
+   */
+  onStepBlocked(step, index, blocked) {
+    const now = new Date().toISOString();
+    this.executionLog.steps[index] = {
+      stepId: `step_${index + 1}`,
+      index: index + 1,
+      label: step.label || `Step ${index + 1}`,
+      action: step.action,
+      target: step.target,
+      value: step.value || null,
+      timing: { start: now, end: now, startTimestamp: Date.now(), duration: 0 },
+      result: 'blocked',
+      blockedBy: blocked.blocked_by,
+      fragment: step.fragment || null
+    };
+    console.log(`⛔ ステップをブロック: ${step.label || step.action} - ${blocked.message}`);
+  }
+
   /**
    * テストステップ失敗
    */
@@ -186,7 +363,23 @@ class AutoPlaywrightReporter {
   classifyErrorType(error) {
     const message = error.message || error.toString();
     
-    if (message.includes('Timeout') || message.includes('timeout')) {
+    if (message.includes('予期しないダイアログ')) {
+      return 'UNEXPECTED_DIALOG';
+    } else if (message.includes('ダイアログ')) {
+      return 'DIALOG_ASSERTION';
+    } else if (message.includes('ベースラインと一致しません')) {
+      return 'VISUAL_DIFF';
+    } else if (message.includes('アクセシビリティ違反')) {
+      return 'ACCESSIBILITY_VIOLATION';
+    } else if (message.includes('パフォーマンス予算')) {
+      return 'PERFORMANCE_BUDGET';
+    } else if (message.includes('未捕捉のエラー') || message.includes('コンソールエラー') || message.includes('失敗したリクエスト')) {
+      return 'PAGE_ERROR';
+    } else if (message.startsWith('期待したリクエスト') || message.startsWith('期待したレスポンス') || message.includes('メッセージを受信できませんでした')) {
+      return 'NETWORK_ASSERTION';
+    } else if (message.startsWith('変数に保存する値')) {
+      return 'VARIABLE_CAPTURE';
+    } else if (message.includes('Timeout') || message.includes('timeout')) {
       return 'TIMEOUT';
     } else if (message.includes('not visible') || message.includes('invisible')) {
       return 'ELEMENT_NOT_VISIBLE';
@@ -228,7 +421,8 @@ class AutoPlaywrightReporter {
         pageTitle: context.pageTitle || null,
         availableElements: context.availableElements || [],
         networkStatus: context.networkStatus || null,
-        consoleErrors: context.consoleErrors || []
+        consoleErrors: context.consoleErrors || [],
+        dialogs: stepLog.dialogs || []
       }
     };
 
@@ -261,9 +455,21 @@ class AutoPlaywrightReporter {
       case 'TIMEOUT':
         return 'TIMING_ISSUE';
       case 'NAVIGATION_ERROR':
+      case 'UNEXPECTED_DIALOG':
+      case 'DIALOG_ASSERTION':
+      case 'VARIABLE_CAPTURE':
         return 'FLOW_ISSUE';
       case 'NETWORK_ERROR':
         return 'INFRASTRUCTURE_ISSUE';
+      case 'VISUAL_DIFF':
+        return 'VISUAL_ISSUE';
+      case 'ACCESSIBILITY_VIOLATION':
+        return 'ACCESSIBILITY_ISSUE';
+      case 'PERFORMANCE_BUDGET':
+        return 'PERFORMANCE_ISSUE';
+      case 'PAGE_ERROR':
+      case 'NETWORK_ASSERTION':
+        return 'APPLICATION_ISSUE';
       default:
         return 'UNKNOWN_ISSUE';
     }
@@ -274,6 +480,7 @@ class AutoPlaywrightReporter {
    */
   assessFailureSeverity(error) {
     if (error.type === 'NETWORK_ERROR') return 'HIGH';
+    if (error.type === 'PAGE_ERROR') return 'HIGH';
     if (error.type === 'NAVIGATION_ERROR') return 'HIGH';
     if (error.type === 'ELEMENT_NOT_FOUND') return 'MEDIUM';
     if (error.type === 'TIMEOUT') return 'MEDIUM';
@@ -309,6 +516,48 @@ class AutoPlaywrightReporter {
           action: 'increase_wait_time'
         });
         break;
+      case 'UNEXPECTED_DIALOG':
+        suggestions.push({
+          type: 'HANDLE_DIALOG',
+          description: '予期しないダイアログが表示されました。expectDialog / acceptDialog / dismissDialog ステップの追加を検討してください',
+          action: 'add_dialog_step'
+        });
+        break;
+      case 'VISUAL_DIFF':
+        suggestions.push({
+          type: 'REVIEW_BASELINE',
+          description: '画面がベースラインと異なります。意図した変更であればWebUIのビジュアル差分レビューで承認してください。日時など動的な領域は mask で除外できます',
+          action: 'review_visual_diff'
+        });
+        break;
+      case 'ACCESSIBILITY_VIOLATION':
+        suggestions.push({
+          type: 'FIX_ACCESSIBILITY',
+          description: 'アクセシビリティ違反が検出されました。実行ログの accessibilityAudit の違反ルールと helpUrl を参照して画面を修正してください',
+          action: 'fix_accessibility_violations'
+        });
+        break;
+      case 'PAGE_ERROR':
+        suggestions.push({
+          type: 'INVESTIGATE_APPLICATION',
+          description: 'ページ側でエラーが発生しています。テストの修正ではなくアプリケーションの不具合の可能性があります。意図したエラーであれば allowlist に追加してください',
+          action: 'investigate_page_errors'
+        });
+        break;
+      case 'NETWORK_ASSERTION':
+        suggestions.push({
+          type: 'CHECK_SENT_DATA',
+          description: '期待した通信が見つかりません。実行ログの networkAssertion の候補で送信内容を確認し、入力値が送信されていなければアプリケーションの不具合、URLやキーの違いであればステップの条件を修正してください',
+          action: 'compare_network_candidates'
+        });
+        break;
+      case 'VARIABLE_CAPTURE':
+        suggestions.push({
+          type: 'FIX_CAPTURE_SOURCE',
+          description: '変数に保存する値を取得できませんでした。store 系ステップの target・attribute・pattern が実際の表示内容と合っているか、実行ログの storedVariable と画面を比較してください',
+          action: 'fix_store_step'
+        });
+        break;
     }
     
     return suggestions;
@@ -344,6 +593,11 @@ class AutoPlaywrightReporter {
         needsAlternativeSelector: stepLog.error.type === 'ELEMENT_NOT_FOUND',
         needsFlowAnalysis: stepLog.error.type === 'NAVIGATION_ERROR',
         needsTimingAdjustment: stepLog.error.type === 'TIMEOUT',
+        // ページ側のエラーがあればテストではなくアプリケーションの不具合の可能性
+        pageErrors: stepLog.consoleErrors.filter(event => event.kind === 'pageerror').map(event => event.message),
+        failedRequests: stepLog.networkRequests
+          .filter(event => event.kind === 'requestfailed' || event.kind === 'http_error')
+          .map(event => `${event.status || event.failure} ${event.method} ${event.url}`),
         confidenceLevel: this.calculateConfidenceLevel(stepLog)
       }
     };
@@ -399,6 +653,17 @@ class AutoPlaywrightReporter {
     return filepath;
   }
 
+  /**
+   * 実行成果物（トレース等）のパスを実行ログに記録
+   */
+  addArtifact(type, filePath) {
+    if (!this.executionLog.artifacts) {
+      this.executionLog.artifacts = {};
+    }
+    this.executionLog.artifacts[type] = filePath;
+    console.log(`📎 成果物を記録: ${type} → ${filePath}`);
+  }
+
   /**
    * DOM状態をキャプチャ（プレースホルダー - 実際の実装では page.content() 等を使用）
    */
@@ -440,12 +705,16 @@ class AutoPlaywrightReporter {
     const totalSteps = steps.length;
     const successfulSteps = steps.filter(s => s.result === 'success').length;
     const failedSteps = steps.filter(s => s.result === 'failed').length;
+    // blocked（前提ステップの失敗で未実行）は成功率の分母に含めない
+    const blockedSteps = steps.filter(s => s.result === 'blocked').length;
+    const executedSteps = totalSteps - blockedSteps;
     
     return {
       totalSteps,
       successfulSteps,
       failedSteps,
-      successRate: totalSteps > 0 ? (successfulSteps / totalSteps * 100).toFixed(1) : 0,
+      blockedSteps,
+      successRate: executedSteps > 0 ? (successfulSteps / executedSteps * 100).toFixed(1) : 0,
       averageStepDuration: this.calculateAverageStepDuration(),
       failuresByType: this.categorizeFailures(),
       aiSuggestionsGenerated: steps.filter(s => s.aiAnalysisInput).length
@@ -540,16 +809,17 @@ class AutoPlaywrightReporter {
       total_steps: steps.length,
       success_count: steps.filter(s => s.result === 'success').length,
       failed_count: steps.filter(s => s.result === 'failed').length,
-      success: steps.every(s => s.result === 'success'),
+      success: steps.every(s => s.result === 'success' || s.result === 'skipped'),
       execution_time: this.executionLog.performance.totalDuration,
       is_fixed_route: this.testMetadata.isFixedRoute,
       original_route_id: this.testMetadata.originalRouteId,
+      emulation_profile: this.testMetadata.emulationProfile || null,
       steps: steps.map(step => ({
         label: step.label,
         action: step.action,
         target: step.target,
         value: step.value,
-        status: step.result === 'success' ? 'success' : (step.result === 'failed' ? 'failed' : 'unknown'),
+        status: ['success', 'failed', 'skipped'].includes(step.result) ? step.result : 'unknown',
         error: step.error?.message || null,
         isFixed: step.isFixed || false,
         fixReason: step.fixReason || null
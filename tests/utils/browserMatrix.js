@@ -0,0 +1,117 @@
+import { chromium, firefox, webkit } from 'playwright';
+
+/**
+ * クロスブラウザ実行マトリクス
+ * - ブラウザエンジン名の正規化（chrome/safari等のエイリアス対応）
+ * - --browser 引数の解析（カンマ区切り・all 指定対応）
+ * - エンジン別の実行結果集計
+ */
+
+export const SUPPORTED_BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+export const DEFAULT_BROWSER = 'chromium';
+
+const BROWSER_TYPES = { chromium, firefox, webkit };
+
+const BROWSER_ALIASES = {
+  chrome: 'chromium',
+  edge: 'chromium',
+  ff: 'firefox',
+  safari: 'webkit'
+};
+
+/**
+ * ブラウザ名を正規化
+ */
+export function normalizeBrowserName(name) {
+  const key = String(name || '').trim().toLowerCase();
+  const normalized = BROWSER_ALIASES[key] || key;
+
+  if (!SUPPORTED_BROWSERS.includes(normalized)) {
+    throw new Error(`未対応のブラウザです: ${name} (対応: ${SUPPORTED_BROWSERS.join(', ')})`);
+  }
+  return normalized;
+}
+
+/**
+ * ブラウザ指定文字列をエンジン名の配列に変換
+ * 例: "chromium,firefox" / "all" / "safari"
+ */
+export function parseBrowserList(value) {
+  if (!value) return [DEFAULT_BROWSER];
+
+  const names = Array.isArray(value) ? value : String(value).split(',');
+  if (names.some(name => String(name).trim().toLowerCase() === 'all')) {
+    return [...SUPPORTED_BROWSERS];
+  }
+
+  const browsers = names
+    .filter(name => String(name).trim())
+    .map(normalizeBrowserName);
+
+  return browsers.length > 0 ? [...new Set(browsers)] : [DEFAULT_BROWSER];
+}
+
+/**
+ * コマンドライン引数から --browser の値を取得（"--browser x" と "--browser=x" の両形式）
+ */
+export function getBrowserArg(argv = process.argv) {
+  const inline = argv.find(arg => arg.startsWith('--browser='));
+  if (inline) return inline.split('=')[1];
+
+  const index = argv.indexOf('--browser');
+  if (index !== -1 && argv[index + 1] && !argv[index + 1].startsWith('--')) {
+    return argv[index + 1];
+  }
+  return null;
+}
+
+/**
+ * Playwright の BrowserType を取得
+ */
+export function getBrowserType(name) {
+  return BROWSER_TYPES[normalizeBrowserName(name)];
+}
+
+/**
+ * 実行結果をブラウザ別に集計
+ * @param {Array} results - browser フィールドを持つ実行結果
+ * @returns {Object} ブラウザ名をキーとした集計
+ */
+export function summarizeByBrowser(results) {
+  const summary = {};
+
+  results.forEach(result => {
+    const browser = result.browser || DEFAULT_BROWSER;
+    if (!summary[browser]) {
+      summary[browser] = { total: 0, successful: 0, partial: 0, failed: 0, average_success_rate: 0 };
+    }
+
+    const stats = summary[browser];
+    stats.total++;
+    if (result.status === 'success') {
+      stats.successful++;
+    } else if (result.status === 'partial') {
+      stats.partial++;
+    } else {
+      stats.failed++;
+    }
+    stats.average_success_rate += result.success_rate || 0;
+  });
+
+  Object.values(summary).forEach(stats => {
+    stats.average_success_rate = stats.total > 0 ? Math.round(stats.average_success_rate / stats.total) : 0;
+  });
+
+  return summary;
+}
+
+/**
+ * 指定エンジンのブラウザを起動
+ */
+export async function launchBrowser(name, options = {}) {
+  return getBrowserType(name).launch({
+    headless: process.env.NODE_ENV === 'production',
+    ...options
+  });
+}
@@ -12,6 +12,7 @@ export function parseCLIArgs() {
     .option('-u, --url <url>', 'テスト対象のURL')
     .option('-g, --goal <text>', 'テストの目的・意図')
     .option('-o, --output <path>', '出力ディレクトリのパス')
+    .option('--profile <name>', 'DOM解析に使うエミュレーションプロファイル（テスト実行と同じ名前を指定）')
     .option('-v, --verbose', '詳細なログを出力')
     .parse(process.argv);
   
@@ -0,0 +1,211 @@
+/**
+ * ルートJSONの制御フロー（条件分岐・繰り返し）
+ * - if: condition が成り立てば steps、成り立たなければ else を実行
+ * - repeat: times 回、または while の条件が成り立つ間（max 回まで）steps を実行
+ * - forEach: target に一致する要素ごとに steps を実行（${item} に n 番目の要素のセレクタ、${item_index} に番号が入る）
+ * - どのステップにも optional: true を付けると、失敗してもルートを失敗にしない（executeStep 側で処理）
+ *
+ * condition の書き方:
+ *   { "visible": "#cookie-banner", "timeout": 2000 } / { "notVisible": ".modal" }
+ *   { "url": "/confirm" }（部分一致または "/.../" 正規表現）
+ *   { "variable": "total", "equals": "12,000" } / { "variable": "total", "notEquals": "0" } / { "variable": "id", "matches": "/^[A-Z0-9]+$/" }
+ *   { "all": [条件...] } / { "any": [条件...] } / { "not": 条件 }
+ *
+ * ルートJSONの例:
+ *   { "action": "if", "condition": { "visible": "#cookie-accept", "timeout": 2000 },
+ *     "steps": [ { "action": "click", "target": "#cookie-accept" } ] }
+ *   { "action": "repeat", "while": { "visible": "a.next" }, "max": 5,
+ *     "steps": [ { "action": "click", "target": "a.next" } ] }
+ *   { "action": "forEach", "target": ".plan-list .card", "as": "plan",
+ *     "steps": [ { "action": "assertVisible", "target": "${plan} .price" } ] }
+ */
+
+export const FLOW_ACTIONS = ['if', 'repeat', 'forEach'];
+
+const MAX_ITERATIONS = 100;
+
+/**
+ * パターンに一致するか（"/.../" 形式は正規表現、それ以外は部分一致）
+ */
+function matchesPattern(text, pattern) {
+  const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(text);
+  }
+  return String(text).includes(pattern);
+}
+
+class ControlFlow {
+  /**
+   * @param {Object} handlers
+   * @param {Function} handlers.runStep - 子ステップを実行する関数（executeStep の結果を返す）
+   * @param {Function} handlers.getPage - 操作中のページを返す関数
+   * @param {Function} handlers.resolveLocator - target から Locator を取得する関数
+   * @param {import('./routeVariables.js').default} handlers.variables - ルート変数
+   */
+  constructor(handlers) {
+    this.runStep = handlers.runStep;
+    this.getPage = handlers.getPage;
+    this.resolveLocator = handlers.resolveLocator;
+    this.variables = handlers.variables;
+  }
+
+  /**
+   * 制御フローのアクションかどうか
+   */
+  static isFlowAction(action) {
+    return FLOW_ACTIONS.includes(action);
+  }
+
+  /**
+   * 条件を評価し、結果と説明文を返す
+   */
+  async evaluate(condition) {
+    if (!condition || typeof condition !== 'object') {
+      throw new Error('条件（condition / while）が指定されていません');
+    }
+    if (condition.all) {
+      const results = [];
+      for (const item of condition.all) {
+        results.push(await this.evaluate(item));
+      }
+      return { matched: results.every(result => result.matched), description: results.map(result => result.description).join(' かつ ') };
+    }
+    if (condition.any) {
+      const results = [];
+      for (const item of condition.any) {
+        results.push(await this.evaluate(item));
+      }
+      return { matched: results.some(result => result.matched), description: results.map(result => result.description).join(' または ') };
+    }
+    if (condition.not) {
+      const result = await this.evaluate(condition.not);
+      return { matched: !result.matched, description: `否定(${result.description})` };
+    }
+    if (condition.visible || condition.notVisible) {
+      const selector = condition.visible || condition.notVisible;
+      const locator = this.resolveLocator(selector).first();
+      const visible = condition.timeout
+        ? await locator.waitFor({ state: 'visible', timeout: condition.timeout }).then(() => true, () => false)
+        : await locator.isVisible();
+      return condition.visible
+        ? { matched: visible, description: `${selector} が表示 (${visible ? '表示' : '非表示'})` }
+        : { matched: !visible, description: `${selector} が非表示 (${visible ? '表示' : '非表示'})` };
+    }
+    if (condition.url) {
+      const url = this.getPage().url();
+      return { matched: matchesPattern(url, condition.url), description: `URLが ${condition.url} に一致 (${url})` };
+    }
+    if (condition.variable) {
+      const value = this.variables.values[condition.variable];
+      const actual = value === undefined ? '未定義' : `"${value}"`;
+      if ('equals' in condition) {
+        return { matched: value !== undefined && String(value) === String(condition.equals), description: `${condition.variable} = "${condition.equals}" (${actual})` };
+      }
+      if ('notEquals' in condition) {
+        return { matched: value === undefined || String(value) !== String(condition.notEquals), description: `${condition.variable} ≠ "${condition.notEquals}" (${actual})` };
+      }
+      if ('matches' in condition) {
+        return { matched: value !== undefined && matchesPattern(value, condition.matches), description: `${condition.variable} が ${condition.matches} に一致 (${actual})` };
+      }
+      return { matched: value !== undefined && value !== '', description: `${condition.variable} が定義済み (${actual})` };
+    }
+    throw new Error(`不明な条件です: ${JSON.stringify(condition)}（visible / notVisible / url / variable / all / any / not）`);
+  }
+
+  /**
+   * 子ステップを順に実行し、各ステップの結果を返す（失敗した時点で例外）
+   */
+  async runChildren(steps = [], iteration = null) {
+    const entries = [];
+    for (const child of steps) {
+      const entry = { label: child.label || `${child.action} ${child.target || ''}`.trim(), action: child.action, iteration };
+      try {
+        const result = await this.runStep(child);
+        const flow = result && typeof result === 'object' ? result : null;
+        entries.push({ ...entry, status: flow?.type === 'optional' ? 'skipped' : 'success', ...(flow ? { flow } : {}) });
+      } catch (error) {
+        entries.push({ ...entry, status: 'failed', error: error.message.split('\n')[0], ...(error.flow ? { flow: error.flow } : {}) });
+        error.flowEntries = entries;
+        throw error;
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * 制御フローのステップを実行し、実行した分岐・回数の記録を返す
+   */
+  async run(step) {
+    switch (step.action) {
+      case 'if': {
+        const { matched, description } = await this.evaluate(step.condition);
+        const branch = matched ? 'then' : (step.else ? 'else' : 'none');
+        console.log(`🔀 条件分岐: ${description} → ${matched ? '成立' : '不成立'}（${branch === 'then' ? 'steps を実行' : branch === 'else' ? 'else を実行' : 'スキップ'}）`);
+        const record = { type: 'if', condition: description, matched, branch, steps: [] };
+        try {
+          record.steps = await this.runChildren(branch === 'then' ? step.steps : branch === 'else' ? step.else : []);
+        } catch (error) {
+          record.steps = error.flowEntries || [];
+          error.flow = record;
+          throw error;
+        }
+        return record;
+      }
+
+      case 'repeat': {
+        const max = Math.min(step.max || step.times || MAX_ITERATIONS, MAX_ITERATIONS);
+        const record = { type: 'repeat', condition: null, iterations: 0, steps: [] };
+        try {
+          for (let i = 0; i < max; i++) {
+            if (step.while) {
+              const { matched, description } = await this.evaluate(step.while);
+              record.condition = description;
+              if (!matched) break;
+            }
+            console.log(`🔁 繰り返し ${i + 1}回目${step.times ? `/${step.times}` : ''}`);
+            record.steps.push(...await this.runChildren(step.steps, i + 1));
+            record.iterations = i + 1;
+          }
+        } catch (error) {
+          record.steps.push(...(error.flowEntries || []));
+          error.flow = record;
+          throw error;
+        }
+        if (step.while && record.iterations === max) {
+          console.log(`⚠️ 繰り返しが上限（${max}回）に達しました: ${record.condition}`);
+        }
+        console.log(`🔁 繰り返し完了: ${record.iterations}回`);
+        return record;
+      }
+
+      case 'forEach': {
+        if (!step.target) {
+          throw new Error('forEach には要素のセレクタ（target）が必要です');
+        }
+        const name = step.as || 'item';
+        const count = Math.min(await this.resolveLocator(step.target).count(), step.max || MAX_ITERATIONS);
+        console.log(`🔁 要素ごとの繰り返し: ${step.target}（${count}件）`);
+        const record = { type: 'forEach', condition: `${step.target}（${count}件）`, iterations: 0, steps: [] };
+        try {
+          for (let i = 0; i < count; i++) {
+            this.variables.set(name, `${step.target} >> nth=${i}`);
+            this.variables.set(`${name}_index`, String(i + 1));
+            record.steps.push(...await this.runChildren(step.steps, i + 1));
+            record.iterations = i + 1;
+          }
+        } catch (error) {
+          record.steps.push(...(error.flowEntries || []));
+          error.flow = record;
+          throw error;
+        }
+        return record;
+      }
+
+      default:
+        throw new Error(`未対応の制御フローアクション: ${step.action}`);
+    }
+  }
+}
+
+export default ControlFlow;
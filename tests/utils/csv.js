@@ -0,0 +1,53 @@
+/**
+ * CSVをパース（ダブルクォート・エスケープ・セル内改行・先頭のBOMに対応、空行は除外）
+ * - ダウンロードしたCSVの検証（fileTransfer）とデータセットの読み込み（dataset）で共通に使う
+ * @returns {string[][]} 行ごとのセルの配列
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = String(text).replace(/^﻿/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * CSVをパースし、1行目をヘッダーとして行オブジェクトの配列にする
+ * @returns {Array<Object>} { 列名: 値 } の配列
+ */
+export function parseCSVRecords(text) {
+  const [headers = [], ...rows] = parseCSV(text);
+  return rows.map(row => Object.fromEntries(headers.map((header, index) => [header.trim(), row[index] ?? ''])));
+}
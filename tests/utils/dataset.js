@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCSVRecords } from './csv.js';
+
+/**
+ * データ駆動ルート（データセットによる繰り返し実行）
+ * - ルートJSONの "dataset" にCSV/JSONファイル・行の配列・同値クラスを指定すると、1行ごとに1回ルートを実行する
+ * - ステップの target / value 等の文字列に ${列名} と書くと、その回の行の値に置き換える
+ * - 各回は "<route_id>#<番号>" の別ルートとして結果・レポート・Google Sheets に出力される
+ *
+ * ルートJSONの例:
+ *   "dataset": "data/reserve_inputs.csv"
+ *   "dataset": { "file": "data/reserve_inputs.json", "label": "case", "limit": 10 }
+ *   "dataset": { "rows": [ { "term": "1", "expected": "合計" }, { "term": "9", "expected": "エラー" } ] }
+ *   "dataset": { "equivalence_classes": {
+ *     "term": [ { "value": "1", "label": "最小" }, { "value": "0", "label": "下限未満", "valid": false } ],
+ *     "email": [ "user@example.com", { "value": "invalid", "valid": false } ]
+ *   }, "strategy": "each" }
+ *
+ * 同値クラスの strategy:
+ *   each: 各列の最初の有効クラスを基準行とし、1列ずつ他のクラスに置き換えた行を生成（既定）
+ *   all: 全列のクラスの組み合わせ（MAX_ROWS件まで）
+ */
+
+const MAX_ROWS = 500;
+const PLACEHOLDER_PATTERN = /\$\{([^}:]+)\}/g;
+
+/**
+ * 同値クラスから行を生成
+ * @param {Object} classes - { 列名: [値 または { value, label, valid }] }
+ * @param {string} strategy - 'each' | 'all'
+ */
+export function generateEquivalenceRows(classes, strategy = 'each') {
+  const columns = Object.entries(classes).map(([name, values]) => ({
+    name,
+    classes: [].concat(values).map(item => (item !== null && typeof item === 'object' && 'value' in item
+      ? { value: item.value, label: item.label || String(item.value), valid: item.valid !== false }
+      : { value: item, label: String(item), valid: true }))
+  }));
+  if (columns.some(column => column.classes.length === 0)) {
+    throw new Error('同値クラスが空の列があります');
+  }
+
+  // labelled: ラベルに含める列（each では置き換えた列のみ）
+  const toRow = (picks, labelled) => ({
+    ...Object.fromEntries(picks.map(({ column, item }) => [column.name, item.value])),
+    _label: labelled.map(({ column, item }) => `${column.name}=${item.label}`).join(' / ') || '基準値',
+    _valid: picks.every(({ item }) => item.valid)
+  });
+
+  if (strategy === 'all') {
+    const combinations = columns.reduce(
+      (rows, column) => rows.flatMap(picks => column.classes.map(item => [...picks, { column, item }])),
+      [[]]
+    );
+    return combinations.slice(0, MAX_ROWS).map(picks => toRow(picks, picks));
+  }
+  if (strategy !== 'each') {
+    throw new Error(`不明な同値クラスの組み合わせ方法です: ${strategy}（each / all）`);
+  }
+
+  // 基準行（各列の最初の有効クラス）と、1列ずつ置き換えた行
+  const base = columns.map(column => ({ column, item: column.classes.find(item => item.valid) || column.classes[0] }));
+  const rows = [toRow(base, [])];
+  columns.forEach((column, columnIndex) => {
+    column.classes
+      .filter(item => item !== base[columnIndex].item)
+      .forEach(item => {
+        const picks = [...base];
+        picks[columnIndex] = { column, item };
+        rows.push(toRow(picks, [picks[columnIndex]]));
+      });
+  });
+  return rows.slice(0, MAX_ROWS);
+}
+
+/**
+ * データセットファイルのパスを解決（ルートファイルのディレクトリ → カレントディレクトリの順）
+ */
+function resolveDatasetPath(file, baseDir) {
+  const candidates = path.isAbsolute(file) ? [file] : [path.resolve(baseDir || process.cwd(), file), path.resolve(file)];
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) {
+    throw new Error(`データセットファイルが見つかりません: ${file}`);
+  }
+  return found;
+}
+
+/**
+ * データセットの指定から行の配列を読み込む
+ * @param {string|Object|Array} spec - ルートJSONの dataset
+ * @param {string} baseDir - ルートファイルのディレクトリ
+ */
+export function loadDataset(spec, baseDir) {
+  const options = typeof spec === 'string' ? { file: spec } : Array.isArray(spec) ? { rows: spec } : spec;
+  let rows;
+
+  if (options.rows) {
+    rows = options.rows;
+  } else if (options.equivalence_classes) {
+    rows = generateEquivalenceRows(options.equivalence_classes, options.strategy);
+  } else if (options.file) {
+    const filePath = resolveDatasetPath(options.file, baseDir);
+    const content = fs.readFileSync(filePath, 'utf-8');
+    if (filePath.toLowerCase().endsWith('.csv')) {
+      rows = parseCSVRecords(content);
+    } else {
+      const parsed = JSON.parse(content);
+      rows = Array.isArray(parsed) ? parsed : parsed.rows;
+    }
+  } else {
+    throw new Error('dataset には file / rows / equivalence_classes のいずれかを指定してください');
+  }
+
+  if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object')) {
+    throw new Error('データセットの各行はオブジェクトである必要があります');
+  }
+  return options.limit ? rows.slice(0, options.limit) : rows;
+}
+
+/**
+ * 文字列・配列・オブジェクト内の ${列名} を行の値に置換
+ * 文字列全体が ${列名} の場合は元の型（数値・真偽値等）を保つ。行にない名前はそのまま残す
+ */
+export function interpolateRow(value, row) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\$\{([^}:]+)\}$/);
+    if (whole && Object.prototype.hasOwnProperty.call(row, whole[1])) {
+      return row[whole[1]];
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => (
+      Object.prototype.hasOwnProperty.call(row, name) ? String(row[name] ?? '') : match
+    ));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolateRow(item, row));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateRow(item, row)]));
+  }
+  return value;
+}
+
+/**
+ * ルートの繰り返し一覧を作成（dataset がなければ空配列）
+ */
+export function expandIterations(route, baseDir) {
+  if (!route.dataset) {
+    return [];
+  }
+  const rows = loadDataset(route.dataset, baseDir);
+  const labelColumn = typeof route.dataset === 'object' && route.dataset.label;
+  return rows.map((row, index) => ({
+    index,
+    total: rows.length,
+    label: String((labelColumn && row[labelColumn]) || row._label || `データ${index + 1}`),
+    data: row
+  }));
+}
+
+/**
+ * 繰り返しの1回分のルートを作成（ステップのプレースホルダーを置換し、route_id に番号を付与）
+ */
+export function applyIteration(route, iteration) {
+  const { dataset, ...rest } = route;
+  return {
+    ...rest,
+    route_id: `${route.route_id}#${iteration.index + 1}`,
+    base_route_id: route.route_id,
+    iteration,
+    steps: (route.steps || []).map(step => interpolateRow(step, iteration.data))
+  };
+}
+
+/**
+ * ルートを繰り返し分のルートに展開（dataset がなければそのまま）
+ */
+export function expandRoute(route, baseDir) {
+  const iterations = expandIterations(route, baseDir);
+  if (iterations.length === 0) {
+    return [route];
+  }
+  console.log(`📄 データセット: ${route.route_id} を${iterations.length}回に展開します`);
+  return iterations.map(iteration => applyIteration(route, iteration));
+}
@@ -0,0 +1,232 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * ネイティブダイアログ（alert / confirm / prompt / beforeunload）の処理
+ * - expectDialog: ダイアログの表示とメッセージを検証して応答（既定はaccept）
+ * - acceptDialog / dismissDialog: 次のダイアログに応答（acceptは value でpromptの入力値を指定）
+ * - target 指定時はその要素をクリックしてダイアログを待機、未指定時は次のステップで表示されることを期待
+ *
+ * ルートJSONの例:
+ *   { "action": "expectDialog", "target": "text=\"削除\"", "value": "削除してよろしいですか", "dialogType": "confirm" }
+ *   { "action": "acceptDialog", "value": "山田太郎" }
+ *   { "action": "dismissDialog", "target": "#cancel-reservation" }
+ *
+ * 期待していないダイアログは dialogPolicy に従って応答する
+ * - fail: 閉じて（dismiss）そのステップを失敗扱い（デフォルト）
+ * - dismiss / accept: 警告として記録して続行
+ */
+
+export const DIALOG_ACTIONS = ['expectDialog', 'acceptDialog', 'dismissDialog'];
+export const DIALOG_POLICIES = ['fail', 'dismiss', 'accept'];
+
+/**
+ * 予期しないダイアログのポリシーを決定（優先順: CLI引数 → config.json → fail）
+ */
+export function resolveDialogPolicy(explicitValue) {
+  let value = explicitValue;
+  if (!value) {
+    const inline = process.argv.find(arg => arg.startsWith('--dialog-policy='));
+    value = inline ? inline.split('=')[1] : null;
+  }
+  if (!value) {
+    try {
+      const config = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'config.json'), 'utf-8'));
+      value = config.dialogPolicy;
+    } catch {
+      value = null;
+    }
+  }
+  if (value && !DIALOG_POLICIES.includes(value)) {
+    console.log(`⚠️ 不明なダイアログポリシー "${value}" のため fail を使用します`);
+    return 'fail';
+  }
+  return value || 'fail';
+}
+
+class DialogHandler {
+  constructor(context, reporter, policy = resolveDialogPolicy()) {
+    this.context = context;
+    this.reporter = reporter;
+    this.policy = policy;
+    this.currentStepIndex = 0;
+    this.stepSequence = 0;
+    // 応答待ちの期待（expectDialog / acceptDialog / dismissDialog）
+    this.expectations = [];
+    // target未指定で登録され、次のステップ終了時に検証する期待
+    this.deferred = [];
+    // 現在のステップで発生した予期しないダイアログ
+    this.unexpectedDialogs = [];
+
+    this.context.pages().forEach(page => this.attach(page));
+    this.context.on('page', page => this.attach(page));
+  }
+
+  /**
+   * ダイアログ系アクションかどうか
+   */
+  static isDialogAction(action) {
+    return DIALOG_ACTIONS.includes(action);
+  }
+
+  /**
+   * ページにダイアログリスナーを登録
+   */
+  attach(page) {
+    page.on('dialog', dialog => this.handle(dialog).catch(error => {
+      console.log(`⚠️ ダイアログ応答エラー: ${error.message}`);
+    }));
+  }
+
+  /**
+   * ステップ開始を通知
+   */
+  beginStep(stepIndex) {
+    this.currentStepIndex = stepIndex;
+    this.stepSequence++;
+    this.unexpectedDialogs = [];
+  }
+
+  /**
+   * メッセージがパターンに一致するか（"/.../" 形式は正規表現、それ以外は部分一致）
+   */
+  matchesMessage(message, pattern) {
+    if (!pattern) return true;
+    const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+      return new RegExp(regexMatch[1], regexMatch[2]).test(message);
+    }
+    return message.includes(pattern);
+  }
+
+  /**
+   * ダイアログに応答してレポーターに記録
+   */
+  async handle(dialog) {
+    const expectation = this.expectations.shift();
+    const record = {
+      type: dialog.type(),
+      message: dialog.message(),
+      defaultValue: dialog.defaultValue() || null,
+      expected: !!expectation,
+      timestamp: new Date().toISOString()
+    };
+
+    if (expectation) {
+      const problems = [];
+      if (expectation.dialogType && expectation.dialogType !== record.type) {
+        problems.push(`種類が異なります（期待: ${expectation.dialogType}, 実際: ${record.type}）`);
+      }
+      if (!this.matchesMessage(record.message, expectation.message)) {
+        problems.push(`メッセージが一致しません（期待: "${expectation.message}", 実際: "${record.message}"）`);
+      }
+
+      if (expectation.respond === 'dismiss') {
+        await dialog.dismiss();
+        record.handled = 'dismissed';
+      } else {
+        await dialog.accept(expectation.promptText ?? undefined);
+        record.handled = 'accepted';
+        record.promptText = expectation.promptText ?? null;
+      }
+      record.assertion = problems.length === 0 ? 'passed' : 'failed';
+      console.log(`💬 ダイアログ (${record.type}) に${record.handled === 'accepted' ? '同意' : 'キャンセル'}しました: "${record.message}"`);
+      expectation.resolve({ record, problems });
+    } else {
+      if (this.policy === 'accept') {
+        await dialog.accept();
+        record.handled = 'accepted';
+      } else {
+        await dialog.dismiss();
+        record.handled = 'dismissed';
+      }
+      record.policy = this.policy;
+      console.log(`⚠️ 予期しないダイアログ (${record.type}): "${record.message}" → ${record.handled} (policy: ${this.policy})`);
+      if (this.policy === 'fail') {
+        this.unexpectedDialogs.push(record);
+      }
+    }
+
+    this.reporter.recordDialog(this.currentStepIndex, record);
+  }
+
+  /**
+   * 次のダイアログへの応答を登録
+   */
+  arm(step, policy) {
+    let resolve;
+    const promise = new Promise(res => { resolve = res; });
+    const expectation = {
+      action: step.action,
+      respond: step.action === 'dismissDialog' || step.respond === 'dismiss' ? 'dismiss' : 'accept',
+      message: step.action === 'expectDialog' ? (step.value ?? step.message) : step.message,
+      promptText: step.action === 'acceptDialog' ? step.value : step.promptText,
+      dialogType: step.dialogType || null,
+      timeout: policy.waitTimeout,
+      armedAt: this.stepSequence,
+      promise,
+      resolve
+    };
+    this.expectations.push(expectation);
+    return expectation;
+  }
+
+  /**
+   * ダイアログ系ステップを実行
+   * @param {Function} trigger - ダイアログを表示させる操作（target指定時のクリック）
+   * @param {Object} policy - ステップの実行ポリシー（ダイアログは waitTimeout まで待つ）
+   */
+  async apply(step, trigger, policy) {
+    const expectation = this.arm(step, policy);
+
+    if (!step.target) {
+      this.deferred.push(expectation);
+      console.log(`💬 次のステップでのダイアログに備えます (${expectation.respond})`);
+      return;
+    }
+
+    await trigger();
+    await this.waitFor(expectation);
+  }
+
+  /**
+   * 期待したダイアログの表示を待機して検証
+   */
+  async waitFor(expectation) {
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), expectation.timeout);
+    });
+    const result = await Promise.race([expectation.promise, timeout]);
+    clearTimeout(timer);
+
+    if (!result) {
+      this.expectations = this.expectations.filter(item => item !== expectation);
+      throw new Error(`期待したダイアログが表示されませんでした（${expectation.timeout}ms）`);
+    }
+    if (result.problems.length > 0) {
+      throw new Error(`ダイアログの検証に失敗: ${result.problems.join(' / ')}`);
+    }
+  }
+
+  /**
+   * ステップ終了時の検証
+   * - 前のステップで登録した期待がこのステップで満たされたか
+   * - 予期しないダイアログが発生していないか（policy: fail）
+   */
+  async verifyStep() {
+    const pending = this.deferred.filter(item => item.armedAt < this.stepSequence);
+    this.deferred = this.deferred.filter(item => !pending.includes(item));
+    for (const expectation of pending) {
+      await this.waitFor(expectation);
+    }
+
+    if (this.unexpectedDialogs.length > 0) {
+      const dialog = this.unexpectedDialogs[0];
+      this.unexpectedDialogs = [];
+      throw new Error(`予期しないダイアログ (${dialog.type}): "${dialog.message}"`);
+    }
+  }
+}
+
+export default DialogHandler;
@@ -0,0 +1,185 @@
+import fs from 'fs';
+import path from 'path';
+import { devices } from 'playwright';
+
+/**
+ * デバイス・実行環境のエミュレーションプロファイル
+ * - プロファイル名で Playwright のデバイス定義（devices）と、言語・タイムゾーン・位置情報・カラースキーム・
+ *   モーション軽減・権限をまとめて指定し、ブラウザコンテキストの作成時に適用する
+ * - 指定の優先順: --profile <名前> → ルートJSONの emulation_profile → config.json の emulation.defaultProfile → pc
+ * - --mobile は mobile プロファイルの指定として扱う（従来のスマホ版テストと同じ 375x667）
+ * - ルート生成時のDOM解析も同じプロファイルで行い、生成したルートと実行結果に emulation_profile として記録する
+ *
+ * 項目:
+ *   device: Playwright のデバイス名（"iPhone 13" / "Pixel 7" 等。viewport・userAgent・isMobile 等をまとめて設定）
+ *   viewport / userAgent / deviceScaleFactor / isMobile / hasTouch: デバイス定義の個別の上書き
+ *   locale: 言語（"ja-JP" 等）
+ *   timezone: タイムゾーン（"Asia/Tokyo" 等）
+ *   geolocation: 位置情報（{ "latitude": 35.68, "longitude": 139.76 }。geolocation の権限も付与する）
+ *   colorScheme: light / dark / no-preference
+ *   reducedMotion: reduce / no-preference
+ *   permissions: 付与する権限（["geolocation", "notifications"] 等）
+ *
+ * config.json の例:
+ *   "emulation": { "defaultProfile": "pc", "profiles": {
+ *     "iphone-dark": { "device": "iPhone 13", "locale": "ja-JP", "timezone": "Asia/Tokyo", "colorScheme": "dark" },
+ *     "pixel-osaka": { "device": "Pixel 7", "geolocation": { "latitude": 34.69, "longitude": 135.5 } } } }
+ */
+
+export const DEFAULT_PROFILE = 'pc';
+
+export const BUILTIN_PROFILES = {
+  pc: {
+    description: 'PC版（エミュレーションなし）'
+  },
+  mobile: {
+    description: 'スマホ版（iPhone SE 375x667）',
+    viewport: { width: 375, height: 667 },
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 14_7_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.2 Mobile/15E148 Safari/604.1',
+    isMobile: true,
+    hasTouch: true
+  }
+};
+
+const DEVICE_KEYS = ['viewport', 'userAgent', 'deviceScaleFactor', 'isMobile', 'hasTouch'];
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTIONS = ['reduce', 'no-preference'];
+
+/**
+ * config.json の emulation を読み込み、組み込みプロファイル（pc / mobile）と合わせる
+ */
+export function loadEmulationProfiles(projectRoot = process.cwd()) {
+  let emulation = {};
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    emulation = config.emulation || {};
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  return {
+    defaultProfile: emulation.defaultProfile || DEFAULT_PROFILE,
+    profiles: { ...BUILTIN_PROFILES, ...emulation.profiles }
+  };
+}
+
+/**
+ * コマンドライン引数からプロファイル名を取得（"--profile x" と "--profile=x" の両形式、--mobile は mobile）
+ * 指定がなければ null
+ */
+export function getProfileArg(argv = process.argv) {
+  const inline = argv.find(arg => arg.startsWith('--profile='));
+  if (inline) return inline.split('=')[1];
+
+  const index = argv.indexOf('--profile');
+  if (index !== -1 && argv[index + 1]) return argv[index + 1];
+
+  return argv.includes('--mobile') ? 'mobile' : null;
+}
+
+/**
+ * プロファイルの設定をブラウザコンテキストのオプションに変換
+ */
+function toContextOptions(name, profile, browserName) {
+  const options = {};
+  if (profile.device) {
+    if (!devices[profile.device]) {
+      throw new Error(`プロファイル ${name}: Playwright のデバイス定義にありません: ${profile.device}`);
+    }
+    const { defaultBrowserType, ...descriptor } = devices[profile.device];
+    Object.assign(options, descriptor);
+  }
+  DEVICE_KEYS.filter(key => profile[key] !== undefined).forEach(key => {
+    options[key] = profile[key];
+  });
+
+  if (profile.colorScheme !== undefined && !COLOR_SCHEMES.includes(profile.colorScheme)) {
+    throw new Error(`プロファイル ${name}: colorScheme は ${COLOR_SCHEMES.join(' / ')} のいずれかです: ${profile.colorScheme}`);
+  }
+  if (profile.reducedMotion !== undefined && !REDUCED_MOTIONS.includes(profile.reducedMotion)) {
+    throw new Error(`プロファイル ${name}: reducedMotion は ${REDUCED_MOTIONS.join(' / ')} のいずれかです: ${profile.reducedMotion}`);
+  }
+  if (profile.locale) options.locale = profile.locale;
+  if (profile.timezone || profile.timezoneId) options.timezoneId = profile.timezone || profile.timezoneId;
+  if (profile.colorScheme) options.colorScheme = profile.colorScheme;
+  if (profile.reducedMotion) options.reducedMotion = profile.reducedMotion;
+
+  const permissions = [...(profile.permissions || [])];
+  if (profile.geolocation) {
+    options.geolocation = profile.geolocation;
+    // 位置情報は権限がないとページから取得できない
+    if (!permissions.includes('geolocation')) permissions.push('geolocation');
+  }
+  if (permissions.length > 0) options.permissions = permissions;
+
+  // FirefoxはisMobileオプション非対応
+  if (browserName === 'firefox') {
+    delete options.isMobile;
+  }
+  return options;
+}
+
+/**
+ * プロファイルの内容をログ表示用の短い文字列にする
+ */
+export function describeContextOptions(options) {
+  const parts = [];
+  if (options.viewport) parts.push(`${options.viewport.width}x${options.viewport.height}`);
+  if (options.hasTouch) parts.push('タッチ');
+  if (options.locale) parts.push(options.locale);
+  if (options.timezoneId) parts.push(options.timezoneId);
+  if (options.colorScheme) parts.push(options.colorScheme);
+  if (options.reducedMotion) parts.push(`reducedMotion: ${options.reducedMotion}`);
+  if (options.geolocation) parts.push(`位置情報 ${options.geolocation.latitude},${options.geolocation.longitude}`);
+  return parts.length > 0 ? parts.join(' / ') : 'デフォルト';
+}
+
+/**
+ * プロファイル名を解決し、コンテキストに適用するオプションを作成
+ * @param {string|null} name - プロファイル名（null なら config の defaultProfile）
+ * @param {Object} options
+ * @param {string} options.browserName - 実行ブラウザエンジン
+ * @param {string} options.projectRoot - config.json のあるディレクトリ
+ * @returns {{ name: string, description: string, device: string|null, contextOptions: Object, isMobile: boolean, summary: string }}
+ */
+export function resolveEmulationProfile(name = null, { browserName = 'chromium', projectRoot = process.cwd() } = {}) {
+  const { defaultProfile, profiles } = loadEmulationProfiles(projectRoot);
+  const profileName = name || defaultProfile;
+  const profile = profiles[profileName];
+  if (!profile) {
+    throw new Error(`未定義のエミュレーションプロファイルです: ${profileName} (定義済み: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  const contextOptions = toContextOptions(profileName, profile, browserName);
+  return {
+    name: profileName,
+    description: profile.description || profile.device || profileName,
+    device: profile.device || null,
+    contextOptions,
+    // stepPolicy の mobile（読み込み待機を長めにする）を適用するかどうか
+    isMobile: !!(profile.isMobile ?? (profile.device && devices[profile.device].isMobile)),
+    summary: describeContextOptions(contextOptions)
+  };
+}
+
+/**
+ * 定義済みのプロファイル一覧（WebUIの選択肢用）
+ */
+export function listEmulationProfiles(projectRoot = process.cwd()) {
+  const { defaultProfile, profiles } = loadEmulationProfiles(projectRoot);
+  return Object.keys(profiles).map(name => {
+    try {
+      const resolved = resolveEmulationProfile(name, { projectRoot });
+      return {
+        name,
+        description: resolved.description,
+        device: resolved.device,
+        mobile: resolved.isMobile,
+        summary: resolved.summary,
+        builtin: !!BUILTIN_PROFILES[name],
+        default: name === defaultProfile
+      };
+    } catch (error) {
+      return { name, description: profiles[name].description || name, error: error.message, builtin: false, default: name === defaultProfile };
+    }
+  });
+}
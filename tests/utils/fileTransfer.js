@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCSV } from './csv.js';
+
+/**
+ * ファイルアップロード・ダウンロード
+ * - setInputFiles / uploadFile: fixtures ディレクトリのファイルを file input に設定（value は文字列・配列・カンマ区切り、空で解除）
+ * - download: target をクリックしてダウンロードを取得し、ファイル名・サイズ・内容を検証
+ * - assertDownload: 直前に取得したダウンロードを検証
+ *
+ * ルートJSONの例:
+ *   { "action": "setInputFiles", "target": "[name=\"attachment\"]", "value": "sample.pdf" }
+ *   { "action": "download", "target": "text=\"CSV出力\"",
+ *     "assert": { "fileName": "/reservations_\\d+\\.csv/", "minSize": 100, "rowCount": 3, "headers": ["予約番号", "氏名"], "contains": "山田" } }
+ *   { "action": "assertDownload", "assert": { "type": "pdf", "contains": ["宿泊予約確認書"] } }
+ *
+ * fixtures ディレクトリは config.json の fixturesDir（デフォルト: fixtures）
+ */
+
+export const FILE_ACTIONS = ['setInputFiles', 'uploadFile', 'download', 'assertDownload'];
+
+/**
+ * fixtures ディレクトリの絶対パスを取得
+ */
+export function resolveFixturesDir(projectRoot = process.cwd()) {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    if (config.fixturesDir) {
+      return path.resolve(projectRoot, config.fixturesDir);
+    }
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  return path.resolve(projectRoot, 'fixtures');
+}
+
+class FileTransferHandler {
+  constructor(page, options = {}) {
+    this.page = page;
+    this.fixturesDir = options.fixturesDir || resolveFixturesDir();
+    // ダウンロードの保存先を決める関数（ファイル名 → 保存パス）
+    this.resolveDownloadPath = options.resolveDownloadPath;
+    this.lastDownload = null;
+  }
+
+  /**
+   * ファイル系アクションかどうか
+   */
+  static isFileAction(action) {
+    return FILE_ACTIONS.includes(action);
+  }
+
+  /**
+   * ステップを実行
+   * @param {Function} locate - ターゲットをLocatorに解決する関数
+   * @param {Object} policy - ステップの実行ポリシー（timeout: 操作 / waitTimeout: ダウンロード開始の待機）
+   */
+  async apply(step, locate, policy) {
+    switch (step.action) {
+      case 'setInputFiles':
+      case 'uploadFile':
+        return this.setInputFiles(step, locate, policy);
+      case 'download':
+        return this.download(step, locate, policy);
+      case 'assertDownload':
+        return this.assertDownload(step);
+      default:
+        throw new Error(`未対応のファイルアクション: ${step.action}`);
+    }
+  }
+
+  /**
+   * fixtures ディレクトリ内のファイルパスに解決
+   */
+  resolveFixture(fileName) {
+    const filePath = path.resolve(this.fixturesDir, fileName);
+    if (!filePath.startsWith(this.fixturesDir + path.sep)) {
+      throw new Error(`fixturesディレクトリ外のファイルは指定できません: ${fileName}`);
+    }
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`アップロードするファイルが見つかりません: ${filePath}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * file input にファイルを設定
+   */
+  async setInputFiles(step, locate, policy) {
+    const value = step.files ?? step.value;
+    const fileNames = Array.isArray(value)
+      ? value
+      : String(value ?? '').split(',').map(name => name.trim()).filter(Boolean);
+    const files = fileNames.map(name => this.resolveFixture(name));
+
+    await locate(step.target).first().setInputFiles(files, { timeout: policy.timeout });
+    console.log(files.length > 0
+      ? `✅ ファイルを設定しました: ${step.target} = ${fileNames.join(', ')}`
+      : `✅ ファイル選択を解除しました: ${step.target}`);
+  }
+
+  /**
+   * クリックでダウンロードを取得して保存・検証
+   */
+  async download(step, locate, policy) {
+    const [download] = await Promise.all([
+      this.page.waitForEvent('download', { timeout: policy.waitTimeout }),
+      locate(step.target).first().click({ timeout: policy.timeout })
+    ]);
+
+    const failure = await download.failure();
+    if (failure) {
+      throw new Error(`ダウンロードに失敗しました: ${failure}`);
+    }
+
+    const fileName = download.suggestedFilename();
+    const savePath = this.resolveDownloadPath(fileName);
+    fs.mkdirSync(path.dirname(savePath), { recursive: true });
+    await download.saveAs(savePath);
+
+    this.lastDownload = {
+      fileName,
+      path: savePath,
+      size: fs.statSync(savePath).size,
+      url: download.url()
+    };
+    console.log(`📥 ダウンロード保存: ${fileName} (${this.lastDownload.size} bytes) → ${savePath}`);
+
+    if (step.assert) {
+      await this.verify(step.assert);
+    }
+    return this.lastDownload;
+  }
+
+  /**
+   * 直前のダウンロードを検証
+   */
+  async assertDownload(step) {
+    if (!this.lastDownload) {
+      throw new Error('検証するダウンロードがありません（先に download ステップを実行してください）');
+    }
+    await this.verify(step.assert || {});
+    return this.lastDownload;
+  }
+
+  /**
+   * パターンに一致するか（"/.../" 形式は正規表現、それ以外は部分一致）
+   */
+  matches(value, pattern) {
+    const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+      return new RegExp(regexMatch[1], regexMatch[2]).test(value);
+    }
+    return value.includes(pattern);
+  }
+
+  /**
+   * ダウンロードしたファイルの種類を判定
+   */
+  detectType(assertion) {
+    if (assertion.type) return assertion.type;
+    const ext = path.extname(this.lastDownload.fileName).toLowerCase();
+    if (ext === '.csv') return 'csv';
+    if (ext === '.pdf') return 'pdf';
+    return 'text';
+  }
+
+  /**
+   * ファイル内容をテキストとして読み込み
+   */
+  async readContent(type, encoding = 'utf-8') {
+    if (type === 'pdf') {
+      const { extractPDFText } = await import('./pdfParser.js');
+      const pdfData = await extractPDFText(this.lastDownload.path);
+      return pdfData.text;
+    }
+    const buffer = fs.readFileSync(this.lastDownload.path);
+    // Excel出力のCSV（BOM付き）にも対応
+    return new TextDecoder(encoding).decode(buffer).replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * ファイル名・サイズ・内容を検証
+   */
+  async verify(assertion) {
+    const download = this.lastDownload;
+    const problems = [];
+
+    if (assertion.fileName && !this.matches(download.fileName, assertion.fileName)) {
+      problems.push(`ファイル名が一致しません（期待: ${assertion.fileName}, 実際: ${download.fileName}）`);
+    }
+    if (assertion.minSize !== undefined && download.size < assertion.minSize) {
+      problems.push(`ファイルサイズが小さすぎます（${download.size} < ${assertion.minSize} bytes）`);
+    }
+    if (assertion.maxSize !== undefined && download.size > assertion.maxSize) {
+      problems.push(`ファイルサイズが大きすぎます（${download.size} > ${assertion.maxSize} bytes）`);
+    }
+
+    const type = this.detectType(assertion);
+    const needsContent = assertion.contains || assertion.rowCount !== undefined || assertion.headers;
+    if (needsContent) {
+      const content = await this.readContent(type, assertion.encoding);
+      download.type = type;
+
+      const expectedTexts = [].concat(assertion.contains || []);
+      expectedTexts
+        .filter(text => !this.matches(content, text))
+        .forEach(text => problems.push(`内容に「${text}」が含まれていません`));
+
+      if (type === 'csv') {
+        const rows = parseCSV(content);
+        const [header = [], ...dataRows] = rows;
+        download.rowCount = dataRows.length;
+
+        if (assertion.rowCount !== undefined && dataRows.length !== assertion.rowCount) {
+          problems.push(`CSVのデータ行数が一致しません（期待: ${assertion.rowCount}, 実際: ${dataRows.length}）`);
+        }
+        (assertion.headers || [])
+          .filter(column => !header.map(cell => cell.trim()).includes(column))
+          .forEach(column => problems.push(`CSVヘッダーに「${column}」がありません`));
+      } else if (assertion.rowCount !== undefined || assertion.headers) {
+        problems.push(`rowCount / headers はCSVファイルのみ検証できます（種類: ${type}）`);
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`ダウンロードの検証に失敗: ${problems.join(' / ')}`);
+    }
+    console.log(`✅ ダウンロードを検証しました: ${download.fileName}`);
+  }
+}
+
+export default FileTransferHandler;
@@ -0,0 +1,145 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 不安定なルート（flaky）の検出と隔離
+ * - 失敗したルートを reruns 回まで再実行し、passed（1回目で成功）/ flaky（再実行で成功）/ failed（すべて失敗）に分類
+ * - 判定はルートごとに test-results/.flaky-history.json へ保存し、直近 window 回のうち flaky の割合を不安定度（score）とする
+ * - score が threshold 以上（minRuns 回以上の実行）のルートは隔離（quarantine）し、失敗しても終了コードを失敗にしない
+ * - 隔離したルートも実行は続け、score が threshold を下回れば隔離を解除する
+ *
+ * config.json の例:
+ *   "flaky": { "reruns": 2, "threshold": 0.3, "window": 20, "minRuns": 3, "quarantine": true }
+ * 実行時の再実行回数は --reruns <N> で上書きできる
+ */
+
+export const FLAKY_STATUSES = ['passed', 'flaky', 'failed'];
+
+export const DEFAULT_FLAKY_POLICY = {
+  reruns: 2,
+  threshold: 0.3,
+  window: 20,
+  minRuns: 3,
+  quarantine: true
+};
+
+const HISTORY_FILE = '.flaky-history.json';
+const MAX_RERUNS = 5;
+
+/**
+ * config.json の flaky を読み込み、--reruns の指定があれば上書き
+ */
+export function loadFlakyPolicy(projectRoot = process.cwd(), args = process.argv.slice(2)) {
+  let policy = { ...DEFAULT_FLAKY_POLICY };
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    policy = { ...policy, ...config.flaky };
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  const rerunsIndex = args.indexOf('--reruns');
+  if (rerunsIndex !== -1 && args[rerunsIndex + 1] !== undefined) {
+    policy.reruns = args[rerunsIndex + 1];
+  }
+  policy.reruns = Math.min(Math.max(parseInt(policy.reruns, 10) || 0, 0), MAX_RERUNS);
+  return policy;
+}
+
+/**
+ * 各回の成否からルートを分類
+ * @param {Array<{success: boolean}>} attempts - 実行順の各回の結果
+ */
+export function classifyAttempts(attempts) {
+  if (attempts.length === 0 || !attempts[attempts.length - 1].success) {
+    return 'failed';
+  }
+  return attempts[0].success ? 'passed' : 'flaky';
+}
+
+/**
+ * ブラウザ別などの複数の分類をルート単位にまとめる（failed > flaky > passed）
+ */
+export function combineFlakyStatuses(statuses) {
+  if (statuses.includes('failed')) return 'failed';
+  if (statuses.includes('flaky')) return 'flaky';
+  return 'passed';
+}
+
+/**
+ * 不安定度の履歴を読み込む
+ */
+export function loadFlakyHistory(resultsDir) {
+  const historyPath = path.join(resultsDir, HISTORY_FILE);
+  if (!fs.existsSync(historyPath)) {
+    return { routes: {} };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
+  } catch (error) {
+    console.log('⚠️ flaky履歴の読み込みに失敗:', error.message);
+    return { routes: {} };
+  }
+}
+
+/**
+ * ルートの判定を履歴に追加し、不安定度と隔離状態を更新
+ * @param {string} resultsDir - 結果の保存ディレクトリ
+ * @param {Array<{route_id: string, status: string}>} runs - 今回の実行のルートごとの判定
+ * @param {Object} policy - loadFlakyPolicy の結果
+ * @returns {Object} route_id → { status, score, runs, flaky_runs, quarantined, quarantine_changed }
+ */
+export function recordFlakyRuns(resultsDir, runs, policy = loadFlakyPolicy()) {
+  const history = loadFlakyHistory(resultsDir);
+  const executedAt = new Date().toISOString();
+  const flakiness = {};
+
+  runs.forEach(({ route_id: routeId, status }) => {
+    const key = String(routeId);
+    const entry = history.routes[key] || { runs: [], quarantined: false };
+    entry.runs = [...entry.runs, { status, executed_at: executedAt }].slice(-policy.window);
+
+    const flakyRuns = entry.runs.filter(run => run.status === 'flaky').length;
+    entry.score = Math.round((flakyRuns / entry.runs.length) * 100) / 100;
+    const wasQuarantined = entry.quarantined;
+    entry.quarantined = policy.quarantine !== false && entry.runs.length >= policy.minRuns && entry.score >= policy.threshold;
+    if (entry.quarantined && !wasQuarantined) {
+      entry.quarantined_at = executedAt;
+      console.log(`🚧 不安定なルートを隔離しました: ${key} (不安定度 ${entry.score}, ${flakyRuns}/${entry.runs.length}回)`);
+    } else if (!entry.quarantined && wasQuarantined) {
+      delete entry.quarantined_at;
+      console.log(`✅ ルートの隔離を解除しました: ${key} (不安定度 ${entry.score})`);
+    }
+    history.routes[key] = entry;
+
+    flakiness[key] = {
+      status,
+      score: entry.score,
+      runs: entry.runs.length,
+      flaky_runs: flakyRuns,
+      quarantined: entry.quarantined,
+      quarantine_changed: entry.quarantined !== wasQuarantined
+    };
+  });
+
+  fs.mkdirSync(resultsDir, { recursive: true });
+  fs.writeFileSync(path.join(resultsDir, HISTORY_FILE), JSON.stringify(history, null, 2));
+  return flakiness;
+}
+
+/**
+ * 不安定なルート（flaky の実行が1回以上あるもの）を不安定度の高い順に取得
+ */
+export function listFlakyRoutes(history) {
+  return Object.entries(history.routes || {})
+    .map(([routeId, entry]) => ({
+      route_id: routeId,
+      score: entry.score || 0,
+      runs: entry.runs.length,
+      flaky_runs: entry.runs.filter(run => run.status === 'flaky').length,
+      last_status: entry.runs[entry.runs.length - 1]?.status || null,
+      quarantined: !!entry.quarantined,
+      quarantined_at: entry.quarantined_at || null
+    }))
+    .filter(route => route.flaky_runs > 0 || route.quarantined)
+    .sort((a, b) => b.score - a.score);
+}
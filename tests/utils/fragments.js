@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import { interpolateRow } from './dataset.js';
+import { resolveEnvPlaceholders } from './authSession.js';
+
+/**
+ * 共通手順（フラグメント）の読み込みと展開
+ * - fragments/ の JSON ファイル1つが1フラグメント（ログイン・Cookie同意・予約フォームの既定値入力など）
+ * - ルートの { "action": "include", "fragment": "名前", "params": {...} } をフラグメントのステップに置き換える
+ * - フラグメント内の ${パラメータ名} を params（未指定なら default）で置換
+ * - パラメータ置換後のステップ（params の値を含む）の ${env:NAME} は環境変数に置換
+ * - 展開は実行前に行うため、実行ログ・レポートのステップ番号は展開後の通し番号になる
+ *
+ * フラグメントの例（fragments/accept-cookies.json）:
+ *   { "name": "accept-cookies", "description": "Cookieバナーが表示されていれば同意する",
+ *     "params": { "button": { "default": "#cookie-accept" } },
+ *     "steps": [ { "action": "click", "target": "${button}", "optional": true } ] }
+ *
+ * フラグメントのディレクトリは config.json の fragmentsDir（デフォルト: fragments）
+ */
+
+export const INCLUDE_ACTION = 'include';
+
+const MAX_DEPTH = 5;
+
+/**
+ * フラグメントの格納ディレクトリを取得
+ */
+export function getFragmentDir(projectRoot = process.cwd()) {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    if (config.fragmentsDir) {
+      return path.resolve(projectRoot, config.fragmentsDir);
+    }
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  return path.resolve(projectRoot, 'fragments');
+}
+
+/**
+ * フラグメントライブラリを読み込む（name → フラグメント）
+ */
+export function loadFragmentLibrary(dir = getFragmentDir()) {
+  const library = new Map();
+  if (!fs.existsSync(dir)) {
+    return library;
+  }
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      try {
+        const fragment = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        const name = fragment.name || path.basename(file, '.json');
+        if (!Array.isArray(fragment.steps)) {
+          throw new Error('steps がありません');
+        }
+        library.set(name, { ...fragment, name, file });
+      } catch (error) {
+        console.warn(`⚠️ フラグメントを読み込めません (${file}): ${error.message}`);
+      }
+    });
+  return library;
+}
+
+/**
+ * 役割（role）とURLに一致するフラグメントを検索（シナリオ生成で汎用手順の代わりに使う）
+ * フラグメントの "url" は部分一致または "/.../" 正規表現
+ */
+export function findFragmentByRole(library, role, url = '') {
+  return [...library.values()].find(fragment => {
+    if (fragment.role !== role) return false;
+    if (!fragment.url) return true;
+    const regexMatch = String(fragment.url).match(/^\/(.+)\/([gimsuy]*)$/);
+    return regexMatch ? new RegExp(regexMatch[1], regexMatch[2]).test(url) : url.includes(fragment.url);
+  }) || null;
+}
+
+/**
+ * include ステップのパラメータを解決（必須チェック・既定値の補完）
+ */
+function resolveParams(fragment, step) {
+  const declared = fragment.params || {};
+  const given = step.params || {};
+  const params = {};
+  Object.entries(declared).forEach(([name, spec]) => {
+    const value = name in given ? given[name] : spec?.default;
+    if (value === undefined) {
+      if (spec?.required) {
+        throw new Error(`フラグメント "${fragment.name}" の必須パラメータがありません: ${name}`);
+      }
+      return;
+    }
+    params[name] = value;
+  });
+  Object.entries(given)
+    .filter(([name]) => !(name in declared))
+    .forEach(([name, value]) => {
+      params[name] = value;
+    });
+  return params;
+}
+
+/**
+ * ステップ配列の include を再帰的に展開（制御フローの steps / else の中も展開）
+ * @param {Array} steps - ルートのステップ
+ * @param {Map} library - loadFragmentLibrary の結果
+ * @param {Array<string>} stack - 展開中のフラグメント名（循環の検出用）
+ */
+export function expandFragments(steps = [], library = loadFragmentLibrary(), stack = []) {
+  return steps.flatMap(step => {
+    if (step.action === INCLUDE_ACTION) {
+      const fragment = library.get(step.fragment);
+      if (!fragment) {
+        throw new Error(`フラグメントが見つかりません: ${step.fragment}（${path.relative(process.cwd(), getFragmentDir())}/${step.fragment}.json を作成してください）`);
+      }
+      if (stack.includes(fragment.name)) {
+        throw new Error(`フラグメントが循環しています: ${[...stack, fragment.name].join(' → ')}`);
+      }
+      if (stack.length >= MAX_DEPTH) {
+        throw new Error(`フラグメントの入れ子が深すぎます（${MAX_DEPTH}段まで）: ${[...stack, fragment.name].join(' → ')}`);
+      }
+      const params = resolveParams(fragment, step);
+      const fragmentSteps = resolveEnvPlaceholders(interpolateRow(fragment.steps, params));
+      const body = expandFragments(fragmentSteps, library, [...stack, fragment.name]);
+      return body.map(child => ({
+        ...child,
+        ...(step.optional ? { optional: true } : {}),
+        fragment: child.fragment || [...stack, fragment.name].join(' > ')
+      }));
+    }
+    if (Array.isArray(step.steps) || Array.isArray(step.else)) {
+      return [{
+        ...step,
+        ...(step.steps ? { steps: expandFragments(step.steps, library, stack) } : {}),
+        ...(step.else ? { else: expandFragments(step.else, library, stack) } : {})
+      }];
+    }
+    return [step];
+  });
+}
+
+/**
+ * ルートの include を展開（include がなければそのまま返す）
+ */
+export function expandRouteFragments(route, library = null) {
+  if (!JSON.stringify(route.steps || []).includes(`"action":"${INCLUDE_ACTION}"`)) {
+    return route;
+  }
+  const steps = expandFragments(route.steps, library || loadFragmentLibrary());
+  console.log(`🧩 フラグメントを展開: ${route.route_id || ''} (${route.steps.length} → ${steps.length}ステップ)`);
+  return { ...route, steps };
+}
@@ -0,0 +1,250 @@
+/**
+ * iframe・Shadow DOM 内の要素を対象にするためのターゲット記法
+ * - "frame=<iframeセレクタ> >> <セレクタ>" : iframe内の要素（ネスト可）
+ * - "shadow=<ホストセレクタ> >> <セレクタ>" : Shadow DOM ホスト配下の要素
+ *
+ * ルートJSONの例:
+ *   { "action": "fill", "target": "frame=#payment-frame >> [name=\"card_number\"]", "value": "4242424242424242" }
+ *   { "action": "click", "target": "frame=#outer >> frame=iframe[name=\"inner\"] >> text=\"確定\"" }
+ *   { "action": "click", "target": "shadow=app-header >> button.menu" }
+ *
+ * PlaywrightのCSSセレクタはopenなShadow DOMを貫通するため、shadow= はホストで範囲を絞る用途。
+ * closedなShadow DOMは対象外。
+ */
+
+const SCOPE_PATTERN = /^(frame|shadow)=(.+)$/;
+const SEPARATOR = /\s+>>\s+/;
+
+/**
+ * iframe・Shadow DOM 記法を含むターゲットか
+ */
+export function isScopedTarget(target) {
+  if (typeof target !== 'string') return false;
+  return target.split(SEPARATOR).some(segment => SCOPE_PATTERN.test(segment.trim()));
+}
+
+/**
+ * ターゲットを { scopes: [{ type, selector }], selector } に分解
+ */
+export function parseScopedTarget(target) {
+  const segments = target.split(SEPARATOR).map(segment => segment.trim());
+  const scopes = [];
+  let index = 0;
+
+  while (index < segments.length && SCOPE_PATTERN.test(segments[index])) {
+    const [, type, selector] = segments[index].match(SCOPE_PATTERN);
+    scopes.push({ type, selector: selector.trim() });
+    index++;
+  }
+
+  const selector = segments.slice(index).join(' >> ');
+  if (!selector) {
+    throw new Error(`iframe・Shadow DOM内の対象セレクタが指定されていません: ${target}`);
+  }
+  if (segments.slice(index).some(segment => SCOPE_PATTERN.test(segment))) {
+    throw new Error(`frame= / shadow= はターゲットの先頭にまとめて指定してください: ${target}`);
+  }
+  return { scopes, selector };
+}
+
+/**
+ * iframeパス・Shadowホスト・セレクタからターゲット文字列を組み立て
+ */
+export function buildScopedTarget({ frames = [], shadowHost = null, selector }) {
+  const segments = frames.map(frame => `frame=${frame}`);
+  if (shadowHost) {
+    segments.push(`shadow=${shadowHost}`);
+  }
+  segments.push(selector);
+  return segments.join(' >> ');
+}
+
+/**
+ * ターゲットを Locator に解決（通常のセレクタはそのまま page.locator）
+ */
+export function resolveTargetLocator(page, target) {
+  if (!isScopedTarget(target)) {
+    return page.locator(target);
+  }
+
+  const { scopes, selector } = parseScopedTarget(target);
+  let scope = page;
+  for (const { type, selector: scopeSelector } of scopes) {
+    scope = type === 'frame'
+      ? scope.frameLocator(scopeSelector)
+      : scope.locator(scopeSelector).first();
+  }
+  return scope.locator(selector);
+}
+
+/**
+ * iframe要素を特定するセレクタを生成
+ */
+async function describeFrameElement(frame) {
+  const handle = await frame.frameElement();
+  try {
+    return await handle.evaluate(el => {
+      if (el.id) return `iframe#${el.id}`;
+      if (el.name) return `iframe[name="${el.name}"]`;
+      if (el.title) return `iframe[title="${el.title}"]`;
+      const src = el.getAttribute('src');
+      if (src && !src.startsWith('data:') && !src.startsWith('javascript:')) {
+        const file = src.split('?')[0].split('/').filter(Boolean).pop();
+        if (file) return `iframe[src*="${file}"]`;
+      }
+      const siblings = Array.from(el.ownerDocument.querySelectorAll('iframe'));
+      return `:nth-match(iframe, ${siblings.indexOf(el) + 1})`;
+    });
+  } finally {
+    await handle.dispose();
+  }
+}
+
+/**
+ * メインフレームから対象フレームまでのiframeセレクタ一覧を取得
+ */
+export async function getFramePath(frame) {
+  const framePath = [];
+  let current = frame;
+  while (current && current.parentFrame()) {
+    framePath.unshift(await describeFrameElement(current));
+    current = current.parentFrame();
+  }
+  return framePath;
+}
+
+/**
+ * メインドキュメントで見つからないセレクタを iframe 内から探索
+ * @returns {Promise<Array<{target: string, count: number, frameUrl: string}>>}
+ */
+export async function findTargetInFrames(page, selector) {
+  if (!page || !selector || isScopedTarget(selector)) {
+    return [];
+  }
+
+  const found = [];
+  for (const frame of page.frames()) {
+    if (frame === page.mainFrame() || frame.isDetached()) continue;
+    try {
+      const count = await frame.locator(selector).count();
+      if (count > 0) {
+        const frames = await getFramePath(frame);
+        found.push({ target: buildScopedTarget({ frames, selector }), count, frameUrl: frame.url() });
+      }
+    } catch (error) {
+      // クロスオリジン等で評価できないフレームはスキップ
+    }
+  }
+  return found;
+}
+
+/**
+ * ドキュメント内（openなShadow DOMを含む）の入力要素・ボタンを収集（ブラウザ内で実行）
+ * includeLight=false の場合はShadow DOM内の要素のみ返す
+ */
+function collectElementsInDocument(includeLight) {
+  const result = { inputs: [], buttons: [], shadowRoots: 0 };
+
+  const describeHost = host => {
+    const tag = host.tagName.toLowerCase();
+    if (host.id) return `${tag}#${host.id}`;
+    const testId = host.getAttribute('data-testid');
+    if (testId) return `${tag}[data-testid="${testId}"]`;
+    return tag;
+  };
+
+  const inputSelector = el => {
+    if (el.name) return `[name="${el.name}"]`;
+    if (el.id) return `#${el.id}`;
+    return `${el.tagName.toLowerCase()}[type="${el.type || 'text'}"]`;
+  };
+
+  const walk = (root, shadowHost) => {
+    if (includeLight || shadowHost) {
+      root.querySelectorAll('input, textarea, select').forEach(el => {
+        if (el.type === 'hidden') return;
+        result.inputs.push({
+          tagName: el.tagName,
+          type: el.type || 'text',
+          name: el.name || '',
+          id: el.id || '',
+          placeholder: el.placeholder || '',
+          disabled: el.disabled,
+          required: el.required,
+          visible: el.getClientRects().length > 0,
+          selector: inputSelector(el),
+          shadowHost
+        });
+      });
+      root.querySelectorAll('button, input[type="button"], input[type="submit"]').forEach(el => {
+        const text = el.textContent?.trim() || el.value || el.getAttribute('aria-label') || '';
+        if (!text) return;
+        result.buttons.push({
+          text,
+          type: el.type || 'button',
+          id: el.id || '',
+          disabled: el.disabled,
+          selector: el.id ? `#${el.id}` : `text="${text}"`,
+          shadowHost
+        });
+      });
+    }
+
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) {
+        result.shadowRoots++;
+        walk(el.shadowRoot, describeHost(el));
+      }
+    });
+  };
+
+  walk(document, null);
+  return result;
+}
+
+/**
+ * iframe・openなShadow DOM内の入力要素・ボタンをフレーム対応ターゲット付きで収集
+ * メインドキュメント直下の要素は通常のDOM解析で取得済みのため含めない
+ */
+export async function collectEmbeddedElements(page, limits = { inputs: 15, buttons: 10 }) {
+  const embedded = { inputs: [], buttons: [], frames: 0, shadowRoots: 0 };
+
+  for (const frame of page.frames()) {
+    if (frame.isDetached()) continue;
+    const isMain = frame === page.mainFrame();
+
+    let collected;
+    let frames = [];
+    try {
+      collected = await frame.evaluate(collectElementsInDocument, !isMain);
+      if (!isMain) {
+        frames = await getFramePath(frame);
+        embedded.frames++;
+      }
+    } catch (error) {
+      console.log(`⚠️ フレームのDOM解析をスキップ: ${frame.url()} (${error.message})`);
+      continue;
+    }
+    embedded.shadowRoots += collected.shadowRoots;
+
+    const scopeOf = element => ({
+      context: frames.length > 0 ? 'iframe' : 'shadow',
+      frames,
+      shadowHost: element.shadowHost,
+      frameUrl: isMain ? null : frame.url()
+    });
+
+    collected.inputs.forEach(input => {
+      const target = buildScopedTarget({ frames, shadowHost: input.shadowHost, selector: input.selector });
+      embedded.inputs.push({ ...input, recommendedSelector: target, selector: target, scope: scopeOf(input) });
+    });
+    collected.buttons.forEach(button => {
+      const target = buildScopedTarget({ frames, shadowHost: button.shadowHost, selector: button.selector });
+      embedded.buttons.push({ ...button, selector: target, scope: scopeOf(button) });
+    });
+  }
+
+  embedded.inputs = embedded.inputs.slice(0, limits.inputs);
+  embedded.buttons = embedded.buttons.slice(0, limits.buttons);
+  return embedded;
+}
@@ -683,6 +683,11 @@ class GoogleSheetsUploader {
         const row = existingData[i];
         const rowIndex = i + 1;
         
+        // 以前の実行結果列の集計行は対象外
+        if (this.isSummaryRow(row)) {
+          continue;
+        }
+        
         // データ行の構造チェックとデバッグ情報
         if (i === 1) {
           console.log(`🛠️ [Debug] データ行の構造確認:`);
@@ -732,6 +737,17 @@ class GoogleSheetsUploader {
         });
       }
 
+      // 集計行（blocked は前提ステップの失敗で実行しなかったステップのため、失敗数・成功率の分母に含めない）
+      if (updates.length > 0) {
+        const summary = this.summarizeResults(updates.map(update => update.values[0][0]));
+        const summaryRowIndex = this.isSummaryRow(existingData[existingData.length - 1]) ? existingData.length : existingData.length + 1;
+        updates.push({
+          range: `${sheetName}!${newColumnLetter}${summaryRowIndex}`,
+          values: [[this.formatResultSummary(summary)]]
+        });
+        console.log(`📊 ${columnTitle}: ${this.formatResultSummary(summary)}`);
+      }
+
       // バッチで更新
       if (updates.length > 0) {
         await this.sheets.spreadsheets.values.batchUpdate({
@@ -786,6 +802,41 @@ class GoogleSheetsUploader {
     return '未実行';
   }
 
+  /**
+   * 実行結果を集計（blocked は失敗と分けて数え、成功率の分母から除く）
+   * @param {Array<string>} statuses - 各行の実行結果
+   * @returns {{success: number, failed: number, blocked: number, other: number, success_rate: number|null}}
+   */
+  summarizeResults(statuses) {
+    const count = status => statuses.filter(value => value === status).length;
+    const success = count('success');
+    const failed = count('failed');
+    const blocked = count('blocked');
+    const executed = success + failed;
+    return {
+      success,
+      failed,
+      blocked,
+      other: statuses.length - success - failed - blocked,
+      success_rate: executed > 0 ? Math.round((success / executed) * 1000) / 10 : null
+    };
+  }
+
+  /**
+   * 集計行かどうか（ID・観点・テスト手順がなく、集計の文字列だけがある行）
+   */
+  isSummaryRow(row = []) {
+    return !row[1] && !row[4] && !row[5] && row.some(cell => String(cell || '').startsWith('成功率 '));
+  }
+
+  /**
+   * 集計行の表示（例: 成功率 80% (成功 4 / 失敗 1 / blocked 2)）
+   */
+  formatResultSummary(summary) {
+    const rate = summary.success_rate === null ? '-' : `${summary.success_rate}%`;
+    return `成功率 ${rate} (成功 ${summary.success} / 失敗 ${summary.failed} / blocked ${summary.blocked}${summary.other > 0 ? ` / その他 ${summary.other}` : ''})`;
+  }
+
   /**
    * 列インデックスを列文字に変換（0=A, 1=B, ..., 25=Z, 26=AA）
    * @param {number} index - 列インデックス（0始まり）
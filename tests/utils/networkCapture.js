@@ -0,0 +1,500 @@
+/**
+ * ネットワークの送受信内容の記録と検証
+ * - ルート実行中のリクエスト・レスポンス・WebSocketフレーム・SSEメッセージを記録
+ * - expectRequest: 送信されたリクエストのメソッド・URL・クエリ・ボディを検証（UIが入力値を正しく送っているか）
+ * - expectResponse: レスポンスのステータス・JSONの値を検証
+ * - expectWebSocketMessage / expectSSEMessage: WebSocket・Server-Sent Events のメッセージを検証
+ * - 既に記録済みのものから探し、なければ timeout まで待機する。一度一致したものは同じアクションの次の検証では使わない
+ * - query / body / json のキーは "guest.name" や "items[0].id"、"items.length" のようなパスで指定
+ * - 期待値は完全一致（数値と文字列は同一視）、"/.../" 形式は正規表現
+ *
+ * ルートJSONの例:
+ *   { "action": "expectRequest", "method": "POST", "url": "/api/reserve",
+ *     "body": { "name": "山田太郎", "plan_id": 1 } }
+ *   { "action": "expectResponse", "url": "/api/plans", "status": 200,
+ *     "json": { "plans.length": 10, "plans[0].name": "/お得な特典/" } }
+ *   { "action": "expectWebSocketMessage", "url": "/ws", "direction": "received", "contains": "reserved" }
+ *   { "action": "expectSSEMessage", "url": "/events", "event": "status", "json": { "state": "done" } }
+ */
+
+export const NETWORK_ASSERTION_ACTIONS = ['expectRequest', 'expectResponse', 'expectWebSocketMessage', 'expectSSEMessage'];
+
+// 実行ログに記録するリソースの種類（画像・CSS等は HAR のみに残す）
+const LOGGED_RESOURCE_TYPES = ['document', 'xhr', 'fetch'];
+const MAX_ENTRIES = 1000;
+const MAX_LOGS_PER_STEP = 100;
+const MAX_POST_DATA_LENGTH = 2000;
+
+/**
+ * EventSource をラップしてSSEメッセージを通知する（context.addInitScript 用）
+ */
+export function installEventSourceHook() {
+  if (!window.EventSource || window.EventSource.__autoplaywrightHooked) return;
+  const OriginalEventSource = window.EventSource;
+
+  class HookedEventSource extends OriginalEventSource {
+    constructor(url, config) {
+      super(url, config);
+      const observed = new Set();
+      // アプリが購読したイベント名のメッセージのみ届くため、同じ名前を購読して通知する
+      this.__autoplaywrightObserve = type => {
+        if (observed.has(type) || type === 'open' || type === 'error') return;
+        observed.add(type);
+        super.addEventListener(type, event => {
+          window.__autoplaywrightSse?.({ url: this.url, event: type, data: String(event.data), lastEventId: event.lastEventId });
+        });
+      };
+      this.__autoplaywrightObserve('message');
+    }
+
+    addEventListener(type, listener, options) {
+      this.__autoplaywrightObserve?.(type);
+      return super.addEventListener(type, listener, options);
+    }
+  }
+  HookedEventSource.__autoplaywrightHooked = true;
+  window.EventSource = HookedEventSource;
+}
+
+/**
+ * パターンに一致するか（"/.../" 形式は正規表現、それ以外は部分一致）
+ */
+export function matchesPattern(text, pattern) {
+  if (!pattern) return true;
+  const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(String(text));
+  }
+  return String(text).includes(pattern);
+}
+
+/**
+ * "a.b[0].c" 形式のパスで値を取り出す（"items.length" で配列の件数）
+ */
+export function getByPath(value, pathExpression) {
+  return String(pathExpression)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+/**
+ * 期待値と一致するか（"/.../" 形式は正規表現、数値と文字列は同一視、オブジェクトはJSONで比較）
+ */
+export function matchesValue(actual, expected) {
+  if (actual === undefined) return false;
+  if (typeof expected === 'string' && /^\/.+\/[gimsuy]*$/.test(expected)) {
+    return matchesPattern(typeof actual === 'string' ? actual : JSON.stringify(actual), expected);
+  }
+  if (expected !== null && typeof expected === 'object') {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+  }
+  return String(actual) === String(expected);
+}
+
+/**
+ * パスごとの期待値のうち一致しないものを列挙
+ */
+export function findMismatches(value, expectations = {}) {
+  return Object.entries(expectations)
+    .map(([key, expected]) => ({ path: key, expected, actual: getByPath(value, key) }))
+    .filter(item => !matchesValue(item.actual, item.expected));
+}
+
+/**
+ * ステータスが期待値に一致するか（200 / "2xx" / [200, 201]）
+ */
+export function matchesStatus(status, expected) {
+  if (expected === undefined || expected === null) return true;
+  if (Array.isArray(expected)) return expected.some(item => matchesStatus(status, item));
+  const range = String(expected).match(/^([1-5])xx$/i);
+  if (range) return Math.floor(status / 100) === Number(range[1]);
+  return status === Number(expected);
+}
+
+/**
+ * WebSocketのペイロード・SSEのデータをJSONとして解釈（JSONでなければnull）
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+class NetworkCapture {
+  /**
+   * @param {import('playwright').BrowserContext} context
+   * @param {Object} reporter - AutoPlaywrightReporter（enableNetworkLogs が有効なら実行ログにも記録）
+   * @param {Object} options - { browserName, routeId, assertions（検証結果の格納先） }
+   */
+  constructor(context, reporter, options = {}) {
+    this.context = context;
+    this.reporter = reporter;
+    this.browserName = options.browserName;
+    this.routeId = options.routeId || null;
+    this.logToReporter = reporter?.options?.enableNetworkLogs !== false;
+    this.currentStepIndex = 0;
+    this.stepLogCount = 0;
+    this.requests = [];
+    this.wsFrames = [];
+    this.sseMessages = [];
+    this.assertions = options.assertions || [];
+    this.consumed = new Map(NETWORK_ASSERTION_ACTIONS.map(action => [action, new WeakSet()]));
+    this.waiters = new Set();
+    this.playwrightRequests = new WeakMap();
+
+    this.context.on('request', request => this.onRequest(request));
+    this.context.on('requestfinished', request => this.onRequestDone(request));
+    this.context.on('requestfailed', request => this.onRequestDone(request));
+    this.context.pages().forEach(page => this.attach(page));
+    this.context.on('page', page => this.attach(page));
+  }
+
+  /**
+   * ネットワーク検証系アクションかどうか
+   */
+  static isNetworkAssertionAction(action) {
+    return NETWORK_ASSERTION_ACTIONS.includes(action);
+  }
+
+  /**
+   * SSE通知用のバインディングとEventSourceのラップを登録（ページ読み込み前に呼ぶ）
+   */
+  async install() {
+    await this.context.exposeBinding('__autoplaywrightSse', (source, message) => {
+      this.push(this.sseMessages, { ...message, pageUrl: source.page?.url() || null });
+    });
+    await this.context.addInitScript(installEventSourceHook);
+  }
+
+  /**
+   * ページのWebSocketを監視
+   */
+  attach(page) {
+    page.on('websocket', webSocket => {
+      const record = (direction, payload) => this.push(this.wsFrames, {
+        url: webSocket.url(),
+        direction,
+        payload: typeof payload === 'string' ? payload : `<binary ${payload.length} bytes>`
+      });
+      webSocket.on('framesent', frame => record('sent', frame.payload));
+      webSocket.on('framereceived', frame => record('received', frame.payload));
+    });
+  }
+
+  /**
+   * ステップ開始を通知
+   */
+  beginStep(stepIndex) {
+    this.currentStepIndex = stepIndex;
+    this.stepLogCount = 0;
+  }
+
+  /**
+   * ルートの切り替え（記録をリセット）
+   */
+  beginRoute(routeId) {
+    this.routeId = routeId || null;
+    this.requests = [];
+    this.wsFrames = [];
+    this.sseMessages = [];
+  }
+
+  /**
+   * 記録を追加して待機中の検証に通知
+   */
+  push(list, entry) {
+    entry.stepIndex = this.currentStepIndex;
+    entry.timestamp = entry.timestamp || new Date().toISOString();
+    list.push(entry);
+    if (list.length > MAX_ENTRIES) list.shift();
+    this.waiters.forEach(waiter => waiter());
+  }
+
+  /**
+   * リクエスト送信を記録
+   */
+  onRequest(request) {
+    const url = request.url();
+    let body = null;
+    try {
+      body = request.postDataJSON();
+    } catch {
+      // JSON・フォーム形式以外のボディは postData の部分一致で検証
+    }
+    let query = {};
+    try {
+      query = Object.fromEntries(new URL(url).searchParams);
+    } catch {
+      // data: URL等はクエリなし
+    }
+    const postData = request.postData();
+    const entry = {
+      method: request.method(),
+      url,
+      resourceType: request.resourceType(),
+      query,
+      body,
+      postData: postData ? postData.slice(0, MAX_POST_DATA_LENGTH) : null,
+      status: null,
+      failure: null,
+      finished: false
+    };
+    this.playwrightRequests.set(entry, request);
+    this.push(this.requests, entry);
+  }
+
+  /**
+   * レスポンス受信（または通信失敗）を記録
+   */
+  async onRequestDone(request) {
+    const entry = this.requests.find(item => this.playwrightRequests.get(item) === request);
+    if (!entry) return;
+    const response = await request.response().catch(() => null);
+    entry.status = response ? response.status() : null;
+    entry.failure = request.failure()?.errorText || null;
+    entry.finished = true;
+    this.waiters.forEach(waiter => waiter());
+
+    if (this.logToReporter && LOGGED_RESOURCE_TYPES.includes(entry.resourceType) && this.stepLogCount < MAX_LOGS_PER_STEP) {
+      this.stepLogCount++;
+      this.reporter.recordNetworkRequest?.(entry.stepIndex, {
+        kind: 'request',
+        method: entry.method,
+        url: entry.url,
+        resourceType: entry.resourceType,
+        status: entry.status,
+        failure: entry.failure,
+        postData: entry.postData,
+        timestamp: entry.timestamp
+      });
+    }
+  }
+
+  /**
+   * 条件に一致する記録を探し、なければ timeout まで待機
+   * @param {Array} list - 探索対象の記録
+   * @param {string} action - 一致済みを管理するアクション名
+   * @param {Function} predicate - async (entry) => boolean
+   */
+  async waitForEntry(list, action, predicate, timeout) {
+    const consumed = this.consumed.get(action);
+    const deadline = Date.now() + timeout;
+    const checked = new WeakSet();
+
+    while (true) {
+      for (const entry of [...list]) {
+        if (consumed.has(entry) || checked.has(entry)) continue;
+        if (await predicate(entry)) {
+          consumed.add(entry);
+          return entry;
+        }
+        // レスポンス待ちのリクエストは受信後に再判定する
+        if (entry.finished !== false) checked.add(entry);
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return null;
+      await new Promise(resolve => {
+        const waiter = () => {
+          this.waiters.delete(waiter);
+          clearTimeout(timer);
+          resolve();
+        };
+        const timer = setTimeout(waiter, Math.min(remaining, 250));
+        this.waiters.add(waiter);
+      });
+    }
+  }
+
+  /**
+   * ステップのメソッド・URL・クエリ・ボディ条件に一致するリクエストか
+   */
+  matchesRequest(entry, step) {
+    if (step.method && entry.method !== step.method.toUpperCase()) return false;
+    if (!matchesPattern(entry.url, step.url || step.target)) return false;
+    if (step.resourceType && entry.resourceType !== step.resourceType) return false;
+    if (step.query && findMismatches(entry.query, step.query).length > 0) return false;
+    if (step.body && (!entry.body || findMismatches(entry.body, step.body).length > 0)) return false;
+    if (step.bodyContains && !(entry.postData || '').includes(step.bodyContains)) return false;
+    return true;
+  }
+
+  /**
+   * 検証結果を記録し、失敗時は一致しなかった理由を付けて例外にする
+   */
+  finish(step, conditions, matched, candidates, title) {
+    const expected = Object.fromEntries(Object.entries(conditions).filter(([, value]) => value !== null && value !== undefined));
+    const assertion = {
+      action: step.action,
+      label: step.label || null,
+      route_id: this.routeId,
+      browser: this.browserName,
+      status: matched ? 'passed' : 'failed',
+      expected,
+      matched,
+      candidates: matched ? [] : candidates.slice(-5),
+      timestamp: new Date().toISOString()
+    };
+    this.assertions.push(assertion);
+
+    if (!matched) {
+      const hint = assertion.candidates.length > 0
+        ? ` / 近い候補: ${assertion.candidates.map(candidate => candidate.summary).join(' | ')}`
+        : '';
+      const error = new Error(`${title}: ${JSON.stringify(expected)}${hint}`);
+      error.networkAssertion = assertion;
+      throw error;
+    }
+    return assertion;
+  }
+
+  /**
+   * 候補のリクエストについて、一致しなかった項目を説明
+   */
+  describeRequestCandidate(entry, step) {
+    const mismatches = [
+      ...(step.query ? findMismatches(entry.query, step.query).map(item => `query.${item.path}=${JSON.stringify(item.actual)}`) : []),
+      ...(step.body ? (entry.body ? findMismatches(entry.body, step.body).map(item => `body.${item.path}=${JSON.stringify(item.actual)}`) : ['body=(JSON/フォーム以外)']) : [])
+    ];
+    if (step.method && entry.method !== step.method.toUpperCase()) mismatches.unshift(`method=${entry.method}`);
+    return {
+      method: entry.method,
+      url: entry.url,
+      status: entry.status,
+      summary: `${entry.method} ${entry.url}${mismatches.length > 0 ? ` (${mismatches.join(', ')})` : ''}`
+    };
+  }
+
+  /**
+   * expectRequest / expectResponse / expectWebSocketMessage / expectSSEMessage を実行
+   * @param {Object} policy - ステップの実行ポリシー（リクエスト・メッセージは waitTimeout まで待つ）
+   */
+  async assert(step, policy) {
+    const timeout = policy.waitTimeout;
+    switch (step.action) {
+      case 'expectRequest':
+        return this.expectRequest(step, timeout);
+      case 'expectResponse':
+        return this.expectResponse(step, timeout);
+      case 'expectWebSocketMessage':
+        return this.expectMessage(step, timeout, this.wsFrames, entry => entry.payload, '期待したWebSocketメッセージを受信できませんでした');
+      case 'expectSSEMessage':
+        return this.expectMessage(step, timeout, this.sseMessages, entry => entry.data, '期待したSSEメッセージを受信できませんでした');
+      default:
+        throw new Error(`未対応のネットワーク検証アクション: ${step.action}`);
+    }
+  }
+
+  /**
+   * 送信されたリクエストを検証
+   */
+  async expectRequest(step, timeout) {
+    const expected = {
+      method: step.method || null,
+      url: step.url || step.target || null,
+      query: step.query || null,
+      body: step.body || null,
+      bodyContains: step.bodyContains || null
+    };
+    const entry = await this.waitForEntry(this.requests, step.action, async item => this.matchesRequest(item, step), timeout);
+    const candidates = this.requests
+      .filter(item => matchesPattern(item.url, expected.url))
+      .map(item => this.describeRequestCandidate(item, step));
+    const matched = entry
+      ? { method: entry.method, url: entry.url, query: entry.query, body: entry.body ?? entry.postData, status: entry.status }
+      : null;
+    const assertion = this.finish(step, expected, matched, candidates, '期待したリクエストが送信されませんでした');
+    console.log(`✅ リクエスト送信を確認: ${entry.method} ${entry.url}`);
+    return assertion;
+  }
+
+  /**
+   * 受信したレスポンスのステータス・JSONを検証
+   */
+  async expectResponse(step, timeout) {
+    const expected = {
+      method: step.method || null,
+      url: step.url || step.target || null,
+      status: step.status ?? null,
+      json: step.json || null,
+      bodyContains: step.responseContains || null
+    };
+    const bodies = new WeakMap();
+    const readBody = async entry => {
+      if (!bodies.has(entry)) {
+        const response = await this.playwrightRequests.get(entry)?.response().catch(() => null);
+        const text = response ? await response.text().catch(() => null) : null;
+        bodies.set(entry, { text, json: text ? parseJson(text) : null });
+      }
+      return bodies.get(entry);
+    };
+
+    const entry = await this.waitForEntry(this.requests, step.action, async item => {
+      if (!item.finished || item.status === null) return false;
+      if (!this.matchesRequest(item, { ...step, body: null, bodyContains: null })) return false;
+      if (!matchesStatus(item.status, expected.status)) return false;
+      if (!expected.json && !expected.bodyContains) return true;
+      const body = await readBody(item);
+      if (expected.json && (!body.json || findMismatches(body.json, expected.json).length > 0)) return false;
+      if (expected.bodyContains && !(body.text || '').includes(expected.bodyContains)) return false;
+      return true;
+    }, timeout);
+
+    const candidates = [];
+    for (const item of this.requests.filter(request => request.finished && matchesPattern(request.url, expected.url))) {
+      const body = expected.json ? await readBody(item) : null;
+      const mismatches = expected.json
+        ? (body.json ? findMismatches(body.json, expected.json).map(mismatch => `${mismatch.path}=${JSON.stringify(mismatch.actual)}`) : ['JSON以外のボディ'])
+        : [];
+      candidates.push({
+        method: item.method,
+        url: item.url,
+        status: item.status,
+        summary: `${item.status ?? item.failure} ${item.method} ${item.url}${mismatches.length > 0 ? ` (${mismatches.join(', ')})` : ''}`
+      });
+    }
+    const matched = entry ? { method: entry.method, url: entry.url, status: entry.status } : null;
+    const assertion = this.finish(step, expected, matched, candidates, '期待したレスポンスを受信できませんでした');
+    console.log(`✅ レスポンスを確認: ${entry.status} ${entry.method} ${entry.url}`);
+    return assertion;
+  }
+
+  /**
+   * WebSocket・SSEのメッセージを検証（contains は部分一致・正規表現、json はパスごとの値）
+   */
+  async expectMessage(step, timeout, list, getText, title) {
+    const expected = {
+      url: step.url || step.target || null,
+      direction: step.action === 'expectWebSocketMessage' ? (step.direction || 'received') : undefined,
+      event: step.event || null,
+      contains: step.contains || step.value || null,
+      json: step.json || null
+    };
+    const matchesMessage = entry => {
+      if (!matchesPattern(entry.url, expected.url)) return false;
+      if (expected.direction && entry.direction !== expected.direction) return false;
+      if (expected.event && entry.event !== expected.event) return false;
+      if (expected.contains && !matchesPattern(getText(entry), expected.contains)) return false;
+      if (expected.json) {
+        const json = parseJson(getText(entry));
+        if (!json || findMismatches(json, expected.json).length > 0) return false;
+      }
+      return true;
+    };
+
+    const entry = await this.waitForEntry(list, step.action, async item => matchesMessage(item), timeout);
+    const candidates = list
+      .filter(item => matchesPattern(item.url, expected.url))
+      .map(item => ({ url: item.url, summary: `${item.direction || item.event}: ${getText(item).slice(0, 100)}` }));
+    const matched = entry ? { url: entry.url, direction: entry.direction, event: entry.event, data: getText(entry).slice(0, 500) } : null;
+    const assertion = this.finish(step, expected, matched, candidates, title);
+    console.log(`✅ メッセージを確認: ${entry.url} ${getText(entry).slice(0, 80)}`);
+    return assertion;
+  }
+}
+
+export default NetworkCapture;
@@ -0,0 +1,167 @@
+/**
+ * ネットワークモック・障害注入
+ * - mockResponse: 指定URLのレスポンスをスタブ（ステータス・ヘッダー・ボディ）
+ * - abortRequest: 指定URLのリクエストを失敗させる
+ * - delayRequest: 指定URLのリクエストを遅延させる
+ * - setOffline: コンテキストをオフラインにする／戻す
+ * - clearMocks: 登録済みのモックを解除
+ *
+ * ルートJSONの例:
+ *   { "action": "mockResponse", "target": "**\/api/reserve", "method": "POST",
+ *     "response": { "status": 500, "json": { "error": "Internal Server Error" } } }
+ *   { "action": "abortRequest", "target": "/\\/api\\/plans/", "errorCode": "timedout" }
+ *   { "action": "delayRequest", "target": "**\/api/**", "delay": 3000, "times": 1 }
+ *   { "action": "setOffline", "value": true }
+ */
+
+export const NETWORK_ACTIONS = ['mockResponse', 'abortRequest', 'delayRequest', 'setOffline', 'clearMocks'];
+
+class NetworkMocker {
+  constructor(page, context) {
+    this.page = page;
+    this.context = context;
+    this.mocks = [];
+  }
+
+  /**
+   * ネットワーク系アクションかどうか
+   */
+  static isNetworkAction(action) {
+    return NETWORK_ACTIONS.includes(action);
+  }
+
+  /**
+   * ステップを実行
+   */
+  async apply(step) {
+    switch (step.action) {
+      case 'mockResponse':
+        return this.mockResponse(step);
+      case 'abortRequest':
+        return this.abortRequest(step);
+      case 'delayRequest':
+        return this.delayRequest(step);
+      case 'setOffline':
+        return this.setOffline(step);
+      case 'clearMocks':
+        return this.clearMocks(step);
+      default:
+        throw new Error(`未対応のネットワークアクション: ${step.action}`);
+    }
+  }
+
+  /**
+   * URLパターンを page.route 用に変換
+   * "/.../" 形式は正規表現、ワイルドカードを含まない相対パスは部分一致のglobとして扱う
+   */
+  toUrlMatcher(pattern) {
+    if (!pattern) {
+      throw new Error('ネットワークアクションにはURLパターン（target）が必要です');
+    }
+    const regexMatch = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    }
+    if (pattern.includes('*') || /^https?:\/\//.test(pattern)) {
+      return pattern;
+    }
+    return `**${pattern}**`;
+  }
+
+  /**
+   * メソッド指定がある場合は対象外のリクエストを素通しするハンドラを作成
+   */
+  withMethodFilter(step, handler) {
+    const method = step.method ? step.method.toUpperCase() : null;
+    return async (route, request) => {
+      if (method && request.method() !== method) {
+        return route.fallback();
+      }
+      console.log(`🌐 ${step.action}: ${request.method()} ${request.url()}`);
+      return handler(route, request);
+    };
+  }
+
+  /**
+   * ルートを登録して一覧に記録
+   */
+  async register(step, handler, description) {
+    const matcher = this.toUrlMatcher(step.target);
+    const options = step.times ? { times: step.times } : undefined;
+    await this.page.route(matcher, this.withMethodFilter(step, handler), options);
+    this.mocks.push({ action: step.action, target: step.target, matcher, description });
+    console.log(`✅ ${description}: ${step.target}${step.method ? ` (${step.method.toUpperCase()})` : ''}`);
+  }
+
+  /**
+   * レスポンスをスタブ
+   */
+  async mockResponse(step) {
+    const response = step.response || {};
+    const fulfillOptions = {
+      status: response.status || step.status || 200,
+      headers: response.headers
+    };
+
+    if (response.json !== undefined) {
+      fulfillOptions.json = response.json;
+    } else if (response.body !== undefined) {
+      fulfillOptions.body = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+      fulfillOptions.contentType = response.contentType || 'application/json';
+    } else if (step.value !== undefined) {
+      fulfillOptions.body = String(step.value);
+      fulfillOptions.contentType = response.contentType || 'application/json';
+    }
+
+    await this.register(step, route => route.fulfill(fulfillOptions), `レスポンスをモック (status ${fulfillOptions.status})`);
+  }
+
+  /**
+   * リクエストを失敗させる
+   */
+  async abortRequest(step) {
+    const errorCode = step.errorCode || 'failed';
+    await this.register(step, route => route.abort(errorCode), `リクエストを中断 (${errorCode})`);
+  }
+
+  /**
+   * リクエストを遅延させる
+   */
+  async delayRequest(step) {
+    const delay = Number(step.delay ?? step.value ?? 1000);
+    await this.register(step, async route => {
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return route.fallback();
+    }, `リクエストを遅延 (${delay}ms)`);
+  }
+
+  /**
+   * オフライン状態を切り替え
+   */
+  async setOffline(step) {
+    const offline = !(step.value === false || step.value === 'false');
+    await this.context.setOffline(offline);
+    console.log(offline ? '📴 オフラインモードに切り替えました' : '📶 オンラインに戻しました');
+  }
+
+  /**
+   * モックを解除（target指定時はそのパターンのみ）
+   */
+  async clearMocks(step = {}) {
+    const targets = step.target
+      ? this.mocks.filter(mock => mock.target === step.target)
+      : [...this.mocks];
+
+    for (const mock of targets) {
+      await this.page.unroute(mock.matcher);
+    }
+    this.mocks = this.mocks.filter(mock => !targets.includes(mock));
+
+    if (!step.target) {
+      await this.context.setOffline(false);
+    }
+    console.log(`🧹 ネットワークモックを解除しました (${targets.length}件)`);
+  }
+}
+
+export default NetworkMocker;
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * ページで発生したエラーの収集と検証
+ * - console（error / warning）・pageerror（未捕捉の例外）・requestfailed・4xx/5xx レスポンスをステップ単位で実行ログに記録
+ * - pageEvents の failOn* を有効にすると、そのステップ中に発生したエラーでステップを失敗扱い
+ * - assertNoPageErrors / assertNoConsoleErrors / assertNoFailedRequests: ルート開始からのエラーがないことを検証
+ * - allowlist（部分一致または "/.../" 正規表現）に一致するエラーは検証対象外
+ *
+ * ルートJSONの例:
+ *   { "action": "assertNoPageErrors" }
+ *   { "action": "assertNoFailedRequests", "allow": ["/favicon\\.ico/", "/analytics/"] }
+ *
+ * config.json の設定例:
+ *   "pageEvents": { "failOnPageError": true, "failOnConsoleError": false, "failOnHttpError": false,
+ *                   "allowlist": ["ResizeObserver loop", "/googletagmanager/"] }
+ *
+ * ルートJSONの "page_events" で同じ項目をルート単位に上書きできる
+ * 中断されたリクエスト（画面遷移によるキャンセル等）は記録のみで検証対象外
+ */
+
+export const PAGE_EVENT_ACTIONS = ['assertNoPageErrors', 'assertNoConsoleErrors', 'assertNoFailedRequests'];
+
+const ABORTED_ERRORS = ['net::ERR_ABORTED', 'NS_BINDING_ABORTED', 'cancelled', 'Load request cancelled'];
+const MAX_EVENTS_PER_STEP = 50;
+
+/**
+ * エラー収集・検証の設定を読み込み（ルート単位の上書きを反映）
+ */
+export function loadPageEventPolicy(overrides = {}, projectRoot = process.cwd()) {
+  let pageEvents = {};
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    pageEvents = config.pageEvents || {};
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  const merged = { ...pageEvents, ...(overrides || {}) };
+  return {
+    consoleTypes: merged.consoleTypes || ['error', 'warning'],
+    failOnPageError: merged.failOnPageError === true,
+    failOnConsoleError: merged.failOnConsoleError === true,
+    failOnHttpError: merged.failOnHttpError === true,
+    allowlist: [...(pageEvents.allowlist || []), ...((overrides || {}).allowlist || [])]
+  };
+}
+
+/**
+ * エラーの説明文（検証・表示用）
+ */
+export function describePageEvent(event) {
+  switch (event.kind) {
+    case 'pageerror':
+      return event.message;
+    case 'console':
+      return `[console.${event.type}] ${event.text}`;
+    case 'requestfailed':
+      return `${event.method} ${event.url} (${event.failure})`;
+    case 'http_error':
+      return `${event.status} ${event.method} ${event.url}`;
+    default:
+      return JSON.stringify(event);
+  }
+}
+
+class PageEventMonitor {
+  constructor(context, reporter, policy = loadPageEventPolicy()) {
+    this.context = context;
+    this.reporter = reporter;
+    this.policy = policy;
+    this.currentStepIndex = 0;
+    this.stepEvents = [];
+    this.routeEvents = [];
+
+    this.context.pages().forEach(page => this.attach(page));
+    this.context.on('page', page => this.attach(page));
+  }
+
+  /**
+   * エラー検証系アクションかどうか
+   */
+  static isPageEventAction(action) {
+    return PAGE_EVENT_ACTIONS.includes(action);
+  }
+
+  /**
+   * ルート単位の設定に切り替え、収集済みのエラーをリセット
+   */
+  setRoutePolicy(overrides) {
+    this.policy = loadPageEventPolicy(overrides);
+    this.routeEvents = [];
+  }
+
+  /**
+   * ページにイベントリスナーを登録
+   */
+  attach(page) {
+    page.on('console', message => {
+      if (!this.policy.consoleTypes.includes(message.type())) return;
+      const location = message.location();
+      this.record(page, {
+        kind: 'console',
+        type: message.type(),
+        text: message.text(),
+        location: location?.url ? `${location.url}:${location.lineNumber}` : null
+      });
+    });
+    page.on('pageerror', error => {
+      this.record(page, {
+        kind: 'pageerror',
+        message: error.message,
+        stack: (error.stack || '').split('\n').slice(0, 5).join('\n')
+      });
+    });
+    page.on('requestfailed', request => {
+      this.record(page, {
+        kind: 'requestfailed',
+        method: request.method(),
+        url: request.url(),
+        resourceType: request.resourceType(),
+        failure: request.failure()?.errorText || 'unknown'
+      });
+    });
+    page.on('response', response => {
+      if (response.status() < 400) return;
+      this.record(page, {
+        kind: 'http_error',
+        method: response.request().method(),
+        url: response.url(),
+        resourceType: response.request().resourceType(),
+        status: response.status()
+      });
+    });
+  }
+
+  /**
+   * ステップ開始を通知
+   */
+  beginStep(stepIndex) {
+    this.currentStepIndex = stepIndex;
+    this.stepEvents = [];
+  }
+
+  /**
+   * エラーを記録してレポーターに通知
+   */
+  record(page, event) {
+    const entry = {
+      ...event,
+      pageUrl: page.isClosed() ? null : page.url(),
+      timestamp: new Date().toISOString()
+    };
+    this.routeEvents.push(entry);
+    if (this.stepEvents.length >= MAX_EVENTS_PER_STEP) return;
+    this.stepEvents.push(entry);
+    this.reporter.recordPageEvent(this.currentStepIndex, entry);
+
+    if (entry.kind === 'pageerror') {
+      console.log(`🐞 ページでエラーが発生: ${entry.message}`);
+    } else if (entry.kind === 'http_error' && entry.status >= 500) {
+      console.log(`🐞 サーバーエラー: ${describePageEvent(entry)}`);
+    }
+  }
+
+  /**
+   * パターンに一致するか（"/.../" 形式は正規表現、それ以外は部分一致）
+   */
+  matches(text, pattern) {
+    const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+      return new RegExp(regexMatch[1], regexMatch[2]).test(text);
+    }
+    return text.includes(pattern);
+  }
+
+  /**
+   * 検証対象のエラーを抽出（許可リスト・中断されたリクエストを除外）
+   */
+  blockingEvents(events, kinds, allow = []) {
+    const allowlist = [...this.policy.allowlist, ...[].concat(allow)];
+    return events
+      .filter(event => kinds.includes(event.kind))
+      .filter(event => !(event.kind === 'requestfailed' && ABORTED_ERRORS.some(error => event.failure.includes(error))))
+      .filter(event => event.kind !== 'console' || event.type === 'error')
+      .filter(event => !allowlist.some(pattern => this.matches(describePageEvent(event), pattern)));
+  }
+
+  /**
+   * 検証に失敗したエラーをまとめて例外にする
+   */
+  throwIfAny(events, title) {
+    if (events.length === 0) return;
+    const details = events.slice(0, 3).map(describePageEvent).join(' / ');
+    const more = events.length > 3 ? ` ほか${events.length - 3}件` : '';
+    const error = new Error(`${title}: ${details}${more}`);
+    error.pageEvents = events;
+    throw error;
+  }
+
+  /**
+   * ステップ終了時の検証（pageEvents の failOn* が有効な場合）
+   */
+  verifyStep() {
+    if (this.policy.failOnPageError) {
+      this.throwIfAny(this.blockingEvents(this.stepEvents, ['pageerror']), 'ページで未捕捉のエラーが発生しました');
+    }
+    if (this.policy.failOnConsoleError) {
+      this.throwIfAny(this.blockingEvents(this.stepEvents, ['console']), 'コンソールエラーが出力されました');
+    }
+    if (this.policy.failOnHttpError) {
+      this.throwIfAny(this.blockingEvents(this.stepEvents, ['requestfailed', 'http_error']), '失敗したリクエストがあります');
+    }
+  }
+
+  /**
+   * assertNo* ステップを実行（ルート開始からのエラーを検証）
+   */
+  assert(step) {
+    const allow = step.allow || step.value || [];
+    switch (step.action) {
+      case 'assertNoPageErrors':
+        this.throwIfAny(this.blockingEvents(this.routeEvents, ['pageerror'], allow), 'ページで未捕捉のエラーが発生しました');
+        break;
+      case 'assertNoConsoleErrors':
+        this.throwIfAny(this.blockingEvents(this.routeEvents, ['console', 'pageerror'], allow), 'コンソールエラーが出力されました');
+        break;
+      case 'assertNoFailedRequests':
+        this.throwIfAny(this.blockingEvents(this.routeEvents, ['requestfailed', 'http_error'], allow), '失敗したリクエストがあります');
+        break;
+      default:
+        throw new Error(`未対応のエラー検証アクション: ${step.action}`);
+    }
+    console.log(`✅ ${step.action}: ルート開始から検証対象のエラーはありません`);
+  }
+
+  /**
+   * 現在のステップで発生したエラーの要約（結果JSON・失敗分析用、なければnull）
+   */
+  summarizeStep() {
+    if (this.stepEvents.length === 0) return null;
+    const pick = kinds => this.stepEvents.filter(event => kinds.includes(event.kind)).map(describePageEvent);
+    return {
+      page_errors: pick(['pageerror']),
+      console_errors: pick(['console']),
+      failed_requests: pick(['requestfailed', 'http_error'])
+    };
+  }
+}
+
+export default PageEventMonitor;
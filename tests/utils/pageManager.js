@@ -0,0 +1,193 @@
+/**
+ * 複数タブ・ポップアップ・新規ウィンドウの管理
+ * - waitForPopup: 新しく開いたページ（target=_blank・window.open・OAuthポップアップ等）を待機して切り替え
+ * - switchToPage: インデックス・URLパターンで操作対象のページを切り替え
+ * - closePage: ページを閉じて元のページに戻る
+ *
+ * ルートJSONの例:
+ *   { "action": "waitForPopup", "target": "text=\"利用規約\"", "value": "/terms" }
+ *   { "action": "switchToPage", "value": 0 }
+ *   { "action": "switchToPage", "value": "/oauth\\/authorize/" }
+ *   { "action": "closePage" }
+ */
+
+export const PAGE_ACTIONS = ['waitForPopup', 'switchToPage', 'closePage'];
+
+class PageManager {
+  constructor(context, page) {
+    this.context = context;
+    this.pages = [];
+    this.activePage = page;
+    // 直前のステップで開かれ、まだ waitForPopup で受け取っていないページ
+    this.pendingPopups = [];
+
+    this.track(page, false);
+    this.context.on('page', newPage => this.track(newPage, true));
+  }
+
+  /**
+   * ページ操作系アクションかどうか
+   */
+  static isPageAction(action) {
+    return PAGE_ACTIONS.includes(action);
+  }
+
+  /**
+   * ページを管理対象に追加
+   */
+  track(page, isPopup) {
+    if (this.pages.includes(page)) return;
+    this.pages.push(page);
+    if (isPopup) {
+      this.pendingPopups.push(page);
+      console.log(`🪟 新しいページが開かれました (#${this.pages.length - 1})`);
+    }
+    page.on('close', () => {
+      this.pages = this.pages.filter(p => p !== page);
+      this.pendingPopups = this.pendingPopups.filter(p => p !== page);
+      if (this.activePage === page) {
+        this.activePage = this.pages[0] || null;
+      }
+    });
+  }
+
+  /**
+   * ページの識別情報（レポート用）
+   */
+  describe(page = this.activePage) {
+    if (!page) return null;
+    return {
+      index: this.pages.indexOf(page),
+      url: page.isClosed() ? null : page.url(),
+      total: this.pages.length
+    };
+  }
+
+  /**
+   * URLパターンに一致するか（"/.../" 形式は正規表現、それ以外は部分一致）
+   */
+  matchesUrl(url, pattern) {
+    const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+    if (regexMatch) {
+      return new RegExp(regexMatch[1], regexMatch[2]).test(url);
+    }
+    return url.includes(pattern);
+  }
+
+  /**
+   * インデックス・URLパターン・"latest" からページを検索
+   */
+  findPage(selector) {
+    if (selector === undefined || selector === null || selector === '') {
+      return this.activePage;
+    }
+    if (selector === 'latest') {
+      return this.pages[this.pages.length - 1];
+    }
+    if (selector === 'main') {
+      return this.pages[0];
+    }
+    if (/^\d+$/.test(String(selector))) {
+      return this.pages[Number(selector)];
+    }
+    return this.pages.find(page => this.matchesUrl(page.url(), selector));
+  }
+
+  /**
+   * ステップを実行し、切り替え後のアクティブページを返す
+   * @param {Object} step - ルートのステップ
+   * @param {Function} trigger - ポップアップを開く操作（target指定時のクリック等）
+   * @param {Object} policy - ステップの実行ポリシー（新しいページは waitTimeout まで待つ）
+   */
+  async apply(step, trigger, policy) {
+    switch (step.action) {
+      case 'waitForPopup':
+        return this.waitForPopup(step, trigger, policy);
+      case 'switchToPage':
+        return this.switchToPage(step);
+      case 'closePage':
+        return this.closePage(step);
+      default:
+        throw new Error(`未対応のページ操作アクション: ${step.action}`);
+    }
+  }
+
+  /**
+   * 新しいページを待機して切り替え
+   * target 指定時はその要素をクリックしてから待機、未指定時は直前の操作で開かれたページを使用
+   */
+  async waitForPopup(step, trigger, policy) {
+    const timeout = policy.waitTimeout;
+    let popup;
+
+    if (step.target) {
+      this.pendingPopups = [];
+      [popup] = await Promise.all([
+        this.context.waitForEvent('page', { timeout }),
+        trigger()
+      ]);
+      this.pendingPopups = this.pendingPopups.filter(p => p !== popup);
+    } else if (this.pendingPopups.length > 0) {
+      popup = this.pendingPopups.shift();
+    } else {
+      popup = await this.context.waitForEvent('page', { timeout });
+      this.pendingPopups = this.pendingPopups.filter(p => p !== popup);
+    }
+
+    await popup.waitForLoadState('domcontentloaded', { timeout });
+
+    const expectedUrl = step.value || step.url;
+    if (expectedUrl) {
+      await popup.waitForURL(url => this.matchesUrl(url.toString(), expectedUrl), { timeout });
+    }
+
+    this.activePage = popup;
+    console.log(`✅ ポップアップに切り替えました: #${this.pages.indexOf(popup)} ${popup.url()}`);
+    return popup;
+  }
+
+  /**
+   * 操作対象のページを切り替え
+   */
+  async switchToPage(step) {
+    const selector = step.value ?? step.target;
+    const page = this.findPage(selector);
+    if (!page) {
+      const urls = this.pages.map((p, index) => `#${index} ${p.url()}`).join(', ');
+      throw new Error(`切り替え先のページが見つかりません: ${selector}（開いているページ: ${urls}）`);
+    }
+
+    await page.bringToFront();
+    this.activePage = page;
+    console.log(`✅ ページを切り替えました: #${this.pages.indexOf(page)} ${page.url()}`);
+    return page;
+  }
+
+  /**
+   * ページを閉じる（未指定時は現在のページ）。閉じた後は開いたページ→先頭ページに戻る
+   */
+  async closePage(step) {
+    const selector = step.value ?? step.target;
+    const page = this.findPage(selector);
+    if (!page) {
+      throw new Error(`閉じるページが見つかりません: ${selector}`);
+    }
+    if (this.pages.length === 1) {
+      throw new Error('最後の1ページは閉じられません');
+    }
+
+    const opener = await page.opener();
+    const closedIndex = this.pages.indexOf(page);
+    const wasActive = page === this.activePage;
+    await page.close();
+
+    if (wasActive) {
+      this.activePage = opener && !opener.isClosed() ? opener : this.pages[0];
+      await this.activePage.bringToFront();
+    }
+    console.log(`✅ ページを閉じました: #${closedIndex} → 現在のページ #${this.pages.indexOf(this.activePage)} ${this.activePage.url()}`);
+    return this.activePage;
+  }
+}
+
+export default PageManager;
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * ページのパフォーマンス計測
+ * - load / waitForURL など画面遷移したステップの後に自動で計測
+ * - measurePerformance ステップで任意のタイミングに計測（操作後のINPの確認など）
+ * - ナビゲーションタイミング（TTFB・DOMContentLoaded・load）、LCP・CLS・INP相当、ロングタスク、リソース数・転送量
+ * - config.json の performance.budgets でURLごとの予算を設定し、超過を記録（failOnBudget: true で失敗扱い）
+ *
+ * ルートJSONの例:
+ *   { "action": "measurePerformance", "label": "検索操作後の応答性を計測" }
+ *
+ * config.json の設定例:
+ *   "performance": {
+ *     "enabled": true,
+ *     "failOnBudget": false,
+ *     "budgets": [
+ *       { "url": "*", "lcp": 2500, "cls": 0.1, "inp": 200 },
+ *       { "url": "/reserve.html", "load": 3000, "longTasks": 5, "resourceCount": 80, "transferSize": 2000000 }
+ *     ]
+ *   }
+ *
+ * LCP・CLS・ロングタスクは PerformanceObserver の対応ブラウザ（主にChromium）のみ計測される
+ */
+
+const HISTORY_FILE = 'performance-history.json';
+const HISTORY_LIMIT = 2000;
+
+// 予算の項目とメトリクスの対応
+export const BUDGET_METRICS = {
+  ttfb: 'ttfb',
+  domContentLoaded: 'dom_content_loaded',
+  load: 'load',
+  lcp: 'lcp',
+  cls: 'cls',
+  inp: 'inp',
+  longTasks: 'long_tasks',
+  resourceCount: 'resource_count',
+  transferSize: 'transfer_size'
+};
+
+/**
+ * ページ読み込み前に仕込むPerformanceObserver（context.addInitScript 用）
+ */
+export function installPerformanceObservers() {
+  if (window.__autoplaywrightPerf) return;
+  const perf = { lcp: null, cls: 0, inp: null, longTasks: 0, longTaskTime: 0 };
+  window.__autoplaywrightPerf = perf;
+
+  const supported = PerformanceObserver.supportedEntryTypes || [];
+  const observe = (type, callback, options = {}) => {
+    if (!supported.includes(type)) return;
+    new PerformanceObserver(list => list.getEntries().forEach(callback))
+      .observe({ type, buffered: true, ...options });
+  };
+
+  observe('largest-contentful-paint', entry => { perf.lcp = entry.startTime; });
+  observe('layout-shift', entry => {
+    if (!entry.hadRecentInput) perf.cls += entry.value;
+  });
+  observe('longtask', entry => {
+    perf.longTasks++;
+    perf.longTaskTime += entry.duration;
+  });
+  // INP相当: 操作（click・keydown等）の応答時間の最大値
+  observe('event', entry => {
+    if (entry.interactionId && (perf.inp === null || entry.duration > perf.inp)) {
+      perf.inp = entry.duration;
+    }
+  }, { durationThreshold: 16 });
+}
+
+/**
+ * パフォーマンス計測の設定を読み込み
+ */
+export function loadPerformanceConfig(projectRoot = process.cwd()) {
+  let performance = {};
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    performance = config.performance || {};
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  return {
+    enabled: performance.enabled !== false,
+    failOnBudget: performance.failOnBudget === true,
+    budgets: performance.budgets || []
+  };
+}
+
+/**
+ * URLがパターンに一致するか（"*" は全URL、"/.../" 形式は正規表現、それ以外は部分一致）
+ */
+export function matchesUrlPattern(url, pattern) {
+  if (!pattern || pattern === '*') return true;
+  const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]).test(url);
+  }
+  return url.includes(pattern);
+}
+
+/**
+ * URLに適用する予算を解決（一致した予算を定義順に重ねる）
+ */
+export function resolveBudget(budgets, url) {
+  return budgets
+    .filter(budget => matchesUrlPattern(url, budget.url))
+    .reduce((merged, budget) => {
+      const { url: _pattern, ...limits } = budget;
+      return { ...merged, ...limits };
+    }, {});
+}
+
+/**
+ * 予算超過の項目を検出
+ */
+export function checkBudget(metrics, budget) {
+  return Object.entries(BUDGET_METRICS)
+    .filter(([key, metricKey]) => budget[key] !== undefined && metrics[metricKey] !== null && metrics[metricKey] !== undefined)
+    .filter(([key, metricKey]) => metrics[metricKey] > budget[key])
+    .map(([key, metricKey]) => ({ metric: key, actual: metrics[metricKey], budget: budget[key] }));
+}
+
+/**
+ * 計測履歴を読み込み（レポートの推移表示用）
+ */
+export function loadPerformanceHistory(resultsDir) {
+  const historyPath = path.join(resultsDir, HISTORY_FILE);
+  if (!fs.existsSync(historyPath)) {
+    return { entries: [] };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(historyPath, 'utf-8'));
+  } catch (error) {
+    console.log('⚠️ パフォーマンス履歴の読み込みに失敗:', error.message);
+    return { entries: [] };
+  }
+}
+
+/**
+ * 計測結果を履歴に追加（古いものから削除）
+ */
+export function appendPerformanceHistory(resultsDir, entry) {
+  const history = loadPerformanceHistory(resultsDir);
+  history.entries.push(entry);
+  history.entries = history.entries.slice(-HISTORY_LIMIT);
+  fs.mkdirSync(resultsDir, { recursive: true });
+  fs.writeFileSync(path.join(resultsDir, HISTORY_FILE), JSON.stringify(history, null, 2));
+}
+
+class PerformanceCollector {
+  /**
+   * @param {Object} options - { resultsDir, browserName, routeId, sessionId }
+   */
+  constructor(options = {}) {
+    this.config = loadPerformanceConfig();
+    this.resultsDir = options.resultsDir;
+    this.browserName = options.browserName;
+    this.routeId = options.routeId || null;
+    this.sessionId = options.sessionId || null;
+    this.measurements = [];
+  }
+
+  /**
+   * 画面遷移後に自動計測するステップか
+   */
+  shouldMeasure(step, urlBefore, urlAfter) {
+    if (!this.config.enabled) return false;
+    if (step.action === 'load' || step.action === 'waitForURL') return true;
+    return !!urlBefore && urlBefore !== urlAfter;
+  }
+
+  /**
+   * 現在のページのメトリクスを取得
+   * @param {import('playwright').Page} page
+   * @param {Object} step - 計測のきっかけになったステップ
+   * @param {Object} policy - ステップの実行ポリシー（load は navigationTimeout まで待つ）
+   */
+  async measure(page, step, policy) {
+    await page.waitForLoadState('load', { timeout: policy.navigationTimeout }).catch(() => {});
+
+    const raw = await page.evaluate(() => {
+      const navigation = performance.getEntriesByType('navigation')[0];
+      const resources = performance.getEntriesByType('resource');
+      const observed = window.__autoplaywrightPerf || {};
+      const byType = {};
+      resources.forEach(resource => {
+        byType[resource.initiatorType] = (byType[resource.initiatorType] || 0) + 1;
+      });
+      return {
+        ttfb: navigation ? navigation.responseStart - navigation.startTime : null,
+        domContentLoaded: navigation && navigation.domContentLoadedEventEnd > 0 ? navigation.domContentLoadedEventEnd - navigation.startTime : null,
+        load: navigation && navigation.loadEventEnd > 0 ? navigation.loadEventEnd - navigation.startTime : null,
+        documentSize: navigation ? navigation.transferSize : 0,
+        lcp: observed.lcp ?? null,
+        cls: observed.cls ?? null,
+        inp: observed.inp ?? null,
+        longTasks: observed.longTasks ?? null,
+        longTaskTime: observed.longTaskTime ?? null,
+        resourceCount: resources.length,
+        resourceTransferSize: resources.reduce((sum, resource) => sum + (resource.transferSize || 0), 0),
+        resourcesByType: byType
+      };
+    });
+
+    const round = value => (value === null || value === undefined ? null : Math.round(value * 1000) / 1000);
+    const metrics = {
+      ttfb: round(raw.ttfb),
+      dom_content_loaded: round(raw.domContentLoaded),
+      load: round(raw.load),
+      lcp: round(raw.lcp),
+      cls: round(raw.cls),
+      inp: round(raw.inp),
+      long_tasks: raw.longTasks,
+      long_task_time: round(raw.longTaskTime),
+      resource_count: raw.resourceCount,
+      transfer_size: raw.documentSize + raw.resourceTransferSize,
+      resources_by_type: raw.resourcesByType
+    };
+
+    const url = page.url();
+    const budget = { ...resolveBudget(this.config.budgets, url), ...(step.budget || {}) };
+    const exceeded = checkBudget(metrics, budget);
+    const measurement = {
+      url,
+      browser: this.browserName,
+      route_id: this.routeId,
+      session_id: this.sessionId,
+      step_label: step.label || null,
+      trigger: step.action,
+      metrics,
+      budget: Object.keys(budget).length > 0 ? budget : null,
+      budget_exceeded: exceeded,
+      status: exceeded.length > 0 ? 'over_budget' : 'ok',
+      timestamp: new Date().toISOString()
+    };
+    this.measurements.push(measurement);
+
+    try {
+      appendPerformanceHistory(this.resultsDir, measurement);
+    } catch (error) {
+      console.log(`⚠️ パフォーマンス履歴の保存に失敗: ${error.message}`);
+    }
+
+    const format = value => (value === null ? '-' : `${Math.round(value)}ms`);
+    console.log(`⏱️ パフォーマンス: load ${format(metrics.load)} / LCP ${format(metrics.lcp)} / CLS ${metrics.cls ?? '-'} / INP ${format(metrics.inp)} / リソース ${metrics.resource_count}件`);
+    if (exceeded.length > 0) {
+      const detail = exceeded.map(item => `${item.metric} ${item.actual} > ${item.budget}`).join(', ');
+      console.log(`⚠️ パフォーマンス予算超過: ${detail}`);
+      if (step.failOnBudget ?? this.config.failOnBudget) {
+        const error = new Error(`パフォーマンス予算を超過しました: ${url} - ${detail}`);
+        error.performanceMeasurement = measurement;
+        throw error;
+      }
+    }
+    return measurement;
+  }
+}
+
+export default PerformanceCollector;
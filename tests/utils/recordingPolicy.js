@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 実行記録（トレース等）の保存ポリシー
+ * - always: 常に保存
+ * - on-failure: 失敗したルートのみ保存
+ * - off: 記録しない
+ */
+
+export const RECORDING_POLICIES = ['always', 'on-failure', 'off'];
+
+// playwright.config.js 形式の値も受け付ける
+const POLICY_ALIASES = {
+  on: 'always',
+  'retain-on-failure': 'on-failure',
+  'on-first-retry': 'on-failure'
+};
+
+/**
+ * ポリシー名を正規化
+ */
+export function normalizePolicy(value, defaultPolicy = 'on-failure') {
+  if (!value) return defaultPolicy;
+  const key = String(value).trim().toLowerCase();
+  const policy = POLICY_ALIASES[key] || key;
+
+  if (!RECORDING_POLICIES.includes(policy)) {
+    console.log(`⚠️ 不明な記録ポリシー "${value}" のため ${defaultPolicy} を使用します`);
+    return defaultPolicy;
+  }
+  return policy;
+}
+
+/**
+ * 記録ポリシーを決定（優先順: 明示指定 → CLI引数 → config.json → デフォルト）
+ * @param {string} name - 'trace' など（CLIは --trace=<policy> / --trace <policy>、configは同名キー）
+ * @param {string} explicitValue - PlaywrightRunner のオプションで渡された値
+ */
+export function resolveRecordingPolicy(name, explicitValue, defaultPolicy = 'on-failure') {
+  if (explicitValue) {
+    return normalizePolicy(explicitValue, defaultPolicy);
+  }
+
+  const argv = process.argv;
+  const inline = argv.find(arg => arg.startsWith(`--${name}=`));
+  if (inline) {
+    return normalizePolicy(inline.split('=')[1], defaultPolicy);
+  }
+  const index = argv.indexOf(`--${name}`);
+  if (index !== -1 && argv[index + 1] && !argv[index + 1].startsWith('--')) {
+    return normalizePolicy(argv[index + 1], defaultPolicy);
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'config.json'), 'utf-8'));
+    return normalizePolicy(config[name], defaultPolicy);
+  } catch {
+    return defaultPolicy;
+  }
+}
+
+/**
+ * 保存するかどうかを判定
+ */
+export function shouldRetain(policy, hasFailure) {
+  return policy === 'always' || (policy === 'on-failure' && hasFailure);
+}
+
+/**
+ * test-results 配下のファイルパスをレポート用の相対リンクに変換
+ */
+export function toResultsLink(baseDir, filePath) {
+  if (!filePath) return null;
+  return path.relative(baseDir, filePath).split(path.sep).join('/');
+}
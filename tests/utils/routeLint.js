@@ -0,0 +1,181 @@
+import fs from 'fs';
+import path from 'path';
+import { KNOWN_ACTIONS, TARGET_ACTIONS, RouteSchema, CategoryBatchSchema, BatchMetadataSchema, formatSchemaIssues } from './routeSchema.js';
+import { INCLUDE_ACTION, loadFragmentLibrary } from './fragments.js';
+import { getDependencyRefs } from './stepDependencies.js';
+
+/**
+ * ルートJSONの lint（実行前に壊れやすい書き方を検出）
+ * - schema（エラー）: スキーマに合わない
+ * - unknown-action（エラー）: 未知のアクション（実行時は「未サポートのアクション」として素通りしてしまう）
+ * - missing-target（エラー）: target が必要なアクションに target がない
+ * - unknown-fragment（エラー）: include のフラグメントが fragments/ にない
+ * - unknown-dependency（エラー）: dependsOn が、それより前のステップの id / label を指していない
+ * - brittle-selector（警告）: :nth-child / :nth-of-type が2つ以上連なるセレクタ（DOM構造の変更で壊れやすい）
+ * - fixed-sleep（警告）: waitForTimeout による固定時間の待機
+ *
+ * 検出結果: { severity: 'error' | 'warning', rule, step: "steps[3]" / "steps[5].steps[1]", label, message }
+ */
+
+const NTH_PATTERN = /:nth-(child|of-type|last-child|last-of-type)\(/g;
+const MAX_NTH = 1;
+
+/**
+ * 未知のアクションに近い既知のアクションを探す（大文字小文字・記号違い）
+ */
+function suggestAction(action) {
+  const normalize = text => text.toLowerCase().replace(/[^a-z]/g, '');
+  return KNOWN_ACTIONS.find(known => normalize(known) === normalize(action)) || null;
+}
+
+/**
+ * ステップ配列を再帰的に lint（制御フローの steps / else の中も対象）
+ * @param {Set<string>} previous - それまでに出てきたステップの id / label（dependsOn の確認用）
+ */
+function lintSteps(steps, prefix, library, findings, previous = new Set()) {
+  steps.forEach((step, index) => {
+    const location = `${prefix}[${index}]`;
+    const add = (severity, rule, message) => findings.push({ severity, rule, step: location, label: step.label || null, message });
+    const target = typeof step.target === 'string' ? step.target : '';
+
+    if (step.action && !KNOWN_ACTIONS.includes(step.action)) {
+      const suggestion = suggestAction(step.action);
+      add('error', 'unknown-action', `未知のアクションです: ${step.action}${suggestion ? `（${suggestion} の誤り？）` : ''}`);
+    }
+    if (TARGET_ACTIONS.includes(step.action) && (step.target === undefined || step.target === '')) {
+      add('error', 'missing-target', `${step.action} には target が必要です`);
+    }
+    if (step.action === INCLUDE_ACTION && step.fragment && library && !library.has(step.fragment)) {
+      add('error', 'unknown-fragment', `フラグメントが見つかりません: ${step.fragment}`);
+    }
+    const nthCount = (target.match(NTH_PATTERN) || []).length;
+    if (nthCount > MAX_NTH) {
+      add('warning', 'brittle-selector', `nth-child が${nthCount}段連なるセレクタは画面構造の変更で壊れやすいです（id・name・data-testid・テキストでの指定を推奨）: ${target}`);
+    }
+    if (step.action === 'waitForTimeout') {
+      add('warning', 'fixed-sleep', `固定時間の待機です（${step.target || step.value || 1000}ms）。waitForSelector / waitForURL 等の条件付き待機を推奨`);
+    }
+    (getDependencyRefs(step) || []).filter(ref => !previous.has(ref)).forEach(ref => {
+      add('error', 'unknown-dependency', `dependsOn の前提ステップが見つかりません: ${ref}（それより前のステップの id または label を指定してください）`);
+    });
+
+    if (Array.isArray(step.steps)) {
+      lintSteps(step.steps, `${location}.steps`, library, findings, new Set(previous));
+    }
+    if (Array.isArray(step.else)) {
+      lintSteps(step.else, `${location}.else`, library, findings, new Set(previous));
+    }
+    [step.id, step.label].filter(Boolean).forEach(ref => previous.add(ref));
+  });
+}
+
+/**
+ * ルートJSON（オブジェクト）を lint
+ * @param {Object} route - ルートJSON
+ * @param {Object} options
+ * @param {Map} options.library - フラグメントライブラリ（省略時は fragments/ から読み込む）
+ */
+export function lintRoute(route, options = {}) {
+  const findings = [];
+  const result = RouteSchema.safeParse(route);
+  if (!result.success) {
+    formatSchemaIssues(result.error).forEach(issue => {
+      findings.push({ severity: 'error', rule: 'schema', step: null, label: null, message: issue });
+    });
+  }
+  if (Array.isArray(route?.steps)) {
+    lintSteps(route.steps, 'steps', options.library || loadFragmentLibrary(), findings);
+  }
+  return findings;
+}
+
+/**
+ * 1ルート分の lint 結果を作成
+ */
+export function toRouteReport(file, route, findings) {
+  return {
+    file,
+    route_id: route?.route_id ?? null,
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length,
+    findings
+  };
+}
+
+/**
+ * ファイルを lint（単一ルート・分類別バッチ・バッチメタデータに対応）
+ * バッチメタデータの場合はメタデータ自体と、参照している各ルートファイルを lint する
+ * @returns {Array<Object>} ルートごとの lint 結果
+ */
+export function lintRouteFile(filePath, options = {}) {
+  const library = options.library || loadFragmentLibrary();
+  const file = path.basename(filePath);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return [toRouteReport(file, null, [{ severity: 'error', rule: 'json', step: null, label: null, message: `JSONを読み込めません: ${error.message}` }])];
+  }
+
+  if (data.processing_mode === 'category_batch') {
+    const result = CategoryBatchSchema.safeParse(data);
+    const schemaFindings = result.success ? [] : formatSchemaIssues(result.error)
+      .filter(issue => !/^categories\[\d+\]\.routes\[\d+\]\./.test(issue))
+      .map(issue => ({ severity: 'error', rule: 'schema', step: null, label: null, message: issue }));
+    const reports = (data.categories || []).flatMap(category => (category.routes || []).map(route => toRouteReport(file, route, lintRoute(route, { library }))));
+    return schemaFindings.length > 0 ? [toRouteReport(file, data, schemaFindings), ...reports] : reports;
+  }
+
+  if (data.batch_id && Array.isArray(data.routes) && !data.steps) {
+    const result = BatchMetadataSchema.safeParse(data);
+    const metadataReport = result.success ? [] : [toRouteReport(file, null, formatSchemaIssues(result.error)
+      .map(issue => ({ severity: 'error', rule: 'schema', step: null, label: null, message: issue })))];
+    const baseDir = path.dirname(filePath);
+    const reports = data.routes.map(routeInfo => {
+      const routeFile = path.join(baseDir, routeInfo.file_name || path.basename(routeInfo.file_path || ''));
+      if (!fs.existsSync(routeFile)) {
+        return toRouteReport(path.basename(routeFile), routeInfo, [{ severity: 'error', rule: 'missing-file', step: null, label: null, message: `ルートファイルが見つかりません: ${path.basename(routeFile)}` }]);
+      }
+      return lintRouteFile(routeFile, { library })[0];
+    });
+    return [...metadataReport, ...reports];
+  }
+
+  return [toRouteReport(file, data, lintRoute(data, { library }))];
+}
+
+/**
+ * ディレクトリから接頭辞に一致する最新のJSONファイルを探す（ファイル名の yymmddhhmmss 順）
+ */
+export function findLatestFile(dir, prefix) {
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  const files = fs.readdirSync(dir)
+    .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+    .sort();
+  return files.length > 0 ? path.join(dir, files[files.length - 1]) : null;
+}
+
+/**
+ * lint 結果をコンソール表示用のテキストにする
+ */
+export function formatLintReport(reports) {
+  const lines = [];
+  reports.forEach(report => {
+    const title = `${report.file}${report.route_id ? ` (${report.route_id})` : ''}`;
+    if (report.findings.length === 0) {
+      lines.push(`✅ ${title}`);
+      return;
+    }
+    lines.push(`${report.errors > 0 ? '❌' : '⚠️'} ${title}: エラー${report.errors}件 / 警告${report.warnings}件`);
+    report.findings.forEach(finding => {
+      const where = finding.step !== null ? `${finding.step}${finding.label ? `「${finding.label}」` : ''}: ` : '';
+      lines.push(`   ${finding.severity === 'error' ? '❌' : '⚠️'} [${finding.rule}] ${where}${finding.message}`);
+    });
+  });
+  const errors = reports.reduce((sum, report) => sum + report.errors, 0);
+  const warnings = reports.reduce((sum, report) => sum + report.warnings, 0);
+  lines.push(`📋 lint結果: ${reports.length}ルート / エラー${errors}件 / 警告${warnings}件`);
+  return lines.join('\n');
+}
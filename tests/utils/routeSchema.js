@@ -0,0 +1,254 @@
+import { z } from 'zod';
+import { FLOW_ACTIONS } from './controlFlow.js';
+import { DIALOG_ACTIONS } from './dialogHandler.js';
+import { FILE_ACTIONS } from './fileTransfer.js';
+import { INCLUDE_ACTION } from './fragments.js';
+import { NETWORK_ASSERTION_ACTIONS } from './networkCapture.js';
+import { NETWORK_ACTIONS } from './networkMocker.js';
+import { PAGE_EVENT_ACTIONS } from './pageEventMonitor.js';
+import { PAGE_ACTIONS } from './pageManager.js';
+import { STORE_ACTIONS } from './routeVariables.js';
+import { AUTO_WAIT_CONDITIONS } from './stepPolicy.js';
+
+/**
+ * ルートJSON・バッチメタデータのスキーマ（zod）
+ * - 読み込み時に runScenarios.js で検証し、形式の誤りを実行前にエラーにする
+ * - アクション名はスキーマでは文字列であることのみ検証する（未知のアクションは lint で検出）
+ * - ルートやステップの未定義のキーはそのまま通す（生成元ごとの付加情報を壊さない）
+ */
+
+// executeStep で処理する基本アクション
+export const CORE_ACTIONS = [
+  'load', 'click', 'fill', 'select', 'selectOption', 'check', 'uncheck', 'hover', 'doubleClick', 'keyPress',
+  'scroll', 'scroll_and_click', 'scroll_and_fill', 'waitForSelector', 'waitForURL', 'waitForTimeout',
+  'evaluate', 'screenshot', 'skip', 'locator_setup',
+  'assertVisible', 'assertText', 'assertChecked', 'assertUnchecked', 'assertResponse', 'assertFormSubmission',
+  'assertOptionCount', 'assertOptionTexts', 'assertOptionValues', 'assertSelectedValue',
+  'assertEmailValidation', 'assertPhoneValidation', 'assertNumericValidation', 'assertMinMax', 'assertDateFormat',
+  'assertValidationError', 'assertPlaceholder', 'assertPattern', 'assertDependentFields',
+  'assertGroupBehavior', 'assertGroupExclusive', 'assertInitialState', 'assertStateChange',
+  'assertScreenshot', 'auditAccessibility', 'measurePerformance',
+  // バリデーション・SPA向けの確認（executeStep の switch の前で処理）
+  'assertURL', 'focus', 'blur', 'checkValidationError', 'checkValidationCleared', 'checkPageStay', 'checkPageTransition',
+  'waitForSPAElement', 'waitForAPIResponse', 'waitForStateChange', 'triggerFrameworkEvent'
+];
+
+export const KNOWN_ACTIONS = [
+  ...CORE_ACTIONS,
+  ...PAGE_ACTIONS,
+  ...DIALOG_ACTIONS,
+  ...FILE_ACTIONS,
+  ...PAGE_EVENT_ACTIONS,
+  ...NETWORK_ASSERTION_ACTIONS,
+  ...NETWORK_ACTIONS,
+  ...STORE_ACTIONS,
+  ...FLOW_ACTIONS,
+  INCLUDE_ACTION
+];
+
+// target（セレクタ・URL）が必須のアクション
+export const TARGET_ACTIONS = [
+  'click', 'fill', 'select', 'selectOption', 'check', 'uncheck', 'hover', 'doubleClick', 'keyPress',
+  'scroll_and_click', 'scroll_and_fill', 'waitForSelector', 'waitForURL', 'evaluate', 'locator_setup',
+  'assertVisible', 'assertText', 'assertChecked', 'assertUnchecked',
+  'assertOptionCount', 'assertOptionTexts', 'assertOptionValues', 'assertSelectedValue',
+  'storeText', 'storeAttribute', 'storeValue', 'forEach', 'setInputFiles', 'uploadFile'
+];
+
+const AutoWaitSchema = z.union([z.enum(AUTO_WAIT_CONDITIONS), z.array(z.enum(AUTO_WAIT_CONDITIONS))]);
+
+const PolicyFieldsSchema = z.object({
+  timeout: z.number().positive().optional(),
+  waitTimeout: z.number().positive().optional(),
+  navigationTimeout: z.number().positive().optional(),
+  retries: z.number().int().nonnegative().optional(),
+  retryBackoff: z.object({
+    initial: z.number().nonnegative().optional(),
+    factor: z.number().positive().optional(),
+    max: z.number().nonnegative().optional()
+  }).optional(),
+  autoWait: AutoWaitSchema.optional(),
+  fixedWaits: z.enum(['sleep', 'auto']).optional()
+});
+
+// stepPolicy（config.json）・policy（ルートJSON）
+export const StepPolicySchema = PolicyFieldsSchema.extend({
+  mobile: PolicyFieldsSchema.optional(),
+  actions: z.record(PolicyFieldsSchema).optional()
+});
+
+const ConditionSchema = z.lazy(() => z.object({
+  visible: z.string().optional(),
+  notVisible: z.string().optional(),
+  timeout: z.number().nonnegative().optional(),
+  url: z.string().optional(),
+  variable: z.string().optional(),
+  equals: z.union([z.string(), z.number(), z.boolean()]).optional(),
+  notEquals: z.union([z.string(), z.number(), z.boolean()]).optional(),
+  matches: z.string().optional(),
+  all: z.array(ConditionSchema).optional(),
+  any: z.array(ConditionSchema).optional(),
+  not: ConditionSchema.optional()
+}).passthrough().refine(
+  condition => ['visible', 'notVisible', 'url', 'variable', 'all', 'any', 'not'].some(key => condition[key] !== undefined),
+  { message: '条件には visible / notVisible / url / variable / all / any / not のいずれかが必要です' }
+));
+
+export const StepSchema = z.lazy(() => z.object({
+  action: z.string({ required_error: 'action がありません' }).min(1, 'action が空です'),
+  target: z.union([z.string(), z.number()]).nullish(),
+  label: z.string().nullish(),
+  timeout: z.number().nonnegative().nullish(),
+  optional: z.boolean().optional(),
+  steps: z.array(StepSchema).optional(),
+  else: z.array(StepSchema).optional(),
+  condition: ConditionSchema.optional(),
+  while: ConditionSchema.optional(),
+  times: z.number().int().positive().optional(),
+  max: z.number().int().positive().optional(),
+  as: z.string().optional(),
+  name: z.string().optional(),
+  fragment: z.string().optional(),
+  params: z.record(z.any()).optional(),
+  retries: z.number().int().nonnegative().optional(),
+  retryBackoff: PolicyFieldsSchema.shape.retryBackoff,
+  autoWait: AutoWaitSchema.optional(),
+  id: z.string().min(1, 'id が空です').optional(),
+  dependsOn: z.union([z.string(), z.array(z.string())]).optional(),
+  blocking: z.boolean().optional(),
+  expectsNavigation: z.boolean().optional()
+}).passthrough().superRefine((step, ctx) => {
+  const require = (key, message) => {
+    if (step[key] === undefined || step[key] === '') {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [key], message });
+    }
+  };
+  switch (step.action) {
+    case 'if':
+      require('condition', 'if には condition が必要です');
+      require('steps', 'if には steps が必要です');
+      break;
+    case 'repeat':
+      require('steps', 'repeat には steps が必要です');
+      if (step.times === undefined && step.while === undefined) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['times'], message: 'repeat には times または while が必要です' });
+      }
+      break;
+    case 'forEach':
+      require('steps', 'forEach には steps が必要です');
+      break;
+    case INCLUDE_ACTION:
+      require('fragment', 'include には fragment（フラグメント名）が必要です');
+      break;
+    case 'storeAttribute':
+      require('attribute', 'storeAttribute には attribute（属性名）が必要です');
+      require('name', 'storeAttribute には name（変数名）が必要です');
+      break;
+    case 'storeText':
+    case 'storeValue':
+    case 'storeUrl':
+      require('name', `${step.action} には name（変数名）が必要です`);
+      break;
+    default:
+      break;
+  }
+}));
+
+const DatasetSchema = z.union([
+  z.string(),
+  z.array(z.record(z.any())),
+  z.object({
+    file: z.string().optional(),
+    rows: z.array(z.record(z.any())).optional(),
+    equivalence_classes: z.record(z.array(z.any())).optional(),
+    strategy: z.enum(['each', 'all']).optional(),
+    label: z.string().optional(),
+    limit: z.number().int().positive().optional()
+  }).passthrough().refine(
+    dataset => dataset.file || dataset.rows || dataset.equivalence_classes,
+    { message: 'dataset には file / rows / equivalence_classes のいずれかを指定してください' }
+  )
+]);
+
+export const RouteSchema = z.object({
+  route_id: z.union([z.string(), z.number()]).optional(),
+  steps: z.array(StepSchema, { required_error: 'steps がありません' }).min(1, 'steps が空です'),
+  dataset: DatasetSchema.optional(),
+  variables: z.record(z.union([z.string(), z.number(), z.boolean()])).optional(),
+  use_auth: z.boolean().optional(),
+  page_events: z.record(z.any()).optional(),
+  policy: StepPolicySchema.optional(),
+  emulation_profile: z.string().optional()
+}).passthrough();
+
+// 分類別バッチ処理結果（processing_mode: category_batch）
+export const CategoryBatchSchema = z.object({
+  processing_mode: z.literal('category_batch'),
+  batch_id: z.string().optional(),
+  categories: z.array(z.object({
+    category: z.string().optional(),
+    routes: z.array(RouteSchema)
+  }).passthrough())
+}).passthrough();
+
+export const BatchMetadataSchema = z.object({
+  batch_id: z.string(),
+  total_routes: z.number().int().nonnegative(),
+  categories: z.array(z.string()),
+  execution_order: z.array(z.string()),
+  routes: z.array(z.object({
+    route_id: z.union([z.string(), z.number()]),
+    category: z.string().optional(),
+    file_name: z.string().optional(),
+    file_path: z.string().optional()
+  }).passthrough().refine(
+    routeInfo => routeInfo.file_name || routeInfo.file_path,
+    { message: 'file_name または file_path が必要です' }
+  )),
+  recommended_execution: z.object({
+    sequential_categories: z.array(z.string()).optional()
+  }).passthrough().optional()
+}).passthrough();
+
+/**
+ * zod のエラーを「steps[2].target: メッセージ」形式の一覧にする
+ */
+export function formatSchemaIssues(error) {
+  return error.issues.map(issue => {
+    const location = issue.path.reduce((text, key) => (
+      typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : String(key)
+    ), '');
+    return `${location || '(ルート)'}: ${issue.message}`;
+  });
+}
+
+/**
+ * スキーマで検証し、誤りがあれば一覧付きのエラーを投げる
+ */
+function parseWithSchema(schema, data, title) {
+  const result = schema.safeParse(data);
+  if (!result.success) {
+    const issues = formatSchemaIssues(result.error);
+    const error = new Error(`${title}の形式が正しくありません:\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    error.schemaIssues = issues;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * ルートJSONを検証（分類別バッチ処理結果にも対応）
+ */
+export function validateRoute(route) {
+  if (route?.processing_mode === 'category_batch') {
+    return parseWithSchema(CategoryBatchSchema, route, '分類別バッチ');
+  }
+  return parseWithSchema(RouteSchema, route, 'ルートJSON');
+}
+
+/**
+ * バッチメタデータを検証
+ */
+export function validateBatchMetadata(batchMetadata) {
+  return parseWithSchema(BatchMetadataSchema, batchMetadata, 'バッチメタデータ');
+}
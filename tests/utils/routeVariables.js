@@ -0,0 +1,162 @@
+import { interpolateRow } from './dataset.js';
+
+/**
+ * ルート内の変数（ステップの出力を後続ステップで再利用）
+ * - storeText / storeAttribute / storeValue / storeUrl: ページから値を読み取り、name の変数に保存
+ * - pattern を指定すると正規表現に一致した部分（キャプチャグループがあれば1つ目）を保存
+ * - 後続ステップの target / value / アサーション等に ${変数名} と書くと保存した値に置き換える
+ * - 変数はルート単位（ルートJSONの "variables" で初期値を指定可能）
+ *
+ * ルートJSONの例:
+ *   { "action": "storeText", "target": "#total-bill", "name": "total", "pattern": "([0-9,]+)円" }
+ *   { "action": "storeAttribute", "target": "#confirm-link", "attribute": "href", "name": "confirmUrl" }
+ *   { "action": "storeValue", "target": "#username", "name": "username" }
+ *   { "action": "storeUrl", "part": "param", "param": "id", "name": "reservationId" }
+ *   { "action": "assertText", "target": "#summary-total", "value": "${total}" }
+ */
+
+export const STORE_ACTIONS = ['storeText', 'storeAttribute', 'storeValue', 'storeUrl'];
+
+const URL_PARTS = ['href', 'origin', 'host', 'pathname', 'search', 'hash', 'param'];
+const PLACEHOLDER_PATTERN = /\$\{([^}:]+)\}/g;
+
+/**
+ * 抽出用の正規表現を作成（"/.../flags" 形式と、スラッシュなしのパターンの両方を受け付ける）
+ */
+function toRegExp(pattern) {
+  const regexMatch = String(pattern).match(/^\/(.+)\/([gimsuy]*)$/);
+  return regexMatch ? new RegExp(regexMatch[1], regexMatch[2]) : new RegExp(pattern);
+}
+
+class RouteVariables {
+  constructor(options = {}) {
+    this.routeId = options.routeId || null;
+    this.browserName = options.browserName || null;
+    this.values = { ...(options.initial || {}) };
+    this.captures = [];
+  }
+
+  /**
+   * 変数保存系アクションかどうか
+   */
+  static isStoreAction(action) {
+    return STORE_ACTIONS.includes(action);
+  }
+
+  /**
+   * ルートを切り替えて変数を初期化（共有ランナーで複数ルートを実行する場合）
+   */
+  beginRoute(routeId, initial = {}) {
+    this.routeId = routeId;
+    this.values = { ...(initial || {}) };
+  }
+
+  /**
+   * 変数を設定（forEach の要素セレクタ等）
+   */
+  set(name, value) {
+    this.values[name] = value;
+  }
+
+  /**
+   * ステップ内の ${変数名} を置換し、使用した変数を返す
+   * 未定義の変数はそのまま残して警告する（データセットの列・env: とは衝突しない）
+   * 制御フローの子ステップ（steps / else）は実行する時点で置換する
+   */
+  interpolate(step) {
+    const { steps, else: elseSteps, ...own } = step;
+    const referenced = [...JSON.stringify(own).matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+    if (referenced.length === 0) {
+      return { step, used: null };
+    }
+    const used = {};
+    [...new Set(referenced)].forEach(name => {
+      if (Object.prototype.hasOwnProperty.call(this.values, name)) {
+        used[name] = this.values[name];
+      } else {
+        console.log(`⚠️ 未定義の変数です: \${${name}}（先に store 系のステップで保存してください）`);
+      }
+    });
+    if (Object.keys(used).length === 0) {
+      return { step, used: null };
+    }
+    console.log(`🔣 変数を展開: ${Object.entries(used).map(([name, value]) => `${name}="${value}"`).join(', ')}`);
+    return { step: { ...step, ...interpolateRow(own, this.values) }, used };
+  }
+
+  /**
+   * store 系ステップを実行して変数に保存
+   * @param {import('playwright').Page} page - 操作中のページ
+   * @param {Object} step - ステップ
+   * @param {Function} resolveLocator - target から Locator を取得する関数
+   * @param {Object} policy - ステップの実行ポリシー（要素の読み取りは timeout まで待つ）
+   */
+  async store(page, step, resolveLocator, policy) {
+    const name = step.name;
+    if (!name) {
+      throw new Error(`${step.action} には保存先の変数名（name）が必要です`);
+    }
+    const { timeout } = policy;
+    let raw;
+    let source;
+
+    switch (step.action) {
+      case 'storeText':
+        raw = await resolveLocator(step.target).first().innerText({ timeout });
+        source = step.target;
+        break;
+      case 'storeAttribute':
+        if (!step.attribute) {
+          throw new Error('storeAttribute には属性名（attribute）が必要です');
+        }
+        raw = await resolveLocator(step.target).first().getAttribute(step.attribute, { timeout });
+        source = `${step.target} [${step.attribute}]`;
+        break;
+      case 'storeValue':
+        raw = await resolveLocator(step.target).first().inputValue({ timeout });
+        source = step.target;
+        break;
+      case 'storeUrl': {
+        const part = step.part || 'href';
+        if (!URL_PARTS.includes(part)) {
+          throw new Error(`不明なURLの部分です: ${part}（${URL_PARTS.join(' / ')}）`);
+        }
+        const url = new URL(page.url());
+        raw = part === 'param' ? url.searchParams.get(step.param) : url[part];
+        source = part === 'param' ? `URL ?${step.param}` : `URL ${part}`;
+        break;
+      }
+      default:
+        throw new Error(`未対応の変数保存アクション: ${step.action}`);
+    }
+
+    if (raw === null || raw === undefined) {
+      throw new Error(`変数に保存する値を取得できませんでした: ${name} ← ${source}`);
+    }
+    let value = String(raw).trim();
+    if (step.pattern) {
+      const match = value.match(toRegExp(step.pattern));
+      if (!match) {
+        throw new Error(`変数に保存する値がパターンに一致しません: ${name} ← ${source} "${value}" (pattern: ${step.pattern})`);
+      }
+      value = match[1] ?? match[0];
+    }
+
+    this.values[name] = value;
+    const capture = {
+      route_id: this.routeId,
+      browser: this.browserName,
+      label: step.label || null,
+      name,
+      value,
+      source,
+      pattern: step.pattern || null,
+      captured_at: new Date().toISOString()
+    };
+    this.captures.push(capture);
+    console.log(`📥 変数に保存: ${name} = "${value}" (${source})`);
+    return capture;
+  }
+}
+
+export default RouteVariables;
@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+import { z } from 'zod';
+import { chromium } from 'playwright';
+import { formatSchemaIssues } from './routeSchema.js';
+import { resolveEmulationProfile } from './emulationProfiles.js';
+
+/**
+ * サイト別の手動セレクタリポジトリ
+ * - selectors/ の JSON ファイル1つが1サイト。URL パターンと論理名（「渋谷エリア」「絞り込みボタン」等）ごとにセレクタを登録する
+ * - セレクタは PC版（pc）・スマホ版（mobile）・共通（common）に分けて登録し、実行環境に合うものから順に試す
+ * - ステップの target / label に keywords（未指定なら論理名）を含む要素を探し、最も長く一致したものを使う
+ * - url のないサイトは全サイト共通（汎用ボタン等）。同じ長さで一致した場合は url のあるサイトを優先
+ * - テスト実行（要素が見つからない時の手動セレクタ）と失敗分析（代替セレクタの提案）の両方で使う
+ * - F12 の「Copy selector」でコピーしたセレクタ（md\:none 等のエスケープ付き）はそのまま登録できる
+ *
+ * サイトの例（selectors/<site>.json）:
+ *   { "site": "example-shop", "url": "/shop\\.example\\.com/",
+ *     "elements": { "渋谷エリア": { "keywords": ["渋谷"],
+ *       "pc": ["div._SearchItem_areaSub > label:nth-child(1)"], "mobile": ["label[class*='areaCheck']:has-text('渋谷')"],
+ *       "common": ["label:has-text('渋谷')"] } } }
+ *
+ * リポジトリのディレクトリは config.json の selectorsDir（デフォルト: selectors）
+ */
+
+export const SELECTOR_VARIANTS = ['pc', 'mobile', 'common'];
+
+const SelectorListSchema = z.array(z.string().min(1, 'セレクタが空です'));
+
+export const SelectorSiteSchema = z.object({
+  site: z.string({ required_error: 'site がありません' }).regex(/^[\w.-]+$/, 'site は英数字・-・_・. で指定してください'),
+  description: z.string().optional(),
+  url: z.string().optional(),
+  elements: z.record(z.object({
+    keywords: z.array(z.string().min(1)).optional(),
+    pc: SelectorListSchema.optional(),
+    mobile: SelectorListSchema.optional(),
+    common: SelectorListSchema.optional()
+  }).passthrough().refine(
+    element => SELECTOR_VARIANTS.some(variant => element[variant]?.length > 0),
+    { message: 'pc / mobile / common のいずれかにセレクタが必要です' }
+  ), { required_error: 'elements がありません' })
+}).passthrough();
+
+/**
+ * セレクタリポジトリの格納ディレクトリを取得
+ */
+export function getSelectorDir(projectRoot = process.cwd()) {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    if (config.selectorsDir) {
+      return path.resolve(projectRoot, config.selectorsDir);
+    }
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  return path.resolve(projectRoot, 'selectors');
+}
+
+/**
+ * サイト定義を検証（誤りがあれば「elements.渋谷エリア.pc[0]: メッセージ」形式の一覧）
+ */
+export function validateSelectorSite(data) {
+  const result = SelectorSiteSchema.safeParse(data);
+  return result.success ? [] : formatSchemaIssues(result.error);
+}
+
+/**
+ * セレクタリポジトリを読み込む（site → サイト定義）
+ */
+export function loadSelectorRepository(dir = getSelectorDir()) {
+  const repository = new Map();
+  if (!fs.existsSync(dir)) {
+    return repository;
+  }
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      try {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+        const site = { ...data, site: data.site || path.basename(file, '.json') };
+        const issues = validateSelectorSite(site);
+        if (issues.length > 0) {
+          throw new Error(issues.join(' / '));
+        }
+        repository.set(site.site, { ...site, file });
+      } catch (error) {
+        console.warn(`⚠️ セレクタ定義を読み込めません (${file}): ${error.message}`);
+      }
+    });
+  return repository;
+}
+
+/**
+ * サイト定義を保存（ファイル名は site 名）
+ */
+export function saveSelectorSite(data, dir = getSelectorDir()) {
+  const issues = validateSelectorSite(data);
+  if (issues.length > 0) {
+    const error = new Error(`セレクタ定義の形式が正しくありません:\n${issues.map(issue => `  - ${issue}`).join('\n')}`);
+    error.schemaIssues = issues;
+    throw error;
+  }
+  const { file, ...site } = data;
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, `${site.site}.json`);
+  fs.writeFileSync(filePath, `${JSON.stringify(site, null, 2)}\n`);
+  return filePath;
+}
+
+/**
+ * 従来の手動セレクタ指定（{ "カテゴリ": { "要素名": "セレクタ" } }）をサイト定義に変換
+ */
+export function fromLegacySelectors(manualSelectors, site = 'manual') {
+  const elements = {};
+  Object.values(manualSelectors || {})
+    .filter(items => items && typeof items === 'object')
+    .forEach(items => {
+      Object.entries(items)
+        .filter(([, selector]) => typeof selector === 'string' && selector.trim())
+        .forEach(([name, selector]) => {
+          elements[name] = { common: [...(elements[name]?.common || []), selector.trim()] };
+        });
+    });
+  return { site, description: 'WebUIの要素指定', elements };
+}
+
+/**
+ * サイトの url が対象URLに一致するか（url なしは全サイト共通、"/.../" は正規表現、それ以外は部分一致）
+ */
+export function matchesSiteUrl(site, url = '') {
+  if (!site.url) return true;
+  const regexMatch = String(site.url).match(/^\/(.+)\/([gimsuy]*)$/);
+  return regexMatch ? new RegExp(regexMatch[1], regexMatch[2]).test(url) : url.includes(site.url);
+}
+
+/**
+ * F12 の「Copy selector」形式のセレクタを Playwright で使える形に正規化（md\:none → md:none 等）
+ */
+export function normalizeSelector(selector) {
+  return String(selector).replace(/\\:/g, ':').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * 実行環境に合わせたセレクタの試行順（スマホ版: mobile → common → pc / PC版: pc → common → mobile）
+ */
+export function orderSelectors(element, mobile = false) {
+  const variants = mobile ? ['mobile', 'common', 'pc'] : ['pc', 'common', 'mobile'];
+  return variants.flatMap(variant => (element[variant] || []).map(selector => ({ selector, variant })));
+}
+
+/**
+ * ステップに対応する要素をリポジトリから探す
+ * @param {Map} repository - loadSelectorRepository の結果
+ * @param {Object} options
+ * @param {string} options.url - 現在のページのURL
+ * @param {Object} options.step - ステップ（target / label で照合）
+ * @param {boolean} options.mobile - スマホ版として実行しているか
+ * @returns {{ site: string, name: string, keyword: string, selectors: Array<{selector: string, variant: string}> } | null}
+ */
+export function findSelectorCandidates(repository, { url = '', step = {}, mobile = false } = {}) {
+  const texts = [step.target, step.label].filter(text => typeof text === 'string' && text);
+  const matches = [];
+  [...repository.values()]
+    .filter(site => matchesSiteUrl(site, url))
+    .forEach(site => {
+      Object.entries(site.elements).forEach(([name, element]) => {
+        const keyword = (element.keywords || [name])
+          .filter(candidate => texts.some(text => text.includes(candidate)))
+          .sort((a, b) => b.length - a.length)[0];
+        if (keyword) {
+          matches.push({ site: site.site, specific: !!site.url, name, keyword, element });
+        }
+      });
+    });
+  if (matches.length === 0) {
+    return null;
+  }
+  const best = matches.sort((a, b) => (b.keyword.length - a.keyword.length) || (b.specific - a.specific))[0];
+  return { site: best.site, name: best.name, keyword: best.keyword, selectors: orderSelectors(best.element, mobile) };
+}
+
+/**
+ * 対象URLに一致するサイトのキーワード一覧（カスタムドロップダウンの選択肢の探索に使う）
+ */
+export function listSelectorKeywords(repository, url = '') {
+  const keywords = [...repository.values()]
+    .filter(site => site.url && matchesSiteUrl(site, url))
+    .flatMap(site => Object.entries(site.elements).flatMap(([name, element]) => element.keywords || [name]));
+  return [...new Set(keywords)];
+}
+
+/**
+ * ページ上でセレクタを確認（要素数・可視性）
+ */
+export async function inspectSelector(page, selector) {
+  const normalized = normalizeSelector(selector);
+  try {
+    const locator = page.locator(normalized);
+    const count = await locator.count();
+    const visible = count > 0 ? await locator.first().isVisible() : false;
+    return { selector, normalized, count, visible, error: null };
+  } catch (error) {
+    return { selector, normalized, count: 0, visible: false, error: error.message.split('\n')[0] };
+  }
+}
+
+/**
+ * サイト定義のセレクタを実際のページで検証（WebUIの編集画面から使う）
+ * @param {Object} site - サイト定義
+ * @param {Object} options
+ * @param {string} options.url - 検証するページのURL
+ * @param {string} options.profile - エミュレーションプロファイル名（pc / mobile 等）
+ * @returns {{ url: string, profile: string, variant: string, url_matches: boolean, elements: Array<Object> }}
+ */
+export async function validateSiteOnPage(site, { url, profile = null, projectRoot = process.cwd() } = {}) {
+  if (!url) {
+    throw new Error('検証するページのURLを指定してください');
+  }
+  const emulation = resolveEmulationProfile(profile, { projectRoot });
+  const variant = emulation.isMobile ? 'mobile' : 'pc';
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const context = await browser.newContext(emulation.contextOptions);
+    const page = await context.newPage();
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+
+    const elements = [];
+    for (const [name, element] of Object.entries(site.elements || {})) {
+      const selectors = [];
+      for (const candidate of orderSelectors(element, emulation.isMobile)) {
+        selectors.push({ ...candidate, ...await inspectSelector(page, candidate.selector) });
+      }
+      // 実行時に使われるのは、この順で最初に見つかった可視要素
+      const resolved = selectors.find(result => result.count > 0 && result.visible) || null;
+      elements.push({ name, resolved: resolved?.selector || null, selectors });
+    }
+    return { url: page.url(), profile: emulation.name, variant, url_matches: matchesSiteUrl(site, url), elements };
+  } finally {
+    await browser.close();
+  }
+}
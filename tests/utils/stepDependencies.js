@@ -0,0 +1,99 @@
+/**
+ * ステップの依存関係（前提ステップが失敗したら、依存するステップを実行せず blocked にする）
+ * - ステップに id を付け、dependsOn: "id" / ["id", ...] で前提ステップを宣言（label でも参照できる）
+ * - dependsOn のないステップは、直前のブロッキングステップに依存するものとして推定する
+ *   ブロッキングステップ: load / waitForURL / checkPageTransition、expectsNavigation 付き・送信ボタン（type=submit）の click、blocking: true
+ * - load は新しくページを開くため、推定では前のブロッキングステップに依存しない
+ * - dependsOn: [] で依存なし（前のステップの成否に関係なく実行）、blocking: false で推定のブロッキングステップから外す
+ * - blocked のステップは失敗数に含めず、成功率の分母からも除く
+ *
+ * ルートJSONの例:
+ *   { "id": "submit", "action": "click", "target": "button[type=submit]", "label": "予約内容を確認する" },
+ *   { "action": "assertText", "target": "#total", "value": "8,000円", "dependsOn": "submit" },
+ *   { "action": "assertVisible", "target": "header", "dependsOn": [] }
+ */
+
+export const BLOCKED_STATUS = 'blocked';
+
+const NAVIGATION_ACTIONS = ['load', 'waitForURL', 'checkPageTransition'];
+const SUBMIT_TARGET_PATTERN = /type=["']?submit\b/i;
+
+/**
+ * 後続のステップの前提になるステップかどうか
+ */
+export function isBlockingStep(step) {
+  if (step.blocking !== undefined) {
+    return !!step.blocking;
+  }
+  if (NAVIGATION_ACTIONS.includes(step.action)) {
+    return true;
+  }
+  return step.action === 'click' && (!!step.expectsNavigation || SUBMIT_TARGET_PATTERN.test(String(step.target || '')));
+}
+
+/**
+ * ステップが参照する前提ステップ（dependsOn の値）を配列で返す
+ */
+export function getDependencyRefs(step) {
+  return step.dependsOn === undefined ? null : [].concat(step.dependsOn);
+}
+
+class StepDependencyTracker {
+  constructor() {
+    this.results = [];
+    this.lastBlocking = null;
+  }
+
+  /**
+   * id または label で記録済みのステップを探す（同名があれば直近のもの）
+   */
+  find(ref) {
+    for (let i = this.results.length - 1; i >= 0; i--) {
+      const result = this.results[i];
+      if (result.id === ref || result.label === ref) {
+        return result;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * ステップの前提のうち失敗・blocked のものを返す（実行してよければ null）
+   */
+  findBlocker(step) {
+    const refs = getDependencyRefs(step);
+    const prerequisites = refs !== null
+      ? refs.map(ref => this.find(ref)).filter(Boolean)
+      : (step.action === 'load' || !this.lastBlocking ? [] : [this.lastBlocking]);
+    return prerequisites.find(result => result.status === 'failed' || result.status === BLOCKED_STATUS) || null;
+  }
+
+  /**
+   * ステップの結果を記録（status: success / failed / blocked / skipped）
+   */
+  record(step, stepIndex, status) {
+    const result = {
+      step_index: stepIndex,
+      id: step.id || null,
+      label: step.label || `${step.action} ${step.target || ''}`.trim(),
+      status
+    };
+    this.results.push(result);
+    if (isBlockingStep(step)) {
+      this.lastBlocking = result;
+    }
+    return result;
+  }
+
+  /**
+   * blocked の理由（実行結果の error・blocked_by に記録する）
+   */
+  static describe(blocker) {
+    return {
+      message: `前提ステップ「${blocker.label}」が${blocker.status === BLOCKED_STATUS ? '実行されなかった' : '失敗した'}ため実行しませんでした`,
+      blocked_by: { step_index: blocker.step_index, id: blocker.id, label: blocker.label, status: blocker.status }
+    };
+  }
+}
+
+export default StepDependencyTracker;
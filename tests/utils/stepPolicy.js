@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * ステップの実行ポリシー（タイムアウト・リトライ・自動待機）
+ * - 既定値 → config.json の stepPolicy → ルートJSONの policy → ステップの timeout / retries / autoWait の順に上書き
+ * - config・ルートの各層の actions.<アクション名> は、その層の共通設定より優先
+ * - 解決したポリシーは実行ログの各ステップの policy に記録される
+ *
+ * 項目:
+ *   timeout: click / fill / ファイル設定 / 変数の読み取り等の操作のタイムアウト
+ *   waitTimeout: waitForSelector / waitForURL / 動的要素の検出・ダウンロード・ポップアップ・ダイアログ・通信の検証・スクリーンショットで待つ時間
+ *   navigationTimeout: load・初期表示のページ遷移のタイムアウト（スマホのエミュレーションプロファイルでは mobile の値を使う）
+ *   retries / retryBackoff: 失敗時の再試行回数と、再試行までの待機（initial × factor^n、max まで）
+ *   autoWait: ステップの実行前に待つ条件（load / domcontentloaded / networkidle / stable）
+ *   fixedWaits: waitForTimeout の扱い（sleep: 指定時間待つ / auto: 指定時間を上限に networkidle まで待つ）
+ *
+ * config.json の例:
+ *   "stepPolicy": { "timeout": 5000, "autoWait": ["domcontentloaded"], "fixedWaits": "auto",
+ *     "actions": { "click": { "retries": 1, "autoWait": ["stable"] }, "assertText": { "retries": 2 } } }
+ * ルートJSONの例:
+ *   "policy": { "waitTimeout": 20000, "actions": { "waitForURL": { "waitTimeout": 30000 } } }
+ */
+
+export const AUTO_WAIT_CONDITIONS = ['load', 'domcontentloaded', 'networkidle', 'stable'];
+
+export const DEFAULT_STEP_POLICY = {
+  timeout: 5000,
+  waitTimeout: 10000,
+  navigationTimeout: 15000,
+  retries: 0,
+  retryBackoff: { initial: 500, factor: 2, max: 5000 },
+  autoWait: [],
+  fixedWaits: 'sleep',
+  mobile: { navigationTimeout: 30000 }
+};
+
+const POLICY_KEYS = ['timeout', 'waitTimeout', 'navigationTimeout', 'retries', 'retryBackoff', 'autoWait', 'fixedWaits'];
+const MAX_RETRIES = 5;
+
+/**
+ * config.json の stepPolicy を読み込む
+ */
+export function loadStepPolicy(projectRoot = process.cwd()) {
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    return config.stepPolicy || {};
+  } catch {
+    // config.json がない場合はデフォルト
+    return {};
+  }
+}
+
+/**
+ * 1つの層の設定を解決中のポリシーに重ねる
+ */
+function applyLayer(resolved, layer, source) {
+  const keys = POLICY_KEYS.filter(key => layer?.[key] !== undefined);
+  if (keys.length === 0) {
+    return;
+  }
+  keys.forEach(key => {
+    if (key === 'retryBackoff') {
+      resolved.retryBackoff = { ...resolved.retryBackoff, ...layer.retryBackoff };
+    } else if (key === 'autoWait') {
+      resolved.autoWait = [].concat(layer.autoWait || []);
+    } else {
+      resolved[key] = layer[key];
+    }
+  });
+  resolved.sources.push(source);
+}
+
+/**
+ * ステップに適用するポリシーを解決
+ * @param {Object} layers
+ * @param {Object} layers.config - config.json の stepPolicy
+ * @param {Object} layers.route - ルートJSONの policy
+ * @param {Object} layers.step - ステップ
+ * @param {boolean} layers.mobile - スマホ版テストかどうか
+ */
+export function resolveStepPolicy({ config = {}, route = {}, step = {}, mobile = false } = {}) {
+  const action = step.action;
+  const resolved = {
+    ...DEFAULT_STEP_POLICY,
+    retryBackoff: { ...DEFAULT_STEP_POLICY.retryBackoff },
+    autoWait: [],
+    sources: ['default']
+  };
+  delete resolved.mobile;
+
+  if (mobile) {
+    applyLayer(resolved, DEFAULT_STEP_POLICY.mobile, 'default.mobile');
+  }
+  [['config', config], ['route', route]].forEach(([name, layer]) => {
+    applyLayer(resolved, layer, name);
+    if (mobile) {
+      applyLayer(resolved, layer?.mobile, `${name}.mobile`);
+    }
+    if (action) {
+      applyLayer(resolved, layer?.actions?.[action], `${name}.actions.${action}`);
+    }
+  });
+
+  // ステップの timeout はそのステップのすべての待機に使う（従来の step.timeout と同じ扱い）
+  applyLayer(resolved, {
+    ...(step.timeout ? { timeout: step.timeout, waitTimeout: step.timeout, navigationTimeout: step.timeout } : {}),
+    retries: step.retries,
+    retryBackoff: step.retryBackoff,
+    autoWait: step.autoWait
+  }, 'step');
+
+  const unknown = resolved.autoWait.filter(condition => !AUTO_WAIT_CONDITIONS.includes(condition));
+  if (unknown.length > 0) {
+    throw new Error(`不明な自動待機の条件です: ${unknown.join(', ')}（${AUTO_WAIT_CONDITIONS.join(' / ')}）`);
+  }
+  resolved.retries = Math.min(Math.max(parseInt(resolved.retries, 10) || 0, 0), MAX_RETRIES);
+  return resolved;
+}
+
+/**
+ * n回目（0始まり）の再試行までの待機時間
+ */
+export function getBackoffDelay(retryBackoff, attempt) {
+  const { initial = 500, factor = 2, max = 5000 } = retryBackoff || {};
+  return Math.min(Math.round(initial * Math.pow(factor, attempt)), max);
+}
@@ -21,6 +21,11 @@ class USISDirectoryManager {
       screenshots: 'screenshots',               // スクリーンショット
       domSnapshots: 'dom-snapshots',            // DOM状態
       aiAnalysis: 'ai-analysis',                // AI分析データ
+      traces: 'traces',                         // Playwrightトレース
+      videos: 'videos',                         // 実行録画
+      downloads: 'downloads',                   // ダウンロードしたファイル
+      visual: 'visual',                         // ビジュアル比較の撮影画像・差分画像
+      har: 'har',                               // ネットワークのHAR
       reports: 'reports',                       // レポートファイル
       routes: 'routes',                         // ルートファイル
       results: 'results',                       // 結果ファイル
@@ -39,6 +44,11 @@ class USISDirectoryManager {
       this.directoryStructure.common,
       path.join(this.directoryStructure.common, this.directoryStructure.executionLogs),
       path.join(this.directoryStructure.common, this.directoryStructure.reports),
+      path.join(this.directoryStructure.common, this.directoryStructure.traces),
+      path.join(this.directoryStructure.common, this.directoryStructure.videos),
+      path.join(this.directoryStructure.common, this.directoryStructure.downloads),
+      path.join(this.directoryStructure.common, this.directoryStructure.visual),
+      path.join(this.directoryStructure.common, this.directoryStructure.har),
       path.join(this.directoryStructure.common, this.directoryStructure.archive)
     ];
 
@@ -67,6 +77,11 @@ class USISDirectoryManager {
       this.directoryStructure.screenshots,
       this.directoryStructure.domSnapshots,
       this.directoryStructure.aiAnalysis,
+      this.directoryStructure.traces,
+      this.directoryStructure.videos,
+      this.directoryStructure.downloads,
+      this.directoryStructure.visual,
+      this.directoryStructure.har,
       this.directoryStructure.reports,
       this.directoryStructure.routes,
       this.directoryStructure.results,
@@ -387,6 +402,11 @@ class USISDirectoryManager {
     if (filename.includes('naturalLanguageTestCases') || filename.includes('testPoints')) return this.directoryStructure.testCases;
     if (filename.includes('ai_analysis')) return this.directoryStructure.aiAnalysis;
     if (filename.includes('execution_')) return this.directoryStructure.executionLogs;
+    if (filename.startsWith('trace_') && filename.endsWith('.zip')) return this.directoryStructure.traces;
+    if (filename.startsWith('video_') && filename.endsWith('.webm')) return this.directoryStructure.videos;
+    if (filename.startsWith('download_')) return this.directoryStructure.downloads;
+    if (filename.startsWith('visual_') && filename.endsWith('.png')) return this.directoryStructure.visual;
+    if (filename.startsWith('har_') && filename.endsWith('.har')) return this.directoryStructure.har;
     
     return this.directoryStructure.archive; // デフォルト
   }
@@ -0,0 +1,271 @@
+import fs from 'fs';
+import path from 'path';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+
+/**
+ * ビジュアルリグレッション（assertScreenshot）
+ * - ページ全体または要素のスクリーンショットをベースラインと比較
+ * - threshold: 1ピクセルごとの色差の許容度（0〜1、知覚的な差分）
+ * - maxDiffPixels / maxDiffRatio: 差分ピクセル数・割合の上限
+ * - mask: 日時・広告など動的な領域を塗りつぶして比較から除外
+ * - 差分があれば diff 画像を保存し、WebUIのレビュー一覧（承認・却下）に登録
+ *
+ * ルートJSONの例:
+ *   { "action": "assertScreenshot", "name": "reserve-form", "fullPage": true,
+ *     "mask": ["#current-time", ".ad-banner"], "threshold": 0.2, "maxDiffRatio": 0.01 }
+ *   { "action": "assertScreenshot", "name": "plan-card", "target": ".card:first-child" }
+ *
+ * config.json の設定例:
+ *   "visual": { "baselineDir": "test-results/visual-baselines", "threshold": 0.1, "maxDiffRatio": 0.001 }
+ */
+
+const REVIEW_INDEX_FILE = 'visual-review.json';
+
+/**
+ * ビジュアル比較の設定を読み込み
+ */
+export function loadVisualConfig(projectRoot = process.cwd()) {
+  let visual = {};
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(projectRoot, 'config.json'), 'utf-8'));
+    visual = config.visual || {};
+  } catch {
+    // config.json がない場合はデフォルト
+  }
+  return {
+    baselineDir: path.resolve(projectRoot, visual.baselineDir || 'test-results/visual-baselines'),
+    threshold: visual.threshold ?? 0.1,
+    maxDiffPixels: visual.maxDiffPixels ?? null,
+    maxDiffRatio: visual.maxDiffRatio ?? 0.001
+  };
+}
+
+/**
+ * スクリーンショット名をファイル名に使える形に変換
+ */
+export function toSnapshotName(value) {
+  return String(value)
+    .trim()
+    .replace(/[\\/:*?"<>|\s]+/g, '_')
+    .slice(0, 80) || 'screenshot';
+}
+
+/**
+ * 2つのPNG画像を比較して差分画像を作成
+ */
+export function comparePNG(baselineBuffer, actualBuffer, options = {}) {
+  const baseline = PNG.sync.read(baselineBuffer);
+  const actual = PNG.sync.read(actualBuffer);
+
+  if (baseline.width !== actual.width || baseline.height !== actual.height) {
+    return {
+      sizeMismatch: true,
+      baselineSize: `${baseline.width}x${baseline.height}`,
+      actualSize: `${actual.width}x${actual.height}`,
+      diffPixels: null,
+      diffRatio: 1,
+      diffBuffer: null
+    };
+  }
+
+  const { width, height } = baseline;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, {
+    threshold: options.threshold ?? 0.1,
+    includeAA: false
+  });
+
+  return {
+    sizeMismatch: false,
+    diffPixels,
+    diffRatio: diffPixels / (width * height),
+    diffBuffer: PNG.sync.write(diff)
+  };
+}
+
+/**
+ * レビュー一覧（承認待ちの差分）を読み込み
+ */
+export function loadReviewIndex(resultsDir) {
+  const indexPath = path.join(resultsDir, REVIEW_INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    return { items: [] };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+  } catch (error) {
+    console.log('⚠️ ビジュアルレビュー一覧の読み込みに失敗:', error.message);
+    return { items: [] };
+  }
+}
+
+function saveReviewIndex(resultsDir, index) {
+  fs.mkdirSync(resultsDir, { recursive: true });
+  fs.writeFileSync(path.join(resultsDir, REVIEW_INDEX_FILE), JSON.stringify(index, null, 2));
+}
+
+/**
+ * 差分をレビュー一覧に登録（同じベースラインの未処理項目は置き換え）
+ */
+export function addReviewItem(resultsDir, item) {
+  const index = loadReviewIndex(resultsDir);
+  index.items = index.items.filter(existing =>
+    !(existing.baseline_path === item.baseline_path && existing.status === 'pending')
+  );
+  index.items.unshift({ ...item, status: 'pending' });
+  saveReviewIndex(resultsDir, index);
+}
+
+/**
+ * 差分を承認（今回のスクリーンショットを新しいベースラインにする）または却下
+ * @param {string} decision - 'approve' | 'reject'
+ */
+export function resolveReviewItem(resultsDir, id, decision) {
+  const index = loadReviewIndex(resultsDir);
+  const item = index.items.find(entry => entry.id === id);
+  if (!item) {
+    throw new Error(`レビュー対象が見つかりません: ${id}`);
+  }
+  if (item.status !== 'pending') {
+    throw new Error(`このレビューは処理済みです: ${item.status}`);
+  }
+
+  if (decision === 'approve') {
+    const actualPath = path.join(resultsDir, item.actual_path);
+    const baselinePath = path.resolve(resultsDir, item.baseline_path);
+    if (!fs.existsSync(actualPath)) {
+      throw new Error(`スクリーンショットが見つかりません: ${item.actual_path}`);
+    }
+    fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+    fs.copyFileSync(actualPath, baselinePath);
+    item.status = 'approved';
+    console.log(`✅ ベースラインを更新しました: ${item.name}`);
+  } else if (decision === 'reject') {
+    item.status = 'rejected';
+    console.log(`🚫 差分を却下しました: ${item.name}`);
+  } else {
+    throw new Error(`不明なレビュー操作: ${decision}`);
+  }
+
+  item.resolved_at = new Date().toISOString();
+  saveReviewIndex(resultsDir, index);
+  return item;
+}
+
+class VisualRegression {
+  /**
+   * @param {Object} options - { resultsDir, browserName, profile: エミュレーションプロファイル名, routeId, resolveOutputPath: ファイル名 → 保存パス }
+   */
+  constructor(options) {
+    this.config = loadVisualConfig();
+    this.resultsDir = options.resultsDir;
+    this.browserName = options.browserName;
+    // 同じ画面でもプロファイル（PC版・スマホ版・デバイス・カラースキーム等）で見た目が違うため、ベースラインは別に持つ
+    this.profile = toSnapshotName(options.profile || 'pc');
+    this.routeId = options.routeId || null;
+    this.resolveOutputPath = options.resolveOutputPath;
+    this.updateBaselines = process.argv.includes('--update-baselines');
+    this.checks = [];
+  }
+
+  /**
+   * 結果を test-results 基準の相対パスに変換
+   */
+  toLink(filePath) {
+    return filePath ? path.relative(this.resultsDir, filePath).split(path.sep).join('/') : null;
+  }
+
+  /**
+   * スクリーンショットを撮影してベースラインと比較
+   * @param {import('playwright').Page} page
+   * @param {Object} step - assertScreenshot ステップ
+   * @param {Function} locate - セレクタをLocatorに解決する関数
+   * @param {Object} policy - ステップの実行ポリシー（撮影は画面が安定するまで waitTimeout まで待つ）
+   */
+  async assertScreenshot(page, step, locate, policy) {
+    const name = toSnapshotName(step.name || step.label || step.target || 'page');
+    const threshold = step.threshold ?? this.config.threshold;
+    const maxDiffPixels = step.maxDiffPixels ?? this.config.maxDiffPixels;
+    const maxDiffRatio = step.maxDiffRatio ?? this.config.maxDiffRatio;
+
+    const screenshotOptions = {
+      animations: 'disabled',
+      caret: 'hide',
+      mask: [].concat(step.mask || []).map(selector => locate(selector)),
+      maskColor: step.maskColor || '#FF00FF',
+      timeout: policy.waitTimeout
+    };
+    const actualBuffer = step.target
+      ? await locate(step.target).first().screenshot(screenshotOptions)
+      : await page.screenshot({ ...screenshotOptions, fullPage: step.fullPage !== false });
+
+    const baselinePath = path.join(this.config.baselineDir, this.browserName, this.profile, `${name}.png`);
+    const stamp = Date.now();
+    const variant = `${this.browserName}_${this.profile}`;
+    const actualPath = this.resolveOutputPath(`visual_${name}_${variant}_${stamp}_actual.png`);
+    fs.mkdirSync(path.dirname(actualPath), { recursive: true });
+    fs.writeFileSync(actualPath, actualBuffer);
+
+    const check = {
+      name,
+      browser: this.browserName,
+      emulation_profile: this.profile,
+      route_id: this.routeId,
+      label: step.label || null,
+      threshold,
+      max_diff_pixels: maxDiffPixels,
+      max_diff_ratio: maxDiffRatio,
+      masks: [].concat(step.mask || []),
+      baseline_path: this.toLink(baselinePath),
+      actual_path: this.toLink(actualPath),
+      diff_path: null,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!fs.existsSync(baselinePath) || this.updateBaselines) {
+      fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+      fs.writeFileSync(baselinePath, actualBuffer);
+      check.status = 'baseline_created';
+      this.checks.push(check);
+      console.log(`📸 ベースラインを${this.updateBaselines ? '更新' : '作成'}しました: ${name} (${this.browserName} / ${this.profile})`);
+      return check;
+    }
+
+    const result = comparePNG(fs.readFileSync(baselinePath), actualBuffer, { threshold });
+    check.diff_pixels = result.diffPixels;
+    check.diff_ratio = result.diffRatio;
+
+    const withinPixels = maxDiffPixels === null || maxDiffPixels === undefined || (result.diffPixels ?? Infinity) <= maxDiffPixels;
+    const withinRatio = result.diffRatio <= maxDiffRatio;
+    const passed = !result.sizeMismatch && withinPixels && withinRatio;
+
+    if (!passed) {
+      if (result.diffBuffer) {
+        const diffPath = this.resolveOutputPath(`visual_${name}_${variant}_${stamp}_diff.png`);
+        fs.writeFileSync(diffPath, result.diffBuffer);
+        check.diff_path = this.toLink(diffPath);
+      }
+      check.status = 'failed';
+      check.id = `${name}_${variant}_${stamp}`;
+      addReviewItem(this.resultsDir, check);
+    } else {
+      check.status = 'passed';
+    }
+    this.checks.push(check);
+
+    if (!passed) {
+      const detail = result.sizeMismatch
+        ? `画像サイズが異なります（ベースライン: ${result.baselineSize}, 今回: ${result.actualSize}）`
+        : `差分 ${result.diffPixels}px (${(result.diffRatio * 100).toFixed(3)}%) が許容値を超えています`;
+      const error = new Error(`スクリーンショットがベースラインと一致しません: ${name} - ${detail}`);
+      error.visualCheck = check;
+      throw error;
+    }
+
+    console.log(`✅ スクリーンショット一致: ${name} (差分 ${result.diffPixels}px)`);
+    return check;
+  }
+}
+
+export default VisualRegression;
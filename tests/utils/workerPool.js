@@ -0,0 +1,72 @@
+/**
+ * バッチ実行用の並列ワーカープール
+ * - 最大同時実行数を守ってタスクを処理し、結果は入力順で返す
+ * - execution_order に従ったカテゴリ単位の実行フェーズを構築
+ */
+
+/**
+ * タスクを指定ワーカー数で並列処理
+ * @param {Array} tasks - 処理対象
+ * @param {number} workerCount - 同時実行数
+ * @param {Function} handler - (task, workerId, index) => Promise<any>
+ * @returns {Promise<Array>} tasks と同じ順序の結果
+ */
+export async function runWithWorkers(tasks, workerCount, handler) {
+  const results = new Array(tasks.length);
+  let nextIndex = 0;
+
+  const worker = async (workerId) => {
+    while (nextIndex < tasks.length) {
+      const index = nextIndex++;
+      results[index] = await handler(tasks[index], workerId, index);
+    }
+  };
+
+  const poolSize = Math.max(1, Math.min(workerCount, tasks.length));
+  await Promise.all(Array.from({ length: poolSize }, (_, i) => worker(i + 1)));
+  return results;
+}
+
+/**
+ * execution_order に従って実行フェーズを構築
+ * フェーズは順番に実行され、フェーズ内のタスクは sequential でなければ並列実行される
+ * @param {Array} tasks - category プロパティを持つタスク
+ * @param {Array<string>} executionOrder - カテゴリの実行順序
+ * @param {Array<string>} sequentialCategories - ルートを1件ずつ実行するカテゴリ
+ */
+export function buildExecutionPhases(tasks, executionOrder = [], sequentialCategories = []) {
+  const phases = [];
+
+  executionOrder.forEach(category => {
+    const categoryTasks = tasks.filter(task => task.category === category);
+    if (categoryTasks.length > 0) {
+      phases.push({
+        categories: [category],
+        sequential: sequentialCategories.includes(category),
+        tasks: categoryTasks
+      });
+    }
+  });
+
+  // execution_order に含まれないカテゴリは順序制約なしとして最後にまとめて実行
+  const unorderedTasks = tasks.filter(task => !executionOrder.includes(task.category));
+  const parallelTasks = unorderedTasks.filter(task => !sequentialCategories.includes(task.category));
+  if (parallelTasks.length > 0) {
+    phases.push({
+      categories: [...new Set(parallelTasks.map(task => task.category))],
+      sequential: false,
+      tasks: parallelTasks
+    });
+  }
+
+  sequentialCategories
+    .filter(category => !executionOrder.includes(category))
+    .forEach(category => {
+      const categoryTasks = unorderedTasks.filter(task => task.category === category);
+      if (categoryTasks.length > 0) {
+        phases.push({ categories: [category], sequential: true, tasks: categoryTasks });
+      }
+    });
+
+  return phases;
+}